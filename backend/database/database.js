@@ -1,11 +1,12 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs').promises;
+const { hashAPIKey } = require('../utils/apiKeys');
 
 class Database {
   constructor() {
     this.db = null;
-    this.dbPath = path.join(__dirname, 'ai_platform.db');
+    this.dbPath = process.env.DATABASE_PATH || path.join(__dirname, 'ai_platform.db'); // tests use a scratch file
   }
 
   /**
@@ -117,6 +118,42 @@ class Database {
         is_active BOOLEAN DEFAULT 1,
         FOREIGN KEY (container_id) REFERENCES ai_instances (container_id),
         FOREIGN KEY (user_id) REFERENCES users (id)
+      )`,
+
+      // Chat threads table (persistent, resumable conversations)
+      `CREATE TABLE IF NOT EXISTS chat_threads (
+        id TEXT PRIMARY KEY,
+        container_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        title TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (container_id) REFERENCES ai_instances (container_id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`,
+
+      // Immutable history of each bot's configuration (ai-config.js without runtime fields)
+      `CREATE TABLE IF NOT EXISTS ai_config_versions (
+        id TEXT PRIMARY KEY,
+        container_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        config TEXT NOT NULL,
+        author_id TEXT,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (container_id, version),
+        FOREIGN KEY (container_id) REFERENCES ai_instances (container_id),
+        FOREIGN KEY (author_id) REFERENCES users (id)
+      )`,
+
+      // Per-key daily usage (UTC days), for quotas and the dashboard counters
+      `CREATE TABLE IF NOT EXISTS ai_api_key_usage (
+        key_id TEXT NOT NULL,
+        day TEXT NOT NULL,
+        requests INTEGER DEFAULT 0,
+        tokens INTEGER DEFAULT 0,
+        PRIMARY KEY (key_id, day),
+        FOREIGN KEY (key_id) REFERENCES ai_api_keys (id)
       )`
     ];
 
@@ -124,6 +161,22 @@ class Database {
       await this.runQuery(table);
     }
 
+    // Columns added after the initial schema (existing databases need them too); keep in step with migrations/002-006
+    await this.addColumnIfMissing('ai_interactions', 'thread_id', 'TEXT');
+    await this.addColumnIfMissing('ai_api_keys', 'config_version', 'INTEGER'); // pinned version, NULL follows the active one
+    await this.addColumnIfMissing('chat_threads', 'api_key_id', 'TEXT'); // key that started it via the public API, NULL for app threads
+    await this.addColumnIfMissing('ai_api_keys', 'key_prefix', 'TEXT'); // first characters of the key, shown in the dashboard
+    await this.addColumnIfMissing('ai_api_keys', 'scopes', "TEXT DEFAULT 'invoke,ingest,read-history'");
+    await this.addColumnIfMissing('ai_api_keys', 'expires_at', 'DATETIME');
+    await this.addColumnIfMissing('ai_api_keys', 'allowed_origins', 'TEXT'); // JSON array, NULL allows any origin
+    await this.addColumnIfMissing('ai_api_keys', 'allowed_ips', 'TEXT'); // JSON array of addresses/CIDR ranges, NULL allows any
+    await this.addColumnIfMissing('ai_api_keys', 'rpm_limit', 'INTEGER'); // requests per minute, NULL for no limit
+    await this.addColumnIfMissing('ai_api_keys', 'daily_token_quota', 'INTEGER'); // NULL for no quota
+    await this.addColumnIfMissing('ai_api_keys', 'kind', "TEXT DEFAULT 'secret'"); // secret | publishable (website widget)
+    await this.addColumnIfMissing('ai_api_keys', 'publishable_key', 'TEXT'); // publishable keys are public, so kept to show the embed code
+    await this.addColumnIfMissing('chat_threads', 'visitor_id', 'TEXT'); // anonymous website widget visitor, NULL otherwise
+    await this.hashLegacyAPIKeys();
+
     // Create indexes for better performance
     const indexes = [
       'CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)',
@@ -135,7 +188,10 @@ class Database {
       'CREATE INDEX IF NOT EXISTS idx_ai_interactions_timestamp ON ai_interactions(timestamp)',
       'CREATE INDEX IF NOT EXISTS idx_api_keys_container_id ON ai_api_keys(container_id)',
       'CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON ai_api_keys(user_id)',
-      'CREATE INDEX IF NOT EXISTS idx_api_keys_active ON ai_api_keys(is_active)'
+      'CREATE INDEX IF NOT EXISTS idx_api_keys_active ON ai_api_keys(is_active)',
+      'CREATE INDEX IF NOT EXISTS idx_ai_interactions_thread_id ON ai_interactions(thread_id)',
+      'CREATE INDEX IF NOT EXISTS idx_chat_threads_container_user ON chat_threads(container_id, user_id)',
+      'CREATE INDEX IF NOT EXISTS idx_chat_threads_updated_at ON chat_threads(updated_at)'
     ];
 
     for (const index of indexes) {
@@ -145,6 +201,39 @@ class Database {
     console.log('✅ Database tables created successfully');
   }
 
+  /**
+   * Add a column to an existing table unless it is already there
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @param {string} definition - Column type and constraints
+   * @returns {Promise<void>}
+   */
+  async addColumnIfMissing(table, column, definition) {
+    const columns = await this.getRows(`PRAGMA table_info(${table})`);
+    if (!columns.some(c => c.name === column)) {
+      await this.runQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`✅ Added column ${table}.${column}`);
+    }
+  }
+
+  /**
+   * Replace keys stored in clear (created before keys were hashed) with their hash
+   * Rows without a key_prefix are the legacy ones; existing clients keep working with the same keys.
+   * @returns {Promise<void>}
+   */
+  async hashLegacyAPIKeys() {
+    const legacy = await this.getRows('SELECT id, api_key FROM ai_api_keys WHERE key_prefix IS NULL');
+    for (const key of legacy) {
+      await this.runQuery(
+        'UPDATE ai_api_keys SET api_key = ?, key_prefix = ? WHERE id = ?',
+        [hashAPIKey(key.api_key), key.api_key.slice(0, 14), key.id]
+      );
+    }
+    if (legacy.length) {
+      console.log(`🔐 Hashed ${legacy.length} stored API key(s)`);
+    }
+  }
+
   /**
    * Run a SQL query
    * @param {string} sql - SQL query
@@ -0,0 +1,26 @@
+-- Migration: 002_chat_threads.sql
+-- Description: Persistent, resumable chat threads
+-- Author: AI Platform Team
+
+-- Create chat_threads table
+CREATE TABLE IF NOT EXISTS chat_threads (
+    id TEXT PRIMARY KEY,
+    container_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    title TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (container_id) REFERENCES ai_instances (container_id),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+-- Link interactions to the thread they belong to
+ALTER TABLE ai_interactions ADD COLUMN thread_id TEXT;
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_ai_interactions_thread_id ON ai_interactions(thread_id);
+CREATE INDEX IF NOT EXISTS idx_chat_threads_container_user ON chat_threads(container_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_chat_threads_updated_at ON chat_threads(updated_at);
+
+-- Insert migration record
+INSERT OR IGNORE INTO migrations (migration_name) VALUES ('002_chat_threads.sql');
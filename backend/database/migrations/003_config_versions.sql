@@ -0,0 +1,42 @@
+-- Migration: 003_config_versions.sql
+-- Description: Configuration version history and API key version pinning
+-- Author: AI Platform Team
+
+-- Create ai_api_keys table (created by database.js since the first release; needed by the migrations below)
+CREATE TABLE IF NOT EXISTS ai_api_keys (
+    id TEXT PRIMARY KEY,
+    container_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    api_key TEXT UNIQUE NOT NULL,
+    label TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME,
+    is_active BOOLEAN DEFAULT 1,
+    FOREIGN KEY (container_id) REFERENCES ai_instances (container_id),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+-- Create ai_config_versions table (immutable history of each bot's configuration)
+CREATE TABLE IF NOT EXISTS ai_config_versions (
+    id TEXT PRIMARY KEY,
+    container_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    config TEXT NOT NULL,
+    author_id TEXT,
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (container_id, version),
+    FOREIGN KEY (container_id) REFERENCES ai_instances (container_id),
+    FOREIGN KEY (author_id) REFERENCES users (id)
+);
+
+-- Pinned configuration version of a key (NULL follows the active one)
+ALTER TABLE ai_api_keys ADD COLUMN config_version INTEGER;
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_api_keys_container_id ON ai_api_keys(container_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON ai_api_keys(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_active ON ai_api_keys(is_active);
+
+-- Insert migration record
+INSERT OR IGNORE INTO migrations (migration_name) VALUES ('003_config_versions.sql');
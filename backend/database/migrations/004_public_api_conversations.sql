@@ -0,0 +1,9 @@
+-- Migration: 004_public_api_conversations.sql
+-- Description: Conversations started through the public API
+-- Author: AI Platform Team
+
+-- Key that started a thread via the public API (NULL for app threads)
+ALTER TABLE chat_threads ADD COLUMN api_key_id TEXT;
+
+-- Insert migration record
+INSERT OR IGNORE INTO migrations (migration_name) VALUES ('004_public_api_conversations.sql');
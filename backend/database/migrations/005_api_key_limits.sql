@@ -0,0 +1,28 @@
+-- Migration: 005_api_key_limits.sql
+-- Description: Hashed, scoped and expiring API keys with rate limits, quotas and usage counters
+-- Author: AI Platform Team
+
+-- First characters of the key, shown in the dashboard. Keys stored before this migration are still in
+-- clear: database.js hashes them (and sets key_prefix) on startup, since SQLite has no SHA-256.
+ALTER TABLE ai_api_keys ADD COLUMN key_prefix TEXT;
+
+-- What the key may do, when it expires, and where and how often it may be used
+ALTER TABLE ai_api_keys ADD COLUMN scopes TEXT DEFAULT 'invoke,ingest,read-history';
+ALTER TABLE ai_api_keys ADD COLUMN expires_at DATETIME;
+ALTER TABLE ai_api_keys ADD COLUMN allowed_origins TEXT; -- JSON array, NULL allows any origin
+ALTER TABLE ai_api_keys ADD COLUMN allowed_ips TEXT; -- JSON array of addresses/CIDR ranges, NULL allows any
+ALTER TABLE ai_api_keys ADD COLUMN rpm_limit INTEGER; -- requests per minute, NULL for no limit
+ALTER TABLE ai_api_keys ADD COLUMN daily_token_quota INTEGER; -- NULL for no quota
+
+-- Create ai_api_key_usage table (per-key daily usage, UTC days)
+CREATE TABLE IF NOT EXISTS ai_api_key_usage (
+    key_id TEXT NOT NULL,
+    day TEXT NOT NULL,
+    requests INTEGER DEFAULT 0,
+    tokens INTEGER DEFAULT 0,
+    PRIMARY KEY (key_id, day),
+    FOREIGN KEY (key_id) REFERENCES ai_api_keys (id)
+);
+
+-- Insert migration record
+INSERT OR IGNORE INTO migrations (migration_name) VALUES ('005_api_key_limits.sql');
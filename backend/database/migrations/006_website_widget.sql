@@ -0,0 +1,13 @@
+-- Migration: 006_website_widget.sql
+-- Description: Publishable keys and visitor conversations for the website chat widget
+-- Author: AI Platform Team
+
+-- secret | publishable (website widget); publishable keys are public, so kept in clear for the embed code
+ALTER TABLE ai_api_keys ADD COLUMN kind TEXT DEFAULT 'secret';
+ALTER TABLE ai_api_keys ADD COLUMN publishable_key TEXT;
+
+-- Anonymous website widget visitor of a thread (NULL otherwise)
+ALTER TABLE chat_threads ADD COLUMN visitor_id TEXT;
+
+-- Insert migration record
+INSERT OR IGNORE INTO migrations (migration_name) VALUES ('006_website_widget.sql');
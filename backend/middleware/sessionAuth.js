@@ -0,0 +1,68 @@
+const { sessionManager } = require('../services/sessionManager');
+const { aiService } = require('../services/aiService');
+
+/**
+ * Middleware to validate the dashboard session (X-Session-ID header or body.sessionId)
+ */
+const validateSession = async (req, res, next) => {
+  try {
+    const sessionId = req.headers['x-session-id'] || (req.body && req.body.sessionId);
+
+    if (!sessionId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session ID required'
+      });
+    }
+
+    const session = await sessionManager.getSession(sessionId);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired session'
+      });
+    }
+
+    // Update last activity
+    await sessionManager.updateLastActivity(sessionId);
+
+    // Attach session info to request
+    req.sessionId = sessionId;
+    req.userId = session.userId;
+    next();
+
+  } catch (error) {
+    console.error('Session validation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during session validation'
+    });
+  }
+};
+
+/**
+ * Middleware to ensure req.params.containerId belongs to the session user.
+ * Must run after validateSession; attaches req.aiInstance.
+ */
+const requireOwnedAI = async (req, res, next) => {
+  try {
+    const { containerId } = req.params;
+    const aiInstance = await aiService.getAIInstance(containerId);
+    if (!aiInstance || aiInstance.user_id !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'AI instance not found or access denied'
+      });
+    }
+    req.aiInstance = aiInstance;
+    next();
+  } catch (error) {
+    console.error('AI ownership check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during access check'
+    });
+  }
+};
+
+module.exports = { validateSession, requireOwnedAI };
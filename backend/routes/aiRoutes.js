@@ -1,117 +1,57 @@
 const express = require('express');
-const path = require('path');
-const fs = require('fs');
-const { sessionManager } = require('../services/sessionManager');
 const { containerManager } = require('../services/containerManager');
 const { aiService } = require('../services/aiService');
+const { validateSession } = require('../middleware/sessionAuth');
+const { openSSE } = require('../utils/sse');
+const { botBuilder } = require('../services/botBuilder');
+const { previewService } = require('../services/previewService');
+const { ingestJobService } = require('../services/ingestJobService');
+const { parseLLM } = require('../utils/configValidation');
+const { documentUpload } = require('../utils/documentUpload');
+const { API_KEY_KINDS, parseKeySettings, checkKindSettings, describeKeySettings } = require('../utils/apiKeys');
 
 const router = express.Router();
-const multer = require('multer');
-const upload = multer({
-  limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
-    fieldSize: 10 * 1024 * 1024, // 10MB limit for fields
-  },
-  fileFilter: (req, file, cb) => {
-    // Allow PDF, images, and text files
-    const allowedTypes = [
-      'application/pdf',
-      'image/jpeg',
-      'image/png',
-      'image/gif',
-      'image/bmp',
-      'image/tiff',
-      'text/plain',
-      'text/csv',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype) || file.originalname.match(/\.(pdf|jpg|jpeg|png|gif|bmp|tiff|txt|csv|doc|docx)$/i)) {
-      cb(null, true);
-    } else {
-      cb(new Error('File type not supported'), false);
-    }
-  }
-});
-
-// Multi-file upload for document comparison
-const uploadMultiple = multer({
-  limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit per file
-    fieldSize: 10 * 1024 * 1024, // 10MB limit for fields
-  },
-  fileFilter: (req, file, cb) => {
-    // Allow PDF, images, and text files
-    const allowedTypes = [
-      'application/pdf',
-      'image/jpeg',
-      'image/png',
-      'image/gif',
-      'image/bmp',
-      'image/tiff',
-      'text/plain',
-      'text/csv',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype) || file.originalname.match(/\.(pdf|jpg|jpeg|png|gif|bmp|tiff|txt|csv|doc|docx)$/i)) {
-      cb(null, true);
-    } else {
-      cb(new Error('File type not supported'), false);
-    }
-  }
-});
 
-// Middleware to validate session for all AI routes
-const validateSession = async (req, res, next) => {
-  try {
-    const sessionId = req.headers['x-session-id'] || req.body.sessionId;
+// Session validation will be applied to individual routes that need it
 
-    if (!sessionId) {
-      return res.status(401).json({
-        success: false,
-        message: 'Session ID required'
-      });
+/**
+ * Single `file` upload; multer rejects oversized and unsupported files before the route handler runs
+ */
+const uploadDocument = (req, res, next) => {
+  documentUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ success: false, message: 'File too large. Maximum size is 50MB.' });
     }
-
-    const session = await sessionManager.getSession(sessionId);
-    if (!session) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired session'
-      });
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ success: false, message: 'Unexpected file field.' });
     }
-
-    // Update last activity
-    await sessionManager.updateLastActivity(sessionId);
-
-    // Attach session info to request
-    req.sessionId = sessionId;
-    req.userId = session.userId;
-    next();
-
-  } catch (error) {
-    console.error('Session validation error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error during session validation'
-    });
-  }
+    res.status(error.status || 400).json({ success: false, message: error.message });
+  });
 };
 
-// Session validation will be applied to individual routes that need it
-
 /**
  * POST /api/create_ai
  * Create a new AI chatbot instance
  */
 router.post('/create_ai', validateSession, async (req, res) => {
   try {
-    const { name, description } = req.body;
+    const { name, description, draftId } = req.body;
     const { sessionId, userId } = req;
 
+    // Builder requests carry template/behaviour/domain settings; older clients send only name and description
+    let spec = null;
+    if (botBuilder.hasSpec(req.body)) {
+      const parsed = botBuilder.normalizeSpec(req.body);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      spec = parsed.spec;
+    }
+
     // Validate input
     if (!name || !description) {
       return res.status(400).json({
@@ -134,6 +74,15 @@ router.post('/create_ai', validateSession, async (req, res) => {
       });
     }
 
+    // Optional per-bot model selection: { provider, model? }
+    const { llm, error: llmError } = parseLLM(req.body.llm);
+    if (llmError) {
+      return res.status(400).json({
+        success: false,
+        message: llmError
+      });
+    }
+
     // Check if user has reached AI limit (optional feature)
     const userAICount = await aiService.getUserAICount(userId);
     const maxAIsPerUser = parseInt(process.env.MAX_AIS_PER_USER) || 10;
@@ -157,7 +106,11 @@ router.post('/create_ai', validateSession, async (req, res) => {
     });
 
     // Start container creation process asynchronously
-    containerManager.createContainer(sessionId, aiInstance.containerId, name, description)
+    containerManager.createContainer(sessionId, aiInstance.containerId, name, description, {
+      llm,
+      spec,
+      authorId: userId
+    })
       .then(async (result) => {
         if (result.success) {
           // Check if we're in demo mode (Docker not available)
@@ -174,6 +127,11 @@ router.post('/create_ai', validateSession, async (req, res) => {
         console.error(`Error creating AI container ${aiInstance.containerId}:`, error);
       });
 
+    // The builder's preview bot is no longer needed once the real one is on its way
+    if (typeof draftId === 'string') {
+      previewService.discardDraft(draftId, userId).catch(() => {});
+    }
+
     res.json({
       success: true,
       containerId: aiInstance.containerId,
@@ -227,7 +185,7 @@ router.get('/get_ai_list', validateSession, async (req, res) => {
  */
 router.post('/interact_ai', validateSession, async (req, res) => {
   try {
-    const { containerId, message } = req.body;
+    const { containerId, message, threadId } = req.body;
     const { sessionId, userId } = req;
 
     // Validate input
@@ -247,34 +205,45 @@ router.post('/interact_ai', validateSession, async (req, res) => {
       });
     }
 
-    // Check if AI is running (including demo mode)
-    if (!aiInstance.status.includes('Running')) {
+    // Check if AI is running (including demo mode); hibernated AIs wake on this message
+    if (!containerManager.acceptsMessages(aiInstance.status)) {
       return res.status(400).json({
         success: false,
         message: `AI is currently ${aiInstance.status.toLowerCase()}. Please wait or try again later.`
       });
     }
 
+    // Optional thread: must belong to this user and AI
+    if (threadId) {
+      const thread = await aiService.getThread(threadId);
+      if (!thread || thread.user_id !== userId || thread.container_id !== containerId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Thread not found'
+        });
+      }
+    }
+
     console.log(`Sending message to AI ${containerId}: ${message.substring(0, 50)}...`);
 
     // Send message to container
     const response = await containerManager.sendMessageToContainer(
       containerId, 
       message, 
-      sessionId
+      sessionId,
+      { threadId }
     );
 
     if (response.success) {
-      // Update last activity
-      await aiService.updateLastActivity(containerId);
-      
       res.json({
         success: true,
         response: response.message,
+        citations: response.citations || [],
+        threadId: threadId || null,
         timestamp: new Date().toISOString()
       });
     } else {
-      res.status(500).json({
+      res.status(response.status || 500).json({
         success: false,
         message: response.error || 'Failed to get response from AI'
       });
@@ -289,6 +258,82 @@ router.post('/interact_ai', validateSession, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/interact_ai/stream
+ * Same as /interact_ai but streams the reply as Server-Sent Events:
+ * `token` frames with { token }, then one `done` frame with the final { response, threadId, timestamp },
+ * or an `error` frame with { message }
+ */
+router.post('/interact_ai/stream', validateSession, async (req, res) => {
+  try {
+    const { containerId, message, threadId } = req.body;
+    const { sessionId, userId } = req;
+
+    if (!containerId || !message) {
+      return res.status(400).json({
+        success: false,
+        message: 'Container ID and message are required'
+      });
+    }
+
+    const aiInstance = await aiService.getAIInstance(containerId);
+    if (!aiInstance || aiInstance.user_id !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'AI instance not found or access denied'
+      });
+    }
+
+    if (!containerManager.acceptsMessages(aiInstance.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `AI is currently ${aiInstance.status.toLowerCase()}. Please wait or try again later.`
+      });
+    }
+
+    if (threadId) {
+      const thread = await aiService.getThread(threadId);
+      if (!thread || thread.user_id !== userId || thread.container_id !== containerId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Thread not found'
+        });
+      }
+    }
+
+    const stream = openSSE(res);
+    const response = await containerManager.sendMessageToContainer(
+      containerId,
+      message,
+      sessionId,
+      { threadId, onToken: (token) => stream.send('token', { token }) }
+    );
+
+    if (response.success) {
+      stream.send('done', {
+        response: response.message,
+        citations: response.citations || [],
+        threadId: threadId || null,
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      stream.send('error', { message: response.error || 'Failed to get response from AI' });
+    }
+    stream.close();
+
+  } catch (error) {
+    console.error('Interact AI stream error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error during AI interaction'
+      });
+    }
+    res.write(`event: error\ndata: ${JSON.stringify({ message: 'Internal server error during AI interaction' })}\n\n`);
+    res.end();
+  }
+});
+
 /**
  * POST /api/ingest_text
  * Ingest user-provided text into an AI container (doc store + RAG)
@@ -305,7 +350,7 @@ router.post('/ingest_text', validateSession, async (req, res) => {
       return res.status(403).json({ success: false, message: 'AI instance not found or access denied' });
     }
     const result = await containerManager.ingestTextIntoContainer(containerId, title, text, tags || [], sessionId);
-    return res.json(result);
+    return res.status(result.success ? 200 : (result.status || 500)).json(result);
   } catch (error) {
     console.error('Ingest text error:', error);
     return res.status(500).json({ success: false, message: 'Failed to ingest text' });
@@ -314,9 +359,11 @@ router.post('/ingest_text', validateSession, async (req, res) => {
 
 /**
  * POST /api/ingest_file
- * Multipart file upload to ingest into container (PDF/Image/Text)
+ * Multipart file upload to ingest into container (PDF, images, Office, HTML, Markdown, EPUB, JSON, CSV, text);
+ * other types get 415. The file is queued: 202 { job } at once, then progress through
+ * GET /api/ai/:containerId/ingest-jobs/:jobId and `ingest_job` WebSocket frames.
  */
-router.post('/ingest_file', validateSession, upload.single('file'), async (req, res) => {
+router.post('/ingest_file', validateSession, uploadDocument, async (req, res) => {
   try {
     const { containerId } = req.body;
     const file = req.file;
@@ -344,23 +391,17 @@ router.post('/ingest_file', validateSession, upload.single('file'), async (req,
       return res.status(403).json({ success: false, message: 'AI instance not found or access denied' });
     }
     
-    console.log('🔄 Processing file:', file.originalname);
-    const result = await containerManager.ingestFileIntoContainer(containerId, file.originalname, file.mimetype, file.buffer, sessionId);
-    console.log('✅ File processed successfully:', result);
-    
-    return res.json(result);
+    console.log('🔄 Queueing file:', file.originalname);
+    const result = await containerManager.createIngestJob(containerId, file.originalname, file.mimetype, file.buffer, sessionId);
+    if (!result.success) {
+      return res.status(result.status || 500).json(result);
+    }
+    ingestJobService.watch(containerId, sessionId, [result.job.id]);
+    console.log(`✅ File queued as job ${result.job.id}`);
+
+    return res.status(202).json(result);
   } catch (error) {
     console.error('❌ Ingest file error:', error);
-    
-    // Handle specific error types
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(413).json({ success: false, message: 'File too large. Maximum size is 50MB.' });
-    } else if (error.code === 'LIMIT_UNEXPECTED_FILE') {
-      return res.status(400).json({ success: false, message: 'Unexpected file field.' });
-    } else if (error.message === 'File type not supported') {
-      return res.status(415).json({ success: false, message: 'File type not supported. Please upload PDF, image, or text files.' });
-    }
-    
     return res.status(500).json({ success: false, message: 'Failed to ingest file: ' + error.message });
   }
 });
@@ -399,6 +440,45 @@ router.get('/get_ai_status/:containerId', validateSession, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/list_documents/:containerId
+ * List the documents ingested into an AI instance
+ */
+router.get('/list_documents/:containerId', validateSession, async (req, res) => {
+  try {
+    const { containerId } = req.params;
+    const { sessionId, userId } = req;
+
+    const aiInstance = await aiService.getAIInstance(containerId);
+    if (!aiInstance || aiInstance.user_id !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'AI instance not found or access denied'
+      });
+    }
+
+    const result = await containerManager.listDocuments(containerId, sessionId);
+    if (!result.success) {
+      return res.status(result.status || 500).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      documents: result.documents
+    });
+
+  } catch (error) {
+    console.error('List documents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing documents'
+    });
+  }
+});
+
 /**
  * DELETE /api/delete_document
  * Delete a specific document from an AI instance
@@ -427,51 +507,20 @@ router.delete('/delete_document', validateSession, async (req, res) => {
 
     console.log(`Deleting document ${documentId} from AI instance ${containerId}`);
 
-    // Get the AI container path
-    const containerPath = path.join(__dirname, '../containers', containerId);
-    
-    if (!fs.existsSync(containerPath)) {
-      return res.status(404).json({
-        success: false,
-        message: 'AI container not found'
-      });
-    }
-
-    // Load the AI instance
-    const { DocStore } = require(path.join(containerPath, 'docStore.js'));
-    const { RAGManager } = require(path.join(containerPath, 'rag.js'));
-    
-    const docStore = new DocStore(containerPath);
-    const rag = new RAGManager(containerPath);
-
-    // Get document info before deletion
-    const document = docStore.getDocumentById(documentId);
-    if (!document) {
-      return res.status(404).json({
+    const result = await containerManager.deleteDocument(containerId, documentId, req.sessionId);
+    if (!result.success) {
+      return res.status(result.status || 500).json({
         success: false,
-        message: 'Document not found'
+        message: result.message
       });
     }
 
-    // Delete document from docStore
-    const deleteResult = docStore.deleteDocument(documentId);
-    
-    if (deleteResult.success) {
-      // Clean up RAG data for this specific document
-      const ragCleanupResult = rag.cleanupDocumentRAGData(document.title);
-      
-      res.json({
-        success: true,
-        message: 'Document deleted successfully',
-        document: deleteResult.doc,
-        ragCleanup: ragCleanupResult
-      });
-    } else {
-      res.status(404).json({
-        success: false,
-        message: deleteResult.message
-      });
-    }
+    res.json({
+      success: true,
+      message: 'Document deleted successfully',
+      document: result.document,
+      ragCleanup: result.ragCleanup
+    });
 
   } catch (error) {
     console.error('Delete document error:', error);
@@ -510,33 +559,18 @@ router.delete('/clear_all_documents', validateSession, async (req, res) => {
 
     console.log(`Clearing all documents from AI instance ${containerId}`);
 
-    // Get the AI container path
-    const containerPath = path.join(__dirname, '../containers', containerId);
-    
-    if (!fs.existsSync(containerPath)) {
-      return res.status(404).json({
+    const result = await containerManager.clearDocuments(containerId, req.sessionId);
+    if (!result.success) {
+      return res.status(result.status || 500).json({
         success: false,
-        message: 'AI container not found'
+        message: result.message
       });
     }
 
-    // Load the AI instance
-    const { DocStore } = require(path.join(containerPath, 'docStore.js'));
-    const { RAGManager } = require(path.join(containerPath, 'rag.js'));
-    
-    const docStore = new DocStore(containerPath);
-    const rag = new RAGManager(containerPath);
-
-    // Clear all documents
-    const clearResult = docStore.clearAllDocuments();
-    
-    // Clean up all RAG data
-    rag.cleanupRAGData();
-    
     res.json({
       success: true,
       message: 'All documents cleared successfully',
-      deletedCount: clearResult.deletedCount
+      deletedCount: result.deletedCount
     });
 
   } catch (error) {
@@ -609,14 +643,29 @@ router.post('/generate_api_key', validateSession, async (req, res) => {
     if (!containerId) {
       return res.status(400).json({ success: false, message: 'Container ID is required' });
     }
+    if (label !== undefined && label !== null && (typeof label !== 'string' || label.length > 50)) {
+      return res.status(400).json({ success: false, message: 'label must be a string of at most 50 characters' });
+    }
+    const kind = req.body.kind === undefined ? 'secret' : req.body.kind;
+    if (!API_KEY_KINDS.includes(kind)) {
+      return res.status(400).json({ success: false, message: `kind must be one of: ${API_KEY_KINDS.join(', ')}` });
+    }
+    const { settings, error } = parseKeySettings(req.body);
+    const kindError = error || checkKindSettings(kind, { allowed_origins: null, ...settings });
+    if (kindError) {
+      return res.status(400).json({ success: false, message: kindError });
+    }
+    settings.kind = kind;
+    if (kind === 'publishable') settings.scopes = 'invoke';
 
     const aiInstance = await aiService.getAIInstance(containerId);
     if (!aiInstance || aiInstance.user_id !== userId) {
       return res.status(403).json({ success: false, message: 'AI instance not found or access denied' });
     }
 
-    const { apiKey, id } = await aiService.createAIAPIKey(userId, containerId, label);
-    res.json({ success: true, keyId: id, apiKey });
+    // The key is only stored hashed: this response is the only time it is shown
+    const { apiKey, id, prefix } = await aiService.createAIAPIKey(userId, containerId, label || null, settings);
+    res.json({ success: true, keyId: id, apiKey, prefix });
   } catch (error) {
     console.error('Generate API key error:', error);
     res.status(500).json({ success: false, message: 'Failed to generate API key' });
@@ -633,7 +682,27 @@ router.get('/list_api_keys/:containerId', validateSession, async (req, res) => {
       return res.status(403).json({ success: false, message: 'AI instance not found or access denied' });
     }
 
-    const keys = await aiService.listAIAPIKeys(userId, containerId);
+    const rows = await aiService.listAIAPIKeys(userId, containerId);
+    const keys = rows.map(row => {
+      const settings = describeKeySettings(row);
+      return {
+        id: row.id,
+        prefix: row.key_prefix,
+        // Publishable keys are public (they go in web pages), so they can be shown again
+        ...(row.publishable_key ? { apiKey: row.publishable_key } : {}),
+        label: row.label,
+        created_at: row.created_at,
+        last_used_at: row.last_used_at,
+        is_active: row.is_active,
+        config_version: row.config_version,
+        ...settings,
+        expired: Boolean(settings.expiresAt && Date.parse(settings.expiresAt) <= Date.now()),
+        usage: {
+          today: { requests: row.requests_today, tokens: row.tokens_today },
+          total: { requests: row.requests_total, tokens: row.tokens_total }
+        }
+      };
+    });
     res.json({ success: true, keys });
   } catch (error) {
     console.error('List API keys error:', error);
@@ -641,6 +710,41 @@ router.get('/list_api_keys/:containerId', validateSession, async (req, res) => {
   }
 });
 
+// Body: { containerId, keyId, scopes?, expiresAt?, expiresInDays?, allowedOrigins?, allowedIps?, rpmLimit?, dailyTokenQuota? }
+router.post('/update_api_key', validateSession, async (req, res) => {
+  try {
+    const { containerId, keyId } = req.body;
+    const { userId } = req;
+    if (!containerId || !keyId) {
+      return res.status(400).json({ success: false, message: 'containerId and keyId are required' });
+    }
+    const { settings, error } = parseKeySettings(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const aiInstance = await aiService.getAIInstance(containerId);
+    if (!aiInstance || aiInstance.user_id !== userId) {
+      return res.status(403).json({ success: false, message: 'AI instance not found or access denied' });
+    }
+
+    const key = await aiService.getAIAPIKey(userId, containerId, keyId);
+    if (!key) {
+      return res.status(404).json({ success: false, message: 'API key not found' });
+    }
+    const kindError = checkKindSettings(key.kind, settings);
+    if (kindError) {
+      return res.status(400).json({ success: false, message: kindError });
+    }
+
+    await aiService.updateAIAPIKey(userId, containerId, keyId, settings);
+    res.json({ success: true, keyId });
+  } catch (error) {
+    console.error('Update API key error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update API key' });
+  }
+});
+
 router.post('/revoke_api_key', validateSession, async (req, res) => {
   try {
     const { keyId } = req.body;
@@ -656,4 +760,32 @@ router.post('/revoke_api_key', validateSession, async (req, res) => {
   }
 });
 
+router.post('/pin_api_key', validateSession, async (req, res) => {
+  try {
+    const { containerId, keyId, version = null } = req.body;
+    const { userId } = req;
+    if (!containerId || !keyId) {
+      return res.status(400).json({ success: false, message: 'containerId and keyId are required' });
+    }
+    if (version !== null && !(Number.isInteger(version) && version > 0)) {
+      return res.status(400).json({ success: false, message: 'version must be a positive integer or null' });
+    }
 
+    const aiInstance = await aiService.getAIInstance(containerId);
+    if (!aiInstance || aiInstance.user_id !== userId) {
+      return res.status(403).json({ success: false, message: 'AI instance not found or access denied' });
+    }
+    if (version !== null && !(await aiService.getConfigVersion(containerId, version))) {
+      return res.status(404).json({ success: false, message: `Configuration version ${version} not found` });
+    }
+
+    const pinned = await aiService.pinAPIKeyVersion(userId, containerId, keyId, version);
+    if (!pinned) {
+      return res.status(404).json({ success: false, message: 'API key not found' });
+    }
+    res.json({ success: true, keyId, configVersion: version });
+  } catch (error) {
+    console.error('Pin API key error:', error);
+    res.status(500).json({ success: false, message: 'Failed to pin API key' });
+  }
+});
@@ -0,0 +1,116 @@
+const express = require('express');
+const { botBuilder } = require('../services/botBuilder');
+const { previewService } = require('../services/previewService');
+const { validateSession } = require('../middleware/sessionAuth');
+const { parseLLM } = require('../utils/configValidation');
+
+const router = express.Router();
+
+/**
+ * Validate builder settings plus optional model selection
+ * @param {Object} body - Request body
+ * @returns {{ spec: Object, llm: Object|null, error: string|null }}
+ */
+function parseDraftBody(body) {
+  const { spec, error } = botBuilder.normalizeSpec(body || {});
+  if (error) return { error };
+  const { llm, error: llmError } = parseLLM(body.llm);
+  if (llmError) return { error: llmError };
+  return { spec, llm, error: null };
+}
+
+/**
+ * GET /api/bot_templates
+ * Starter templates for the bot builder, with the settings each one pre-fills
+ */
+router.get('/bot_templates', validateSession, (req, res) => {
+  res.json({
+    success: true,
+    templates: botBuilder.listTemplates()
+  });
+});
+
+/**
+ * POST /api/drafts
+ * Start an unsaved draft bot for the builder's live preview
+ * Body: builder settings as for POST /api/create_ai
+ */
+router.post('/drafts', validateSession, async (req, res) => {
+  const { spec, llm, error } = parseDraftBody(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  try {
+    const draft = await previewService.createDraft(req.userId, spec, llm);
+    res.json({ success: true, ...draft });
+  } catch (error) {
+    console.error('Create draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start preview bot'
+    });
+  }
+});
+
+/**
+ * PUT /api/drafts/:draftId
+ * Replace a draft's settings (the preview conversation is kept)
+ */
+router.put('/drafts/:draftId', validateSession, async (req, res) => {
+  const { spec, llm, error } = parseDraftBody(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  try {
+    const draft = await previewService.updateDraft(req.userId, req.params.draftId, spec, llm);
+    res.json({ success: true, ...draft });
+  } catch (error) {
+    if (!error.status) console.error('Update draft error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to update preview bot'
+    });
+  }
+});
+
+/**
+ * POST /api/drafts/:draftId/chat
+ * Chat with a draft bot
+ * Body: { message }
+ */
+router.post('/drafts/:draftId/chat', validateSession, async (req, res) => {
+  const { message } = req.body || {};
+  if (!message || typeof message !== 'string' || message.length > 4000) {
+    return res.status(400).json({
+      success: false,
+      message: 'message must be 1-4000 characters'
+    });
+  }
+
+  try {
+    const result = await previewService.chat(req.userId, req.params.draftId, message);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (!error.status) console.error('Draft chat error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Preview bot failed to respond'
+    });
+  }
+});
+
+/**
+ * DELETE /api/drafts/:draftId
+ * Discard a draft bot
+ */
+router.delete('/drafts/:draftId', validateSession, async (req, res) => {
+  const discarded = await previewService.discardDraft(req.params.draftId, req.userId);
+  res.json({
+    success: true,
+    message: discarded ? 'Preview discarded' : 'Preview already expired'
+  });
+});
+
+module.exports = router;
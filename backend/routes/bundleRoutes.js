@@ -0,0 +1,89 @@
+const express = require('express');
+const multer = require('multer');
+const { botBundle } = require('../services/botBundle');
+const { aiService } = require('../services/aiService');
+const { validateSession, requireOwnedAI } = require('../middleware/sessionAuth');
+
+const router = express.Router();
+const upload = multer({
+  limits: {
+    fileSize: (parseInt(process.env.BUNDLE_MAX_MB) || 200) * 1024 * 1024
+  }
+});
+
+/**
+ * GET /api/ai/:containerId/export?vectors=true&history=true
+ * Download the bot as a single .aibot archive (gzipped JSON): manifest, configuration and documents,
+ * plus the vector index and the owner's chat threads when asked for
+ */
+router.get('/ai/:containerId/export', validateSession, requireOwnedAI, async (req, res) => {
+  try {
+    const { archive, filename } = await botBundle.exportBot(req.aiInstance, req.sessionId, {
+      vectors: req.query.vectors === 'true',
+      history: req.query.history === 'true'
+    });
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': archive.length
+    });
+    res.send(archive);
+  } catch (error) {
+    if (!error.status) console.error('Export AI error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to export AI'
+    });
+  }
+});
+
+/**
+ * POST /api/import_ai
+ * Create a new bot from an exported archive (multipart field `bundle`, optional `name`)
+ * Vectors built with a different embedding model are re-embedded; without vectors the documents are re-indexed.
+ */
+router.post('/import_ai', validateSession, upload.single('bundle'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No bundle uploaded'
+      });
+    }
+
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (name.length > 50) {
+      return res.status(400).json({
+        success: false,
+        message: 'AI name must be 50 characters or less'
+      });
+    }
+
+    const bundle = await botBundle.parseBundle(req.file.buffer);
+
+    const userAICount = await aiService.getUserAICount(req.userId);
+    const maxAIsPerUser = parseInt(process.env.MAX_AIS_PER_USER) || 10;
+    if (userAICount >= maxAIsPerUser) {
+      return res.status(403).json({
+        success: false,
+        message: `Maximum ${maxAIsPerUser} AI instances allowed per user`
+      });
+    }
+
+    const result = await botBundle.importBot(req.userId, req.sessionId, bundle, { name });
+    res.json({
+      success: true,
+      message: `Imported ${result.name}`,
+      ...result
+    });
+  } catch (error) {
+    if (!error.status) console.error('Import AI error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to import AI',
+      ...(error.containerId ? { containerId: error.containerId } : {})
+    });
+  }
+});
+
+module.exports = router;
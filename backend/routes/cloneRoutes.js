@@ -0,0 +1,72 @@
+const express = require('express');
+const { botCloner } = require('../services/botCloner');
+const { aiService } = require('../services/aiService');
+const { validateSession, requireOwnedAI } = require('../middleware/sessionAuth');
+
+const router = express.Router();
+
+const COPY_FLAGS = ['documents', 'history', 'apiKeys'];
+
+/**
+ * POST /api/ai/:containerId/clone
+ * Create a new bot from an existing one: same configuration, new container ID and port
+ * Body: { name?, description?, documents? (default true), history?, apiKeys? }
+ */
+router.post('/ai/:containerId/clone', validateSession, requireOwnedAI, async (req, res) => {
+  try {
+    const body = req.body || {};
+    for (const flag of COPY_FLAGS) {
+      if (body[flag] !== undefined && typeof body[flag] !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: `${flag} must be true or false`
+        });
+      }
+    }
+
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const description = typeof body.description === 'string' ? body.description.trim() : '';
+    if (name.length > 50) {
+      return res.status(400).json({
+        success: false,
+        message: 'AI name must be 50 characters or less'
+      });
+    }
+    if (description.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'AI description must be 500 characters or less'
+      });
+    }
+
+    const userAICount = await aiService.getUserAICount(req.userId);
+    const maxAIsPerUser = parseInt(process.env.MAX_AIS_PER_USER) || 10;
+    if (userAICount >= maxAIsPerUser) {
+      return res.status(403).json({
+        success: false,
+        message: `Maximum ${maxAIsPerUser} AI instances allowed per user`
+      });
+    }
+
+    const result = await botCloner.cloneBot(req.aiInstance, req.sessionId, {
+      name,
+      description,
+      documents: body.documents,
+      history: body.history,
+      apiKeys: body.apiKeys
+    });
+    res.json({
+      success: true,
+      message: `Created ${result.name}`,
+      ...result
+    });
+  } catch (error) {
+    if (!error.status) console.error('Clone AI error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to clone AI'
+    });
+  }
+});
+
+module.exports = router;
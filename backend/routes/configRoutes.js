@@ -0,0 +1,236 @@
+const express = require('express');
+const { containerManager } = require('../services/containerManager');
+const { validateSession, requireOwnedAI } = require('../middleware/sessionAuth');
+const { parseConfigUpdates } = require('../utils/configValidation');
+
+const router = express.Router();
+
+/**
+ * GET /api/ai/:containerId/config
+ * Get the bot's editable configuration (persona, instructions, domain)
+ */
+router.get('/ai/:containerId/config', validateSession, requireOwnedAI, async (req, res) => {
+  try {
+    const config = await containerManager.getBotConfig(req.params.containerId);
+    res.json({
+      success: true,
+      config
+    });
+  } catch (error) {
+    console.error('Get AI config error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to get AI configuration'
+    });
+  }
+});
+
+/**
+ * PUT /api/ai/:containerId/config
+ * Update any of { name, description, tone, responseLength, capabilities, citationPolicy, detailedInstructions,
+ * systemPrompt, topicGuard, widget };
+ * `regenerateInstructions: true` rewrites the instructions from name, description and tone.
+ * `note` is recorded on the new configuration version. Running bots reload the new configuration in place.
+ */
+router.put('/ai/:containerId/config', validateSession, requireOwnedAI, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { updates, error } = parseConfigUpdates(body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (body.note !== undefined && (typeof body.note !== 'string' || body.note.length > 200)) {
+      return res.status(400).json({
+        success: false,
+        message: 'note must be a string of at most 200 characters'
+      });
+    }
+
+    const result = await containerManager.updateBotConfig(req.params.containerId, updates, {
+      regenerateInstructions: body.regenerateInstructions === true,
+      authorId: req.userId,
+      note: body.note && body.note.trim()
+    });
+
+    res.json({
+      success: true,
+      message: result.reloaded || !result.reloadError
+        ? 'AI configuration updated'
+        : 'AI configuration saved; it will apply when the AI restarts',
+      ...result
+    });
+  } catch (error) {
+    console.error('Update AI config error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to update AI configuration'
+    });
+  }
+});
+
+/**
+ * GET /api/ai/:containerId/topic-guard/decisions?outcome=allowed|refused&limit=&offset=
+ * The bot's topic guard decisions, newest first, with the total and refused counts
+ */
+router.get('/ai/:containerId/topic-guard/decisions', validateSession, requireOwnedAI, async (req, res) => {
+  const { outcome, limit, offset } = req.query;
+  const result = await containerManager.listTopicDecisions(req.params.containerId, { outcome, limit, offset }, req.sessionId);
+  if (!result.success) {
+    return res.status(result.status || 500).json({
+      success: false,
+      message: result.message || 'Failed to read topic guard decisions'
+    });
+  }
+  res.json(result);
+});
+
+/**
+ * DELETE /api/ai/:containerId/topic-guard/decisions
+ * Clear the decision log (e.g. after retuning the guard)
+ */
+router.delete('/ai/:containerId/topic-guard/decisions', validateSession, requireOwnedAI, async (req, res) => {
+  const result = await containerManager.clearTopicDecisions(req.params.containerId, req.sessionId);
+  res.status(result.success ? 200 : result.status || 500).json(result);
+});
+
+/**
+ * POST /api/ai/:containerId/topic-guard/test
+ * Classify { message } with the active guard without answering or logging it
+ */
+router.post('/ai/:containerId/topic-guard/test', validateSession, requireOwnedAI, async (req, res) => {
+  const { message } = req.body || {};
+  if (!message || typeof message !== 'string' || message.length > 1000) {
+    return res.status(400).json({
+      success: false,
+      message: 'message must be 1-1000 characters'
+    });
+  }
+
+  const result = await containerManager.testTopicGuard(req.params.containerId, message, req.sessionId);
+  res.status(result.success ? 200 : result.status || 500).json(result);
+});
+
+/**
+ * Parse a version number route/query parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} - Positive integer, or null if invalid
+ */
+function parseVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * GET /api/ai/:containerId/config/versions
+ * List configuration versions (newest first) with author and timestamp, plus the active version
+ */
+router.get('/ai/:containerId/config/versions', validateSession, requireOwnedAI, async (req, res) => {
+  try {
+    const { activeVersion, versions } = await containerManager.listConfigVersions(req.params.containerId);
+    res.json({
+      success: true,
+      activeVersion,
+      versions: versions.map(({ config, ...version }) => version)
+    });
+  } catch (error) {
+    console.error('List config versions error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to list configuration versions'
+    });
+  }
+});
+
+/**
+ * GET /api/ai/:containerId/config/versions/:version
+ * Get one configuration version with its full snapshot
+ */
+router.get('/ai/:containerId/config/versions/:version', validateSession, requireOwnedAI, async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!version) {
+      return res.status(400).json({
+        success: false,
+        message: 'version must be a positive integer'
+      });
+    }
+
+    res.json({
+      success: true,
+      version: await containerManager.getConfigVersion(req.params.containerId, version)
+    });
+  } catch (error) {
+    console.error('Get config version error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to get configuration version'
+    });
+  }
+});
+
+/**
+ * GET /api/ai/:containerId/config/diff?from=<version>&to=<version>
+ * Field-by-field line diff between two versions (`to` defaults to the active version)
+ */
+router.get('/ai/:containerId/config/diff', validateSession, requireOwnedAI, async (req, res) => {
+  try {
+    const { containerId } = req.params;
+    const from = parseVersion(req.query.from);
+    let to = req.query.to === undefined ? null : parseVersion(req.query.to);
+    if (!from || (req.query.to !== undefined && !to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from (and optional to) must be positive integers'
+      });
+    }
+    if (!to) {
+      to = (await containerManager.listConfigVersions(containerId)).activeVersion;
+    }
+
+    res.json({
+      success: true,
+      ...(await containerManager.diffConfigVersions(containerId, from, to))
+    });
+  } catch (error) {
+    console.error('Diff config versions error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to diff configuration versions'
+    });
+  }
+});
+
+/**
+ * POST /api/ai/:containerId/config/versions/:version/rollback
+ * Make an earlier version active again (recorded as a new version)
+ */
+router.post('/ai/:containerId/config/versions/:version/rollback', validateSession, requireOwnedAI, async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!version) {
+      return res.status(400).json({
+        success: false,
+        message: 'version must be a positive integer'
+      });
+    }
+
+    const result = await containerManager.rollbackConfig(req.params.containerId, version, { authorId: req.userId });
+    res.json({
+      success: true,
+      message: `Rolled back to v${version}`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Rollback config error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to roll back configuration'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const { containerManager } = require('../services/containerManager');
+const { ingestJobService } = require('../services/ingestJobService');
+const { validateSession, requireOwnedAI } = require('../middleware/sessionAuth');
+const { documentUpload, MAX_DOCUMENT_BYTES } = require('../utils/documentUpload');
+
+const router = express.Router();
+
+/**
+ * Optional multipart `file`; JSON bodies pass through untouched
+ */
+const optionalUpload = (req, res, next) => {
+  if (!req.is('multipart/form-data')) return next();
+  documentUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ success: false, message: `File too large. Maximum size is ${MAX_DOCUMENT_BYTES / (1024 * 1024)}MB.` });
+    }
+    res.status(error.status || 400).json({ success: false, message: error.message });
+  });
+};
+
+const sendFailure = (res, result, fallback) => res.status(result.status || 500).json({
+  success: false,
+  message: result.message || fallback
+});
+
+/**
+ * GET /api/ai/:containerId/documents
+ * A bot's documents with their size, chunk count, tags, version and upload time (no text)
+ */
+router.get('/ai/:containerId/documents', validateSession, requireOwnedAI, async (req, res) => {
+  const result = await containerManager.listDocuments(req.params.containerId, req.sessionId);
+  if (!result.success) return sendFailure(res, result, 'Failed to list documents');
+  res.json({ success: true, documents: result.documents });
+});
+
+/**
+ * GET /api/ai/:containerId/documents/:docId?maxChars=
+ * One document with the start of its extracted text (`truncated` when there is more)
+ */
+router.get('/ai/:containerId/documents/:docId', validateSession, requireOwnedAI, async (req, res) => {
+  const { containerId, docId } = req.params;
+  const result = await containerManager.getDocument(containerId, docId, { maxChars: req.query.maxChars }, req.sessionId);
+  if (!result.success) return sendFailure(res, result, 'Failed to read the document');
+  res.json({ success: true, document: result.document, text: result.text, truncated: result.truncated });
+});
+
+/**
+ * PATCH /api/ai/:containerId/documents/:docId
+ * Rename (`title`) or retag (`tags`) a document
+ */
+router.patch('/ai/:containerId/documents/:docId', validateSession, requireOwnedAI, async (req, res) => {
+  const { containerId, docId } = req.params;
+  const { title, tags } = req.body || {};
+  const result = await containerManager.updateDocument(containerId, docId, { title, tags }, req.sessionId);
+  if (!result.success) return sendFailure(res, result, 'Failed to update the document');
+  res.json({ success: true, document: result.document });
+});
+
+/**
+ * PUT /api/ai/:containerId/documents/:docId/content
+ * Replace a document with a new version: multipart `file`, or JSON `text`. Answers 202 with the ingestion
+ * job, which re-embeds only the chunks that changed; the current version is served until it is done.
+ */
+router.put('/ai/:containerId/documents/:docId/content', validateSession, requireOwnedAI, optionalUpload, async (req, res) => {
+  const { containerId, docId } = req.params;
+  let version;
+  if (req.file) {
+    version = { filename: req.file.originalname, mimetype: req.file.mimetype, buffer: req.file.buffer };
+  } else if (typeof req.body?.text === 'string' && req.body.text.trim()) {
+    version = { text: req.body.text };
+  } else {
+    return res.status(400).json({ success: false, message: 'Send the new version as a multipart file, or JSON with text' });
+  }
+
+  const result = await containerManager.replaceDocument(containerId, docId, version, req.sessionId);
+  if (!result.success) return sendFailure(res, result, 'Failed to replace the document');
+  ingestJobService.watch(containerId, req.sessionId, [result.job.id]);
+  console.log(`🔁 New version of document ${docId} queued as job ${result.job.id}`);
+  res.status(202).json({ success: true, job: result.job });
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const { containerManager } = require('../services/containerManager');
+const { ingestJobService } = require('../services/ingestJobService');
+const { validateSession, requireOwnedAI } = require('../middleware/sessionAuth');
+
+const router = express.Router();
+
+// Upload jobs are created by POST /api/ingest_file; progress is also pushed as `ingest_job` WebSocket frames
+
+/**
+ * GET /api/ai/:containerId/ingest-jobs?limit=
+ * A bot's ingestion jobs, newest first
+ */
+router.get('/ai/:containerId/ingest-jobs', validateSession, requireOwnedAI, async (req, res) => {
+  const { containerId } = req.params;
+  const result = await containerManager.listIngestJobs(containerId, { limit: req.query.limit }, req.sessionId);
+  if (!result.success) {
+    return res.status(result.status || 500).json({ success: false, message: result.message || 'Failed to list ingestion jobs' });
+  }
+  // Jobs still running after a backend restart get their WebSocket pushes back
+  if (result.active) ingestJobService.watch(containerId, req.sessionId);
+  res.json({ success: true, jobs: result.jobs, active: result.active });
+});
+
+/**
+ * GET /api/ai/:containerId/ingest-jobs/:jobId
+ * One job: state (queued, extracting, chunking, embedding, done, failed, cancelled), progress and failed chunks
+ */
+router.get('/ai/:containerId/ingest-jobs/:jobId', validateSession, requireOwnedAI, async (req, res) => {
+  const { containerId, jobId } = req.params;
+  const result = await containerManager.getIngestJob(containerId, jobId, req.sessionId);
+  if (!result.success) {
+    return res.status(result.status || 500).json({ success: false, message: result.message || 'Failed to read the ingestion job' });
+  }
+  res.json({ success: true, job: result.job });
+});
+
+/**
+ * POST /api/ai/:containerId/ingest-jobs/:jobId/retry | cancel
+ * Retry a failed job (only the chunks that failed, when its document was created) or cancel a queued/running one
+ * (whatever it had indexed is removed)
+ */
+router.post('/ai/:containerId/ingest-jobs/:jobId/:action(retry|cancel)', validateSession, requireOwnedAI, async (req, res) => {
+  const { containerId, jobId, action } = req.params;
+  const result = action === 'retry'
+    ? await containerManager.retryIngestJob(containerId, jobId, req.sessionId)
+    : await containerManager.cancelIngestJob(containerId, jobId, req.sessionId);
+  if (!result.success) {
+    return res.status(result.status || 500).json({ success: false, message: result.message || `Failed to ${action} the ingestion job` });
+  }
+  if (action === 'retry') ingestJobService.watch(containerId, req.sessionId, [jobId]);
+  res.json({ success: true, job: result.job });
+});
+
+module.exports = router;
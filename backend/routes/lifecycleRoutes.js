@@ -0,0 +1,41 @@
+const express = require('express');
+const { containerManager } = require('../services/containerManager');
+const { validateSession, requireOwnedAI } = require('../middleware/sessionAuth');
+
+const router = express.Router();
+
+// Lifecycle actions exposed as POST /api/ai/:containerId/<action>
+const ACTIONS = {
+  start: (containerId) => containerManager.startContainer(containerId),
+  stop: (containerId) => containerManager.stopContainer(containerId),
+  restart: (containerId) => containerManager.restartContainer(containerId),
+  hibernate: (containerId) => containerManager.hibernateContainer(containerId),
+  resume: (containerId) => containerManager.resumeContainer(containerId)
+};
+
+/**
+ * POST /api/ai/:containerId/start | stop | restart | hibernate | resume
+ * Change a bot's lifecycle state; responds with its new status once the change is done
+ * (start, restart and resume wait for the bot's /health)
+ */
+router.post('/ai/:containerId/:action(start|stop|restart|hibernate|resume)', validateSession, requireOwnedAI, async (req, res) => {
+  const { containerId, action } = req.params;
+  try {
+    console.log(`🔁 ${action} requested for AI ${containerId}`);
+    const result = await ACTIONS[action](containerId);
+    res.json({
+      success: true,
+      containerId,
+      status: result.status,
+      message: `AI ${action} complete`
+    });
+  } catch (error) {
+    console.error(`AI ${action} error:`, error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : `Failed to ${action} AI`
+    });
+  }
+});
+
+module.exports = router;
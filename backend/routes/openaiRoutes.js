@@ -0,0 +1,225 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { aiService } = require('../services/aiService');
+const { apiKeyGuard } = require('../services/apiKeyGuard');
+const { containerManager } = require('../services/containerManager');
+const { openSSE } = require('../utils/sse');
+const { sendOpenAIError } = require('../utils/apiErrors');
+const { estimateTokens } = require('../utils/tokens');
+
+const router = express.Router();
+
+/**
+ * OpenAI-compatible endpoints (/v1), so tools built for the OpenAI API can talk to a bot:
+ * point the client's base URL at <host>/v1, use a bot API key as the OpenAI key and the bot's
+ * containerId as the model. Replies go through the normal bot pipeline (personality, RAG, topic guard).
+ */
+
+const openAIError = (status, message, extra = {}) => Object.assign(new Error(message), { status, ...extra });
+
+/**
+ * Middleware: resolve `Authorization: Bearer <key>` (or X-AI-API-Key) to req.apiKeyRecord and req.aiInstance,
+ * checking the key's expiry, scope (when given), allowed origins/IPs and limits
+ * @param {string} [scope] - Key scope the route requires
+ */
+const authenticate = (scope) => async (req, res, next) => {
+  try {
+    const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    const apiKey = (bearer && bearer[1].trim()) || req.headers['x-ai-api-key'];
+    if (!apiKey) {
+      throw openAIError(401, 'You didn\'t provide an API key. Send it as `Authorization: Bearer <key>`.', { code: 'missing_api_key' });
+    }
+    const { key, aiInstance } = await apiKeyGuard.authorize(apiKey, {
+      scope,
+      origin: req.headers.origin || req.headers.referer,
+      ip: req.ip
+    });
+    req.apiKeyRecord = key;
+    req.aiInstance = aiInstance;
+    req.sessionId = `pub_${key.id}`;
+    next();
+  } catch (error) {
+    sendOpenAIError(res, error);
+  }
+};
+
+/**
+ * Text of an OpenAI message `content` (a string, or an array of parts of which only text is used)
+ */
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part && part.type === 'text' && typeof part.text === 'string')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * Split OpenAI `messages` into the bot's memory seed and the message to answer
+ * System and developer messages are skipped: the bot answers with its own configured instructions.
+ * @returns {Object} - { seed: [{ role: 'user'|'ai', content }], message, promptText }
+ */
+function parseMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw openAIError(400, '`messages` must be a non-empty array', { param: 'messages' });
+  }
+  const turns = [];
+  for (const [index, entry] of messages.entries()) {
+    if (!entry || typeof entry.role !== 'string') {
+      throw openAIError(400, `messages[${index}] must have a role`, { param: `messages[${index}].role` });
+    }
+    if (entry.role !== 'user' && entry.role !== 'assistant') continue;
+    const content = messageText(entry.content);
+    if (content.trim()) turns.push({ role: entry.role === 'user' ? 'user' : 'ai', content });
+  }
+
+  const last = turns[turns.length - 1];
+  if (!last || last.role !== 'user') {
+    throw openAIError(400, 'The last user or assistant message must be a non-empty user message', { param: 'messages' });
+  }
+  return {
+    seed: turns.slice(0, -1),
+    message: last.content,
+    promptText: turns.map(turn => turn.content).join('\n')
+  };
+}
+
+function modelEntry(aiInstance) {
+  const created = Date.parse(aiInstance.created_at);
+  return {
+    id: aiInstance.container_id,
+    object: 'model',
+    created: Number.isNaN(created) ? 0 : Math.floor(created / 1000),
+    owned_by: 'ai-platform',
+    name: aiInstance.name
+  };
+}
+
+/**
+ * GET /v1/models
+ * The one model (bot) this key can use
+ */
+router.get('/models', authenticate(), (req, res) => {
+  res.json({ object: 'list', data: [modelEntry(req.aiInstance)] });
+});
+
+/**
+ * GET /v1/models/:model
+ */
+router.get('/models/:model', authenticate(), (req, res) => {
+  if (req.params.model !== req.aiInstance.container_id) {
+    return sendOpenAIError(res, openAIError(404, `The model \`${req.params.model}\` does not exist or you do not have access to it.`, { code: 'model_not_found' }));
+  }
+  res.json(modelEntry(req.aiInstance));
+});
+
+/**
+ * POST /v1/chat/completions
+ * Body: { model: <containerId>, messages, stream? }
+ * Earlier user/assistant messages seed a one-off conversation in the bot's memory, the last user message
+ * is answered; with stream: true the reply is sent as chat.completion.chunk SSE frames ending in [DONE].
+ * Sampling parameters (temperature, max_tokens, ...) are accepted and ignored; the bot's settings apply.
+ */
+router.post('/chat/completions', authenticate('invoke'), async (req, res) => {
+  const { model, messages, stream, n } = req.body || {};
+  const containerId = req.aiInstance.container_id;
+  let conversationId = null;
+
+  try {
+    if (!model) {
+      throw openAIError(400, 'You must provide a model parameter (the bot\'s containerId)', { param: 'model' });
+    }
+    if (model !== containerId) {
+      throw openAIError(404, `The model \`${model}\` does not exist or you do not have access to it.`, { code: 'model_not_found', param: 'model' });
+    }
+    if (n !== undefined && n !== 1) {
+      throw openAIError(400, 'Only n = 1 is supported', { param: 'n' });
+    }
+    const { seed, message, promptText } = parseMessages(messages);
+    if (!containerManager.acceptsMessages(req.aiInstance.status)) {
+      throw openAIError(503, `The bot is ${String(req.aiInstance.status).toLowerCase()}`, { code: 'bot_unavailable' });
+    }
+
+    // Each request is stateless: its own conversation, seeded with the history it carries
+    conversationId = `oai_${uuidv4()}`;
+    if (seed.length) {
+      const restored = await containerManager.restoreConversation(containerId, conversationId, seed, req.sessionId);
+      if (!restored.success) {
+        throw openAIError(502, restored.message || 'The bot could not load the conversation');
+      }
+    }
+
+    const id = `chatcmpl-${uuidv4().replace(/-/g, '')}`;
+    const created = Math.floor(Date.now() / 1000);
+    const options = { conversationId, configVersion: req.apiKeyRecord.config_version || undefined };
+
+    if (stream) {
+      const sse = openSSE(res);
+      const chunk = (delta, finishReason = null) => ({
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model: containerId,
+        choices: [{ index: 0, delta, finish_reason: finishReason }]
+      });
+      sse.sendData(chunk({ role: 'assistant', content: '' }));
+      const response = await containerManager.sendMessageToContainer(containerId, message, req.sessionId, {
+        ...options,
+        onToken: (token) => sse.sendData(chunk({ content: token }))
+      });
+      if (response.success) {
+        await aiService.touchAPIKeyUsage(req.apiKeyRecord.id, estimateTokens(promptText) + estimateTokens(response.message));
+        sse.sendData(chunk({}, 'stop'));
+      } else {
+        sse.sendData({ error: { message: response.error || 'The bot failed to answer', type: 'server_error', param: null, code: null } });
+      }
+      sse.sendData('[DONE]');
+      return sse.close();
+    }
+
+    const response = await containerManager.sendMessageToContainer(containerId, message, req.sessionId, options);
+    if (!response.success) {
+      throw openAIError(response.status && response.status < 500 ? response.status : 502, response.error || 'The bot failed to answer');
+    }
+    const promptTokens = estimateTokens(promptText);
+    const completionTokens = estimateTokens(response.message);
+    await aiService.touchAPIKeyUsage(req.apiKeyRecord.id, promptTokens + completionTokens);
+    res.json({
+      id,
+      object: 'chat.completion',
+      created,
+      model: containerId,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content: response.message },
+        finish_reason: 'stop'
+      }],
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      },
+      // Not part of the OpenAI format; clients that don't know it ignore it
+      citations: response.citations || []
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Chat completions stream error:', error.message);
+      return res.end();
+    }
+    sendOpenAIError(res, error);
+  } finally {
+    // Best effort, not awaited: the one-off conversation is not needed after the reply
+    if (conversationId) containerManager.clearConversation(containerId, conversationId, req.sessionId);
+  }
+});
+
+// Unknown /v1 paths answer in the OpenAI error format
+router.use((req, res) => {
+  sendOpenAIError(res, openAIError(404, `Unknown request URL: ${req.method} ${req.baseUrl}${req.path}`, { code: 'unknown_url' }));
+});
+
+module.exports = router;
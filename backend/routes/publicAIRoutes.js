@@ -1,25 +1,38 @@
 const express = require('express');
+const { v4: uuidv4 } = require('uuid');
 const { aiService } = require('../services/aiService');
+const { apiKeyGuard } = require('../services/apiKeyGuard');
 const { containerManager } = require('../services/containerManager');
+const { openSSE } = require('../utils/sse');
+const { estimateTokens } = require('../utils/tokens');
 
 const router = express.Router();
 
-// Middleware: validate API key
+// The caller's sessionId names a bot memory conversation of its own key, apart from the owner's threads,
+// widget visitors and other keys; without one every request starts a new conversation
+const conversationFor = (keyId, sessionId) => `pub_${keyId}_${sessionId || uuidv4()}`;
+
+// Middleware: validate API key (both routes chat with the bot, so the key needs the invoke scope)
 router.use(async (req, res, next) => {
   try {
     const apiKey = req.headers['x-ai-api-key'] || req.query.apiKey;
     if (!apiKey) {
       return res.status(401).json({ success: false, message: 'X-AI-API-Key header required' });
     }
-    const key = await aiService.resolveAPIKey(apiKey);
-    if (!key) {
-      return res.status(401).json({ success: false, message: 'Invalid or inactive API key' });
-    }
+    const { key } = await apiKeyGuard.authorize(apiKey, {
+      scope: 'invoke',
+      origin: req.headers.origin || req.headers.referer,
+      ip: req.ip
+    });
     req.apiKeyRecord = key;
     next();
   } catch (err) {
-    console.error('Public API key validation error:', err);
-    res.status(500).json({ success: false, message: 'Internal error' });
+    if (!err.status) {
+      console.error('Public API key validation error:', err);
+      return res.status(500).json({ success: false, message: 'Internal error' });
+    }
+    if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+    res.status(err.status).json({ success: false, code: err.code, message: err.message });
   }
 });
 
@@ -31,29 +44,78 @@ router.post('/invoke', async (req, res) => {
     if (!message) {
       return res.status(400).json({ success: false, message: 'message is required' });
     }
+    if (sessionId !== undefined && (typeof sessionId !== 'string' || sessionId.length > 200)) {
+      return res.status(400).json({ success: false, message: 'sessionId must be a string of at most 200 characters' });
+    }
 
-    const { container_id: containerId, id: keyId } = req.apiKeyRecord;
+    // Keys pinned to a configuration version are answered with that version
+    const { container_id: containerId, id: keyId, config_version: configVersion } = req.apiKeyRecord;
 
     // Route to container using demo/direct mode logic
+    const conversationId = conversationFor(keyId, sessionId);
     const response = await containerManager.sendMessageToContainer(
       containerId,
       message,
-      sessionId || `pub_${Date.now()}`
+      conversationId,
+      { conversationId, configVersion: configVersion || undefined }
     );
 
     if (!response.success) {
-      return res.status(500).json({ success: false, message: response.error || 'AI error' });
+      return res.status(response.status || 500).json({ success: false, message: response.error || 'AI error' });
     }
 
-    await aiService.touchAPIKeyUsage(keyId);
+    await aiService.touchAPIKeyUsage(keyId, estimateTokens(message) + estimateTokens(response.message));
 
-    return res.json({ success: true, response: response.message, containerId });
+    return res.json({ success: true, response: response.message, citations: response.citations || [], containerId });
   } catch (err) {
     console.error('Public invoke error:', err);
     res.status(500).json({ success: false, message: 'Internal server error' });
   }
 });
 
+// POST /public/invoke/stream
+// Body: { message: string, sessionId?: string }
+// Streams Server-Sent Events: `token` { token } frames, then `done` { response, containerId } or `error` { message }
+router.post('/invoke/stream', async (req, res) => {
+  try {
+    const { message, sessionId } = req.body || {};
+    if (!message) {
+      return res.status(400).json({ success: false, message: 'message is required' });
+    }
+    if (sessionId !== undefined && (typeof sessionId !== 'string' || sessionId.length > 200)) {
+      return res.status(400).json({ success: false, message: 'sessionId must be a string of at most 200 characters' });
+    }
+
+    const { container_id: containerId, id: keyId, config_version: configVersion } = req.apiKeyRecord;
+
+    const conversationId = conversationFor(keyId, sessionId);
+    const stream = openSSE(res);
+    const response = await containerManager.sendMessageToContainer(
+      containerId,
+      message,
+      conversationId,
+      { conversationId, onToken: (token) => stream.send('token', { token }), configVersion: configVersion || undefined }
+    );
+
+    if (!response.success) {
+      stream.send('error', { message: response.error || 'AI error' });
+      return stream.close();
+    }
+
+    await aiService.touchAPIKeyUsage(keyId, estimateTokens(message) + estimateTokens(response.message));
+
+    stream.send('done', { response: response.message, citations: response.citations || [], containerId });
+    stream.close();
+  } catch (err) {
+    console.error('Public invoke stream error:', err);
+    if (!res.headersSent) {
+      return res.status(500).json({ success: false, message: 'Internal server error' });
+    }
+    res.write(`event: error\ndata: ${JSON.stringify({ message: 'Internal server error' })}\n\n`);
+    res.end();
+  }
+});
+
 module.exports = router;
 
 
@@ -0,0 +1,550 @@
+const express = require('express');
+const { aiService } = require('../services/aiService');
+const { apiKeyGuard } = require('../services/apiKeyGuard');
+const { containerManager } = require('../services/containerManager');
+const { openSSE } = require('../utils/sse');
+const { apiError, codeForStatus, sendError } = require('../utils/apiErrors');
+const { mountRoutes, buildOpenAPI } = require('../utils/openapi');
+const { documentUpload, DOCUMENT_TYPE_LABELS, MAX_DOCUMENT_BYTES } = require('../utils/documentUpload');
+const { estimateTokens } = require('../utils/tokens');
+
+const router = express.Router();
+
+/**
+ * Versioned public API for API-key clients (/public/v1)
+ * Every route is scoped to the bot the X-AI-API-Key belongs to. Routes are declared in one table
+ * (see utils/openapi.js) that is both mounted here and served as GET /public/v1/openapi.json.
+ */
+
+/**
+ * Middleware for a route: resolve the X-AI-API-Key header to its key record (req.apiKeyRecord) and bot
+ * (req.aiInstance), checking the key's expiry, the route's scope, allowed origins/IPs and limits
+ * Keys are not read from the query string, which ends up in access logs and browser history.
+ */
+const authenticate = (route) => async (req, res, next) => {
+  try {
+    const apiKey = req.headers['x-ai-api-key'];
+    if (!apiKey) {
+      throw apiError('missing_api_key', 'X-AI-API-Key header required');
+    }
+    const { key, aiInstance } = await apiKeyGuard.authorize(apiKey, {
+      scope: route.scope,
+      origin: req.headers.origin || req.headers.referer,
+      ip: req.ip
+    });
+    req.apiKeyRecord = key;
+    req.aiInstance = aiInstance;
+    // Container calls and logged interactions are attributed to the key
+    req.sessionId = `pub_${key.id}`;
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * Multipart uploads are optional (JSON text works too); multer errors become public error codes
+ */
+const optionalUpload = (req, res, next) => {
+  if (!req.is('multipart/form-data')) return next();
+  documentUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return sendError(res, apiError('payload_too_large', `File too large. Maximum size is ${MAX_DOCUMENT_BYTES / (1024 * 1024)}MB.`));
+    }
+    if (error.status === 415) {
+      return sendError(res, apiError('unsupported_media_type', error.message));
+    }
+    sendError(res, apiError('invalid_request', error.message));
+  });
+};
+
+/**
+ * Load req.params.conversationId; it must be a public API conversation started with this key (not a widget visitor's)
+ */
+async function loadConversation(req) {
+  const thread = await aiService.getThread(req.params.conversationId);
+  if (!thread || thread.api_key_id !== req.apiKeyRecord.id || thread.visitor_id || thread.container_id !== req.aiInstance.container_id) {
+    throw apiError('not_found', 'Conversation not found');
+  }
+  return thread;
+}
+
+/**
+ * The message to send, after checking that the bot can answer
+ */
+function readMessage(req) {
+  const { message } = req.body || {};
+  if (typeof message !== 'string' || !message.trim()) {
+    throw apiError('invalid_request', 'message is required');
+  }
+  if (!containerManager.acceptsMessages(req.aiInstance.status)) {
+    throw apiError('bot_unavailable', `Bot is ${String(req.aiInstance.status).toLowerCase()}`);
+  }
+  return message;
+}
+
+/**
+ * Turn a failed { success: false, status, message|error } container result into a public error
+ */
+function resultError(result, fallback) {
+  const status = result.status || 502;
+  return Object.assign(new Error(result.message || result.error || fallback), { status, code: codeForStatus(status) });
+}
+
+function parseLimit(value, fallback, max) {
+  return Math.min(Math.max(parseInt(value, 10) || fallback, 1), max);
+}
+
+function toConversation(thread) {
+  return {
+    id: thread.id,
+    title: thread.title,
+    createdAt: thread.created_at,
+    updatedAt: thread.updated_at,
+    messageCount: (thread.interaction_count || 0) * 2
+  };
+}
+
+function toDocument(doc) {
+  return {
+    id: doc.id,
+    title: doc.title,
+    tags: doc.tags || [],
+    createdAt: doc.createdAt,
+    chunkCount: doc.chunkCount || 0,
+    sourceUrl: doc.sourceUrl || null,
+    // Listings carry `characters`; a freshly ingested document still has its text
+    characters: doc.characters ?? (typeof doc.text === 'string' ? doc.text.length : 0)
+  };
+}
+
+const schemas = {
+  Bot: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      description: { type: 'string' },
+      status: { type: 'string' },
+      configVersion: { type: 'integer', nullable: true, description: 'Version answering this key (pinned or active)' },
+      pinned: { type: 'boolean' },
+      tone: { type: 'string' },
+      responseLength: { type: 'string' },
+      citationPolicy: { type: 'string' },
+      capabilities: { type: 'array', items: { type: 'string' } },
+      model: { type: 'object', properties: { provider: { type: 'string' }, model: { type: 'string' } } }
+    }
+  },
+  Conversation: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      messageCount: { type: 'integer' }
+    }
+  },
+  Message: {
+    type: 'object',
+    properties: {
+      interactionId: { type: 'integer', description: 'Exchange the message belongs to (paging cursor)' },
+      role: { type: 'string', enum: ['user', 'assistant'] },
+      content: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Citation: {
+    type: 'object',
+    properties: {
+      ref: { type: 'string' },
+      docId: { type: 'string' },
+      title: { type: 'string' },
+      url: { type: 'string', nullable: true, description: 'Page the document was read from (web sources)' },
+      chunkIndex: { type: 'integer', nullable: true },
+      offset: { type: 'integer' },
+      length: { type: 'integer' },
+      page: { type: 'integer', nullable: true },
+      section: { type: 'string', nullable: true },
+      location: { type: 'string', description: 'Where the passage is, e.g. "page 4, §2.1 Refunds" (empty when unknown)' },
+      whole: { type: 'boolean' }
+    }
+  },
+  Reply: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      conversationId: { type: 'string' },
+      response: { type: 'string' },
+      citations: { type: 'array', items: { $ref: '#/components/schemas/Citation' } },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  Document: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } },
+      createdAt: { type: 'string', format: 'date-time' },
+      chunkCount: { type: 'integer' },
+      characters: { type: 'integer' },
+      sourceUrl: { type: 'string', nullable: true, description: 'Page the document was read from (web sources)' }
+    }
+  }
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const envelope = (properties) => ({ type: 'object', properties: { success: { type: 'boolean' }, ...properties } });
+const messageBody = {
+  type: 'object',
+  required: ['message'],
+  properties: { message: { type: 'string', description: 'User message' } }
+};
+
+const routes = [
+  {
+    method: 'get',
+    path: '/openapi.json',
+    operationId: 'getOpenAPI',
+    summary: 'This document',
+    tag: 'Meta',
+    auth: false,
+    handler: async (req, res) => res.json(openapiDocument())
+  },
+  {
+    method: 'get',
+    path: '/bot',
+    operationId: 'getBot',
+    summary: 'The bot this API key belongs to',
+    tag: 'Bot',
+    response: { status: 200, description: 'Bot info', schema: envelope({ bot: ref('Bot') }) },
+    handler: async (req, res) => {
+      const { container_id: containerId, config_version: pinnedVersion } = req.apiKeyRecord;
+      const aiConfig = pinnedVersion
+        ? (await containerManager.getConfigVersion(containerId, pinnedVersion)).config
+        : await containerManager.readBotConfig(containerId);
+      if (!aiConfig) {
+        throw apiError('not_found', 'Bot configuration not found');
+      }
+      const editable = containerManager.toEditableConfig(aiConfig);
+      const llm = aiConfig.llm || {};
+      res.json({
+        success: true,
+        bot: {
+          id: containerId,
+          name: editable.name,
+          description: editable.description,
+          status: req.aiInstance.status,
+          configVersion: pinnedVersion || aiConfig.configVersion || null,
+          pinned: Boolean(pinnedVersion),
+          tone: editable.tone,
+          responseLength: editable.responseLength,
+          citationPolicy: editable.citationPolicy,
+          capabilities: editable.capabilities,
+          model: { provider: llm.provider || null, model: llm.model || null }
+        }
+      });
+    }
+  },
+  {
+    method: 'get',
+    path: '/conversations',
+    operationId: 'listConversations',
+    scope: 'read-history',
+    summary: 'List conversations started with this key, most recently active first',
+    tag: 'Conversations',
+    query: {
+      limit: { type: 'integer', default: 20, description: 'Page size (max 100)' },
+      offset: { type: 'integer', default: 0 }
+    },
+    response: {
+      status: 200,
+      description: 'A page of conversations',
+      schema: envelope({ conversations: { type: 'array', items: ref('Conversation') }, total: { type: 'integer' } })
+    },
+    handler: async (req, res) => {
+      const { conversations, total } = await aiService.listAPIConversations(req.aiInstance.container_id, req.apiKeyRecord.id, {
+        limit: parseLimit(req.query.limit, 20, 100),
+        offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+      });
+      res.json({ success: true, conversations: conversations.map(toConversation), total });
+    }
+  },
+  {
+    method: 'post',
+    path: '/conversations',
+    operationId: 'createConversation',
+    scope: 'invoke',
+    summary: 'Start a conversation; the bot remembers the messages sent to it',
+    tag: 'Conversations',
+    body: { type: 'object', properties: { title: { type: 'string', maxLength: 120 } } },
+    bodyRequired: false,
+    response: { status: 201, description: 'The new conversation', schema: envelope({ conversation: ref('Conversation') }) },
+    errors: ['invalid_request'],
+    handler: async (req, res) => {
+      const { title } = req.body || {};
+      if (title !== undefined && typeof title !== 'string') {
+        throw apiError('invalid_request', 'title must be a string');
+      }
+      const thread = await aiService.createThread(
+        req.apiKeyRecord.user_id,
+        req.aiInstance.container_id,
+        title || 'API conversation',
+        { apiKeyId: req.apiKeyRecord.id }
+      );
+      res.status(201).json({ success: true, conversation: toConversation(thread) });
+    }
+  },
+  {
+    method: 'get',
+    path: '/conversations/:conversationId',
+    operationId: 'getConversation',
+    scope: 'read-history',
+    summary: 'Get a conversation',
+    tag: 'Conversations',
+    response: { status: 200, description: 'The conversation', schema: envelope({ conversation: ref('Conversation') }) },
+    errors: ['not_found'],
+    handler: async (req, res) => {
+      const thread = await loadConversation(req);
+      const interactionCount = await aiService.countThreadInteractions(thread.id);
+      res.json({ success: true, conversation: toConversation({ ...thread, interaction_count: interactionCount }) });
+    }
+  },
+  {
+    method: 'delete',
+    path: '/conversations/:conversationId',
+    operationId: 'deleteConversation',
+    scope: 'invoke',
+    summary: 'Delete a conversation, its messages and the bot\'s memory of it',
+    tag: 'Conversations',
+    response: { status: 200, description: 'Deleted', schema: envelope({ message: { type: 'string' } }) },
+    errors: ['not_found'],
+    handler: async (req, res) => {
+      const thread = await loadConversation(req);
+      await aiService.deleteThread(thread.id);
+      // Best effort, not awaited: a stopped bot has no memory to clear
+      containerManager.clearConversation(req.aiInstance.container_id, thread.id, req.sessionId);
+      res.json({ success: true, message: 'Conversation deleted' });
+    }
+  },
+  {
+    method: 'get',
+    path: '/conversations/:conversationId/messages',
+    operationId: 'listMessages',
+    scope: 'read-history',
+    summary: 'Page through a conversation\'s messages (oldest first within a page)',
+    tag: 'Messages',
+    query: {
+      limit: { type: 'integer', default: 25, description: 'Exchanges per page (max 100); each has a user and an assistant message' },
+      before: { type: 'integer', description: 'interactionId cursor from nextBefore' }
+    },
+    response: {
+      status: 200,
+      description: 'A page of messages',
+      schema: envelope({
+        messages: { type: 'array', items: ref('Message') },
+        nextBefore: { type: 'integer', nullable: true, description: 'Cursor for the next (older) page' }
+      })
+    },
+    errors: ['not_found'],
+    handler: async (req, res) => {
+      const thread = await loadConversation(req);
+      const limit = parseLimit(req.query.limit, 25, 100);
+      const before = req.query.before ? parseInt(req.query.before, 10) : null;
+      const interactions = await aiService.getThreadInteractions(thread.id, { limit, before });
+      const messages = [];
+      for (const interaction of interactions) {
+        messages.push({ interactionId: interaction.id, role: 'user', content: interaction.user_message, createdAt: interaction.timestamp });
+        messages.push({ interactionId: interaction.id, role: 'assistant', content: interaction.ai_response, createdAt: interaction.timestamp });
+      }
+      res.json({ success: true, messages, nextBefore: interactions.length === limit ? interactions[0].id : null });
+    }
+  },
+  {
+    method: 'post',
+    path: '/conversations/:conversationId/messages',
+    operationId: 'sendMessage',
+    scope: 'invoke',
+    summary: 'Send a message and wait for the reply',
+    tag: 'Messages',
+    body: messageBody,
+    response: { status: 200, description: 'The bot\'s reply', schema: ref('Reply') },
+    errors: ['invalid_request', 'not_found', 'bot_unavailable', 'bot_error'],
+    handler: async (req, res) => {
+      const thread = await loadConversation(req);
+      const message = readMessage(req);
+      const result = await sendToConversation(req, thread, message);
+      if (!result.success) {
+        throw resultError(result, 'Failed to get response from bot');
+      }
+      res.json({
+        success: true,
+        conversationId: thread.id,
+        response: result.message,
+        citations: result.citations || [],
+        timestamp: new Date().toISOString()
+      });
+    }
+  },
+  {
+    method: 'post',
+    path: '/conversations/:conversationId/messages/stream',
+    operationId: 'streamMessage',
+    scope: 'invoke',
+    summary: 'Send a message and stream the reply',
+    tag: 'Messages',
+    body: messageBody,
+    stream: {
+      description: 'Server-Sent Events: `token` { token } frames, then `done` (same fields as sendMessage) or `error` { code, message }'
+    },
+    response: { status: 200, description: 'Event stream' },
+    errors: ['invalid_request', 'not_found', 'bot_unavailable'],
+    handler: async (req, res) => {
+      const thread = await loadConversation(req);
+      const message = readMessage(req);
+      const stream = openSSE(res);
+      const result = await sendToConversation(req, thread, message, (token) => stream.send('token', { token }));
+      if (result.success) {
+        stream.send('done', {
+          success: true,
+          conversationId: thread.id,
+          response: result.message,
+          citations: result.citations || [],
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        const error = resultError(result, 'Failed to get response from bot');
+        stream.send('error', { code: error.code, message: error.message });
+      }
+      stream.close();
+    }
+  },
+  {
+    method: 'get',
+    path: '/documents',
+    operationId: 'listDocuments',
+    scope: 'ingest',
+    summary: 'List the bot\'s documents',
+    tag: 'Documents',
+    response: { status: 200, description: 'Documents', schema: envelope({ documents: { type: 'array', items: ref('Document') } }) },
+    errors: ['bot_unavailable', 'bot_error'],
+    handler: async (req, res) => {
+      const result = await containerManager.listDocuments(req.aiInstance.container_id, req.sessionId);
+      if (!result.success) {
+        throw resultError(result, 'Failed to list documents');
+      }
+      res.json({ success: true, documents: (result.documents || []).map(toDocument) });
+    }
+  },
+  {
+    method: 'post',
+    path: '/documents',
+    operationId: 'uploadDocument',
+    scope: 'ingest',
+    summary: 'Add a document: a multipart `file`, or JSON text',
+    tag: 'Documents',
+    middleware: [optionalUpload],
+    upload: { field: 'file', description: `One of: ${DOCUMENT_TYPE_LABELS.join(', ')}` },
+    body: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        text: { type: 'string', description: 'Document text (JSON requests)' },
+        tags: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    response: {
+      status: 201,
+      description: 'The document was indexed',
+      schema: envelope({ document: ref('Document'), ingestedChunks: { type: 'integer' } })
+    },
+    errors: ['invalid_request', 'payload_too_large', 'unsupported_media_type', 'bot_unavailable', 'bot_error'],
+    handler: async (req, res) => {
+      const containerId = req.aiInstance.container_id;
+      let result;
+      if (req.file) {
+        result = await containerManager.ingestFileIntoContainer(containerId, req.file.originalname, req.file.mimetype, req.file.buffer, req.sessionId);
+      } else {
+        const { title, text, tags } = req.body || {};
+        if (typeof text !== 'string' || !text.trim()) {
+          throw apiError('invalid_request', 'Send a multipart `file`, or JSON with `text`');
+        }
+        if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string'))) {
+          throw apiError('invalid_request', 'tags must be an array of strings');
+        }
+        result = await containerManager.ingestTextIntoContainer(containerId, typeof title === 'string' ? title : undefined, text, tags || [], req.sessionId);
+      }
+      if (!result.success) {
+        throw resultError(result, 'Failed to ingest document');
+      }
+      res.status(201).json({ success: true, document: toDocument(result.doc || { id: result.docId }), ingestedChunks: result.ingestedChunks || 0 });
+    }
+  },
+  {
+    method: 'delete',
+    path: '/documents/:documentId',
+    operationId: 'deleteDocument',
+    scope: 'ingest',
+    summary: 'Delete a document and its vectors',
+    tag: 'Documents',
+    response: { status: 200, description: 'Deleted', schema: envelope({ message: { type: 'string' } }) },
+    errors: ['not_found', 'bot_unavailable', 'bot_error'],
+    handler: async (req, res) => {
+      const result = await containerManager.deleteDocument(req.aiInstance.container_id, req.params.documentId, req.sessionId);
+      if (!result.success) {
+        throw resultError(result, 'Failed to delete document');
+      }
+      res.json({ success: true, message: 'Document deleted' });
+    }
+  }
+];
+
+/**
+ * Send a message within a conversation, restoring the bot's memory of it first if the bot lost it
+ * (restart, hibernation); keys pinned to a configuration version are answered with that version.
+ * The message and reply count against the key's daily token quota.
+ */
+async function sendToConversation(req, thread, message, onToken) {
+  const containerId = req.aiInstance.container_id;
+  await containerManager.restoreThreadMemory(containerId, thread.id, req.sessionId, { ifEmpty: true });
+  const result = await containerManager.sendMessageToContainer(containerId, message, req.sessionId, {
+    threadId: thread.id,
+    configVersion: req.apiKeyRecord.config_version || undefined,
+    ...(onToken ? { onToken } : {})
+  });
+  if (result.success) {
+    await aiService.touchAPIKeyUsage(req.apiKeyRecord.id, estimateTokens(message) + estimateTokens(result.message));
+  }
+  return result;
+}
+
+let cachedDocument = null;
+
+/**
+ * The OpenAPI document for this router (built once from the route table)
+ */
+function openapiDocument() {
+  if (!cachedDocument) {
+    cachedDocument = buildOpenAPI(routes, {
+      title: 'AI Platform public API',
+      version: '1.0.0',
+      description: 'Chat with, and manage the documents of, the bot an API key belongs to. Send the key in the X-AI-API-Key header '
+        + '(it is not accepted in the query string). Each key sees only the conversations started with it. Keys carry scopes (invoke, ingest, read-history), and may expire or be limited to origins, IP addresses, '
+        + 'requests per minute and tokens per day.',
+      basePath: '/public/v1',
+      schemas
+    });
+  }
+  return cachedDocument;
+}
+
+mountRoutes(router, routes, { authenticate });
+
+// Unknown /public/v1 paths get the public error format instead of falling through to other routers
+router.use((req, res) => {
+  sendError(res, apiError('not_found', `No route for ${req.method} ${req.baseUrl}${req.path}`));
+});
+
+module.exports = router;
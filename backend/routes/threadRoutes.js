@@ -0,0 +1,171 @@
+const express = require('express');
+const { containerManager } = require('../services/containerManager');
+const { aiService } = require('../services/aiService');
+const { validateSession, requireOwnedAI } = require('../middleware/sessionAuth');
+
+const router = express.Router();
+
+/**
+ * Middleware to load req.params.threadId and make sure it belongs to the user and container
+ */
+const requireOwnedThread = async (req, res, next) => {
+  try {
+    const thread = await aiService.getThread(req.params.threadId);
+    if (!thread || thread.user_id !== req.userId || thread.container_id !== req.params.containerId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thread not found'
+      });
+    }
+    req.thread = thread;
+    next();
+  } catch (error) {
+    console.error('Thread lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during thread lookup'
+    });
+  }
+};
+
+/**
+ * GET /api/ai/:containerId/threads
+ * List the user's chat threads for an AI
+ */
+router.get('/ai/:containerId/threads', validateSession, requireOwnedAI, async (req, res) => {
+  try {
+    const threads = await aiService.listThreads(req.userId, req.params.containerId);
+    res.json({
+      success: true,
+      threads
+    });
+  } catch (error) {
+    console.error('List threads error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list threads'
+    });
+  }
+});
+
+/**
+ * POST /api/ai/:containerId/threads
+ * Start a new chat thread
+ */
+router.post('/ai/:containerId/threads', validateSession, requireOwnedAI, async (req, res) => {
+  try {
+    const { title } = req.body || {};
+    const thread = await aiService.createThread(req.userId, req.params.containerId, title || 'New chat');
+    res.status(201).json({
+      success: true,
+      thread
+    });
+  } catch (error) {
+    console.error('Create thread error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create thread'
+    });
+  }
+});
+
+/**
+ * PUT /api/ai/:containerId/threads/:threadId
+ * Rename a thread
+ */
+router.put('/ai/:containerId/threads/:threadId', validateSession, requireOwnedAI, requireOwnedThread, async (req, res) => {
+  try {
+    const { title } = req.body || {};
+    if (!title || !String(title).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title is required'
+      });
+    }
+    await aiService.renameThread(req.thread.id, String(title));
+    res.json({
+      success: true,
+      thread: await aiService.getThread(req.thread.id)
+    });
+  } catch (error) {
+    console.error('Rename thread error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rename thread'
+    });
+  }
+});
+
+/**
+ * DELETE /api/ai/:containerId/threads/:threadId
+ * Delete a thread and its stored messages
+ */
+router.delete('/ai/:containerId/threads/:threadId', validateSession, requireOwnedAI, requireOwnedThread, async (req, res) => {
+  try {
+    await aiService.deleteThread(req.thread.id);
+    // Best effort, not awaited: drop the bot's in-memory copy of the conversation too
+    containerManager.clearConversation(req.params.containerId, req.thread.id, req.sessionId);
+    res.json({
+      success: true,
+      message: 'Thread deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete thread error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete thread'
+    });
+  }
+});
+
+/**
+ * GET /api/ai/:containerId/threads/:threadId/messages?limit=50&before=<interactionId>
+ * Page through a thread's history (oldest first within the page)
+ */
+router.get('/ai/:containerId/threads/:threadId/messages', validateSession, requireOwnedAI, requireOwnedThread, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const before = req.query.before ? parseInt(req.query.before, 10) : null;
+    const interactions = await aiService.getThreadInteractions(req.thread.id, { limit, before });
+
+    res.json({
+      success: true,
+      thread: req.thread,
+      interactions,
+      // Cursor for the next (older) page, null when this page is the oldest
+      nextBefore: interactions.length === limit ? interactions[0].id : null
+    });
+  } catch (error) {
+    console.error('Get thread messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get thread messages'
+    });
+  }
+});
+
+/**
+ * POST /api/ai/:containerId/threads/:threadId/resume
+ * Rebuild the bot's conversation memory from the stored thread so the chat continues with context
+ */
+router.post('/ai/:containerId/threads/:threadId/resume', validateSession, requireOwnedAI, requireOwnedThread, async (req, res) => {
+  try {
+    const result = await containerManager.restoreThreadMemory(req.params.containerId, req.thread.id, req.sessionId);
+
+    res.json({
+      success: true,
+      threadId: req.thread.id,
+      restored: result.success,
+      restoredMessages: result.restoredMessages || 0,
+      message: result.message
+    });
+  } catch (error) {
+    console.error('Resume thread error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume thread'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const { containerManager } = require('../services/containerManager');
+const { ingestJobService } = require('../services/ingestJobService');
+const { validateSession, requireOwnedAI } = require('../middleware/sessionAuth');
+
+const router = express.Router();
+
+// Crawled pages are indexed by ingestion jobs, pushed as `ingest_job` WebSocket frames while a crawl runs
+
+const sendFailure = (res, result, fallback) => res.status(result.status || 500).json({
+  success: false,
+  message: result.message || fallback
+});
+
+/**
+ * GET /api/ai/:containerId/web-sources
+ * A bot's web sources with their settings, state and last crawl report
+ */
+router.get('/ai/:containerId/web-sources', validateSession, requireOwnedAI, async (req, res) => {
+  const { containerId } = req.params;
+  const result = await containerManager.listWebSources(containerId, req.sessionId);
+  if (!result.success) return sendFailure(res, result, 'Failed to list web sources');
+  // Crawls still running after a backend restart get their WebSocket pushes back
+  if (result.crawling) ingestJobService.watch(containerId, req.sessionId);
+  res.json({ success: true, sources: result.sources, crawling: result.crawling });
+});
+
+/**
+ * POST /api/ai/:containerId/web-sources
+ * Add a page (`mode: page`), the pages of a sitemap (`sitemap`) or a site crawled from a root URL (`crawl`,
+ * with maxDepth, maxPages, includePaths, excludePaths). `recrawlHours` re-crawls it on a schedule.
+ * Answers 202 once the first crawl is queued.
+ */
+router.post('/ai/:containerId/web-sources', validateSession, requireOwnedAI, async (req, res) => {
+  const { containerId } = req.params;
+  const { url, mode, maxDepth, maxPages, includePaths, excludePaths, tags, recrawlHours } = req.body || {};
+  if (!url || typeof url !== 'string') {
+    return res.status(400).json({ success: false, message: 'Provide the url of a page, sitemap or site' });
+  }
+  const settings = { url, mode, maxDepth, maxPages, includePaths, excludePaths, tags, recrawlHours };
+  const result = await containerManager.createWebSource(containerId, settings, req.sessionId);
+  if (!result.success) return sendFailure(res, result, 'Failed to add the web source');
+  ingestJobService.watch(containerId, req.sessionId);
+  console.log(`🕸️ Web source ${result.source.url} (${result.source.mode}) added to ${containerId}`);
+  res.status(202).json({ success: true, source: result.source });
+});
+
+/**
+ * GET /api/ai/:containerId/web-sources/:sourceId
+ */
+router.get('/ai/:containerId/web-sources/:sourceId', validateSession, requireOwnedAI, async (req, res) => {
+  const { containerId, sourceId } = req.params;
+  const result = await containerManager.getWebSource(containerId, sourceId, req.sessionId);
+  if (!result.success) return sendFailure(res, result, 'Failed to read the web source');
+  res.json({ success: true, source: result.source });
+});
+
+/**
+ * PATCH /api/ai/:containerId/web-sources/:sourceId
+ * Change limits, tags or the re-crawl schedule (the URL and mode stay)
+ */
+router.patch('/ai/:containerId/web-sources/:sourceId', validateSession, requireOwnedAI, async (req, res) => {
+  const { containerId, sourceId } = req.params;
+  const { maxDepth, maxPages, includePaths, excludePaths, tags, recrawlHours } = req.body || {};
+  const changes = { maxDepth, maxPages, includePaths, excludePaths, tags, recrawlHours };
+  Object.keys(changes).forEach(key => changes[key] === undefined && delete changes[key]);
+  const result = await containerManager.updateWebSource(containerId, sourceId, changes, req.sessionId);
+  if (!result.success) return sendFailure(res, result, 'Failed to update the web source');
+  res.json({ success: true, source: result.source });
+});
+
+/**
+ * POST /api/ai/:containerId/web-sources/:sourceId/crawl
+ * Crawl again now: changed pages get new versions, pages that are gone are removed
+ */
+router.post('/ai/:containerId/web-sources/:sourceId/crawl', validateSession, requireOwnedAI, async (req, res) => {
+  const { containerId, sourceId } = req.params;
+  const result = await containerManager.crawlWebSource(containerId, sourceId, req.sessionId);
+  if (!result.success) return sendFailure(res, result, 'Failed to start the crawl');
+  ingestJobService.watch(containerId, req.sessionId);
+  res.status(202).json({ success: true, source: result.source });
+});
+
+/**
+ * DELETE /api/ai/:containerId/web-sources/:sourceId?keepDocuments=true
+ * Remove a web source and the documents made from its pages (kept with keepDocuments)
+ */
+router.delete('/ai/:containerId/web-sources/:sourceId', validateSession, requireOwnedAI, async (req, res) => {
+  const { containerId, sourceId } = req.params;
+  const query = req.query.keepDocuments === 'true' ? { keepDocuments: 'true' } : {};
+  const result = await containerManager.deleteWebSource(containerId, sourceId, query, req.sessionId);
+  if (!result.success) return sendFailure(res, result, 'Failed to remove the web source');
+  res.json({ success: true, source: result.source, removedDocuments: result.removedDocuments });
+});
+
+module.exports = router;
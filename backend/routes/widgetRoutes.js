@@ -0,0 +1,216 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { aiService } = require('../services/aiService');
+const { apiKeyGuard } = require('../services/apiKeyGuard');
+const { containerManager } = require('../services/containerManager');
+const { openSSE } = require('../utils/sse');
+const { apiError, codeForStatus, sendError } = require('../utils/apiErrors');
+const { estimateTokens } = require('../utils/tokens');
+
+const router = express.Router();
+
+/**
+ * Embeddable website chat widget (/widget)
+ * A site adds <script src="<host>/widget/embed.js" data-key="pk_..."> (or an iframe of /widget/frame) with a
+ * publishable key, which only works from the key's allowed origins. The frame is the React app's widget page;
+ * it talks to /widget/v1 on this host. Each anonymous visitor gets a random visitorId (kept in the frame's
+ * localStorage) that their conversations are tied to, apart from the owner's threads and the public API.
+ */
+
+const FRONTEND_INDEX = path.join(__dirname, '../../frontend/build/index.html');
+const EMBED_SCRIPT = path.join(__dirname, '../widget/embed.js');
+
+const MAX_MESSAGE_LENGTH = 2000;
+const HISTORY_LIMIT = 50;
+const VISITOR_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Origin of the site the widget runs on. Browsers send the page's Origin on cross-origin requests; requests
+ * from the widget frame are same-origin (no Origin, or this host's), so the frame names its parent site in
+ * X-Widget-Origin. A page cannot fake this host's Origin, so the header is only trusted for same-origin calls.
+ */
+function siteOrigin(req) {
+  const ownOrigin = `${req.protocol}://${req.get('host')}`;
+  const origin = req.headers.origin;
+  if (!origin || origin === ownOrigin) {
+    return req.headers['x-widget-origin'] || req.query.origin || req.headers.referer;
+  }
+  return origin;
+}
+
+/**
+ * Resolve the publishable key (X-AI-API-Key, or ?key= for the frame) to req.apiKeyRecord and req.aiInstance
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    const apiKey = req.headers['x-ai-api-key'] || req.query.key;
+    if (!apiKey) {
+      throw apiError('missing_api_key', 'A publishable key is required');
+    }
+    const { key, aiInstance } = await apiKeyGuard.authorize(apiKey, {
+      scope: 'invoke',
+      origin: siteOrigin(req),
+      ip: req.ip,
+      kind: 'publishable'
+    });
+    req.apiKeyRecord = key;
+    req.aiInstance = aiInstance;
+    req.sessionId = `widget_${key.id}`;
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * Load req.params.conversationId; it must belong to the visitor in X-Widget-Visitor and to the key's bot
+ */
+async function loadVisitorConversation(req) {
+  const visitorId = req.headers['x-widget-visitor'];
+  const thread = await aiService.getThread(req.params.conversationId);
+  if (!thread || !visitorId || thread.visitor_id !== visitorId || thread.container_id !== req.aiInstance.container_id) {
+    throw apiError('not_found', 'Conversation not found');
+  }
+  return thread;
+}
+
+/**
+ * The widget's appearance, from the configuration version answering the key, with defaults filled in
+ */
+async function widgetConfig(req) {
+  const { container_id: containerId, config_version: pinnedVersion } = req.apiKeyRecord;
+  const aiConfig = pinnedVersion
+    ? (await containerManager.getConfigVersion(containerId, pinnedVersion)).config
+    : await containerManager.readBotConfig(containerId);
+  if (!aiConfig) {
+    throw apiError('not_found', 'Bot configuration not found');
+  }
+  const widget = containerManager.toEditableWidget(aiConfig);
+  return {
+    ...widget,
+    title: widget.title || aiConfig.name,
+    greeting: widget.greeting || `Hi! I'm ${aiConfig.name}. How can I help you today?`,
+    placeholder: widget.placeholder || 'Type your message…'
+  };
+}
+
+/**
+ * GET /widget/embed.js
+ * The loader script: adds a launcher button and the chat frame to the page
+ */
+router.get('/embed.js', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.type('application/javascript').sendFile(EMBED_SCRIPT);
+});
+
+/**
+ * GET /widget/frame?key=pk_...&origin=<site origin>
+ * The chat page shown in the iframe. It may only be framed by the key's allowed origins (CSP frame-ancestors).
+ */
+router.get('/frame', authenticate, (req, res) => {
+  if (!fs.existsSync(FRONTEND_INDEX)) {
+    return res.status(503).type('text/plain').send('The chat widget is unavailable: the frontend has not been built.');
+  }
+  const origins = JSON.parse(req.apiKeyRecord.allowed_origins || '[]');
+  res.set('Content-Security-Policy', `frame-ancestors ${origins.join(' ') || "'none'"}`);
+  res.set('Cache-Control', 'no-store');
+  res.sendFile(FRONTEND_INDEX);
+});
+
+/**
+ * GET /widget/v1/config
+ * Bot name and widget appearance (title, greeting, placeholder, colors, position)
+ */
+router.get('/v1/config', authenticate, async (req, res) => {
+  try {
+    res.json({ success: true, widget: await widgetConfig(req) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /widget/v1/conversations
+ * Body: { visitorId? } Start a conversation for a visitor (a new visitor gets a visitorId to keep)
+ */
+router.post('/v1/conversations', authenticate, async (req, res) => {
+  try {
+    const { visitorId } = req.body || {};
+    if (visitorId !== undefined && !(typeof visitorId === 'string' && VISITOR_ID.test(visitorId))) {
+      throw apiError('invalid_request', 'visitorId is invalid');
+    }
+    const thread = await aiService.createThread(req.apiKeyRecord.user_id, req.aiInstance.container_id, 'Website visitor', {
+      apiKeyId: req.apiKeyRecord.id,
+      visitorId: visitorId || uuidv4()
+    });
+    res.status(201).json({ success: true, conversationId: thread.id, visitorId: thread.visitor_id });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /widget/v1/conversations/:conversationId/messages
+ * The visitor's latest messages, oldest first (Header: X-Widget-Visitor)
+ */
+router.get('/v1/conversations/:conversationId/messages', authenticate, async (req, res) => {
+  try {
+    const thread = await loadVisitorConversation(req);
+    const interactions = await aiService.getThreadInteractions(thread.id, { limit: HISTORY_LIMIT });
+    const messages = [];
+    for (const interaction of interactions) {
+      messages.push({ role: 'user', content: interaction.user_message, createdAt: interaction.timestamp });
+      messages.push({ role: 'assistant', content: interaction.ai_response, createdAt: interaction.timestamp });
+    }
+    res.json({ success: true, messages });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /widget/v1/conversations/:conversationId/messages
+ * Body: { message } Streams the reply as Server-Sent Events: `token` { token }, then `done` { response, citations }
+ * or `error` { code, message } (Header: X-Widget-Visitor)
+ */
+router.post('/v1/conversations/:conversationId/messages', authenticate, async (req, res) => {
+  try {
+    const thread = await loadVisitorConversation(req);
+    const { message } = req.body || {};
+    if (typeof message !== 'string' || !message.trim() || message.length > MAX_MESSAGE_LENGTH) {
+      throw apiError('invalid_request', `message must be 1-${MAX_MESSAGE_LENGTH} characters`);
+    }
+    if (!containerManager.acceptsMessages(req.aiInstance.status)) {
+      throw apiError('bot_unavailable', 'The assistant is not available right now');
+    }
+
+    const containerId = req.aiInstance.container_id;
+    const stream = openSSE(res);
+    await containerManager.restoreThreadMemory(containerId, thread.id, req.sessionId, { ifEmpty: true });
+    const result = await containerManager.sendMessageToContainer(containerId, message, req.sessionId, {
+      threadId: thread.id,
+      configVersion: req.apiKeyRecord.config_version || undefined,
+      onToken: (token) => stream.send('token', { token })
+    });
+
+    if (result.success) {
+      await aiService.touchAPIKeyUsage(req.apiKeyRecord.id, estimateTokens(message) + estimateTokens(result.message));
+      stream.send('done', { response: result.message, citations: result.citations || [] });
+    } else {
+      const status = result.status || 502;
+      console.error(`Widget reply failed for ${containerId}:`, result.error);
+      stream.send('error', { code: codeForStatus(status), message: 'The assistant could not answer. Please try again.' });
+    }
+    stream.close();
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Widget stream error:', error.message);
+      return res.end();
+    }
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
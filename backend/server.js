@@ -5,18 +5,31 @@ require('dotenv').config({ path: path.join(__dirname, '../.env') });
 
 const express = require('express');
 const cors = require('cors');
-const WebSocket = require('ws');
 const http = require('http');
 
 // Import route handlers
 const authRoutes = require('./routes/authRoutes');
 const aiRoutes = require('./routes/aiRoutes');
 const publicAIRoutes = require('./routes/publicAIRoutes');
+const publicV1Routes = require('./routes/publicV1Routes');
+const openaiRoutes = require('./routes/openaiRoutes');
+const widgetRoutes = require('./routes/widgetRoutes');
+const threadRoutes = require('./routes/threadRoutes');
+const lifecycleRoutes = require('./routes/lifecycleRoutes');
+const configRoutes = require('./routes/configRoutes');
+const builderRoutes = require('./routes/builderRoutes');
+const bundleRoutes = require('./routes/bundleRoutes');
+const cloneRoutes = require('./routes/cloneRoutes');
+const ingestJobRoutes = require('./routes/ingestJobRoutes');
+const documentRoutes = require('./routes/documentRoutes');
+const webSourceRoutes = require('./routes/webSourceRoutes');
 
 // Import services
-const { sessionManager } = require('./services/sessionManager');
 const { containerManager } = require('./services/containerManager');
 const { pingService } = require('./services/pingService');
+const { previewService } = require('./services/previewService');
+const { attachChatSocket } = require('./services/chatSocket');
+const { sendError, sendOpenAIError } = require('./utils/apiErrors');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -25,13 +38,20 @@ const PORT = process.env.PORT || 5000;
 const server = http.createServer(app);
 
 // WebSocket server for real-time AI interactions
-const wss = new WebSocket.Server({ server });
+attachChatSocket(server);
+
+// Behind a reverse proxy, trust X-Forwarded-For so API key IP allow-lists see the client address
+// (TRUST_PROXY=true, a hop count, or a comma-separated list of proxy addresses)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+}
 
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'x-session-id'],
   maxAge: 86400 // 24 hours
 }));
@@ -68,7 +88,9 @@ app.get('/api/info', (req, res) => {
       ping: '/api/ping',
       auth: '/api/auth',
       ai: '/api',
-      public: '/public'
+      public: '/public',
+      publicV1: '/public/v1 (OpenAPI: /public/v1/openapi.json)',
+      openai: '/v1/chat/completions'
     }
   });
 });
@@ -76,84 +98,25 @@ app.get('/api/info', (req, res) => {
 // API Routes (must come before static file serving)
 app.use('/api/auth', authRoutes);
 app.use('/api', aiRoutes);
+app.use('/api', threadRoutes);
+app.use('/api', lifecycleRoutes);
+app.use('/api', configRoutes);
+app.use('/api', builderRoutes);
+app.use('/api', bundleRoutes);
+app.use('/api', cloneRoutes);
+app.use('/api', ingestJobRoutes);
+app.use('/api', documentRoutes);
+app.use('/api', webSourceRoutes);
+app.use('/public/v1', publicV1Routes); // before /public, whose key check would otherwise answer first
 app.use('/public', publicAIRoutes);
+app.use('/v1', openaiRoutes); // OpenAI-compatible: /v1/chat/completions, /v1/models
+app.use('/widget', widgetRoutes); // embeddable website chat widget (publishable keys)
 
 // Serve static files from React build (for production)
 if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, '../frontend/build')));
 }
 
-// WebSocket connection handling for real-time AI interactions
-wss.on('connection', (ws, req) => {
-  console.log('New WebSocket connection established');
-  
-  // Extract session ID from query parameters
-  const url = new URL(req.url, `http://${req.headers.host}`);
-  const sessionId = url.searchParams.get('sessionId');
-  const containerId = url.searchParams.get('containerId');
-  
-  if (!sessionId || !containerId) {
-    ws.close(1008, 'Missing sessionId or containerId');
-    return;
-  }
-
-  // Validate session
-  if (!sessionManager.isValidSession(sessionId)) {
-    ws.close(1008, 'Invalid session');
-    return;
-  }
-
-  // Store connection info
-  ws.sessionId = sessionId;
-  ws.containerId = containerId;
-  
-  // Send welcome message
-  ws.send(JSON.stringify({
-    type: 'connection',
-    message: 'Connected to AI chatbot',
-    containerId: containerId
-  }));
-
-  // Handle incoming messages
-  ws.on('message', async (message) => {
-    try {
-      const data = JSON.parse(message);
-      
-      if (data.type === 'chat') {
-        // Forward message to AI container
-        const response = await containerManager.sendMessageToContainer(
-          containerId, 
-          data.message, 
-          sessionId
-        );
-        
-        // Send response back to client
-        ws.send(JSON.stringify({
-          type: 'response',
-          message: response.message,
-          timestamp: new Date().toISOString()
-        }));
-      }
-    } catch (error) {
-      console.error('WebSocket message error:', error);
-      ws.send(JSON.stringify({
-        type: 'error',
-        message: 'Failed to process message'
-      }));
-    }
-  });
-
-  // Handle connection close
-  ws.on('close', () => {
-    console.log(`WebSocket connection closed for container ${containerId}`);
-  });
-
-  // Handle errors
-  ws.on('error', (error) => {
-    console.error('WebSocket error:', error);
-  });
-});
-
 // Serve React app for all non-API routes (for production)
 if (process.env.NODE_ENV === 'production') {
   app.get('*', (req, res) => {
@@ -163,6 +126,13 @@ if (process.env.NODE_ENV === 'production') {
 
 // Global error handler
 app.use((err, req, res, next) => {
+  // Body parser failures (malformed JSON, too large) in the public API and the widget use its error codes
+  if (req.originalUrl.startsWith('/public/v1') || req.originalUrl.startsWith('/widget/')) {
+    return sendError(res, err);
+  }
+  if (req.originalUrl.startsWith('/v1/')) {
+    return sendOpenAIError(res, err);
+  }
   console.error('Global error handler:', err);
   res.status(500).json({
     success: false,
@@ -196,6 +166,8 @@ server.listen(PORT, () => {
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
   pingService.stop();
+  containerManager.stopIdleMonitor();
+  previewService.discardAll();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -205,6 +177,8 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
   pingService.stop();
+  containerManager.stopIdleMonitor();
+  previewService.discardAll();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -1,19 +1,31 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createProvider } = require('../../containers/mainCodebase/llmProviders');
 
 class AIInstructionGenerator {
     constructor() {
-        // Use dedicated API key for description generation
-        const apiKey = process.env.GOOGLE_DESCRIPTION_API_KEY;
-        if (!apiKey) {
+        // Provider for description generation (INSTRUCTION_LLM_PROVIDER, then LLM_PROVIDER, then Gemini)
+        const provider = (process.env.MOCK_EXTERNAL_APIS === 'true')
+            ? 'mock'
+            : (process.env.INSTRUCTION_LLM_PROVIDER || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+
+        // Gemini keeps its dedicated API key for description generation
+        const apiKeys = {
+            gemini: process.env.GOOGLE_DESCRIPTION_API_KEY,
+            openai: process.env.OPENAI_API_KEY,
+            'openai-compatible': process.env.LLM_API_KEY,
+            anthropic: process.env.ANTHROPIC_API_KEY
+        };
+        if (provider === 'gemini' && !apiKeys.gemini) {
             throw new Error('GOOGLE_DESCRIPTION_API_KEY environment variable is required');
         }
-        this.genAI = new GoogleGenerativeAI(apiKey);
-        this.model = this.genAI.getGenerativeModel({ 
-            model: 'gemini-1.5-flash',
-            generationConfig: {
-                maxOutputTokens: 2000,
-                temperature: 0.8
-            }
+
+        this.provider = createProvider({
+            provider,
+            apiKey: apiKeys[provider],
+            model: process.env.INSTRUCTION_LLM_MODEL || undefined,
+            baseUrl: provider === 'ollama' ? process.env.OLLAMA_BASE_URL : (process.env.LLM_BASE_URL || undefined),
+            name: 'Instruction Generator',
+            maxTokens: 2000,
+            temperature: 0.8
         });
     }
 
@@ -26,7 +38,12 @@ class AIInstructionGenerator {
      */
     async generateDetailedInstructions(aiName, description, personality = 'friendly') {
         try {
-            console.log(`🎯 Generating instructions for ${aiName} using DESCRIPTION API...`);
+            // The mock model only echoes prompts, so offline runs use the template instructions
+            if (this.provider.name === 'mock') {
+                return this.generateFallbackInstructions(aiName, description, personality);
+            }
+
+            console.log(`🎯 Generating instructions for ${aiName} using ${this.provider.name} (${this.provider.model})...`);
 
             const prompt = `
 You are an expert AI personality designer. Create detailed, specific instructions for an AI chatbot that will make it behave exactly as the user wants.
@@ -62,9 +79,9 @@ Example format:
 Make it detailed, specific, and impossible to ignore. The AI should feel like a completely unique personality, not a generic assistant.
             `;
 
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            const instructions = response.text();
+            const instructions = await this.provider.chat({
+                messages: [{ role: 'user', content: prompt }]
+            });
 
             console.log(`✅ Instructions generated (${instructions.length} chars)`);
 
@@ -1,5 +1,12 @@
 const { v4: uuidv4 } = require('uuid');
 const { Database } = require('../database/database');
+const { generateAPIKey, hashAPIKey } = require('../utils/apiKeys');
+
+// Per-key settings (see utils/apiKeys.js parseKeySettings), copied along when a bot is cloned
+const API_KEY_SETTING_COLUMNS = ['kind', 'scopes', 'expires_at', 'allowed_origins', 'allowed_ips', 'rpm_limit', 'daily_token_quota'];
+
+// Usage is counted per UTC day
+const usageDay = () => new Date().toISOString().slice(0, 10);
 
 class AIService {
   constructor() {
@@ -175,6 +182,27 @@ class AIService {
     }
   }
 
+  /**
+   * Update an AI instance's name and description
+   * @param {string} containerId - Container ID
+   * @param {Object} details - { name, description }
+   * @returns {Promise<void>}
+   */
+  async updateAIDetails(containerId, { name, description }) {
+    try {
+      await this.initialize();
+
+      await this.db.runQuery(
+        'UPDATE ai_instances SET name = ?, description = ? WHERE container_id = ?',
+        [name, description, containerId]
+      );
+
+    } catch (error) {
+      console.error('Error updating AI details:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update AI instance configuration
    * @param {string} containerId - Container ID
@@ -200,6 +228,72 @@ class AIService {
     }
   }
 
+  /**
+   * Record a new configuration version (numbered after the latest one)
+   * The active version is the one in the bot's ai-config.js (configVersion), not tracked here.
+   * @param {string} containerId - Container ID
+   * @param {Object} config - Versioned configuration snapshot
+   * @param {Object} meta - { authorId, note }
+   * @returns {Promise<Object>} - { id, version, createdAt }
+   */
+  async createConfigVersion(containerId, config, { authorId = null, note = null } = {}) {
+    try {
+      await this.initialize();
+
+      const latest = await this.db.getRow(
+        'SELECT MAX(version) AS version FROM ai_config_versions WHERE container_id = ?',
+        [containerId]
+      );
+      const version = ((latest && latest.version) || 0) + 1;
+      const id = uuidv4();
+      const createdAt = new Date().toISOString();
+
+      await this.db.runQuery(
+        `INSERT INTO ai_config_versions (id, container_id, version, config, author_id, note, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [id, containerId, version, JSON.stringify(config), authorId, note, createdAt]
+      );
+
+      return { id, version, createdAt };
+
+    } catch (error) {
+      console.error('Error creating config version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List an AI's configuration versions, newest first (without the config bodies)
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Array>} - [{ version, author_id, author_name, note, created_at }]
+   */
+  async listConfigVersions(containerId) {
+    await this.initialize();
+    return await this.db.getRows(
+      `SELECT v.version, v.author_id, u.name AS author_name, v.note, v.created_at
+       FROM ai_config_versions v LEFT JOIN users u ON u.id = v.author_id
+       WHERE v.container_id = ? ORDER BY v.version DESC`,
+      [containerId]
+    );
+  }
+
+  /**
+   * Get one configuration version
+   * @param {string} containerId - Container ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} - Row with `config` parsed
+   */
+  async getConfigVersion(containerId, version) {
+    await this.initialize();
+    const row = await this.db.getRow(
+      `SELECT v.*, u.name AS author_name
+       FROM ai_config_versions v LEFT JOIN users u ON u.id = v.author_id
+       WHERE v.container_id = ? AND v.version = ?`,
+      [containerId, version]
+    );
+    return row ? { ...row, config: JSON.parse(row.config) } : null;
+  }
+
   /**
    * Delete AI instance
    * @param {string} containerId - Container ID
@@ -210,6 +304,11 @@ class AIService {
       await this.initialize();
 
       // Delete related data first
+      await this.db.runQuery(
+        'DELETE FROM ai_config_versions WHERE container_id = ?',
+        [containerId]
+      );
+
       await this.db.runQuery(
         'DELETE FROM ai_interactions WHERE container_id = ?',
         [containerId]
@@ -220,6 +319,11 @@ class AIService {
         [containerId]
       );
 
+      await this.db.runQuery(
+        'DELETE FROM chat_threads WHERE container_id = ?',
+        [containerId]
+      );
+
       // Delete AI instance
       await this.db.runQuery(
         'DELETE FROM ai_instances WHERE container_id = ?',
@@ -265,14 +369,15 @@ class AIService {
     try {
       await this.initialize();
 
-      const { containerId, sessionId, userMessage, aiResponse, responseTime } = interactionData;
+      const { containerId, sessionId, threadId, userMessage, aiResponse, responseTime } = interactionData;
 
       await this.db.runQuery(
-        `INSERT INTO ai_interactions (container_id, session_id, user_message, ai_response, response_time, timestamp) 
-         VALUES (?, ?, ?, ?, ?, ?)`,
+        `INSERT INTO ai_interactions (container_id, session_id, thread_id, user_message, ai_response, response_time, timestamp) 
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
         [
           containerId,
           sessionId,
+          threadId || null,
           userMessage,
           aiResponse,
           responseTime || 0,
@@ -280,6 +385,10 @@ class AIService {
         ]
       );
 
+      if (threadId) {
+        await this.touchThread(threadId);
+      }
+
     } catch (error) {
       console.error('Error logging interaction:', error);
     }
@@ -309,6 +418,217 @@ class AIService {
     }
   }
 
+  /**
+   * Create a chat thread
+   * @param {string} userId - Owner user ID
+   * @param {string} containerId - Container ID
+   * @param {string} title - Thread title
+   * @param {Object} options - { apiKeyId } key that started it through the public API (kept out of the app's thread list),
+   *   { visitorId } anonymous website widget visitor it belongs to (kept out of the public API's list too)
+   * @returns {Promise<Object>} - Created thread
+   */
+  async createThread(userId, containerId, title = 'New chat', options = {}) {
+    await this.initialize();
+    const now = new Date().toISOString();
+    const thread = {
+      id: uuidv4(),
+      container_id: containerId,
+      user_id: userId,
+      title: (title || 'New chat').trim().slice(0, 120),
+      created_at: now,
+      updated_at: now,
+      api_key_id: options.apiKeyId || null,
+      visitor_id: options.visitorId || null
+    };
+
+    await this.db.runQuery(
+      `INSERT INTO chat_threads (id, container_id, user_id, title, created_at, updated_at, api_key_id, visitor_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [thread.id, containerId, userId, thread.title, now, now, thread.api_key_id, thread.visitor_id]
+    );
+
+    return thread;
+  }
+
+  /**
+   * List a user's threads for a container, most recently active first
+   * @param {string} userId - Owner user ID
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Array>} - Threads with message counts
+   */
+  async listThreads(userId, containerId) {
+    await this.initialize();
+    return await this.db.getRows(
+      `SELECT t.*, (SELECT COUNT(*) FROM ai_interactions i WHERE i.thread_id = t.id) AS interaction_count
+       FROM chat_threads t WHERE t.user_id = ? AND t.container_id = ? AND t.api_key_id IS NULL ORDER BY t.updated_at DESC`,
+      [userId, containerId]
+    );
+  }
+
+  /**
+   * List the public API conversations one of a bot's keys started (except website widget visitors'
+   * conversations), most recently active first
+   * @param {string} containerId - Container ID
+   * @param {string} keyId - API key ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} - { conversations, total }
+   */
+  async listAPIConversations(containerId, keyId, { limit = 20, offset = 0 } = {}) {
+    await this.initialize();
+    const conversations = await this.db.getRows(
+      `SELECT t.*, (SELECT COUNT(*) FROM ai_interactions i WHERE i.thread_id = t.id) AS interaction_count
+       FROM chat_threads t WHERE t.container_id = ? AND t.api_key_id = ? AND t.visitor_id IS NULL
+       ORDER BY t.updated_at DESC LIMIT ? OFFSET ?`,
+      [containerId, keyId, limit, offset]
+    );
+    const { total } = await this.db.getRow(
+      'SELECT COUNT(*) AS total FROM chat_threads t WHERE t.container_id = ? AND t.api_key_id = ? AND t.visitor_id IS NULL',
+      [containerId, keyId]
+    );
+    return { conversations, total };
+  }
+
+  /**
+   * Get a thread by ID
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<Object|null>} - Thread or null
+   */
+  async getThread(threadId) {
+    await this.initialize();
+    return await this.db.getRow('SELECT * FROM chat_threads WHERE id = ?', [threadId]);
+  }
+
+  /**
+   * Rename a thread
+   * @param {string} threadId - Thread ID
+   * @param {string} title - New title
+   * @returns {Promise<void>}
+   */
+  async renameThread(threadId, title) {
+    await this.initialize();
+    await this.db.runQuery(
+      'UPDATE chat_threads SET title = ?, updated_at = ? WHERE id = ?',
+      [title.trim().slice(0, 120), new Date().toISOString(), threadId]
+    );
+  }
+
+  /**
+   * Bump a thread's updated_at timestamp
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<void>}
+   */
+  async touchThread(threadId) {
+    await this.initialize();
+    await this.db.runQuery(
+      'UPDATE chat_threads SET updated_at = ? WHERE id = ?',
+      [new Date().toISOString(), threadId]
+    );
+  }
+
+  /**
+   * Delete a thread and its interactions
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<void>}
+   */
+  async deleteThread(threadId) {
+    await this.initialize();
+    await this.db.runQuery('DELETE FROM ai_interactions WHERE thread_id = ?', [threadId]);
+    await this.db.runQuery('DELETE FROM chat_threads WHERE id = ?', [threadId]);
+  }
+
+  /**
+   * Page through a thread's interactions, oldest first within the page
+   * @param {string} threadId - Thread ID
+   * @param {Object} options - { limit, before } where before is an interaction ID cursor
+   * @returns {Promise<Array>} - Interactions in chronological order
+   */
+  async getThreadInteractions(threadId, { limit = 50, before = null } = {}) {
+    await this.initialize();
+    const rows = before
+      ? await this.db.getRows(
+          'SELECT * FROM ai_interactions WHERE thread_id = ? AND id < ? ORDER BY id DESC LIMIT ?',
+          [threadId, before, limit]
+        )
+      : await this.db.getRows(
+          'SELECT * FROM ai_interactions WHERE thread_id = ? ORDER BY id DESC LIMIT ?',
+          [threadId, limit]
+        );
+    return rows.reverse();
+  }
+
+  /**
+   * Number of stored exchanges in a thread
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<number>}
+   */
+  async countThreadInteractions(threadId) {
+    await this.initialize();
+    const { total } = await this.db.getRow('SELECT COUNT(*) AS total FROM ai_interactions WHERE thread_id = ?', [threadId]);
+    return total;
+  }
+
+  /**
+   * A user's chat threads for a container with all their messages (for export bundles)
+   * @param {string} userId - Owner user ID
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Array>} - [{ title, createdAt, updatedAt, messages: [{ userMessage, aiResponse, timestamp }] }]
+   */
+  async exportThreads(userId, containerId) {
+    await this.initialize();
+    const threads = await this.db.getRows(
+      'SELECT * FROM chat_threads WHERE user_id = ? AND container_id = ? AND api_key_id IS NULL ORDER BY created_at',
+      [userId, containerId]
+    );
+    const exported = [];
+    for (const thread of threads) {
+      const rows = await this.db.getRows(
+        'SELECT user_message, ai_response, timestamp FROM ai_interactions WHERE thread_id = ? ORDER BY id',
+        [thread.id]
+      );
+      exported.push({
+        title: thread.title,
+        createdAt: thread.created_at,
+        updatedAt: thread.updated_at,
+        messages: rows.map(row => ({ userMessage: row.user_message, aiResponse: row.ai_response, timestamp: row.timestamp }))
+      });
+    }
+    return exported;
+  }
+
+  /**
+   * Recreate exported chat threads for a user (new thread IDs, original timestamps)
+   * @param {string} userId - Owner user ID
+   * @param {string} sessionId - Session recorded on the imported interactions
+   * @param {string} containerId - Container ID
+   * @param {Array} threads - Output of exportThreads
+   * @returns {Promise<number>} - Number of threads created
+   */
+  async importThreads(userId, sessionId, containerId, threads) {
+    await this.initialize();
+    let created = 0;
+    for (const thread of threads) {
+      if (!thread || !Array.isArray(thread.messages)) continue;
+      const now = new Date().toISOString();
+      const threadId = uuidv4();
+      await this.db.runQuery(
+        `INSERT INTO chat_threads (id, container_id, user_id, title, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [threadId, containerId, userId, String(thread.title || 'Imported chat').trim().slice(0, 120),
+          thread.createdAt || now, thread.updatedAt || now]
+      );
+      for (const message of thread.messages) {
+        if (typeof message.userMessage !== 'string' || typeof message.aiResponse !== 'string') continue;
+        await this.db.runQuery(
+          `INSERT INTO ai_interactions (container_id, session_id, thread_id, user_message, ai_response, response_time, timestamp)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [containerId, sessionId, threadId, message.userMessage, message.aiResponse, 0, message.timestamp || now]
+        );
+      }
+      created++;
+    }
+    return created;
+  }
+
   /**
    * Log container event
    * @param {string} containerId - Container ID
@@ -439,6 +759,22 @@ class AIService {
     }
   }
 
+  /**
+   * Get every AI instance (used to rebuild the container registry on boot)
+   * @returns {Promise<Array>} - Array of AI instances, oldest first
+   */
+  async listAllAIInstances() {
+    try {
+      await this.initialize();
+
+      return await this.db.getRows('SELECT * FROM ai_instances ORDER BY created_at ASC');
+
+    } catch (error) {
+      console.error('Error listing AI instances:', error);
+      return [];
+    }
+  }
+
   /**
    * Search AI instances
    * @param {string} query - Search query
@@ -487,35 +823,104 @@ class AIService {
 
   /**
    * Create API key for an AI instance
+   * Only the key's hash is stored: the returned apiKey is the one chance to show it (publishable keys, which are
+   * public by design, are also kept in clear for the widget's embed code).
    * @param {string} userId
    * @param {string} containerId
    * @param {string} label
-   * @returns {Promise<{id:string, apiKey:string}>}
+   * @param {Object} settings - Column values from parseKeySettings (scopes, expires_at, allowed_origins, ...) and kind
+   * @returns {Promise<{id:string, apiKey:string, prefix:string}>}
    */
-  async createAIAPIKey(userId, containerId, label = null) {
+  async createAIAPIKey(userId, containerId, label = null, settings = {}) {
     await this.initialize();
     const id = uuidv4();
-    const apiKey = `${containerId.slice(0,8)}_${uuidv4().replace(/-/g, '')}`;
+    const { apiKey, prefix, hash } = generateAPIKey(containerId, settings.kind);
+    const columns = Object.keys(settings).filter(column => API_KEY_SETTING_COLUMNS.includes(column));
+    const publishableKey = settings.kind === 'publishable' ? apiKey : null;
 
     await this.db.runQuery(
-      `INSERT INTO ai_api_keys (id, container_id, user_id, api_key, label, created_at, is_active)
-       VALUES (?, ?, ?, ?, ?, ?, 1)`,
-      [id, containerId, userId, apiKey, label, new Date().toISOString()]
+      `INSERT INTO ai_api_keys (id, container_id, user_id, api_key, key_prefix, publishable_key, label, created_at, is_active${columns.map(c => `, ${c}`).join('')})
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1${columns.map(() => ', ?').join('')})`,
+      [id, containerId, userId, hash, prefix, publishableKey, label, new Date().toISOString(), ...columns.map(c => settings[c])]
     );
 
-    return { id, apiKey };
+    return { id, apiKey, prefix };
   }
 
   /**
-   * List API keys for a user and container
+   * List API keys for a user and container, with today's and all-time usage (never the key hash)
    */
   async listAIAPIKeys(userId, containerId) {
     await this.initialize();
+    const today = usageDay();
     return await this.db.getRows(
-      `SELECT id, api_key, label, created_at, last_used_at, is_active
-       FROM ai_api_keys WHERE user_id = ? AND container_id = ? ORDER BY created_at DESC`,
-      [userId, containerId]
+      `SELECT k.id, k.key_prefix, k.label, k.created_at, k.last_used_at, k.is_active, k.config_version,
+              k.kind, k.publishable_key, k.scopes, k.expires_at, k.allowed_origins, k.allowed_ips, k.rpm_limit, k.daily_token_quota,
+              COALESCE(SUM(CASE WHEN u.day = ? THEN u.requests END), 0) AS requests_today,
+              COALESCE(SUM(CASE WHEN u.day = ? THEN u.tokens END), 0) AS tokens_today,
+              COALESCE(SUM(u.requests), 0) AS requests_total,
+              COALESCE(SUM(u.tokens), 0) AS tokens_total
+       FROM ai_api_keys k LEFT JOIN ai_api_key_usage u ON u.key_id = k.id
+       WHERE k.user_id = ? AND k.container_id = ?
+       GROUP BY k.id ORDER BY k.created_at DESC`,
+      [today, today, userId, containerId]
+    );
+  }
+
+  /**
+   * Get one of a user's keys for a container (without usage)
+   * @returns {Promise<Object|null>}
+   */
+  async getAIAPIKey(userId, containerId, keyId) {
+    await this.initialize();
+    return await this.db.getRow(
+      'SELECT * FROM ai_api_keys WHERE id = ? AND user_id = ? AND container_id = ?',
+      [keyId, userId, containerId]
+    );
+  }
+
+  /**
+   * Change the scopes, expiry, allow-lists or limits of a key
+   * @param {Object} settings - Column values from parseKeySettings
+   * @returns {Promise<boolean>} - Whether the key was found
+   */
+  async updateAIAPIKey(userId, containerId, keyId, settings) {
+    await this.initialize();
+    const columns = Object.keys(settings).filter(column => API_KEY_SETTING_COLUMNS.includes(column));
+    if (columns.length === 0) {
+      const key = await this.db.getRow(
+        'SELECT id FROM ai_api_keys WHERE id = ? AND user_id = ? AND container_id = ?',
+        [keyId, userId, containerId]
+      );
+      return Boolean(key);
+    }
+    const result = await this.db.runQuery(
+      `UPDATE ai_api_keys SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ? AND user_id = ? AND container_id = ?`,
+      [...columns.map(c => settings[c]), keyId, userId, containerId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Give a cloned bot a fresh key for each active key of its source, with the same labels and settings
+   * Key strings are unique per bot, so the clone never answers to the source's keys; version pins are
+   * not carried over because the clone has its own configuration history.
+   * @returns {Promise<Array>} - [{ keyId, label, apiKey }] new keys, to be shown once
+   */
+  async copyAIAPIKeys(userId, sourceContainerId, targetContainerId) {
+    await this.initialize();
+    const keys = await this.db.getRows(
+      `SELECT label, ${API_KEY_SETTING_COLUMNS.join(', ')} FROM ai_api_keys
+       WHERE user_id = ? AND container_id = ? AND is_active = 1 ORDER BY created_at`,
+      [userId, sourceContainerId]
     );
+    const created = [];
+    for (const key of keys) {
+      const settings = Object.fromEntries(API_KEY_SETTING_COLUMNS.map(column => [column, key[column]]));
+      const { id, apiKey } = await this.createAIAPIKey(userId, targetContainerId, key.label, settings);
+      created.push({ keyId: id, label: key.label, apiKey });
+    }
+    return created;
   }
 
   /**
@@ -530,26 +935,71 @@ class AIService {
   }
 
   /**
-   * Resolve API key to container and user
+   * Pin an API key to a configuration version (null follows the active version)
+   * @returns {Promise<boolean>} - Whether the key was found
+   */
+  async pinAPIKeyVersion(userId, containerId, keyId, version) {
+    await this.initialize();
+    const result = await this.db.runQuery(
+      `UPDATE ai_api_keys SET config_version = ? WHERE id = ? AND user_id = ? AND container_id = ?`,
+      [version, keyId, userId, containerId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Resolve an active API key (as sent by the client) to its record
    */
   async resolveAPIKey(apiKey) {
     await this.initialize();
     const row = await this.db.getRow(
       `SELECT * FROM ai_api_keys WHERE api_key = ? AND is_active = 1`,
-      [apiKey]
+      [hashAPIKey(apiKey)]
     );
     return row;
   }
 
   /**
-   * Touch last_used_at on a key
+   * Today's (UTC) usage of a key
+   * @returns {Promise<{requests:number, tokens:number}>}
    */
-  async touchAPIKeyUsage(keyId) {
+  async getAPIKeyUsageToday(keyId) {
+    await this.initialize();
+    const row = await this.db.getRow(
+      'SELECT requests, tokens FROM ai_api_key_usage WHERE key_id = ? AND day = ?',
+      [keyId, usageDay()]
+    );
+    return { requests: row ? row.requests : 0, tokens: row ? row.tokens : 0 };
+  }
+
+  /**
+   * Count a request (and the tokens it used) against a key's daily usage
+   * @param {string} keyId
+   * @param {Object} usage - { requests, tokens } to add
+   */
+  async addAPIKeyUsage(keyId, { requests = 0, tokens = 0 }) {
+    await this.initialize();
+    await this.db.runQuery(
+      `INSERT INTO ai_api_key_usage (key_id, day, requests, tokens) VALUES (?, ?, ?, ?)
+       ON CONFLICT (key_id, day) DO UPDATE SET requests = requests + excluded.requests, tokens = tokens + excluded.tokens`,
+      [keyId, usageDay(), requests, tokens]
+    );
+  }
+
+  /**
+   * Record a successful call: touch last_used_at and add the tokens it used to today's usage
+   * @param {string} keyId
+   * @param {number} tokens - Estimated tokens of the message and reply
+   */
+  async touchAPIKeyUsage(keyId, tokens = 0) {
     await this.initialize();
     await this.db.runQuery(
       `UPDATE ai_api_keys SET last_used_at = ? WHERE id = ?`,
       [new Date().toISOString(), keyId]
     );
+    if (tokens > 0) {
+      await this.addAPIKeyUsage(keyId, { tokens });
+    }
   }
 }
 
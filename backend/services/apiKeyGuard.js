@@ -0,0 +1,115 @@
+const { aiService } = require('./aiService');
+const { apiError } = require('../utils/apiErrors');
+const { ipAllowed, originOf } = require('../utils/apiKeys');
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+const parseList = (value) => {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Seconds until the next UTC midnight, when daily quotas reset
+const secondsUntilReset = () => {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+};
+
+/**
+ * Checks a bot API key before a public request: expiry, scope, allowed origins and IPs,
+ * requests per minute and the daily token quota. Shared by /public, /public/v1 and /v1;
+ * each router sends the thrown errors (apiError codes) in its own format.
+ */
+class APIKeyGuard {
+  constructor() {
+    // keyId -> timestamps of the requests in the last minute (per process)
+    this.requestTimes = new Map();
+  }
+
+  /**
+   * Resolve and check a key for a request
+   * @param {string} apiKey - Key as sent by the client
+   * @param {Object} request - { scope (required scope, omit for scope-free routes), origin (Origin or Referer header), ip,
+   *   kind (secret, the default, or publishable for the website widget) }
+   * @returns {Promise<{ key: Object, aiInstance: Object }>}
+   * @throws {Error} - apiError with code invalid_api_key, expired_api_key, insufficient_scope, origin_not_allowed,
+   *   ip_not_allowed, rate_limited or quota_exceeded (the 429s carry retryAfter seconds)
+   */
+  async authorize(apiKey, { scope, origin, ip, kind = 'secret' } = {}) {
+    const key = await aiService.resolveAPIKey(apiKey);
+    const aiInstance = key && await aiService.getAIInstance(key.container_id);
+    if (!aiInstance) {
+      throw apiError('invalid_api_key', 'Invalid or inactive API key');
+    }
+    if ((key.kind || 'secret') !== kind) {
+      throw apiError('invalid_api_key', kind === 'publishable'
+        ? 'The website widget needs a publishable key; secret keys must not be used in web pages'
+        : 'Publishable keys only work with the website widget');
+    }
+    if (key.expires_at && Date.parse(key.expires_at) <= Date.now()) {
+      throw apiError('expired_api_key', `API key expired at ${key.expires_at}`);
+    }
+
+    const scopes = (key.scopes || '').split(',');
+    if (scope && !scopes.includes(scope)) {
+      throw apiError('insufficient_scope', `This API key does not have the "${scope}" scope`);
+    }
+
+    const allowedOrigins = parseList(key.allowed_origins);
+    if (allowedOrigins) {
+      const requestOrigin = originOf(origin);
+      if (!requestOrigin || !allowedOrigins.includes(requestOrigin)) {
+        throw apiError('origin_not_allowed', `Origin ${requestOrigin || '(none)'} is not allowed for this API key`);
+      }
+    }
+
+    const allowedIps = parseList(key.allowed_ips);
+    if (allowedIps && !ipAllowed(ip, allowedIps)) {
+      throw apiError('ip_not_allowed', `IP address ${ip} is not allowed for this API key`);
+    }
+
+    if (key.daily_token_quota) {
+      const usage = await aiService.getAPIKeyUsageToday(key.id);
+      if (usage.tokens >= key.daily_token_quota) {
+        throw Object.assign(
+          apiError('quota_exceeded', `Daily token quota of ${key.daily_token_quota} used up; it resets at midnight UTC`),
+          { retryAfter: secondsUntilReset() }
+        );
+      }
+    }
+
+    this.takeRequestSlot(key);
+    await aiService.addAPIKeyUsage(key.id, { requests: 1 });
+    return { key, aiInstance };
+  }
+
+  /**
+   * Count a request in the key's one-minute window, or throw rate_limited when the window is full
+   */
+  takeRequestSlot(key) {
+    if (!key.rpm_limit) {
+      this.requestTimes.delete(key.id);
+      return;
+    }
+    const now = Date.now();
+    const recent = (this.requestTimes.get(key.id) || []).filter(time => now - time < RATE_WINDOW_MS);
+    if (recent.length >= key.rpm_limit) {
+      this.requestTimes.set(key.id, recent);
+      const retryAfter = Math.max(1, Math.ceil((recent[0] + RATE_WINDOW_MS - now) / 1000));
+      throw Object.assign(
+        apiError('rate_limited', `Rate limit of ${key.rpm_limit} requests per minute exceeded`),
+        { retryAfter }
+      );
+    }
+    recent.push(now);
+    this.requestTimes.set(key.id, recent);
+  }
+}
+
+const apiKeyGuard = new APIKeyGuard();
+
+module.exports = { apiKeyGuard };
@@ -0,0 +1,180 @@
+const { TONES, parseTopicGuard, parseBehaviour } = require('../utils/configValidation');
+
+/**
+ * Starter templates for the bot builder. `defaults` pre-fill every builder step; users can change
+ * any of it before creating the bot.
+ */
+const BOT_TEMPLATES = [
+  {
+    id: 'support-desk',
+    name: 'Support desk',
+    summary: 'Answers customer questions about orders, billing and accounts from your help-center documents.',
+    expertise: ['customer_service'],
+    defaults: {
+      name: 'Support Assistant',
+      description: 'A customer support assistant that answers questions about orders, billing, accounts, shipping and returns using the company help-center documents, and tells customers how to reach a human agent when it cannot resolve an issue.',
+      tone: 'friendly',
+      responseLength: 'short',
+      capabilities: ['explanation', 'summarization'],
+      citationPolicy: 'on-request',
+      topicGuard: {
+        allowTopics: ['orders', 'billing', 'account', 'shipping', 'returns', 'refunds'],
+        denyTopics: ['legal advice', 'medical advice'],
+        inScopeExamples: ['Where is my order?', 'How do I change the card on my account?'],
+        outOfScopeExamples: ['Write me a poem about the ocean', 'Who will win the election?']
+      }
+    },
+    sampleQuestions: ['Where is my order?', 'How do I request a refund?', 'Can I change my shipping address?']
+  },
+  {
+    id: 'research-assistant',
+    name: 'Research assistant',
+    summary: 'Reads papers and sources, summarizes findings and always cites where each claim comes from.',
+    expertise: ['research'],
+    defaults: {
+      name: 'Research Assistant',
+      description: 'A research assistant that finds, reads and summarizes papers, reports and uploaded documents, compares findings, points out limitations and cites the source of every claim.',
+      tone: 'professional',
+      responseLength: 'long',
+      capabilities: ['summarization', 'data_analysis', 'explanation'],
+      citationPolicy: 'always',
+      topicGuard: {}
+    },
+    sampleQuestions: ['Summarize the main findings of the uploaded paper', 'What are the limitations of this study?', 'Compare these two approaches']
+  },
+  {
+    id: 'tutor',
+    name: 'Tutor',
+    summary: 'Explains concepts step by step, checks understanding and guides students instead of handing out answers.',
+    expertise: ['education'],
+    defaults: {
+      name: 'Study Tutor',
+      description: 'A patient tutor that explains concepts step by step with examples, asks questions to check understanding, and guides students to solve problems themselves rather than giving away answers.',
+      tone: 'friendly',
+      responseLength: 'medium',
+      capabilities: ['explanation', 'content_generation', 'creative_thinking'],
+      citationPolicy: 'on-request',
+      topicGuard: {
+        outOfScopeExamples: ['Just give me the answers to my take-home exam']
+      }
+    },
+    sampleQuestions: ['Can you explain photosynthesis simply?', 'Quiz me on fractions', 'Why does this equation work?']
+  },
+  {
+    id: 'code-reviewer',
+    name: 'Code reviewer',
+    summary: 'Reviews code for bugs, readability and security issues and suggests concrete fixes.',
+    expertise: ['technical_support'],
+    defaults: {
+      name: 'Code Reviewer',
+      description: 'A senior code reviewer that reads code snippets and diffs, points out bugs, security issues, performance problems and unclear naming, and suggests concrete fixes with example code.',
+      tone: 'technical',
+      responseLength: 'medium',
+      capabilities: ['code_generation', 'explanation'],
+      citationPolicy: 'never',
+      topicGuard: {
+        allowTopics: ['code', 'programming', 'software', 'pull request', 'bug', 'refactoring', 'tests', 'security'],
+        inScopeExamples: ['Can you review this function?', 'Is there a race condition here?']
+      }
+    },
+    sampleQuestions: ['Review this function for bugs', 'How would you refactor this class?', 'Is this SQL query safe?']
+  }
+];
+
+class BotBuilder {
+  /**
+   * Templates offered by the builder
+   * @returns {Array} - [{ id, name, summary, defaults, sampleQuestions }]
+   */
+  listTemplates() {
+    return BOT_TEMPLATES.map(({ expertise, ...template }) => template);
+  }
+
+  getTemplate(templateId) {
+    return BOT_TEMPLATES.find(template => template.id === templateId) || null;
+  }
+
+  /**
+   * Whether a create request carries builder settings (older clients send only name and description)
+   * @param {Object} body - Request body
+   * @returns {boolean}
+   */
+  hasSpec(body) {
+    return ['templateId', 'tone', 'responseLength', 'capabilities', 'citationPolicy', 'topicGuard']
+      .some(field => body[field] !== undefined);
+  }
+
+  /**
+   * Validate builder settings; anything not sent comes from the template, then from plain defaults
+   * @param {Object} body - { templateId, name, description, tone, responseLength, capabilities, citationPolicy, topicGuard }
+   * @returns {{ spec: Object, error: string|null }}
+   */
+  normalizeSpec(body) {
+    const template = body.templateId ? this.getTemplate(body.templateId) : null;
+    if (body.templateId && !template) {
+      return { error: `Unknown template "${body.templateId}"` };
+    }
+    const defaults = template ? template.defaults : {};
+
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const description = typeof body.description === 'string' ? body.description.trim() : '';
+    if (!name || name.length > 50) {
+      return { error: 'AI name must be 1-50 characters' };
+    }
+    if (!description || description.length > 500) {
+      return { error: 'AI description must be 1-500 characters' };
+    }
+
+    const tone = body.tone !== undefined ? body.tone : (defaults.tone || 'friendly');
+    if (!TONES.includes(tone)) {
+      return { error: `tone must be one of: ${TONES.join(', ')}` };
+    }
+
+    const { behaviour, error: behaviourError } = parseBehaviour(body);
+    if (behaviourError) return { error: behaviourError };
+
+    const { topicGuard, error: guardError } = parseTopicGuard(body.topicGuard !== undefined ? body.topicGuard : (defaults.topicGuard || {}));
+    if (guardError) return { error: guardError };
+
+    return {
+      spec: {
+        templateId: template ? template.id : null,
+        name,
+        description,
+        tone,
+        responseLength: behaviour.responseLength || defaults.responseLength || 'medium',
+        capabilities: behaviour.capabilities || defaults.capabilities || [],
+        citationPolicy: behaviour.citationPolicy || defaults.citationPolicy || 'on-request',
+        topicGuard
+      },
+      error: null
+    };
+  }
+
+  /**
+   * The ai-config.js fields a spec decides
+   * @param {Object} spec - Output of normalizeSpec
+   * @returns {Object} - { personality, capabilities, citations, topicGuard, template }
+   */
+  toProfile(spec) {
+    const template = spec.templateId ? this.getTemplate(spec.templateId) : null;
+    return {
+      personality: {
+        name: spec.name,
+        tone: spec.tone,
+        expertise: template ? template.expertise : [],
+        traits: [],
+        communicationStyle: 'conversational',
+        responseLength: spec.responseLength
+      },
+      capabilities: ['basic_chat', ...spec.capabilities],
+      citations: { policy: spec.citationPolicy },
+      topicGuard: spec.topicGuard,
+      template: spec.templateId
+    };
+  }
+}
+
+const botBuilder = new BotBuilder();
+
+module.exports = { botBuilder, BOT_TEMPLATES };
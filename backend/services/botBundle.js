@@ -0,0 +1,229 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { containerManager } = require('./containerManager');
+const { aiService } = require('./aiService');
+const { parseConfigUpdates, parseLLM } = require('../utils/configValidation');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Bundle layout: gzipped JSON { manifest, config, documents, vectors?, history? }
+const BUNDLE_FORMAT = 'ai-platform-bot';
+// Bump when the layout changes; imports refuse bundles newer than this
+const BUNDLE_VERSION = 1;
+
+/**
+ * Portable bot bundles: one archive with a bot's configuration, documents, and optionally its
+ * vectors and the owner's chat history, for moving bots between accounts or environments
+ */
+class BotBundle {
+  /**
+   * Build an export archive for a bot
+   * @param {Object} aiInstance - ai_instances row (owner's)
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - { vectors } include the vector index, { history } include the owner's chat threads
+   * @returns {Promise<Object>} - { archive: Buffer, filename, manifest }
+   */
+  async exportBot(aiInstance, sessionId, options = {}) {
+    const containerId = aiInstance.container_id;
+    const aiConfig = await containerManager.readBotConfig(containerId);
+    if (!aiConfig) {
+      throw Object.assign(new Error('Bot configuration not found'), { status: 404 });
+    }
+
+    const data = await containerManager.exportBotData(containerId, {
+      vectors: Boolean(options.vectors),
+      interactions: Boolean(options.vectors && options.history)
+    }, sessionId);
+    if (data.success === false) {
+      throw Object.assign(new Error(data.message || 'Failed to read bot data'), { status: data.status || 502 });
+    }
+
+    const history = options.history ? await aiService.exportThreads(aiInstance.user_id, containerId) : null;
+    const manifest = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      bot: { name: aiConfig.name, description: aiConfig.description, configVersion: aiConfig.configVersion || null },
+      embedding: data.vectors ? data.vectors.embedding : null,
+      contents: {
+        documents: data.documents.length,
+        vectors: data.vectors ? data.vectors.items.length : 0,
+        threads: history ? history.length : 0
+      }
+    };
+
+    const bundle = {
+      manifest,
+      config: containerManager.versionedConfig(aiConfig),
+      documents: data.documents,
+      ...(data.vectors ? { vectors: { embedding: data.vectors.embedding, items: data.vectors.items.map(encodeVectorItem) } } : {}),
+      ...(history ? { history } : {})
+    };
+
+    const slug = String(aiConfig.name || 'bot').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'bot';
+    return {
+      archive: await gzip(Buffer.from(JSON.stringify(bundle))),
+      filename: `${slug}.aibot`,
+      manifest
+    };
+  }
+
+  /**
+   * Read and validate an uploaded archive (gzipped, or plain JSON)
+   * @param {Buffer} buffer - Uploaded file
+   * @returns {Promise<Object>} - Bundle
+   */
+  async parseBundle(buffer) {
+    let bundle;
+    try {
+      const isGzip = buffer[0] === 0x1f && buffer[1] === 0x8b;
+      bundle = JSON.parse((isGzip ? await gunzip(buffer) : buffer).toString('utf-8'));
+    } catch (error) {
+      throw Object.assign(new Error('File is not a bot bundle'), { status: 400 });
+    }
+
+    const manifest = bundle && bundle.manifest;
+    if (!manifest || manifest.format !== BUNDLE_FORMAT) {
+      throw Object.assign(new Error('File is not a bot bundle'), { status: 400 });
+    }
+    if (!Number.isInteger(manifest.version) || manifest.version < 1) {
+      throw Object.assign(new Error('Bundle manifest has no valid version'), { status: 400 });
+    }
+    if (manifest.version > BUNDLE_VERSION) {
+      throw Object.assign(new Error(`Bundle version ${manifest.version} is newer than this platform supports (${BUNDLE_VERSION})`), { status: 422 });
+    }
+
+    const { config, documents } = bundle;
+    if (!config || typeof config !== 'object' || typeof config.name !== 'string' || typeof config.description !== 'string') {
+      throw Object.assign(new Error('Bundle has no bot configuration'), { status: 400 });
+    }
+    if (!Array.isArray(documents)) {
+      throw Object.assign(new Error('Bundle has no documents list'), { status: 400 });
+    }
+    if (bundle.vectors && (!Array.isArray(bundle.vectors.items) || !bundle.vectors.embedding)) {
+      throw Object.assign(new Error('Bundle vectors are malformed'), { status: 400 });
+    }
+    return bundle;
+  }
+
+  /**
+   * The editable part of a bundle's configuration, validated like a config editor request. Anything else
+   * (LLM base URLs, unknown fields) is dropped, so a bundle can't point the bot at another server.
+   * @param {Object} config - Bundle configuration
+   * @param {string} name - Bot name
+   * @param {string} description - Bot description
+   * @returns {Object} - Configuration for containerManager.createContainer
+   */
+  importableConfig(config, name, description) {
+    let editable;
+    try {
+      editable = containerManager.toEditableConfig(config);
+    } catch (error) {
+      throw Object.assign(new Error('Bundle configuration is malformed'), { status: 400 });
+    }
+    const { updates, error } = parseConfigUpdates({ ...editable, name, description });
+    if (error) {
+      throw Object.assign(new Error(`Bundle configuration is invalid: ${error}`), { status: 400 });
+    }
+    const { llm, error: llmError } = parseLLM(config.llm);
+    if (llmError) {
+      throw Object.assign(new Error(`Bundle configuration is invalid: ${llmError}`), { status: 400 });
+    }
+
+    return {
+      name,
+      description,
+      personality: {
+        name,
+        tone: updates.tone,
+        expertise: [],
+        traits: [],
+        communicationStyle: 'conversational',
+        responseLength: updates.responseLength
+      },
+      capabilities: ['basic_chat', ...updates.capabilities],
+      citations: { policy: updates.citationPolicy },
+      llm: containerManager.buildLLMConfig(llm),
+      topicGuard: updates.topicGuard,
+      widget: updates.widget,
+      detailedInstructions: updates.detailedInstructions,
+      systemPrompt: updates.systemPrompt
+    };
+  }
+
+  /**
+   * Create a new bot from a bundle
+   * @param {string} userId - New owner
+   * @param {string} sessionId - Session ID
+   * @param {Object} bundle - Output of parseBundle
+   * @param {Object} options - { name } override the bundle's bot name
+   * @returns {Promise<Object>} - { containerId, name, documents, vectors, reembedded, indexedChunks, threads }
+   */
+  async importBot(userId, sessionId, bundle, options = {}) {
+    const name = (options.name || bundle.config.name).trim().slice(0, 50);
+    const description = bundle.config.description.trim().slice(0, 500);
+    if (!name || !description) {
+      throw Object.assign(new Error('Bundle bot has no name or description'), { status: 400 });
+    }
+    const config = this.importableConfig(bundle.config, name, description);
+
+    const aiInstance = await aiService.createAIInstance({
+      userId,
+      sessionId,
+      name,
+      description,
+      status: 'Initializing'
+    });
+    const { containerId } = aiInstance;
+
+    const created = await containerManager.createContainer(sessionId, containerId, name, description, {
+      config,
+      authorId: userId,
+      note: `Imported from bundle (exported ${bundle.manifest.exportedAt || 'at an unknown time'})`
+    });
+    if (!created.success) {
+      await aiService.updateAIStatus(containerId, 'Error');
+      throw Object.assign(new Error(`Failed to create bot: ${created.error}`), { status: 500 });
+    }
+    await aiService.updateAIStatus(containerId, containerManager.runningStatus());
+
+    const vectors = bundle.vectors
+      ? { embedding: bundle.vectors.embedding, items: bundle.vectors.items.map(decodeVectorItem) }
+      : null;
+    const data = await containerManager.importBotData(containerId, { documents: bundle.documents, ...(vectors ? { vectors } : {}) }, sessionId);
+    if (data.success === false) {
+      throw Object.assign(new Error(`Bot created, but its documents could not be imported: ${data.message}`), { status: data.status || 502, containerId });
+    }
+
+    const threads = Array.isArray(bundle.history)
+      ? await aiService.importThreads(userId, sessionId, containerId, bundle.history)
+      : 0;
+
+    console.log(`📦 Imported bundle as ${name} (${containerId})`);
+    return {
+      containerId,
+      name,
+      documents: data.documents,
+      vectors: data.vectors,
+      reembedded: data.reembedded,
+      indexedChunks: data.indexedChunks,
+      threads
+    };
+  }
+}
+
+// Vectors travel as base64 Float32 arrays (about a third of the size of JSON numbers)
+function encodeVectorItem(item) {
+  return { ...item, vector: Buffer.from(Float32Array.from(item.vector).buffer).toString('base64') };
+}
+
+function decodeVectorItem(item) {
+  if (Array.isArray(item.vector)) return item;
+  const bytes = Buffer.from(String(item.vector || ''), 'base64');
+  return { ...item, vector: Array.from(new Float32Array(Uint8Array.from(bytes).buffer)) };
+}
+
+const botBundle = new BotBundle();
+
+module.exports = { botBundle, BUNDLE_FORMAT, BUNDLE_VERSION };
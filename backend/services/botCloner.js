@@ -0,0 +1,75 @@
+const { containerManager } = require('./containerManager');
+const { aiService } = require('./aiService');
+
+/**
+ * Clone an existing bot into a new container: same configuration, and optionally the same
+ * documents and vector index, the owner's chat history and (freshly issued) API keys
+ */
+class BotCloner {
+  /**
+   * Create a copy of a bot
+   * @param {Object} source - ai_instances row of the bot to copy (owner's)
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - { name, description } for the copy (default: "<name> (copy)" and the source's description),
+   *   { documents } copy documents and their vectors (default true), { history } copy the owner's chat threads and
+   *   the bot's conversation memory, { apiKeys } issue a new key for each active key of the source
+   * @returns {Promise<Object>} - { containerId, name, sourceContainerId, documents, history, threads, apiKeys } where
+   *   apiKeys lists the new keys as [{ keyId, label, apiKey }] (shown once: only their hashes are stored)
+   */
+  async cloneBot(source, sessionId, options = {}) {
+    const sourceId = source.container_id;
+    const sourceConfig = await containerManager.readBotConfig(sourceId);
+    if (!sourceConfig) {
+      throw Object.assign(new Error('Bot configuration not found'), { status: 404 });
+    }
+
+    const name = (options.name || `${source.name} (copy)`).trim().slice(0, 50);
+    const description = (options.description || source.description).trim().slice(0, 500);
+    const documents = options.documents !== false;
+    const history = Boolean(options.history);
+
+    const aiInstance = await aiService.createAIInstance({
+      userId: source.user_id,
+      sessionId,
+      name,
+      description,
+      status: 'Initializing'
+    });
+    const { containerId } = aiInstance;
+
+    const personality = sourceConfig.personality ? { ...sourceConfig.personality, name } : undefined;
+    const created = await containerManager.createContainer(sessionId, containerId, name, description, {
+      config: { ...sourceConfig, ...(personality ? { personality } : {}) },
+      authorId: source.user_id,
+      note: `Cloned from ${source.name}${sourceConfig.configVersion ? ` (version ${sourceConfig.configVersion})` : ''}`,
+      copyFrom: { containerId: sourceId, documents, history }
+    });
+    if (!created.success) {
+      await aiService.updateAIStatus(containerId, 'Error');
+      throw Object.assign(new Error(`Failed to clone bot: ${created.error}`), { status: 500 });
+    }
+    await aiService.updateAIStatus(containerId, containerManager.runningStatus());
+
+    const threads = history
+      ? await aiService.importThreads(source.user_id, sessionId, containerId, await aiService.exportThreads(source.user_id, sourceId))
+      : 0;
+    const apiKeys = options.apiKeys
+      ? await aiService.copyAIAPIKeys(source.user_id, sourceId, containerId)
+      : [];
+
+    console.log(`🧬 Cloned ${source.name} (${sourceId}) as ${name} (${containerId})`);
+    return {
+      containerId,
+      name,
+      sourceContainerId: sourceId,
+      documents,
+      history,
+      threads,
+      apiKeys
+    };
+  }
+}
+
+const botCloner = new BotCloner();
+
+module.exports = { botCloner };
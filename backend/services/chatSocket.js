@@ -0,0 +1,127 @@
+const WebSocket = require('ws');
+const { sessionManager } = require('./sessionManager');
+const { containerManager } = require('./containerManager');
+const { ingestJobService } = require('./ingestJobService');
+const { aiService } = require('./aiService');
+
+/**
+ * Dashboard WebSocket: chat with one bot (`chat` frames answered by `token`, `done` and `error` frames
+ * carrying the request's requestId) and the bot's upload progress (`ingest_job` frames for its owner)
+ * Clients connect with ?sessionId=&containerId=.
+ */
+
+async function handleConnection(ws, req) {
+  console.log('New WebSocket connection established');
+  
+  // Extract session ID from query parameters
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const sessionId = url.searchParams.get('sessionId');
+  const containerId = url.searchParams.get('containerId');
+  
+  if (!sessionId || !containerId) {
+    ws.close(1008, 'Missing sessionId or containerId');
+    return;
+  }
+
+  // Validate session (messages are only handled once it is, after the welcome frame)
+  if (!(await sessionManager.isValidSession(sessionId))) {
+    ws.close(1008, 'Invalid session');
+    return;
+  }
+
+  // Store connection info
+  ws.sessionId = sessionId;
+  ws.containerId = containerId;
+  
+  // Send welcome message
+  ws.send(JSON.stringify({
+    type: 'connection',
+    message: 'Connected to AI chatbot',
+    containerId: containerId
+  }));
+
+  // Upload progress for the bot's owner: `ingest_job` frames carry the job after every change
+  let unsubscribeJobs = null;
+  Promise.all([sessionManager.getSession(sessionId), aiService.getAIInstance(containerId)])
+    .then(([session, aiInstance]) => {
+      if (!session || !aiInstance || aiInstance.user_id !== session.userId || ws.readyState !== WebSocket.OPEN) return;
+      unsubscribeJobs = ingestJobService.subscribe(containerId, (job) => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify({ type: 'ingest_job', job }));
+        }
+      });
+    })
+    .catch((error) => console.error('WebSocket job subscription error:', error));
+
+  // Handle incoming messages
+  ws.on('message', async (message) => {
+    try {
+      const data = JSON.parse(message);
+      
+      if (data.type === 'chat') {
+        // Optional client-chosen ID echoed on every frame so replies can be matched to requests
+        const requestId = data.requestId || null;
+        const sendFrame = (frame) => {
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ ...frame, requestId }));
+          }
+        };
+
+        // Forward message to AI container, streaming tokens back as they arrive
+        const response = await containerManager.sendMessageToContainer(
+          containerId, 
+          data.message, 
+          sessionId,
+          { onToken: (token) => sendFrame({ type: 'token', token }) }
+        );
+        
+        // Final reply is authoritative (it may add sources after the streamed text)
+        if (response.success) {
+          sendFrame({
+            type: 'done',
+            message: response.message,
+            citations: response.citations || [],
+            timestamp: new Date().toISOString()
+          });
+        } else {
+          sendFrame({
+            type: 'error',
+            message: response.error || 'Failed to process message'
+          });
+        }
+      }
+    } catch (error) {
+      console.error('WebSocket message error:', error);
+      ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Failed to process message'
+      }));
+    }
+  });
+
+  // Handle connection close
+  ws.on('close', () => {
+    if (unsubscribeJobs) unsubscribeJobs();
+    console.log(`WebSocket connection closed for container ${containerId}`);
+  });
+
+  // Handle errors
+  ws.on('error', (error) => {
+    console.error('WebSocket error:', error);
+  });
+}
+
+/**
+ * Serve the dashboard WebSocket on an HTTP server
+ * @param {Object} server - http.Server
+ * @returns {Object} - WebSocket.Server
+ */
+function attachChatSocket(server) {
+  const wss = new WebSocket.Server({ server });
+  wss.on('connection', (ws, req) => {
+    handleConnection(ws, req).catch((error) => console.error('WebSocket connection error:', error));
+  });
+  return wss;
+}
+
+module.exports = { attachChatSocket };
@@ -0,0 +1,388 @@
+const axios = require('axios');
+
+// Failures where the request never reached the bot, so retrying can't double-apply it
+const CONNECT_ERRORS = new Set(['ECONNREFUSED', 'EHOSTUNREACH', 'ENOTFOUND', 'EAI_AGAIN']);
+// Failures worth retrying for idempotent requests
+const TRANSIENT_ERRORS = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE']);
+const TRANSIENT_STATUSES = new Set([502, 503, 504]);
+
+/**
+ * HTTP client for one AI container's API (botLogic.js)
+ * Used for Docker containers and for demo-mode bots listening on a local port alike.
+ */
+class ContainerClient {
+  /**
+   * @param {Object} options - { baseUrl, timeoutMs, streamTimeoutMs, retries, retryDelayMs }
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.CONTAINER_REQUEST_TIMEOUT_MS) || 60000;
+    this.streamTimeoutMs = options.streamTimeoutMs || parseInt(process.env.CONTAINER_STREAM_TIMEOUT_MS) || 180000;
+    this.retries = options.retries ?? (parseInt(process.env.CONTAINER_REQUEST_RETRIES) || 2);
+    this.retryDelayMs = options.retryDelayMs || 500;
+    this.http = axios.create({ baseURL: this.baseUrl, timeout: this.timeoutMs });
+  }
+
+  /**
+   * Send a request to the container, retrying connection failures (and transient
+   * failures of idempotent requests) with exponential backoff
+   * @param {string} method - HTTP method
+   * @param {string} url - Path on the container
+   * @param {Object} options - { data, params, headers, timeout, idempotent, responseType }
+   * @returns {Promise<Object>} - Axios response
+   */
+  async request(method, url, options = {}) {
+    const idempotent = options.idempotent ?? ['get', 'put', 'delete'].includes(method);
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.http.request({
+          method,
+          url,
+          data: options.data,
+          params: options.params,
+          headers: options.headers,
+          timeout: options.timeout || this.timeoutMs,
+          responseType: options.responseType,
+          maxBodyLength: Infinity,
+          maxContentLength: Infinity
+        });
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = CONNECT_ERRORS.has(error.code) ||
+          (idempotent && (TRANSIENT_ERRORS.has(error.code) || TRANSIENT_STATUSES.has(status)));
+
+        if (!retryable || attempt >= this.retries) {
+          throw this._toError(error, method, url);
+        }
+        const delay = this.retryDelayMs * Math.pow(2, attempt);
+        console.warn(`⏳ ${method.toUpperCase()} ${url} failed (${error.code || status}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  _toError(error, method, url) {
+    const body = error.response?.data;
+    const detail = (body && typeof body === 'object' && (body.message || body.error)) || error.message;
+    const wrapped = new Error(`Container ${method.toUpperCase()} ${url} failed: ${detail}`);
+    wrapped.status = error.response?.status || (error.code === 'ECONNABORTED' ? 504 : 502);
+    wrapped.code = error.code;
+    wrapped.body = body;
+    return wrapped;
+  }
+
+  /**
+   * Poll /health until the bot answers
+   * @param {Object} options - { timeoutMs, intervalMs }
+   * @returns {Promise<Object>} - Health payload
+   */
+  async waitForHealth(options = {}) {
+    const timeoutMs = options.timeoutMs || parseInt(process.env.CONTAINER_READY_TIMEOUT_MS) || 30000;
+    const intervalMs = options.intervalMs || 500;
+    const deadline = Date.now() + timeoutMs;
+    let lastError = null;
+
+    while (Date.now() < deadline) {
+      try {
+        const response = await this.http.get('/health', { timeout: Math.min(5000, timeoutMs) });
+        if (response.data?.status === 'healthy') return response.data;
+      } catch (error) {
+        lastError = error;
+      }
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+    const error = new Error(`Container at ${this.baseUrl} not ready after ${timeoutMs}ms${lastError ? `: ${lastError.message}` : ''}`);
+    error.status = 503;
+    throw error;
+  }
+
+  /**
+   * Whether the bot is crawling a web source or running ingestion jobs
+   * @returns {Promise<boolean>}
+   */
+  async isBusy() {
+    const response = await this.request('get', '/health', { timeout: 5000 });
+    return response.data?.busy === true;
+  }
+
+  async chat(message, conversationId, options = {}) {
+    const response = await this.request('post', '/chat', {
+      data: { message, conversationId, configVersion: options.configVersion }
+    });
+    return response.data;
+  }
+
+  /**
+   * Stream a reply over the container's SSE endpoint
+   * @param {string} message - User message
+   * @param {string} conversationId - Conversation for the bot's memory
+   * @param {Function} onToken - Called with each token
+   * @param {Object} options - { configVersion } answer with a pinned configuration version
+   * @returns {Promise<Object>} - The `done` frame ({ response, citations, ... })
+   */
+  async chatStream(message, conversationId, onToken, options = {}) {
+    const response = await this.request('post', '/chat/stream', {
+      data: { message, conversationId, configVersion: options.configVersion },
+      responseType: 'stream',
+      timeout: this.streamTimeoutMs
+    });
+
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      let settled = false;
+      const finish = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        fn(value);
+      };
+
+      response.data.on('data', (chunk) => {
+        buffer += chunk.toString('utf-8');
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const frame = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          const event = (frame.match(/^event: (.*)$/m) || [])[1];
+          const data = (frame.match(/^data: (.*)$/m) || [])[1];
+          if (!event || data === undefined) continue;
+          let payload = {};
+          try {
+            payload = JSON.parse(data);
+          } catch (_) {
+            continue;
+          }
+          if (event === 'token') onToken(payload.token);
+          else if (event === 'done') finish(resolve, payload);
+          else if (event === 'error') finish(reject, Object.assign(new Error(payload.message || 'Container stream failed'), { status: 502 }));
+        }
+      });
+      response.data.on('end', () => finish(reject, Object.assign(new Error('Container stream ended without a reply'), { status: 502 })));
+      response.data.on('error', (error) => finish(reject, Object.assign(error, { status: 502 })));
+    });
+  }
+
+  async ingestText(title, text, tags = []) {
+    const response = await this.request('post', '/ingest-text', { data: { title, text, tags } });
+    return response.data;
+  }
+
+  async ingestFile(filename, mimetype, buffer) {
+    const response = await this.request('post', '/ingest-file', {
+      data: buffer,
+      headers: {
+        // Sent as raw bytes; the real type travels in x-file-type so JSON/form files aren't body-parsed
+        'Content-Type': 'application/octet-stream',
+        'x-file-name': encodeURIComponent(filename),
+        'x-file-type': mimetype || 'application/octet-stream'
+      }
+    });
+    return response.data;
+  }
+
+  /**
+   * Queue a file for background ingestion
+   * @returns {Promise<Object>} - { success, job }
+   */
+  async createIngestJob(filename, mimetype, buffer) {
+    const response = await this.request('post', '/ingest-jobs', {
+      data: buffer,
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'x-file-name': encodeURIComponent(filename),
+        'x-file-type': mimetype || 'application/octet-stream'
+      }
+    });
+    return response.data;
+  }
+
+  async listIngestJobs(query = {}) {
+    const response = await this.request('get', '/ingest-jobs', { params: query });
+    return response.data;
+  }
+
+  async getIngestJob(jobId) {
+    const response = await this.request('get', `/ingest-jobs/${encodeURIComponent(jobId)}`);
+    return response.data;
+  }
+
+  async retryIngestJob(jobId) {
+    const response = await this.request('post', `/ingest-jobs/${encodeURIComponent(jobId)}/retry`);
+    return response.data;
+  }
+
+  async cancelIngestJob(jobId) {
+    const response = await this.request('post', `/ingest-jobs/${encodeURIComponent(jobId)}/cancel`);
+    return response.data;
+  }
+
+  /**
+   * Follow the bot's ingestion job events until no job is left running
+   * @param {Function} onJob - Called with each job change
+   * @param {Object} options - { jobIds } jobs to report even if they finished before the stream opened
+   * @returns {Promise<void>} - Resolves on the bot's `idle` event
+   */
+  async watchIngestJobs(onJob, options = {}) {
+    const response = await this.request('get', '/ingest-jobs/events', {
+      params: options.jobIds && options.jobIds.length ? { jobIds: options.jobIds.join(',') } : {},
+      responseType: 'stream',
+      timeout: this.streamTimeoutMs // idle time; the bot sends a heartbeat every 15s
+    });
+
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      let settled = false;
+      const finish = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        response.data.destroy();
+        fn(value);
+      };
+
+      response.data.on('data', (chunk) => {
+        buffer += chunk.toString('utf-8');
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const frame = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          const event = (frame.match(/^event: (.*)$/m) || [])[1];
+          const data = (frame.match(/^data: (.*)$/m) || [])[1];
+          if (!event || data === undefined) continue;
+          let payload = {};
+          try {
+            payload = JSON.parse(data);
+          } catch (_) {
+            continue;
+          }
+          if (event === 'job') onJob(payload);
+          else if (event === 'idle') finish(resolve);
+        }
+      });
+      response.data.on('end', () => finish(reject, Object.assign(new Error('Container job stream ended'), { status: 502 })));
+      response.data.on('error', (error) => finish(reject, Object.assign(error, { status: 502 })));
+    });
+  }
+
+  async listDocuments() {
+    const response = await this.request('get', '/documents');
+    return response.data;
+  }
+
+  async getDocument(docId, query = {}) {
+    const response = await this.request('get', `/documents/${encodeURIComponent(docId)}`, { params: query });
+    return response.data;
+  }
+
+  async updateDocument(docId, changes) {
+    const response = await this.request('patch', `/documents/${encodeURIComponent(docId)}`, { data: changes });
+    return response.data;
+  }
+
+  /**
+   * Queue a new version of a document: { filename, mimetype, buffer } or { text }
+   */
+  async replaceDocument(docId, version) {
+    const response = await this.request('put', `/documents/${encodeURIComponent(docId)}/content`, version.buffer
+      ? {
+        data: version.buffer,
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'x-file-name': encodeURIComponent(version.filename),
+          'x-file-type': version.mimetype || 'application/octet-stream'
+        },
+        idempotent: false // every attempt would queue another job
+      }
+      : { data: { text: version.text }, idempotent: false });
+    return response.data;
+  }
+
+  async deleteDocument(docId) {
+    const response = await this.request('delete', `/documents/${encodeURIComponent(docId)}`);
+    return response.data;
+  }
+
+  async clearDocuments() {
+    const response = await this.request('delete', '/documents');
+    return response.data;
+  }
+
+  async listWebSources() {
+    const response = await this.request('get', '/web-sources');
+    return response.data;
+  }
+
+  async getWebSource(sourceId) {
+    const response = await this.request('get', `/web-sources/${encodeURIComponent(sourceId)}`);
+    return response.data;
+  }
+
+  async createWebSource(settings) {
+    const response = await this.request('post', '/web-sources', { data: settings });
+    return response.data;
+  }
+
+  async updateWebSource(sourceId, changes) {
+    const response = await this.request('patch', `/web-sources/${encodeURIComponent(sourceId)}`, { data: changes });
+    return response.data;
+  }
+
+  async crawlWebSource(sourceId) {
+    const response = await this.request('post', `/web-sources/${encodeURIComponent(sourceId)}/crawl`);
+    return response.data;
+  }
+
+  async deleteWebSource(sourceId, query = {}) {
+    const response = await this.request('delete', `/web-sources/${encodeURIComponent(sourceId)}`, { params: query });
+    return response.data;
+  }
+
+  async listTopicDecisions(query = {}) {
+    const response = await this.request('get', '/topic-guard/decisions', { params: query });
+    return response.data;
+  }
+
+  async clearTopicDecisions() {
+    const response = await this.request('delete', '/topic-guard/decisions');
+    return response.data;
+  }
+
+  async testTopicGuard(message) {
+    const response = await this.request('post', '/topic-guard/test', { data: { message }, idempotent: true });
+    return response.data;
+  }
+
+  async exportBundle(options = {}) {
+    const response = await this.request('get', '/bundle', {
+      params: { vectors: Boolean(options.vectors), interactions: Boolean(options.interactions) },
+      timeout: this.streamTimeoutMs
+    });
+    return response.data;
+  }
+
+  async importBundle(data) {
+    // Re-embedding a large index can take a while
+    const response = await this.request('post', '/bundle', { data, timeout: this.streamTimeoutMs });
+    return response.data;
+  }
+
+  async reloadConfig() {
+    const response = await this.request('post', '/config/reload', { idempotent: true });
+    return response.data;
+  }
+
+  async getMemory(conversationId) {
+    const response = await this.request('get', '/memory', { params: conversationId ? { conversationId } : {} });
+    return response.data;
+  }
+
+  async setMemory(conversationId, messages) {
+    const response = await this.request('put', '/memory', { data: { conversationId, messages } });
+    return response.data;
+  }
+
+  async clearMemory(conversationId) {
+    const response = await this.request('delete', '/memory', { params: conversationId ? { conversationId } : {} });
+    return response.data;
+  }
+}
+
+module.exports = { ContainerClient };
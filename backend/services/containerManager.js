@@ -1,9 +1,68 @@
 const Docker = require('dockerode');
 const { spawn } = require('child_process');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const sqlite3 = require('sqlite3');
 const { v4: uuidv4 } = require('uuid');
 const AIInstructionGenerator = require('./aiInstructionGenerator');
+const { aiService } = require('./aiService');
+const { ContainerClient } = require('./containerClient');
+const { diffConfigs } = require('../utils/configDiff');
+const { botBuilder } = require('./botBuilder');
+
+// ai-config.js fields that belong to the running instance rather than to a configuration version
+const RUNTIME_CONFIG_FIELDS = ['id', 'port', 'apiKeys', 'cloudCredentials', 'createdAt', 'updatedAt', 'configVersion'];
+
+// How many stored exchanges are replayed into a bot's memory when a thread is resumed
+const RESUME_INTERACTIONS = 8;
+
+/**
+ * Parse an ai_instances timestamp (ISO, or SQLite's UTC "YYYY-MM-DD HH:MM:SS")
+ * @param {string} value
+ * @returns {number|null} - Milliseconds since epoch
+ */
+function parseTimestamp(value) {
+  if (!value) return null;
+  const text = String(value);
+  const ms = Date.parse(text.includes('T') ? text : `${text.replace(' ', 'T')}Z`);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Write a consistent copy of a SQLite database that may be open elsewhere (WAL content included)
+ * @param {string} sourcePath - Database file
+ * @param {string} targetPath - New file (must not exist)
+ * @returns {Promise<void>}
+ */
+function snapshotSqlite(sourcePath, targetPath) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(sourcePath, sqlite3.OPEN_READONLY, (openError) => {
+      if (openError) return reject(openError);
+      db.run('VACUUM INTO ?', [targetPath], (error) => {
+        db.close(() => (error ? reject(error) : resolve()));
+      });
+    });
+  });
+}
+
+/**
+ * Run fn after any pending work queued under the same key
+ * @param {Map} queue - key -> tail promise
+ * @param {string} key - e.g. container ID
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>}
+ */
+function serialize(queue, key, fn) {
+  const previous = queue.get(key) || Promise.resolve();
+  const next = previous.catch(() => {}).then(fn);
+  queue.set(key, next);
+  const cleanup = () => {
+    if (queue.get(key) === next) queue.delete(key);
+  };
+  next.then(cleanup, cleanup);
+  return next;
+}
 
 class ContainerManager {
   constructor() {
@@ -23,6 +82,13 @@ class ContainerManager {
     this.basePort = 3001; // Starting port for AI containers
     this.instructionGenerator = new AIInstructionGenerator(); // AI instruction generator
     this.containerBots = new Map(); // Demo mode: cache AIChatbot instances per container
+    this.containerClients = new Map(); // containerId -> { client, ready, server } for HTTP calls to each bot
+    this.containerNetwork = process.env.CONTAINER_NETWORK || ''; // shared Docker network (backend runs in Docker too)
+    this.containerHost = process.env.CONTAINER_HOST || '127.0.0.1'; // where published container ports are reachable
+    this.transitions = new Map(); // containerId -> pending start/stop, so lifecycle changes never overlap
+    this.configUpdates = new Map(); // containerId -> pending config change, so version numbers never race
+    this.idleTimer = null; // Interval that hibernates idle bots
+    this.botImage = null; // Pending or finished build of the Docker-mode bot image
     
     // Placeholder credentials - replace with actual cloud credentials
     this.cloudCredentials = {
@@ -86,6 +152,9 @@ class ContainerManager {
       this.dockerAvailable = true;
       console.log('✅ Docker connection established');
 
+      // Build the bot image in the background so the first bot doesn't wait for it
+      this.ensureBotImage().catch(error => console.warn('⚠️ Could not prepare the bot image:', error.message));
+
       // Ensure main codebase directory exists
       const mainCodebasePath = path.join(__dirname, '../containers/mainCodebase');
       await fs.mkdir(mainCodebasePath, { recursive: true });
@@ -102,6 +171,107 @@ class ContainerManager {
       
       console.log('✅ Container manager initialized in demo mode');
     }
+
+    await this.restoreRegistry();
+    this.startIdleMonitor();
+  }
+
+  /**
+   * Rebuild activeContainers after a restart from the ai_instances table and, in Docker mode,
+   * the containers labelled `ai-platform=true` (matched on their `container-id` label)
+   * @returns {Promise<number>} - Number of containers restored
+   */
+  async restoreRegistry() {
+    try {
+      const instances = await aiService.listAllAIInstances();
+
+      const dockerContainers = new Map();
+      if (this.dockerAvailable) {
+        const labelled = await this.docker.listContainers({ all: true, filters: { label: ['ai-platform=true'] } });
+        for (const entry of labelled) {
+          dockerContainers.set(entry.Labels['container-id'], entry);
+        }
+      }
+
+      let restored = 0;
+      for (const ai of instances) {
+        const containerId = ai.container_id;
+        if (this.activeContainers.has(containerId)) continue;
+
+        // Creation was cut off by the restart
+        if (ai.status === 'Initializing') {
+          await aiService.updateAIStatus(containerId, 'Error');
+          continue;
+        }
+
+        const docked = dockerContainers.get(containerId);
+        const port = await this.readContainerPort(containerId, docked);
+        if (!port) {
+          if (ai.status !== 'Error') {
+            console.warn(`⚠️ Cannot restore ${containerId}: container files or port missing`);
+            await aiService.updateAIStatus(containerId, 'Error');
+          }
+          continue;
+        }
+
+        // Bots that were running but whose process is gone (host reboot, demo-mode restart) come back
+        // hibernated in Docker mode and wake on their next message; stopped and failed bots stay as they were
+        let status;
+        if (docked && docked.State === 'running') {
+          status = 'Running';
+        } else if (['Stopped', 'Hibernated', 'Error'].includes(ai.status)) {
+          status = ai.status;
+        } else {
+          status = this.dockerAvailable ? 'Hibernated' : 'Running (Demo Mode)';
+        }
+
+        this.usedPorts.add(port);
+        this.activeContainers.set(containerId, {
+          container: docked ? this.docker.getContainer(docked.Id) : null,
+          sessionId: ai.session_id,
+          aiName: ai.name,
+          aiDescription: ai.description,
+          port: port,
+          createdAt: ai.created_at,
+          status: status,
+          inFlight: 0
+        });
+        if (status !== ai.status) {
+          await aiService.updateAIStatus(containerId, status);
+        }
+        restored++;
+      }
+
+      for (const containerId of dockerContainers.keys()) {
+        if (!instances.some(ai => ai.container_id === containerId)) {
+          console.warn(`⚠️ Docker container ai-chatbot-${containerId} has no AI instance in the database; leaving it alone`);
+        }
+      }
+
+      console.log(`♻️ Restored ${restored} container(s) into the registry`);
+      return restored;
+    } catch (error) {
+      console.error('❌ Failed to restore container registry:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Find the port a container's bot listens on (Docker label, else its ai-config.js)
+   * @param {string} containerId - Container ID
+   * @param {Object} docked - Entry from docker.listContainers, if any
+   * @returns {Promise<number|null>}
+   */
+  async readContainerPort(containerId, docked = null) {
+    const labelled = parseInt(docked && docked.Labels['ai-platform.port']);
+    if (labelled) return labelled;
+
+    try {
+      const aiConfig = await this.readBotConfig(containerId);
+      return aiConfig ? parseInt(aiConfig.port) || null : null;
+    } catch (error) {
+      return null;
+    }
   }
 
   /**
@@ -110,9 +280,13 @@ class ContainerManager {
    * @param {string} containerId - Unique container ID
    * @param {string} aiName - AI chatbot name
    * @param {string} aiDescription - AI chatbot description
+   * @param {Object} options - { llm } optional { provider, model } for the bot, { authorId } user recorded on version 1,
+   *   { spec } bot builder settings (botBuilder.normalizeSpec); without one, personality is derived from the description,
+   *   { config, note } a complete configuration to start from (e.g. an imported bundle) and its version note,
+   *   { copyFrom } { containerId, documents, history } existing bot whose data the new one starts with (see copyBotData)
    * @returns {Promise<Object>} - Creation result
    */
-  async createContainer(sessionId, containerId, aiName, aiDescription) {
+  async createContainer(sessionId, containerId, aiName, aiDescription, options = {}) {
     try {
       console.log(`Creating container ${containerId} for AI: ${aiName}`);
 
@@ -121,14 +295,17 @@ class ContainerManager {
 
       // Step 1: Clone main codebase into container directory
       await this.cloneMainCode(containerId);
+      if (options.copyFrom) {
+        await this.copyBotData(options.copyFrom.containerId, containerId, options.copyFrom);
+      }
 
       // Step 2: Inject AI-specific logic with port
-      await this.injectAILogic(containerId, aiName, aiDescription, port);
+      await this.injectAILogic(containerId, aiName, aiDescription, port, options);
 
       // Step 3: Create Docker container (skip in demo mode)
       let container = null;
       if (this.dockerAvailable) {
-        container = await this.createDockerContainer(containerId, sessionId);
+        container = await this.createDockerContainer(containerId, sessionId, port);
         await container.start();
         await this.connectContainerToFrontend(containerId, sessionId);
       } else {
@@ -143,9 +320,13 @@ class ContainerManager {
         aiDescription: aiDescription,
         port: port,
         createdAt: new Date().toISOString(),
-        status: this.dockerAvailable ? 'Running' : 'Running (Demo Mode)'
+        status: this.runningStatus(),
+        inFlight: 0
       });
 
+      // Step 4: Wait until the bot answers /health
+      await this.getContainerClient(containerId, sessionId);
+
       console.log(`✅ ${aiName} created successfully`);
       
       return {
@@ -176,16 +357,16 @@ class ContainerManager {
       // Create container directory
       await fs.mkdir(containerPath, { recursive: true });
 
-      // Copy main codebase files
-      await this.copyDirectory(mainCodebasePath, containerPath);
+      // Copy main codebase files (its tests stay behind)
+      await this.copyDirectory(mainCodebasePath, containerPath, { skip: name => name === 'test' });
 
       console.log(`📁 Codebase cloned`);
 
       // Initialize per-container RAG database folder
       try {
         const ragDir = path.join(containerPath, 'rag_db');
+        // The vector store creates rag_db/vectors.sqlite on first use
         await fs.mkdir(ragDir, { recursive: true });
-        await fs.writeFile(path.join(ragDir, 'index.json'), JSON.stringify({ vectors: [] }, null, 2), 'utf-8');
       } catch (e) {
         // RAG DB initialization failed, continuing without it
       }
@@ -196,51 +377,125 @@ class ContainerManager {
     }
   }
 
+  /**
+   * Copy a bot's document store and vector index into a freshly cloned container, before it starts
+   * The source may be running: its SQLite index is copied as a consistent snapshot rather than file by file.
+   * @param {string} sourceId - Container to copy from
+   * @param {string} targetId - New container (after cloneMainCode)
+   * @param {Object} options - { documents } copy documents, their vectors and cached web sources,
+   *   { history } copy the conversation memory vectors
+   * @returns {Promise<void>}
+   */
+  async copyBotData(sourceId, targetId, options = {}) {
+    const { documents, history } = options;
+    if (!documents && !history) return;
+
+    const sourcePath = path.join(__dirname, '../containers', sourceId);
+    const targetPath = path.join(__dirname, '../containers', targetId);
+    if (documents) {
+      await fs.copyFile(path.join(sourcePath, 'doc_store.json'), path.join(targetPath, 'doc_store.json'));
+      // The clone keeps re-crawling the web sources its documents came from
+      await fs.copyFile(path.join(sourcePath, 'web_sources.json'), path.join(targetPath, 'web_sources.json')).catch(() => {});
+    }
+
+    const sourceRag = path.join(sourcePath, 'rag_db');
+    const targetRag = path.join(targetPath, 'rag_db');
+    const hasRag = await fs.access(sourceRag).then(() => true).catch(() => false);
+    if (!hasRag) return;
+    await this.copyDirectory(sourceRag, targetRag, { skip: name => /^vectors\.sqlite(-wal|-shm|-journal)?$/.test(name) });
+
+    const sourceDb = path.join(sourceRag, 'vectors.sqlite');
+    const hasSqlite = await fs.access(sourceDb).then(() => true).catch(() => false);
+    if (hasSqlite) {
+      await snapshotSqlite(sourceDb, path.join(targetRag, 'vectors.sqlite'));
+    }
+
+    // Drop what was not asked for, using the new bot's own store code
+    const roles = [...(documents ? [] : ['document', 'source']), ...(history ? [] : ['interaction'])];
+    if (roles.length === 0) return;
+    const storeModule = path.join(targetPath, 'vectorStore.js');
+    const { createVectorStore } = require(storeModule);
+    const store = createVectorStore({ backend: hasSqlite ? 'sqlite' : 'json', dbDir: targetRag });
+    try {
+      for (const role of roles) {
+        await store.delete({ role });
+      }
+    } finally {
+      await store.close();
+      delete require.cache[require.resolve(storeModule)];
+    }
+  }
+
+  /**
+   * Build the persona part of a bot's ai-config.js: personality, capabilities, topic guard,
+   * instructions and system prompt
+   * @param {string} aiName - AI name
+   * @param {string} aiDescription - AI description
+   * @param {Object} options - { spec } bot builder settings, { llm } { provider, model },
+   *   { previous } config being revised (instructions are reused while name, description and tone are unchanged)
+   * @returns {Promise<Object>} - Partial aiConfig
+   */
+  async buildBotConfig(aiName, aiDescription, options = {}) {
+    const { spec, llm, previous } = options;
+    const profile = spec
+      ? botBuilder.toProfile(spec)
+      : { personality: this.generatePersonality(aiName, aiDescription), capabilities: this.generateCapabilities(aiDescription) };
+    const tone = profile.personality.tone;
+
+    const samePersona = previous && previous.name === aiName && previous.description === aiDescription &&
+      previous.personality && previous.personality.tone === tone;
+    // Generate detailed instructions using AI
+    const detailedInstructions = samePersona
+      ? previous.detailedInstructions
+      : await this.instructionGenerator.generateDetailedInstructions(aiName, aiDescription, tone);
+
+    // Generate complete system prompt
+    const systemPrompt = this.instructionGenerator.generateSystemPrompt(aiName, aiDescription, detailedInstructions);
+
+    return {
+      name: aiName,
+      description: aiDescription,
+      personality: profile.personality,
+      capabilities: profile.capabilities,
+      ...(profile.citations ? { citations: profile.citations } : {}),
+      ...(profile.template ? { template: profile.template } : {}),
+      llm: this.buildLLMConfig(llm),
+      topicGuard: this.toEditableTopicGuard({ topicGuard: profile.topicGuard }),
+      detailedInstructions,
+      systemPrompt
+    };
+  }
+
   /**
    * Inject AI-specific logic into container
    * @param {string} containerId - Container ID
    * @param {string} aiName - AI name
    * @param {string} aiDescription - AI description
    * @param {number} port - Port number for this container
+   * @param {Object} options - { llm } optional { provider, model } (defaults to LLM_PROVIDER / LLM_MODEL),
+   *   { authorId } user recorded as the author of configuration version 1, { spec } bot builder settings,
+   *   { config } ready-made configuration used instead of generating one, { note } note for version 1
    * @returns {Promise<void>}
    */
-  async injectAILogic(containerId, aiName, aiDescription, port) {
+  async injectAILogic(containerId, aiName, aiDescription, port, options = {}) {
     try {
       const containerPath = path.join(__dirname, '../containers', containerId);
-      const configPath = path.join(containerPath, 'ai-config.js');
-
-      // Generate detailed instructions using AI
-      const detailedInstructions = await this.instructionGenerator.generateDetailedInstructions(
-        aiName, 
-        aiDescription, 
-        this.generatePersonality(aiName, aiDescription).tone
-      );
-
-      // Generate complete system prompt
-      const systemPrompt = this.instructionGenerator.generateSystemPrompt(
-        aiName, 
-        aiDescription, 
-        detailedInstructions
-      );
 
       // Create AI-specific configuration
       const aiConfig = {
         id: containerId,
-        name: aiName,
-        description: aiDescription,
+        ...(options.config
+          ? { ...this.versionedConfig(options.config), name: aiName, description: aiDescription }
+          : await this.buildBotConfig(aiName, aiDescription, options)),
         port: port,
-        personality: this.generatePersonality(aiName, aiDescription),
-        capabilities: this.generateCapabilities(aiDescription),
         apiKeys: this.aiApiKeys,
         cloudCredentials: this.cloudCredentials,
-        domain: { keywords: this.deriveDomainKeywords(aiName, aiDescription) },
-        detailedInstructions: detailedInstructions,
-        systemPrompt: systemPrompt,
         createdAt: new Date().toISOString()
       };
 
-      // Write AI configuration file
-      await fs.writeFile(configPath, `const aiConfig = ${JSON.stringify(aiConfig, null, 2)};\nmodule.exports = { aiConfig };`);
+      // Write AI configuration file (as version 1 of its history)
+      aiConfig.configVersion = await this.recordConfigVersion(containerId, aiConfig, { authorId: options.authorId, note: options.note || 'Initial configuration' });
+      await this.writeBotConfig(containerId, aiConfig);
 
       // Update main bot logic with AI-specific behavior
       await this.updateBotLogic(containerPath, aiConfig);
@@ -254,71 +509,443 @@ class ContainerManager {
   }
 
   /**
-   * Derive domain keywords based on AI name/description for strict scope enforcement
+   * Read a bot's ai-config.js
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Object|null>} - aiConfig, or null when the bot has no config file
+   */
+  async readBotConfig(containerId) {
+    const configPath = path.join(__dirname, '../containers', containerId, 'ai-config.js');
+    try {
+      await fs.access(configPath);
+    } catch (error) {
+      return null;
+    }
+    delete require.cache[require.resolve(configPath)];
+    return require(configPath).aiConfig;
+  }
+
+  /**
+   * Write a bot's ai-config.js
+   * @param {string} containerId - Container ID
+   * @param {Object} aiConfig - Full configuration
+   * @returns {Promise<void>}
+   */
+  async writeBotConfig(containerId, aiConfig) {
+    const configPath = path.join(__dirname, '../containers', containerId, 'ai-config.js');
+    await fs.writeFile(configPath, `const aiConfig = ${JSON.stringify(aiConfig, null, 2)};\nmodule.exports = { aiConfig };`);
+  }
+
+  /**
+   * The part of ai-config.js users can edit from the dashboard
+   * @param {Object} aiConfig - Full configuration
+   * @returns {Object} - { name, description, tone, responseLength, capabilities, citationPolicy, detailedInstructions,
+   *   systemPrompt, topicGuard, widget, updatedAt }
+   */
+  toEditableConfig(aiConfig) {
+    return {
+      name: aiConfig.name,
+      description: aiConfig.description,
+      tone: (aiConfig.personality && aiConfig.personality.tone) || 'friendly',
+      responseLength: (aiConfig.personality && aiConfig.personality.responseLength) || 'medium',
+      capabilities: (aiConfig.capabilities || []).filter(capability => capability !== 'basic_chat'),
+      citationPolicy: (aiConfig.citations && aiConfig.citations.policy) || 'on-request',
+      detailedInstructions: aiConfig.detailedInstructions || '',
+      systemPrompt: aiConfig.systemPrompt || '',
+      topicGuard: this.toEditableTopicGuard(aiConfig),
+      widget: this.toEditableWidget(aiConfig),
+      updatedAt: aiConfig.updatedAt || aiConfig.createdAt
+    };
+  }
+
+  /**
+   * A bot's website widget appearance with every field present (empty title and greeting fall back to the
+   * bot's name and a generic greeting in the widget)
+   * @param {Object} aiConfig - Full configuration
+   * @returns {Object} - { title, greeting, placeholder, primaryColor, textColor, position }
+   */
+  toEditableWidget(aiConfig) {
+    const widget = aiConfig.widget || {};
+    return {
+      title: widget.title || '',
+      greeting: widget.greeting || '',
+      placeholder: widget.placeholder || '',
+      primaryColor: widget.primaryColor || '#667eea',
+      textColor: widget.textColor || '#ffffff',
+      position: widget.position || 'bottom-right'
+    };
+  }
+
+  /**
+   * A bot's topic guard with every field present. New bots start with empty lists (no restriction);
+   * bots created before the guard existed get their old `domain.keywords` as allowed topics.
+   * @param {Object} aiConfig - Full configuration
+   * @returns {Object} - { enabled, mode, allowTopics, denyTopics, inScopeExamples, outOfScopeExamples,
+   *   threshold, allowSmallTalk, refusalMessage }
+   */
+  toEditableTopicGuard(aiConfig) {
+    const guard = aiConfig.topicGuard || {};
+    const legacyKeywords = (aiConfig.domain && aiConfig.domain.keywords) || [];
+    return {
+      enabled: guard.enabled !== false,
+      mode: guard.mode || 'embeddings',
+      allowTopics: guard.allowTopics || legacyKeywords,
+      denyTopics: guard.denyTopics || [],
+      inScopeExamples: guard.inScopeExamples || [],
+      outOfScopeExamples: guard.outOfScopeExamples || [],
+      threshold: typeof guard.threshold === 'number' ? guard.threshold : null,
+      allowSmallTalk: guard.allowSmallTalk !== false,
+      refusalMessage: guard.refusalMessage || ''
+    };
+  }
+
+  /**
+   * Get a bot's editable configuration
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Object>} - Editable configuration
+   */
+  async getBotConfig(containerId) {
+    const aiConfig = await this.readBotConfig(containerId);
+    if (!aiConfig) {
+      throw Object.assign(new Error('AI configuration not found'), { status: 404 });
+    }
+    return this.toEditableConfig(aiConfig);
+  }
+
+  /**
+   * Edit a bot's persona, instructions, topic guard and widget, then hot-reload it if it is running
+   * (stopped and hibernated bots pick the new config up when they next start).
+   * The system prompt is rebuilt from the instructions whenever name, description or
+   * instructions change, unless a hand-edited systemPrompt is sent.
+   * @param {string} containerId - Container ID
+   * @param {Object} updates - { name, description, tone, responseLength, capabilities, citationPolicy,
+   *   detailedInstructions, systemPrompt, topicGuard, widget }
+   * @param {Object} options - { regenerateInstructions } to rewrite detailedInstructions with AIInstructionGenerator,
+   *   { authorId, note } recorded on the new configuration version
+   * @returns {Promise<Object>} - { config, version, reloaded, reloadError? }
    */
-  deriveDomainKeywords(aiName, aiDescription) {
-    const text = `${aiName} ${aiDescription}`.toLowerCase();
-    const unique = (arr) => Array.from(new Set(arr));
-    // K-Pop / entertainment
-    if (/(k-pop|kpop|idol|fandom|stan|comeback|lightstick|mv|kdrama|k-drama|music)/i.test(text)) {
-      return unique(['k-pop','kpop','music','idol','comeback','mv','lyrics','fandom','bias','group','dance','choreo','lightstick','fan meeting']);
+  async updateBotConfig(containerId, updates, options = {}) {
+    return serialize(this.configUpdates, containerId, () => this._updateBotConfig(containerId, updates, options));
+  }
+
+  async _updateBotConfig(containerId, updates, options) {
+    const current = await this.readBotConfig(containerId);
+    if (!current) {
+      throw Object.assign(new Error('AI configuration not found'), { status: 404 });
     }
-    // Academic / research
-    if (/(academic|research|peer[- ]?reviewed|paper|journal|scholar|university)/i.test(text)) {
-      return unique(['research','paper','journal','study','methodology','citation','peer reviewed','literature','academic']);
+
+    const before = this.toEditableConfig(current);
+    const name = updates.name !== undefined ? updates.name : before.name;
+    const description = updates.description !== undefined ? updates.description : before.description;
+    const tone = updates.tone !== undefined ? updates.tone : before.tone;
+
+    const next = {
+      ...current,
+      name,
+      description,
+      personality: { ...(current.personality || {}), name, tone, responseLength: updates.responseLength || before.responseLength },
+      updatedAt: new Date().toISOString()
+    };
+    if (updates.capabilities) {
+      next.capabilities = ['basic_chat', ...updates.capabilities];
     }
-    // Technical / developer
-    if (/(developer|engineer|programmer|technical|software|api|code|debug)/i.test(text)) {
-      return unique(['code','programming','software','api','debug','architecture','design patterns']);
+    if (updates.citationPolicy) {
+      next.citations = { ...(current.citations || {}), policy: updates.citationPolicy };
     }
-    // Business / corporate
-    if (/(business|marketing|sales|corporate|strategy|finance|operations|market)/i.test(text)) {
-      return unique(['market','strategy','sales','pricing','finance','operations']);
+    if (updates.topicGuard) {
+      next.topicGuard = { ...before.topicGuard, ...updates.topicGuard };
+      delete next.domain; // superseded by topicGuard.allowTopics
     }
-    // Fitness / gym
-    if (/(fitness|gym|coach|trainer|workout|nutrition|supplement)/i.test(text)) {
-      return unique(['workout','nutrition','supplements','gear','exercises','programs']);
+    if (updates.widget) {
+      next.widget = { ...before.widget, ...updates.widget };
     }
-    // Customer support
-    if (/(customer|support|helpdesk|service|billing|account)/i.test(text)) {
-      return unique(['support','customer','billing','account','orders','refunds','delivery','technical support']);
+
+    if (options.regenerateInstructions) {
+      next.detailedInstructions = await this.instructionGenerator.generateDetailedInstructions(name, description, tone);
+    } else if (updates.detailedInstructions !== undefined) {
+      next.detailedInstructions = updates.detailedInstructions;
+    }
+
+    const promptEdited = !options.regenerateInstructions &&
+      updates.systemPrompt !== undefined && updates.systemPrompt !== before.systemPrompt;
+    const personaChanged = name !== before.name || description !== before.description ||
+      next.detailedInstructions !== before.detailedInstructions;
+    if (promptEdited) {
+      next.systemPrompt = updates.systemPrompt;
+    } else if (personaChanged && next.detailedInstructions) {
+      next.systemPrompt = this.instructionGenerator.generateSystemPrompt(name, description, next.detailedInstructions);
     }
-    return [];
+
+    await this.ensureBaselineVersion(containerId, current);
+    next.configVersion = await this.recordConfigVersion(containerId, next, {
+      authorId: options.authorId,
+      note: options.note || (options.regenerateInstructions ? 'Regenerated instructions' : 'Edited configuration')
+    });
+
+    const result = await this.applyBotConfig(containerId, next);
+    console.log(`✏️ Configuration updated for ${name} (${containerId}), now v${next.configVersion}`);
+    return result;
+  }
+
+  /**
+   * Write a new active configuration and hot-reload the bot if it is running
+   * @param {string} containerId - Container ID
+   * @param {Object} next - Full ai-config.js contents
+   * @returns {Promise<Object>} - { config, version, reloaded, reloadError? }
+   */
+  async applyBotConfig(containerId, next) {
+    const { name, description } = next;
+    await this.writeBotConfig(containerId, next);
+    const config = this.toEditableConfig(next);
+    await aiService.updateAIDetails(containerId, { name, description });
+    await aiService.updateAIConfig(containerId, config);
+
+    const containerInfo = this.activeContainers.get(containerId);
+    if (containerInfo) {
+      containerInfo.aiName = name;
+      containerInfo.aiDescription = description;
+    }
+
+    // Hot-reload running bots in place (conversations and documents stay loaded)
+    let reloaded = false;
+    let reloadError;
+    if (containerInfo && containerInfo.status.includes('Running')) {
+      try {
+        const client = await this.getContainerClient(containerId, containerInfo.sessionId);
+        reloaded = (await client.reloadConfig()).success === true;
+      } catch (error) {
+        reloadError = error.message;
+        console.warn(`⚠️ Config saved but ${containerId} did not reload:`, error.message);
+      }
+    }
+
+    return { config, version: next.configVersion, reloaded, ...(reloadError ? { reloadError } : {}) };
+  }
+
+  /**
+   * Strip runtime fields from ai-config.js, leaving what a configuration version records
+   * @param {Object} aiConfig - Full configuration
+   * @returns {Object} - Versioned snapshot
+   */
+  versionedConfig(aiConfig) {
+    const snapshot = { ...aiConfig };
+    for (const field of RUNTIME_CONFIG_FIELDS) delete snapshot[field];
+    return snapshot;
+  }
+
+  /**
+   * Save a configuration as the next version: a database row plus config_versions/v<N>.json in the
+   * container, which the bot reads when an API key pinned to that version calls it
+   * @param {string} containerId - Container ID
+   * @param {Object} aiConfig - Full configuration
+   * @param {Object} meta - { authorId, note }
+   * @returns {Promise<number>} - Version number
+   */
+  async recordConfigVersion(containerId, aiConfig, meta = {}) {
+    const snapshot = this.versionedConfig(aiConfig);
+    const { version } = await aiService.createConfigVersion(containerId, snapshot, meta);
+
+    const versionsDir = path.join(__dirname, '../containers', containerId, 'config_versions');
+    await fs.mkdir(versionsDir, { recursive: true });
+    await fs.writeFile(path.join(versionsDir, `v${version}.json`), JSON.stringify(snapshot, null, 2));
+    return version;
+  }
+
+  /**
+   * Bots created before configuration history get their current config recorded as version 1
+   * @param {string} containerId - Container ID
+   * @param {Object} current - Current ai-config.js contents
+   * @returns {Promise<void>}
+   */
+  async ensureBaselineVersion(containerId, current = null) {
+    const versions = await aiService.listConfigVersions(containerId);
+    if (versions.length) return;
+
+    const aiConfig = current || await this.readBotConfig(containerId);
+    if (!aiConfig) return;
+    const version = await this.recordConfigVersion(containerId, aiConfig, { note: 'Baseline (configuration before version history)' });
+    await this.writeBotConfig(containerId, { ...aiConfig, configVersion: version });
+  }
+
+  /**
+   * List configuration versions, newest first
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Object>} - { activeVersion, versions }
+   */
+  async listConfigVersions(containerId) {
+    await this.ensureBaselineVersion(containerId);
+    const aiConfig = await this.readBotConfig(containerId);
+    const versions = await aiService.listConfigVersions(containerId);
+    return {
+      activeVersion: aiConfig ? aiConfig.configVersion : null,
+      versions
+    };
+  }
+
+  /**
+   * Get one configuration version
+   * @param {string} containerId - Container ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} - Version row with its config snapshot
+   */
+  async getConfigVersion(containerId, version) {
+    const row = await aiService.getConfigVersion(containerId, version);
+    if (!row) {
+      throw Object.assign(new Error(`Configuration version ${version} not found`), { status: 404 });
+    }
+    return row;
+  }
+
+  /**
+   * Diff two configuration versions field by field
+   * @param {string} containerId - Container ID
+   * @param {number} from - Older version
+   * @param {number} to - Newer version
+   * @returns {Promise<Object>} - { from, to, changes }
+   */
+  async diffConfigVersions(containerId, from, to) {
+    const [older, newer] = await Promise.all([
+      this.getConfigVersion(containerId, from),
+      this.getConfigVersion(containerId, to)
+    ]);
+    return { from, to, changes: diffConfigs(older.config, newer.config) };
+  }
+
+  /**
+   * Roll back to an earlier version. History stays immutable: the old snapshot is saved
+   * again as a new version and made active.
+   * @param {string} containerId - Container ID
+   * @param {number} version - Version to restore
+   * @param {Object} options - { authorId }
+   * @returns {Promise<Object>} - { config, version, reloaded, reloadError? }
+   */
+  async rollbackConfig(containerId, version, options = {}) {
+    return serialize(this.configUpdates, containerId, async () => {
+      const target = await this.getConfigVersion(containerId, version);
+      const current = await this.readBotConfig(containerId);
+      if (!current) {
+        throw Object.assign(new Error('AI configuration not found'), { status: 404 });
+      }
+
+      // Keep this instance's runtime fields, take everything else from the old version
+      const next = { ...target.config, updatedAt: new Date().toISOString() };
+      for (const field of RUNTIME_CONFIG_FIELDS) {
+        if (current[field] !== undefined && field !== 'updatedAt') next[field] = current[field];
+      }
+      next.configVersion = await this.recordConfigVersion(containerId, next, {
+        authorId: options.authorId,
+        note: `Rolled back to v${version}`
+      });
+
+      const result = await this.applyBotConfig(containerId, next);
+      console.log(`⏪ ${containerId} rolled back to v${version} (now v${next.configVersion})`);
+      return result;
+    });
+  }
+
+  /**
+   * Build the `llm` section of ai-config.js
+   * Base URLs and keys stay in the container environment (LLM_BASE_URL, OLLAMA_BASE_URL, ...)
+   * @param {Object} llm - Requested { provider, model }
+   * @returns {Object} - { provider, model? }
+   */
+  buildLLMConfig(llm) {
+    const provider = String((llm && llm.provider) || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+    const model = (llm && llm.model) || (!llm && process.env.LLM_MODEL) || '';
+    return {
+      provider,
+      ...(model ? { model: String(model).slice(0, 100) } : {})
+    };
+  }
+
+  /**
+   * The image Docker-mode bots run in (BOT_IMAGE, or containers/Dockerfile.bot built on first use)
+   * The built image is tagged with a hash of the template's package-lock.json, so a dependency
+   * change builds a new one.
+   * @returns {Promise<string>} - Image name
+   */
+  async ensureBotImage() {
+    if (process.env.BOT_IMAGE) return process.env.BOT_IMAGE;
+    if (!this.botImage) {
+      this.botImage = (async () => {
+        const context = path.join(__dirname, '../../containers');
+        const lockfile = await fs.readFile(path.join(context, 'mainCodebase/package-lock.json'));
+        const image = `ai-platform-bot:${crypto.createHash('sha256').update(lockfile).digest('hex').slice(0, 12)}`;
+        try {
+          await this.docker.getImage(image).inspect();
+          return image;
+        } catch (error) {
+          if (error.statusCode !== 404) throw error;
+        }
+
+        console.log(`🔨 Building bot image ${image}...`);
+        const stream = await this.docker.buildImage(
+          { context, src: ['Dockerfile.bot', 'mainCodebase/package.json', 'mainCodebase/package-lock.json'] },
+          { t: image, dockerfile: 'Dockerfile.bot' }
+        );
+        await new Promise((resolve, reject) => {
+          this.docker.modem.followProgress(stream, (error, events) => {
+            const failed = !error && events.find(event => event.error);
+            if (error || failed) {
+              reject(error || new Error(`Bot image build failed: ${failed.error}`));
+            } else {
+              resolve();
+            }
+          });
+        });
+        console.log(`✅ Bot image ${image} built`);
+        return image;
+      })();
+      // A failed build is retried by the next container
+      this.botImage.catch(() => { this.botImage = null; });
+    }
+    return this.botImage;
   }
 
   /**
    * Create Docker container
+   * The bot listens on `port` (from its ai-config.js); it is published on CONTAINER_HOST, or reached
+   * by container name when CONTAINER_NETWORK puts the backend and bots on one Docker network.
    * @param {string} containerId - Container ID
    * @param {string} sessionId - Session ID
+   * @param {number} port - Port the bot listens on
    * @returns {Promise<Object>} - Docker container object
    */
-  async createDockerContainer(containerId, sessionId) {
+  async createDockerContainer(containerId, sessionId, port) {
     try {
       const containerPath = path.join(__dirname, '../containers', containerId);
+      const image = await this.ensureBotImage();
 
       // Docker container configuration
       const containerConfig = {
-        Image: 'node:18-alpine', // Base image
+        Image: image, // Node and the template's dependencies; the bot's code is mounted at /app
         name: `ai-chatbot-${containerId}`,
         WorkingDir: '/app',
         Cmd: ['node', 'botLogic.js'],
         Env: [
           `CONTAINER_ID=${containerId}`,
           `SESSION_ID=${sessionId}`,
+          `PORT=${port}`,
           `NODE_ENV=production`
         ],
+        ExposedPorts: {
+          [`${port}/tcp`]: {}
+        },
         HostConfig: {
           Binds: [
             `${containerPath}:/app`
           ],
           Memory: 512 * 1024 * 1024, // 512MB memory limit
           CpuQuota: 50000, // CPU quota (50% of one core)
-          NetworkMode: 'bridge'
+          NetworkMode: this.containerNetwork || 'bridge',
+          PortBindings: this.containerNetwork ? {} : {
+            [`${port}/tcp`]: [{ HostIp: this.containerHost, HostPort: String(port) }]
+          }
         },
         Labels: {
           'ai-platform': 'true',
           'container-id': containerId,
-          'session-id': sessionId
+          'session-id': sessionId,
+          'ai-platform.port': String(port)
         }
       };
 
@@ -362,134 +989,382 @@ class ContainerManager {
    * @param {string} containerId - Container ID
    * @param {string} message - User message
    * @param {string} sessionId - Session ID
-   * @returns {Promise<Object>} - AI response
+   * @param {Object} options - { conversationId, threadId, onToken } (conversation defaults to the thread, then the session;
+   *                             onToken receives the reply incrementally as it is generated)
+   * @returns {Promise<Object>} - AI response ({ success, message, citations } on success)
    */
-  async sendMessageToContainer(containerId, message, sessionId) {
+  async sendMessageToContainer(containerId, message, sessionId, options = {}) {
     try {
-      // In demo mode, execute AI logic directly from the container directory
-      if (!this.dockerAvailable) {
-        return await this.executeAILogicDirectly(containerId, message, sessionId);
-      }
+      const conversationId = options.conversationId || options.threadId || sessionId;
+      const startTime = Date.now();
 
+      await this.ensureAwake(containerId);
       const containerInfo = this.activeContainers.get(containerId);
-      
-      if (!containerInfo) {
-        throw new Error(`Container ${containerId} not found`);
-      }
 
-      // Verify session matches
-      if (containerInfo.sessionId !== sessionId) {
-        throw new Error('Session mismatch');
+      // Same HTTP path in Docker and demo mode (demo bots listen on a local port)
+      let reply;
+      containerInfo.inFlight = (containerInfo.inFlight || 0) + 1;
+      try {
+        const client = await this.getContainerClient(containerId, sessionId);
+        const chatOptions = { configVersion: options.configVersion };
+        reply = options.onToken
+          ? await client.chatStream(message, conversationId, options.onToken, chatOptions)
+          : await client.chat(message, conversationId, chatOptions);
+      } finally {
+        containerInfo.inFlight--;
       }
 
-      // Send message to container via HTTP or WebSocket
-      const response = await this.communicateWithContainer(containerId, message);
+      await aiService.updateLastActivity(containerId);
+      await this.logInteraction(containerId, sessionId, message, reply.response, {
+        threadId: options.threadId,
+        responseTime: Date.now() - startTime
+      });
 
       return {
         success: true,
-        message: response
+        message: reply.response,
+        citations: reply.citations || [],
+        aiName: reply.aiName,
+        timestamp: reply.timestamp || new Date().toISOString()
       };
 
     } catch (error) {
-      console.error(`❌ Failed to send message to container ${containerId}:`, error);
+      console.error(`❌ Failed to send message to container ${containerId}:`, error.message);
       return {
         success: false,
+        status: error.status,
         error: error.message
       };
     }
   }
 
   /**
-   * Execute AI logic directly in demo mode
+   * Get the HTTP client for a container, waiting for its /health on first use
+   * Docker mode talks to the published port (or container name on CONTAINER_NETWORK);
+   * demo mode loads the bot in-process and has it listen on a free local port.
    * @param {string} containerId - Container ID
-   * @param {string} message - User message
    * @param {string} sessionId - Session ID
-   * @returns {Promise<Object>} - AI response
+   * @returns {Promise<ContainerClient>}
    */
-  async executeAILogicDirectly(containerId, message, sessionId) {
+  async getContainerClient(containerId, sessionId) {
+    let entry = this.containerClients.get(containerId);
+    if (!entry) {
+      entry = { client: null, server: null, ready: null };
+      entry.ready = (async () => {
+        let baseUrl;
+        if (this.dockerAvailable) {
+          const containerInfo = this.activeContainers.get(containerId);
+          if (!containerInfo) {
+            throw Object.assign(new Error(`Container ${containerId} not found`), { status: 404 });
+          }
+          baseUrl = this.containerNetwork
+            ? `http://ai-chatbot-${containerId}:${containerInfo.port}`
+            : `http://${this.containerHost}:${containerInfo.port}`;
+        } else {
+          const bot = await this.getContainerBot(containerId, sessionId);
+          const { server, port } = await bot.listen(0, '127.0.0.1');
+          entry.server = server;
+          baseUrl = `http://127.0.0.1:${port}`;
+        }
+        entry.client = new ContainerClient({ baseUrl });
+        await entry.client.waitForHealth();
+        return entry.client;
+      })();
+      this.containerClients.set(containerId, entry);
+    }
+
     try {
-      const containerPath = path.join(__dirname, '../containers', containerId);
-      
-      // Check if container directory exists
-      try {
-        await fs.access(containerPath);
-      } catch (error) {
-        throw new Error(`Container directory not found: ${containerId}`);
+      return await entry.ready;
+    } catch (error) {
+      // Forget the failed attempt so the next call retries
+      if (this.containerClients.get(containerId) === entry) {
+        this.forgetContainerClient(containerId);
       }
+      throw error;
+    }
+  }
 
-      // Reuse or create singleton chatbot instance per container
-      let bot = this.containerBots.get(containerId);
-      if (!bot) {
-        // Load bot logic
-        const botLogicPath = path.join(containerPath, 'botLogic.js');
-        const { AIChatbot } = require(botLogicPath);
-        process.env.CONTAINER_ID = containerId;
-        process.env.SESSION_ID = sessionId;
-        bot = new AIChatbot();
-        this.containerBots.set(containerId, bot);
-      }
+  /**
+   * Drop a container's client (and close its demo-mode listener)
+   * @param {string} containerId - Container ID
+   */
+  forgetContainerClient(containerId) {
+    const entry = this.containerClients.get(containerId);
+    if (entry && entry.server) {
+      entry.server.close();
+    }
+    this.containerClients.delete(containerId);
+  }
 
-      // Generate AI response via full processing (includes RAG retrieval/ingestion)
-      const response = await bot.processMessage(message);
+  /**
+   * Get the in-process chatbot for a container (demo mode), loading it on first use
+   * @param {string} containerId - Container ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} - AIChatbot instance
+   */
+  async getContainerBot(containerId, sessionId) {
+    let bot = this.containerBots.get(containerId);
+    if (bot) return bot;
 
-      // Log interaction to database
-      await this.logInteraction(containerId, sessionId, message, response);
+    const containerPath = path.join(__dirname, '../containers', containerId);
+    try {
+      await fs.access(containerPath);
+    } catch (error) {
+      throw new Error(`Container directory not found: ${containerId}`);
+    }
 
-      return {
-        success: true,
-        message: response,
-        aiName: 'AI',
-        timestamp: new Date().toISOString()
-      };
+    const botLogicPath = path.join(containerPath, 'botLogic.js');
+    const { AIChatbot } = require(botLogicPath);
+    process.env.CONTAINER_ID = containerId;
+    process.env.SESSION_ID = sessionId;
+    bot = new AIChatbot();
+    this.containerBots.set(containerId, bot);
+    return bot;
+  }
 
-    } catch (error) {
-      console.error(`Error executing AI logic for ${containerId}:`, error);
-      return {
-        success: false,
-        error: error.message,
-        message: "I'm sorry, I'm having trouble processing your message right now. Please try again later."
-      };
+  /**
+   * Rebuild a conversation's memory inside the container (e.g. when a stored thread is reopened)
+   * @param {string} containerId - Container ID
+   * @param {string} conversationId - Conversation to restore
+   * @param {Array} messages - Array of { role: 'user'|'ai', content, timestamp }
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} - Restore result
+   */
+  async restoreConversation(containerId, conversationId, messages, sessionId) {
+    return this.callContainer(containerId, sessionId, async (client) => {
+      const result = await client.setMemory(conversationId, messages);
+      return { success: true, restoredMessages: result.restoredMessages };
+    });
+  }
+
+  /**
+   * Rebuild a stored thread's memory inside the container from its latest exchanges
+   * @param {string} containerId - Container ID
+   * @param {string} threadId - Thread (also the bot's conversation ID)
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - { ifEmpty } leave the conversation alone when the bot still remembers it
+   * @returns {Promise<Object>} - Restore result ({ success, restoredMessages })
+   */
+  async restoreThreadMemory(containerId, threadId, sessionId, options = {}) {
+    if (options.ifEmpty) {
+      const current = await this.callContainer(containerId, sessionId, client => client.getMemory(threadId));
+      if (current.success === false) return current;
+      if ((current.memory || []).length) return { success: true, restoredMessages: 0 };
+    }
+
+    const interactions = await aiService.getThreadInteractions(threadId, { limit: RESUME_INTERACTIONS });
+    if (options.ifEmpty && interactions.length === 0) return { success: true, restoredMessages: 0 };
+    const messages = [];
+    for (const interaction of interactions) {
+      messages.push({ role: 'user', content: interaction.user_message, timestamp: interaction.timestamp });
+      messages.push({ role: 'ai', content: interaction.ai_response, timestamp: interaction.timestamp });
     }
+    return this.restoreConversation(containerId, threadId, messages, sessionId);
   }
 
   /**
-   * Ingest text into a container (demo mode direct call)
+   * Forget a conversation's memory inside the container (e.g. when its thread is deleted)
+   * @param {string} containerId - Container ID
+   * @param {string} conversationId - Conversation to clear
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} - Clear result
+   */
+  async clearConversation(containerId, conversationId, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.clearMemory(conversationId));
+  }
+
+  /**
+   * Ingest text into a container (doc store + RAG)
    */
   async ingestTextIntoContainer(containerId, title, text, tags, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.ingestText(title, text, tags));
+  }
+
+  async ingestFileIntoContainer(containerId, filename, mimetype, buffer, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.ingestFile(filename, mimetype, buffer));
+  }
+
+  /**
+   * Queue a file for background ingestion in a container
+   * @returns {Promise<Object>} - { success, job }
+   */
+  async createIngestJob(containerId, filename, mimetype, buffer, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.createIngestJob(filename, mimetype, buffer));
+  }
+
+  /**
+   * List a container's ingestion jobs, newest first
+   * @param {Object} query - { limit }
+   */
+  async listIngestJobs(containerId, query, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.listIngestJobs(query));
+  }
+
+  async getIngestJob(containerId, jobId, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.getIngestJob(jobId));
+  }
+
+  async retryIngestJob(containerId, jobId, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.retryIngestJob(jobId));
+  }
+
+  async cancelIngestJob(containerId, jobId, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.cancelIngestJob(jobId));
+  }
+
+  /**
+   * Follow a running bot's ingestion jobs until none is left running. The bot counts as busy meanwhile,
+   * so it isn't hibernated mid-job. Bots that aren't running are not woken up.
+   * @param {string} containerId - Container ID
+   * @param {string} sessionId - Session ID
+   * @param {Function} onJob - Called with each job change
+   * @param {Object} options - { jobIds } see ContainerClient.watchIngestJobs
+   * @returns {Promise<void>}
+   */
+  async watchIngestJobs(containerId, sessionId, onJob, options = {}) {
+    const containerInfo = this.requireContainer(containerId);
+    if (!containerInfo.status.includes('Running')) return;
+    const client = await this.getContainerClient(containerId, sessionId);
+    containerInfo.inFlight = (containerInfo.inFlight || 0) + 1;
     try {
-      const containerPath = path.join(__dirname, '../containers', containerId);
-      await fs.access(containerPath);
-      let bot = this.containerBots.get(containerId);
-      if (!bot) {
-        const botLogicPath = path.join(containerPath, 'botLogic.js');
-        const { AIChatbot } = require(botLogicPath);
-        process.env.CONTAINER_ID = containerId;
-        process.env.SESSION_ID = sessionId;
-        bot = new AIChatbot();
-        this.containerBots.set(containerId, bot);
-      }
-      return await bot.ingestTextExternal(title, text, tags);
-    } catch (error) {
-      return { success: false, message: error.message };
+      await client.watchIngestJobs(onJob, options);
+    } finally {
+      containerInfo.inFlight--;
+      await aiService.updateLastActivity(containerId);
     }
   }
 
-  async ingestFileIntoContainer(containerId, filename, mimetype, buffer, sessionId) {
+  /**
+   * List a container's documents
+   */
+  async listDocuments(containerId, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.listDocuments());
+  }
+
+  /**
+   * One document with a preview of its text
+   * @param {Object} query - { maxChars }
+   */
+  async getDocument(containerId, documentId, query, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.getDocument(documentId, query));
+  }
+
+  /**
+   * Rename or retag a document
+   * @param {Object} changes - { title, tags }
+   */
+  async updateDocument(containerId, documentId, changes, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.updateDocument(documentId, changes));
+  }
+
+  /**
+   * Queue a new version of a document; the returned job re-embeds only the chunks that changed
+   * @param {Object} version - { filename, mimetype, buffer } or { text }
+   * @returns {Promise<Object>} - { success, job }
+   */
+  async replaceDocument(containerId, documentId, version, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.replaceDocument(documentId, version));
+  }
+
+  /**
+   * A container's web sources (pages, sitemaps and crawled sites kept as documents)
+   */
+  async listWebSources(containerId, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.listWebSources());
+  }
+
+  async getWebSource(containerId, sourceId, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.getWebSource(sourceId));
+  }
+
+  /**
+   * Add a web source; its first crawl is queued
+   * @param {Object} settings - { url, mode, maxDepth, maxPages, includePaths, excludePaths, tags, recrawlHours }
+   * @returns {Promise<Object>} - { success, source }
+   */
+  async createWebSource(containerId, settings, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.createWebSource(settings));
+  }
+
+  async updateWebSource(containerId, sourceId, changes, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.updateWebSource(sourceId, changes));
+  }
+
+  async crawlWebSource(containerId, sourceId, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.crawlWebSource(sourceId));
+  }
+
+  /**
+   * Remove a web source and, unless query.keepDocuments, the documents made from its pages
+   */
+  async deleteWebSource(containerId, sourceId, query, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.deleteWebSource(sourceId, query));
+  }
+
+  /**
+   * Delete one document (and its vectors) from a container
+   */
+  async deleteDocument(containerId, documentId, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.deleteDocument(documentId));
+  }
+
+  /**
+   * Delete every document and all RAG data from a container
+   */
+  async clearDocuments(containerId, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.clearDocuments());
+  }
+
+  /**
+   * Read a bot's topic guard decision log, newest first
+   * @param {Object} query - { outcome: 'allowed' | 'refused', limit, offset }
+   */
+  async listTopicDecisions(containerId, query, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.listTopicDecisions(query));
+  }
+
+  async clearTopicDecisions(containerId, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.clearTopicDecisions());
+  }
+
+  /**
+   * Read a bot's documents (and optionally vectors) for an export bundle
+   * @param {Object} options - { vectors, interactions }
+   */
+  async exportBotData(containerId, options, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.exportBundle(options));
+  }
+
+  /**
+   * Load bundle documents and vectors into a bot
+   * @param {Object} data - { documents, vectors?: { embedding, items } }
+   */
+  async importBotData(containerId, data, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.importBundle(data));
+  }
+
+  /**
+   * Classify a message with a bot's topic guard without answering or logging it
+   */
+  async testTopicGuard(containerId, message, sessionId) {
+    return this.callContainer(containerId, sessionId, client => client.testTopicGuard(message));
+  }
+
+  /**
+   * Run a call against a container's API, turning failures into { success: false, message, status }
+   * @param {string} containerId - Container ID
+   * @param {string} sessionId - Session ID
+   * @param {Function} fn - (client) => Promise<Object>
+   * @returns {Promise<Object>}
+   */
+  async callContainer(containerId, sessionId, fn) {
     try {
-      const containerPath = path.join(__dirname, '../containers', containerId);
-      await fs.access(containerPath);
-      let bot = this.containerBots.get(containerId);
-      if (!bot) {
-        const botLogicPath = path.join(containerPath, 'botLogic.js');
-        const { AIChatbot } = require(botLogicPath);
-        process.env.CONTAINER_ID = containerId;
-        process.env.SESSION_ID = sessionId;
-        bot = new AIChatbot();
-        this.containerBots.set(containerId, bot);
-      }
-      return await bot.ingestFileExternal(buffer, filename, mimetype, ['upload']);
+      await this.ensureAwake(containerId);
+      const client = await this.getContainerClient(containerId, sessionId);
+      return await fn(client);
     } catch (error) {
-      return { success: false, message: error.message };
+      const body = error.body && typeof error.body === 'object' ? error.body : {};
+      return { ...body, success: false, message: body.message || error.message, status: error.status || 500 };
     }
   }
 
@@ -499,17 +1374,313 @@ class ContainerManager {
    * @param {string} sessionId - Session ID
    * @param {string} userMessage - User message
    * @param {string} aiResponse - AI response
+   * @param {Object} options - { threadId, responseTime }
    * @returns {Promise<void>}
    */
-  async logInteraction(containerId, sessionId, userMessage, aiResponse) {
+  async logInteraction(containerId, sessionId, userMessage, aiResponse, options = {}) {
     try {
-      // This would require database access - for now just log to console
-      console.log(`💬 ${containerId}: "${userMessage}" → "${aiResponse.substring(0, 50)}..."`);
+      console.log(`💬 ${containerId}: "${userMessage}" → "${String(aiResponse).substring(0, 50)}..."`);
+      await aiService.logInteraction({
+        containerId,
+        sessionId,
+        threadId: options.threadId,
+        userMessage,
+        aiResponse,
+        responseTime: options.responseTime
+      });
     } catch (error) {
       console.error('Error logging interaction:', error);
     }
   }
 
+  /**
+   * Status of a running bot (demo-mode bots are labelled as such)
+   * @returns {string}
+   */
+  runningStatus() {
+    return this.dockerAvailable ? 'Running' : 'Running (Demo Mode)';
+  }
+
+  /**
+   * Whether a bot in this status takes messages (hibernated bots wake on their next one)
+   * @param {string} status - ai_instances.status
+   * @returns {boolean}
+   */
+  acceptsMessages(status) {
+    return String(status || '').includes('Running') || status === 'Hibernated';
+  }
+
+  /**
+   * Look up a registered container or throw a 404
+   * @param {string} containerId - Container ID
+   * @returns {Object} - activeContainers entry
+   */
+  requireContainer(containerId) {
+    const containerInfo = this.activeContainers.get(containerId);
+    if (!containerInfo) {
+      throw Object.assign(new Error(`Container ${containerId} not found`), { status: 404 });
+    }
+    return containerInfo;
+  }
+
+  async setContainerStatus(containerId, status) {
+    const containerInfo = this.activeContainers.get(containerId);
+    if (containerInfo) containerInfo.status = status;
+    await aiService.updateAIStatus(containerId, status);
+  }
+
+  /**
+   * Run a lifecycle change after any pending one for the same container
+   * @param {string} containerId - Container ID
+   * @param {Function} fn - async () => result
+   * @returns {Promise<*>}
+   */
+  runTransition(containerId, fn) {
+    return serialize(this.transitions, containerId, fn);
+  }
+
+  /**
+   * Wake a hibernated bot before using it; refuse stopped ones
+   * @param {string} containerId - Container ID
+   * @returns {Promise<void>}
+   */
+  async ensureAwake(containerId) {
+    const containerInfo = this.requireContainer(containerId);
+    if (containerInfo.status === 'Hibernated') {
+      console.log(`⏰ Waking hibernated container ${containerId}`);
+      await this.startContainer(containerId);
+    } else if (!containerInfo.status.includes('Running')) {
+      const state = containerInfo.status === 'Error' ? 'in an error state' : containerInfo.status.toLowerCase();
+      throw Object.assign(new Error(`AI is ${state}. Start it to continue.`), { status: 409 });
+    }
+  }
+
+  /**
+   * Start (or resume) a stopped or hibernated bot and wait for its /health
+   * In Docker mode a missing container (e.g. removed by hand) is recreated from the bot's files.
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Object>} - { success, containerId, status }
+   */
+  async startContainer(containerId) {
+    return this.runTransition(containerId, async () => {
+      const containerInfo = this.requireContainer(containerId);
+      if (containerInfo.status.includes('Running')) {
+        return { success: true, containerId, status: containerInfo.status };
+      }
+      if (containerInfo.status === 'Initializing') {
+        throw Object.assign(new Error('AI is still being created'), { status: 409 });
+      }
+
+      try {
+        if (this.dockerAvailable) {
+          if (!containerInfo.container) {
+            containerInfo.container = await this.createDockerContainer(containerId, containerInfo.sessionId, containerInfo.port);
+          }
+          try {
+            await containerInfo.container.start();
+          } catch (error) {
+            if (error.statusCode !== 304) throw error; // 304: already running
+          }
+        }
+        this.unloadContainerBot(containerId);
+        await this.getContainerClient(containerId, containerInfo.sessionId);
+      } catch (error) {
+        console.error(`❌ Failed to start container ${containerId}:`, error.message);
+        await this.setContainerStatus(containerId, 'Error');
+        throw error;
+      }
+
+      await this.setContainerStatus(containerId, this.runningStatus());
+      // A fresh start counts as activity so the idle monitor doesn't hibernate it straight away
+      await aiService.updateLastActivity(containerId);
+      console.log(`▶️ Container ${containerId} started`);
+      return { success: true, containerId, status: containerInfo.status };
+    });
+  }
+
+  /**
+   * Stop a bot. Stopped bots refuse messages until started again; use hibernateContainer for
+   * idle bots that should wake on demand.
+   * @param {string} containerId - Container ID
+   * @param {Object} options - { status: 'Stopped' | 'Hibernated' }
+   * @returns {Promise<Object>} - { success, containerId, status }
+   */
+  async stopContainer(containerId, options = {}) {
+    const status = options.status || 'Stopped';
+    return this.runTransition(containerId, async () => {
+      const containerInfo = this.requireContainer(containerId);
+      if (containerInfo.status === 'Initializing') {
+        throw Object.assign(new Error('AI is still being created'), { status: 409 });
+      }
+      if (status === 'Hibernated' && !containerInfo.status.includes('Running')) {
+        throw Object.assign(new Error(`Only running AIs can hibernate (AI is ${containerInfo.status.toLowerCase()})`), { status: 409 });
+      }
+
+      if (this.dockerAvailable && containerInfo.container) {
+        try {
+          await containerInfo.container.stop();
+        } catch (error) {
+          // 304: already stopped, 404: container removed outside the platform
+          if (error.statusCode === 404) containerInfo.container = null;
+          else if (error.statusCode !== 304) throw error;
+        }
+      }
+      this.unloadContainerBot(containerId);
+
+      await this.setContainerStatus(containerId, status);
+      console.log(`${status === 'Hibernated' ? '💤' : '⏹️'} Container ${containerId} ${status.toLowerCase()}`);
+      return { success: true, containerId, status };
+    });
+  }
+
+  async hibernateContainer(containerId) {
+    return this.stopContainer(containerId, { status: 'Hibernated' });
+  }
+
+  async resumeContainer(containerId) {
+    return this.startContainer(containerId);
+  }
+
+  /**
+   * Restart a bot (stop, then start and wait for /health)
+   * @param {string} containerId - Container ID
+   * @returns {Promise<Object>} - { success, containerId, status }
+   */
+  async restartContainer(containerId) {
+    const containerInfo = this.requireContainer(containerId);
+    if (containerInfo.status.includes('Running')) {
+      await this.stopContainer(containerId);
+    }
+    return this.startContainer(containerId);
+  }
+
+  /**
+   * Drop the client for a bot and, in demo mode, unload the in-process bot and close its stores
+   * @param {string} containerId - Container ID
+   */
+  unloadContainerBot(containerId) {
+    this.forgetContainerClient(containerId);
+    const bot = this.containerBots.get(containerId);
+    // The next instance resumes the bot's unfinished ingestion jobs and crawls
+    if (bot && bot.ingestJobs) {
+      bot.ingestJobs.stop();
+    }
+    if (bot && bot.webSources) {
+      bot.webSources.stop();
+    }
+    if (bot && bot.rag && bot.rag.store) {
+      bot.rag.store.close().catch(() => {});
+    }
+    this.containerBots.delete(containerId);
+  }
+
+  /**
+   * Hibernate running bots with no activity for CONTAINER_IDLE_MINUTES (0 disables)
+   */
+  startIdleMonitor() {
+    const idleMinutes = parseFloat(process.env.CONTAINER_IDLE_MINUTES ?? '30');
+    if (!idleMinutes || this.idleTimer) return;
+
+    const intervalMs = parseInt(process.env.CONTAINER_IDLE_CHECK_MS) || 60000;
+    this.idleTimer = setInterval(() => {
+      this.hibernateIdleContainers(idleMinutes * 60000)
+        .then(() => this.wakeForDueCrawls())
+        .catch((error) => {
+          console.error('Idle check failed:', error);
+        });
+    }, intervalMs);
+    this.idleTimer.unref();
+    console.log(`💤 Idle bots hibernate after ${idleMinutes} minute(s)`);
+  }
+
+  stopIdleMonitor() {
+    clearInterval(this.idleTimer);
+    this.idleTimer = null;
+  }
+
+  /**
+   * Hibernate every running bot whose last_activity is older than idleMs, unless it is crawling a web source
+   * or running ingestion jobs
+   * @param {number} idleMs - Idle threshold in milliseconds
+   * @returns {Promise<Array<string>>} - Hibernated container IDs
+   */
+  async hibernateIdleContainers(idleMs) {
+    const hibernated = [];
+    for (const [containerId, containerInfo] of this.activeContainers) {
+      if (!containerInfo.status.includes('Running') || containerInfo.inFlight > 0 || this.transitions.has(containerId)) {
+        continue;
+      }
+      const aiInstance = await aiService.getAIInstance(containerId);
+      const lastActivity = parseTimestamp(aiInstance && aiInstance.last_activity);
+      if (lastActivity && Date.now() - lastActivity < idleMs) continue;
+      if (await this.isContainerBusy(containerId, containerInfo.sessionId)) continue;
+
+      try {
+        await this.hibernateContainer(containerId);
+        hibernated.push(containerId);
+      } catch (error) {
+        console.warn(`⚠️ Could not hibernate ${containerId}:`, error.message);
+      }
+    }
+    return hibernated;
+  }
+
+  /**
+   * Whether a running bot is crawling a web source or running ingestion jobs (bots that don't answer count as idle)
+   * @param {string} containerId - Container ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>}
+   */
+  async isContainerBusy(containerId, sessionId) {
+    try {
+      const client = await this.getContainerClient(containerId, sessionId);
+      return await client.isBusy();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Wake hibernated bots with a web source crawl waiting. Re-crawls are scheduled by a timer in the bot,
+   * which only runs while it is loaded.
+   * @returns {Promise<Array<string>>} - Woken container IDs
+   */
+  async wakeForDueCrawls() {
+    const woken = [];
+    for (const [containerId, containerInfo] of this.activeContainers) {
+      if (containerInfo.status !== 'Hibernated' || this.transitions.has(containerId)) continue;
+      if (!(await this.hasDueCrawl(containerId))) continue;
+
+      try {
+        console.log(`⏰ Waking ${containerId} for a scheduled web source crawl`);
+        await this.startContainer(containerId);
+        woken.push(containerId);
+      } catch (error) {
+        console.warn(`⚠️ Could not wake ${containerId}:`, error.message);
+      }
+    }
+    return woken;
+  }
+
+  /**
+   * Whether a bot has a web source whose re-crawl is due, or a crawl that was queued or cut off when it
+   * stopped. Read from its web_sources.json, so the bot needn't be running.
+   * @param {string} containerId - Container ID
+   * @returns {Promise<boolean>}
+   */
+  async hasDueCrawl(containerId) {
+    let sources;
+    try {
+      const storePath = path.join(__dirname, '../containers', containerId, 'web_sources.json');
+      ({ sources } = JSON.parse(await fs.readFile(storePath, 'utf-8')));
+    } catch (error) {
+      return false; // no web sources
+    }
+    const now = Date.now();
+    return (sources || []).some(source => source.state !== 'idle' ||
+      Boolean(source.nextCrawlAt && Date.parse(source.nextCrawlAt) <= now));
+  }
+
   /**
    * Delete container
    * @param {string} containerId - Container ID
@@ -527,8 +1698,12 @@ class ContainerManager {
 
         // Stop and remove Docker container
         try {
-          await containerInfo.container.stop();
-          await containerInfo.container.remove();
+          if (containerInfo.container) {
+            await containerInfo.container.stop().catch((error) => {
+              if (error.statusCode !== 304) throw error; // 304: already stopped
+            });
+            await containerInfo.container.remove();
+          }
         } catch (error) {
           console.warn(`Warning: Could not stop/remove Docker container ${containerId}:`, error.message);
         }
@@ -537,8 +1712,9 @@ class ContainerManager {
         this.activeContainers.delete(containerId);
       }
 
-      // Remove container configuration
+      // Remove container configuration and any open connection to the bot
       this.containerConfigs.delete(containerId);
+      this.unloadContainerBot(containerId);
 
       // Clean up container files
       const containerPath = path.join(__dirname, '../containers', containerId);
@@ -644,32 +1820,20 @@ class ContainerManager {
     }
   }
 
-  /**
-   * Communicate with container (placeholder implementation)
-   * @param {string} containerId - Container ID
-   * @param {string} message - Message to send
-   * @returns {Promise<string>} - Container response
-   */
-  async communicateWithContainer(containerId, message) {
-    // Placeholder implementation
-    // In a real implementation, this would communicate with the running container
-    // via HTTP API, WebSocket, or other communication method
-    
-    return `AI Response: I received your message "${message}". This is a placeholder response from container ${containerId}.`;
-  }
-
   /**
    * Copy directory recursively
    * @param {string} src - Source directory
    * @param {string} dest - Destination directory
+   * @param {Object} options - { skip } (name) => true for files and directories to leave out
    * @returns {Promise<void>}
    */
-  async copyDirectory(src, dest) {
+  async copyDirectory(src, dest, options = {}) {
     try {
       await fs.mkdir(dest, { recursive: true });
       const entries = await fs.readdir(src, { withFileTypes: true });
 
       for (const entry of entries) {
+        if (options.skip && options.skip(entry.name)) continue;
         const srcPath = path.join(src, entry.name);
         const destPath = path.join(dest, entry.name);
 
@@ -704,7 +1868,7 @@ class ContainerManager {
               await this.copyDirectory(srcPath, destPath);
             }
           } else {
-            await this.copyDirectory(srcPath, destPath);
+            await this.copyDirectory(srcPath, destPath, options);
           }
         } else {
           await fs.copyFile(srcPath, destPath);
@@ -0,0 +1,73 @@
+const { containerManager } = require('./containerManager');
+
+/**
+ * Relays bots' ingestion job progress to dashboard WebSocket connections
+ * While a bot has jobs running, one event stream per bot is kept open (see containerManager.watchIngestJobs)
+ * and every job change is passed to the listeners subscribed for that bot.
+ */
+class IngestJobService {
+  constructor() {
+    this.watchers = new Map(); // containerId -> { sessionId, jobIds, rewatch }
+    this.subscribers = new Map(); // containerId -> Set of listeners
+  }
+
+  /**
+   * Receive a bot's job changes
+   * @param {string} containerId - Container ID
+   * @param {Function} listener - Called with each job
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(containerId, listener) {
+    if (!this.subscribers.has(containerId)) this.subscribers.set(containerId, new Set());
+    this.subscribers.get(containerId).add(listener);
+    return () => {
+      const listeners = this.subscribers.get(containerId);
+      if (!listeners) return;
+      listeners.delete(listener);
+      if (!listeners.size) this.subscribers.delete(containerId);
+    };
+  }
+
+  publish(containerId, job) {
+    for (const listener of this.subscribers.get(containerId) || []) {
+      try {
+        listener(job);
+      } catch (error) {
+        console.warn('⚠️ Ingestion job listener failed:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Follow a bot's jobs until none is left running (no-op when already following it)
+   * @param {string} containerId - Container ID
+   * @param {string} sessionId - Session ID used to reach the bot
+   * @param {Array<string>} jobIds - Jobs to report even if they finish before the stream opens
+   */
+  watch(containerId, sessionId, jobIds = []) {
+    const current = this.watchers.get(containerId);
+    if (current) {
+      // The open stream may be closing on an `idle` sent just before these jobs were queued
+      jobIds.forEach(id => current.jobIds.add(id));
+      current.rewatch = true;
+      return;
+    }
+
+    const watcher = { sessionId, jobIds: new Set(jobIds), rewatch: false };
+    this.watchers.set(containerId, watcher);
+    containerManager.watchIngestJobs(containerId, sessionId, job => this.publish(containerId, job), { jobIds })
+      .catch(error => console.warn(`⚠️ Stopped following ingestion jobs of ${containerId}:`, error.message))
+      .finally(() => {
+        this.watchers.delete(containerId);
+        if (watcher.rewatch) this.watch(containerId, watcher.sessionId, [...watcher.jobIds]);
+      });
+  }
+
+  isWatching(containerId) {
+    return this.watchers.has(containerId);
+  }
+}
+
+const ingestJobService = new IngestJobService();
+
+module.exports = { ingestJobService };
@@ -0,0 +1,182 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { containerManager } = require('./containerManager');
+const { ContainerClient } = require('./containerClient');
+
+const DRAFTS_DIR = path.join(os.tmpdir(), 'ai-platform-drafts');
+const TEMPLATE_PATH = path.join(__dirname, '../../containers/mainCodebase');
+
+/**
+ * Unsaved draft bots for the builder's live preview
+ * A draft is a throwaway copy of the bot codebase loaded in-process (also when Docker is available),
+ * so trying out settings never creates a container, a database row or a configuration version.
+ */
+class PreviewService {
+  constructor() {
+    this.drafts = new Map(); // draftId -> { userId, path, bot, server, client, config, lastUsed }
+    this.maxDraftsPerUser = parseInt(process.env.MAX_DRAFTS_PER_USER) || 3;
+    this.ttlMs = (parseFloat(process.env.DRAFT_TTL_MINUTES) || 15) * 60000;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Start a draft bot from builder settings
+   * @param {string} userId - Owner
+   * @param {Object} spec - Output of botBuilder.normalizeSpec
+   * @param {Object|null} llm - Optional { provider, model }
+   * @returns {Promise<Object>} - { draftId, config }
+   */
+  async createDraft(userId, spec, llm) {
+    const owned = [...this.drafts.values()].filter(draft => draft.userId === userId);
+    if (owned.length >= this.maxDraftsPerUser) {
+      // Builders left open in other tabs: drop the least recently used preview
+      owned.sort((a, b) => a.lastUsed - b.lastUsed);
+      await this.discardDraft(owned[0].id);
+    }
+
+    const draftId = `draft-${uuidv4()}`;
+    const draftPath = path.join(DRAFTS_DIR, draftId);
+    const draft = { id: draftId, userId, path: draftPath, bot: null, server: null, client: null, config: null, lastUsed: Date.now() };
+
+    try {
+      await containerManager.copyDirectory(TEMPLATE_PATH, draftPath, { skip: name => name === 'test' });
+      draft.config = await this.buildConfig(draftId, spec, llm);
+      await this.writeConfig(draft);
+
+      const { AIChatbot } = require(path.join(draftPath, 'botLogic.js'));
+      process.env.CONTAINER_ID = draftId;
+      process.env.SESSION_ID = userId;
+      draft.bot = new AIChatbot();
+      const { server, port } = await draft.bot.listen(0, '127.0.0.1');
+      draft.server = server;
+      draft.client = new ContainerClient({ baseUrl: `http://127.0.0.1:${port}`, retries: 0 });
+      await draft.client.waitForHealth();
+    } catch (error) {
+      await this.teardown(draft);
+      throw error;
+    }
+
+    this.drafts.set(draftId, draft);
+    this.startSweep();
+    console.log(`🧪 Draft bot ${draftId} started for preview`);
+    return { draftId, config: containerManager.toEditableConfig(draft.config) };
+  }
+
+  /**
+   * Apply new builder settings to a draft (hot-reloaded; its conversation is kept)
+   * @param {string} userId - Owner
+   * @param {string} draftId - Draft ID
+   * @param {Object} spec - Output of botBuilder.normalizeSpec
+   * @param {Object|null} llm - Optional { provider, model }
+   * @returns {Promise<Object>} - { draftId, config }
+   */
+  async updateDraft(userId, draftId, spec, llm) {
+    const draft = this.getDraft(userId, draftId);
+    draft.config = await this.buildConfig(draftId, spec, llm, draft.config);
+    await this.writeConfig(draft);
+    await draft.client.reloadConfig();
+    return { draftId, config: containerManager.toEditableConfig(draft.config) };
+  }
+
+  /**
+   * Send a message to a draft bot
+   * @param {string} userId - Owner
+   * @param {string} draftId - Draft ID
+   * @param {string} message - User message
+   * @returns {Promise<Object>} - { response, citations }
+   */
+  async chat(userId, draftId, message) {
+    const draft = this.getDraft(userId, draftId);
+    const result = await draft.client.chat(message, 'preview');
+    return { response: result.response, citations: result.citations || [] };
+  }
+
+  /**
+   * Stop a draft and delete its files
+   * @param {string} draftId - Draft ID
+   * @param {string} userId - Owner; omitted by the expiry sweep
+   * @returns {Promise<boolean>} - Whether the draft existed
+   */
+  async discardDraft(draftId, userId) {
+    const draft = this.drafts.get(draftId);
+    if (!draft || (userId && draft.userId !== userId)) return false;
+    this.drafts.delete(draftId);
+    await this.teardown(draft);
+    console.log(`🧹 Draft bot ${draftId} discarded`);
+    return true;
+  }
+
+  getDraft(userId, draftId) {
+    const draft = this.drafts.get(draftId);
+    if (!draft || draft.userId !== userId) {
+      throw Object.assign(new Error('Draft not found or expired'), { status: 404 });
+    }
+    draft.lastUsed = Date.now();
+    return draft;
+  }
+
+  async buildConfig(draftId, spec, llm, previous) {
+    return {
+      id: draftId,
+      ...(await containerManager.buildBotConfig(spec.name, spec.description, { spec, llm, previous })),
+      port: 0,
+      apiKeys: containerManager.aiApiKeys,
+      cloudCredentials: containerManager.cloudCredentials,
+      createdAt: (previous && previous.createdAt) || new Date().toISOString(),
+      draft: true
+    };
+  }
+
+  async writeConfig(draft) {
+    const configPath = path.join(draft.path, 'ai-config.js');
+    await fs.writeFile(configPath, `const aiConfig = ${JSON.stringify(draft.config, null, 2)};\nmodule.exports = { aiConfig };`);
+  }
+
+  async teardown(draft) {
+    if (draft.server) draft.server.close();
+    // As containerManager.unloadContainerBot: the crawl timer would otherwise keep the whole bot alive
+    if (draft.bot && draft.bot.ingestJobs) {
+      draft.bot.ingestJobs.stop();
+    }
+    if (draft.bot && draft.bot.webSources) {
+      draft.bot.webSources.stop();
+    }
+    if (draft.bot && draft.bot.rag && draft.bot.rag.store) {
+      await draft.bot.rag.store.close().catch(() => {});
+    }
+    // Forget the draft's modules so repeated previews don't pile up in the require cache
+    for (const modulePath of Object.keys(require.cache)) {
+      if (modulePath.startsWith(draft.path + path.sep)) delete require.cache[modulePath];
+    }
+    await fs.rm(draft.path, { recursive: true, force: true }).catch((error) => {
+      console.warn(`Warning: Could not remove draft directory ${draft.id}:`, error.message);
+    });
+  }
+
+  /**
+   * Discard drafts unused for DRAFT_TTL_MINUTES (the builder discards its draft on close,
+   * this catches closed tabs)
+   */
+  startSweep() {
+    if (this.sweepTimer) return;
+    this.sweepTimer = setInterval(() => {
+      const cutoff = Date.now() - this.ttlMs;
+      for (const draft of this.drafts.values()) {
+        if (draft.lastUsed < cutoff) {
+          this.discardDraft(draft.id).catch((error) => console.error('Draft cleanup failed:', error));
+        }
+      }
+    }, Math.min(this.ttlMs, 60000));
+    this.sweepTimer.unref();
+  }
+
+  async discardAll() {
+    await Promise.all([...this.drafts.keys()].map(draftId => this.discardDraft(draftId)));
+  }
+}
+
+const previewService = new PreviewService();
+
+module.exports = { previewService };
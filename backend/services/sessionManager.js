@@ -279,6 +279,6 @@ const sessionManager = new SessionManager();
 // Cleanup expired sessions every hour
 setInterval(() => {
   sessionManager.cleanupExpiredSessions();
-}, 60 * 60 * 1000);
+}, 60 * 60 * 1000).unref();
 
 module.exports = { sessionManager };
@@ -0,0 +1,187 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A scratch database (read when the modules load)
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-key-guard-test-'));
+process.env.MOCK_EXTERNAL_APIS = 'true';
+process.env.DATABASE_PATH = path.join(scratchDir, 'ai_platform.db');
+
+const { aiService } = require('../services/aiService');
+const { apiKeyGuard } = require('../services/apiKeyGuard');
+const { parseKeySettings, ipAllowed, originOf } = require('../utils/apiKeys');
+
+const userId = 'guard-test-user';
+let containerId;
+
+/**
+ * A new key for the test bot; `settings` are column values (as from parseKeySettings) plus kind
+ */
+async function createKey(settings = {}) {
+  const { id, apiKey } = await aiService.createAIAPIKey(userId, containerId, 'test', {
+    scopes: 'invoke,ingest,read-history',
+    ...settings
+  });
+  return { id, apiKey };
+}
+
+/**
+ * The error authorize() throws for a request
+ */
+async function rejection(apiKey, request) {
+  try {
+    await apiKeyGuard.authorize(apiKey, request);
+  } catch (error) {
+    return error;
+  }
+  assert.fail('the request was authorized');
+}
+
+describe('apiKeyGuard.authorize', () => {
+  before(async () => {
+    ({ containerId } = await aiService.createAIInstance({
+      userId,
+      sessionId: 'guard-test-session',
+      name: 'Guard Test Bot',
+      description: 'Answers nothing',
+      status: 'Running'
+    }));
+  });
+
+  after(() => fs.rmSync(scratchDir, { recursive: true, force: true }));
+
+  test('resolves a valid key to its record and bot, and counts the request', async () => {
+    const { id, apiKey } = await createKey();
+    const { key, aiInstance } = await apiKeyGuard.authorize(apiKey, { scope: 'invoke', ip: '203.0.113.5' });
+    assert.equal(key.id, id);
+    assert.equal(aiInstance.container_id, containerId);
+    assert.equal((await aiService.getAPIKeyUsageToday(id)).requests, 1);
+  });
+
+  test('unknown and revoked keys are invalid_api_key', async () => {
+    assert.equal((await rejection('not-a-key', {})).code, 'invalid_api_key');
+
+    const { id, apiKey } = await createKey();
+    await aiService.revokeAIAPIKey(userId, id);
+    const error = await rejection(apiKey, {});
+    assert.equal(error.code, 'invalid_api_key');
+    assert.equal(error.status, 401);
+  });
+
+  test('secret and publishable keys only work where their kind is expected', async () => {
+    const secret = await createKey();
+    assert.equal((await rejection(secret.apiKey, { kind: 'publishable', origin: 'https://shop.example' })).code, 'invalid_api_key');
+
+    const publishable = await createKey({ kind: 'publishable', scopes: 'invoke', allowed_origins: JSON.stringify(['https://shop.example']) });
+    assert.equal((await rejection(publishable.apiKey, { scope: 'invoke', origin: 'https://shop.example' })).code, 'invalid_api_key');
+    const { key } = await apiKeyGuard.authorize(publishable.apiKey, { scope: 'invoke', origin: 'https://shop.example', kind: 'publishable' });
+    assert.equal(key.id, publishable.id);
+  });
+
+  test('expired keys are expired_api_key', async () => {
+    const { apiKey } = await createKey({ expires_at: new Date(Date.now() - 1000).toISOString() });
+    const error = await rejection(apiKey, {});
+    assert.equal(error.code, 'expired_api_key');
+    assert.equal(error.status, 401);
+
+    const future = await createKey({ expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+    await apiKeyGuard.authorize(future.apiKey, {});
+  });
+
+  test('a route scope the key lacks is insufficient_scope', async () => {
+    const { apiKey } = await createKey({ scopes: 'invoke' });
+    const error = await rejection(apiKey, { scope: 'read-history' });
+    assert.equal(error.code, 'insufficient_scope');
+    assert.equal(error.status, 403);
+    await apiKeyGuard.authorize(apiKey, { scope: 'invoke' });
+    await apiKeyGuard.authorize(apiKey, {});
+  });
+
+  test('origins outside the allow-list, or a missing origin, are origin_not_allowed', async () => {
+    const { apiKey } = await createKey({ allowed_origins: JSON.stringify(['https://app.example']) });
+    assert.equal((await rejection(apiKey, { origin: 'https://evil.example' })).code, 'origin_not_allowed');
+    assert.equal((await rejection(apiKey, {})).code, 'origin_not_allowed');
+    // Referer headers count by their origin
+    await apiKeyGuard.authorize(apiKey, { origin: 'https://app.example/checkout?step=2' });
+  });
+
+  test('addresses outside the allow-list are ip_not_allowed', async () => {
+    const { settings, error } = parseKeySettings({ allowedIps: ['198.51.100.0/24', '2001:db8::1'] });
+    assert.equal(error, null);
+    const { apiKey } = await createKey(settings);
+
+    assert.equal((await rejection(apiKey, { ip: '198.51.101.1' })).code, 'ip_not_allowed');
+    assert.equal((await rejection(apiKey, { ip: '2001:db8::2' })).code, 'ip_not_allowed');
+    assert.equal((await rejection(apiKey, {})).code, 'ip_not_allowed');
+    await apiKeyGuard.authorize(apiKey, { ip: '198.51.100.77' });
+    await apiKeyGuard.authorize(apiKey, { ip: '::ffff:198.51.100.77' });
+    await apiKeyGuard.authorize(apiKey, { ip: '2001:db8::1' });
+  });
+
+  test('requests over the per-minute limit are rate_limited with retryAfter', async () => {
+    const { apiKey } = await createKey({ rpm_limit: 2 });
+    await apiKeyGuard.authorize(apiKey, {});
+    await apiKeyGuard.authorize(apiKey, {});
+    const error = await rejection(apiKey, {});
+    assert.equal(error.code, 'rate_limited');
+    assert.equal(error.status, 429);
+    assert.ok(error.retryAfter >= 1 && error.retryAfter <= 60, `retryAfter ${error.retryAfter}`);
+  });
+
+  test('the window forgets requests older than a minute', () => {
+    const key = { id: 'window-test', rpm_limit: 1 };
+    apiKeyGuard.requestTimes.set(key.id, [Date.now() - 61 * 1000]);
+    apiKeyGuard.takeRequestSlot(key);
+    assert.throws(() => apiKeyGuard.takeRequestSlot(key), { code: 'rate_limited' });
+  });
+
+  test('a used-up daily token quota is quota_exceeded with retryAfter until midnight UTC', async () => {
+    const { id, apiKey } = await createKey({ daily_token_quota: 100 });
+    await aiService.addAPIKeyUsage(id, { tokens: 99 });
+    await apiKeyGuard.authorize(apiKey, {});
+
+    await aiService.addAPIKeyUsage(id, { tokens: 1 });
+    const error = await rejection(apiKey, {});
+    assert.equal(error.code, 'quota_exceeded');
+    assert.equal(error.status, 429);
+    const now = new Date();
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    assert.ok(Math.abs(error.retryAfter - (midnight - now.getTime()) / 1000) <= 2, `retryAfter ${error.retryAfter}`);
+  });
+});
+
+describe('key settings', () => {
+  test('IP rules are addresses or IPv4 CIDR ranges', () => {
+    assert.deepEqual(JSON.parse(parseKeySettings({ allowedIps: [' 10.0.0.0/8 ', '::1', '10.0.0.0/8'] }).settings.allowed_ips), ['10.0.0.0/8', '::1']);
+    for (const rule of ['10.0.0.0/33', '10.0.0.0/8/1', '2001:db8::/32', 'example.com', '10.0.0.0/x']) {
+      assert.match(parseKeySettings({ allowedIps: [rule] }).error, /allowedIps contains an invalid entry/, rule);
+    }
+    assert.equal(parseKeySettings({ allowedIps: [] }).settings.allowed_ips, null);
+  });
+
+  test('CIDR ranges match on their prefix', () => {
+    assert.equal(ipAllowed('10.200.3.4', ['10.0.0.0/8']), true);
+    assert.equal(ipAllowed('11.0.0.1', ['10.0.0.0/8']), false);
+    assert.equal(ipAllowed('192.168.1.255', ['192.168.1.0/24']), true);
+    assert.equal(ipAllowed('192.168.2.0', ['192.168.1.0/24']), false);
+    assert.equal(ipAllowed('8.8.8.8', ['0.0.0.0/0']), true);
+    assert.equal(ipAllowed('203.0.113.9', ['203.0.113.9/32']), true);
+    assert.equal(ipAllowed('::1', ['0.0.0.0/0']), false);
+  });
+
+  test('origins are http(s) scheme, host and port', () => {
+    assert.equal(originOf('https://app.example:8443/path?q=1'), 'https://app.example:8443');
+    assert.equal(originOf('ftp://files.example'), null);
+    assert.equal(originOf('not a url'), null);
+  });
+
+  test('limits and expiry are validated', () => {
+    assert.match(parseKeySettings({ rpmLimit: 0 }).error, /rpmLimit must be a positive integer/);
+    assert.match(parseKeySettings({ dailyTokenQuota: 1.5 }).error, /dailyTokenQuota must be a positive integer/);
+    assert.match(parseKeySettings({ expiresAt: '2000-01-01T00:00:00Z' }).error, /expiresAt must be a future ISO date/);
+    assert.match(parseKeySettings({ scopes: ['admin'] }).error, /scopes must be a non-empty array/);
+    assert.equal(parseKeySettings({ rpmLimit: null }).settings.rpm_limit, null);
+  });
+});
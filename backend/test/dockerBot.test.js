@@ -0,0 +1,38 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Smoke check of Docker mode: skipped where no Docker daemon answers
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docker-bot-test-'));
+process.env.MOCK_EXTERNAL_APIS = 'true';
+process.env.DATABASE_PATH = path.join(scratchDir, 'ai_platform.db');
+
+const { containerManager } = require('../services/containerManager');
+
+after(() => fs.rmSync(scratchDir, { recursive: true, force: true }));
+
+test('a Docker-mode bot answers /health', { timeout: 15 * 60 * 1000 }, async (t) => {
+  try {
+    await containerManager.docker.ping();
+  } catch (error) {
+    t.skip(`Docker is not available (${error.message})`);
+    return;
+  }
+  containerManager.dockerAvailable = true;
+
+  const containerId = `docker-smoke-${Date.now()}`;
+  const sessionId = 'docker-smoke-session';
+  try {
+    // The first run builds the bot image, which can take a few minutes
+    const created = await containerManager.createContainer(sessionId, containerId, 'Smoke Test Bot', 'Checks that Docker-mode bots start');
+    assert.equal(created.success, true, created.error);
+
+    const client = await containerManager.getContainerClient(containerId, sessionId);
+    const health = await client.waitForHealth();
+    assert.equal(health.status, 'healthy');
+  } finally {
+    await containerManager.deleteContainer(containerId);
+  }
+});
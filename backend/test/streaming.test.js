@@ -0,0 +1,163 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFileSync } = require('child_process');
+
+// Offline bot replies from the mock model, and a scratch database (both read when the modules load)
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streaming-test-'));
+process.env.MOCK_EXTERNAL_APIS = 'true';
+process.env.DATABASE_PATH = path.join(scratchDir, 'ai_platform.db');
+
+const WebSocket = require('ws');
+const { containerManager } = require('../services/containerManager');
+const { sessionManager } = require('../services/sessionManager');
+const { attachChatSocket } = require('../services/chatSocket');
+
+const TEMPLATE_PATH = path.join(__dirname, '../../containers/mainCodebase');
+
+/**
+ * A bot from the template in its own directory (it keeps documents and jobs next to botLogic.js)
+ */
+function createBot(containerId, sessionId) {
+  const botDir = path.join(scratchDir, containerId);
+  fs.mkdirSync(botDir);
+  const files = execFileSync('git', ['ls-files'], { cwd: TEMPLATE_PATH, encoding: 'utf-8' })
+    .split('\n')
+    .filter(file => file.endsWith('.js') && !file.includes('/'));
+  for (const file of files) fs.copyFileSync(path.join(TEMPLATE_PATH, file), path.join(botDir, file));
+  fs.symlinkSync(path.join(TEMPLATE_PATH, 'node_modules'), path.join(botDir, 'node_modules'), 'dir');
+
+  process.env.CONTAINER_ID = containerId;
+  process.env.SESSION_ID = sessionId;
+  const { AIChatbot } = require(path.join(botDir, 'botLogic.js'));
+  return new AIChatbot();
+}
+
+/**
+ * POST a message to /chat/stream and collect its Server-Sent Events
+ * @returns {Promise<Array<Object>>} - [{ event, data }]
+ */
+function postStream(port, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: '/chat/stream', method: 'POST', headers: { 'Content-Type': 'application/json' } }, (res) => {
+      let text = '';
+      res.setEncoding('utf-8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => {
+        resolve(text.split('\n\n').filter(Boolean).map((frame) => {
+          const event = /^event: (.*)$/m.exec(frame);
+          const data = /^data: (.*)$/m.exec(frame);
+          return { event: event && event[1], data: data && JSON.parse(data[1]) };
+        }));
+      });
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify(body));
+  });
+}
+
+/**
+ * Send a chat frame and collect the frames for its requestId up to `done` or `error`
+ */
+function chatOverSocket(ws, message, requestId) {
+  return new Promise((resolve) => {
+    const frames = [];
+    const onMessage = (raw) => {
+      const frame = JSON.parse(raw);
+      if (frame.requestId !== requestId) return;
+      frames.push(frame);
+      if (frame.type === 'done' || frame.type === 'error') {
+        ws.off('message', onMessage);
+        resolve(frames);
+      }
+    };
+    ws.on('message', onMessage);
+    ws.send(JSON.stringify({ type: 'chat', message, requestId }));
+  });
+}
+
+describe('streamed replies with the mock model', () => {
+  const containerId = 'stream-test-bot';
+  const sessionId = 'stream-test-session';
+  let bot;
+  let botServer;
+  let botPort;
+  let server;
+  let wss;
+
+  before(async () => {
+    bot = createBot(containerId, sessionId);
+    ({ server: botServer, port: botPort } = await bot.listen(0, '127.0.0.1'));
+
+    // Registered as a running demo-mode bot, the way containerManager loads one
+    containerManager.containerBots.set(containerId, bot);
+    containerManager.activeContainers.set(containerId, {
+      container: null,
+      sessionId,
+      aiName: bot.aiConfig.name,
+      port: 0,
+      createdAt: new Date().toISOString(),
+      status: containerManager.runningStatus(),
+      inFlight: 0
+    });
+    await sessionManager.createSession(sessionId, 'stream-test-user');
+
+    server = http.createServer();
+    wss = attachChatSocket(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(async () => {
+    wss.close();
+    server.close();
+    botServer.close();
+    containerManager.unloadContainerBot(containerId);
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+  });
+
+  test('/chat/stream sends token frames, then done with the whole reply', async () => {
+    const frames = await postStream(botPort, { message: 'Hello there', conversationId: 'sse-test' });
+
+    const tokens = frames.filter(frame => frame.event === 'token');
+    const done = frames[frames.length - 1];
+    assert.ok(tokens.length > 1);
+    assert.equal(done.event, 'done');
+    assert.equal(frames.indexOf(done), tokens.length);
+    assert.equal(tokens.map(frame => frame.data.token).join(''), done.data.response);
+    assert.match(done.data.response, /\(mock\) received: "Hello there"/);
+  });
+
+  test('the WebSocket answers a chat frame with token and done frames carrying its requestId', async () => {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}/?sessionId=${sessionId}&containerId=${containerId}`);
+    try {
+      const welcome = await new Promise((resolve, reject) => {
+        ws.once('message', raw => resolve(JSON.parse(raw)));
+        ws.once('error', reject);
+      });
+      assert.equal(welcome.type, 'connection');
+
+      const frames = await chatOverSocket(ws, 'Hello over the socket', 'req-1');
+      const done = frames[frames.length - 1];
+      assert.equal(done.type, 'done');
+      assert.ok(frames.slice(0, -1).length > 1);
+      assert.ok(frames.slice(0, -1).every(frame => frame.type === 'token'));
+      assert.equal(frames.slice(0, -1).map(frame => frame.token).join(''), done.message);
+      assert.match(done.message, /received: "Hello over the socket"/);
+
+      const failed = await chatOverSocket(ws, 'x'.repeat(1001), 'req-2');
+      assert.deepEqual(failed.map(frame => frame.type), ['error']);
+      assert.equal(failed[0].requestId, 'req-2');
+    } finally {
+      ws.close();
+    }
+  });
+
+  test('the WebSocket refuses connections without a valid session', async () => {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}/?sessionId=unknown&containerId=${containerId}`);
+    const code = await new Promise(resolve => ws.once('close', resolve));
+    assert.equal(code, 1008);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Error codes of the public API. Every error response is { success: false, code, message };
+ * clients should branch on `code`, which never changes meaning, rather than on the message.
+ */
+const ERROR_CODES = {
+  invalid_request: { status: 400, description: 'The request is malformed or a parameter is invalid' },
+  missing_api_key: { status: 401, description: 'No API key was sent' },
+  invalid_api_key: { status: 401, description: 'The API key is unknown or revoked' },
+  expired_api_key: { status: 401, description: 'The API key has expired' },
+  insufficient_scope: { status: 403, description: 'The API key lacks the scope this route needs (invoke, ingest or read-history)' },
+  origin_not_allowed: { status: 403, description: 'The request\'s Origin is not in the key\'s allowed origins' },
+  ip_not_allowed: { status: 403, description: 'The client IP address is not in the key\'s allowed addresses' },
+  not_found: { status: 404, description: 'The conversation, document or route does not exist for this bot' },
+  bot_unavailable: { status: 409, description: 'The bot is stopped, initializing or failed; start it from the dashboard' },
+  payload_too_large: { status: 413, description: 'The upload exceeds the size limit' },
+  unsupported_media_type: { status: 415, description: 'The file type cannot be ingested' },
+  rate_limited: { status: 429, description: 'Too many requests per minute for this key; retry after the Retry-After seconds' },
+  quota_exceeded: { status: 429, description: 'The key\'s daily token quota is used up; it resets at midnight UTC (see Retry-After)' },
+  internal_error: { status: 500, description: 'Unexpected server error' },
+  bot_error: { status: 502, description: 'The bot failed to handle the request' }
+};
+
+// HTTP statuses from the bot (or services) mapped onto public codes
+const STATUS_CODES = {
+  400: 'invalid_request',
+  404: 'not_found',
+  409: 'bot_unavailable',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type'
+};
+
+/**
+ * Create an error carrying a public error code (and its HTTP status)
+ * @param {string} code - Key of ERROR_CODES
+ * @param {string} message - Human-readable message
+ * @returns {Error}
+ */
+function apiError(code, message) {
+  return Object.assign(new Error(message), { status: ERROR_CODES[code].status, code });
+}
+
+/**
+ * Public error code for a failed { success: false, status } result or a thrown error
+ * @param {number} status - HTTP status
+ * @returns {string}
+ */
+function codeForStatus(status) {
+  if (STATUS_CODES[status]) return STATUS_CODES[status];
+  return status && status < 500 ? 'invalid_request' : 'bot_error';
+}
+
+/**
+ * Send an error in the public format; errors without a code are logged and reported as internal_error
+ * @param {Object} res - Express response
+ * @param {Error} error - Error (apiError, or any error with an HTTP status)
+ */
+function sendError(res, error) {
+  let code = error.code && ERROR_CODES[error.code] ? error.code : null;
+  if (!code && error.status) code = codeForStatus(error.status);
+  if (!code) {
+    console.error('Public API error:', error);
+    code = 'internal_error';
+  }
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  res.status(ERROR_CODES[code].status).json({
+    success: false,
+    code,
+    message: code === 'internal_error' ? 'Internal server error' : error.message
+  });
+}
+
+// OpenAI error `type` for an HTTP status (used by the OpenAI-compatible /v1 routes)
+function openAIErrorType(status) {
+  if (status === 401) return 'authentication_error';
+  if (status === 429) return 'rate_limit_error';
+  if (status >= 500) return 'server_error';
+  return 'invalid_request_error';
+}
+
+/**
+ * Send an error in the OpenAI format: { error: { message, type, param, code } }
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with an HTTP status (and optional code, param); others are logged and reported as 500
+ */
+function sendOpenAIError(res, error) {
+  const status = error.status || 500;
+  if (!error.status) console.error('OpenAI-compatible API error:', error);
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  res.status(status).json({
+    error: {
+      message: error.status ? error.message : 'Internal server error',
+      type: openAIErrorType(status),
+      param: error.param || null,
+      code: error.code || null
+    }
+  });
+}
+
+module.exports = { ERROR_CODES, apiError, codeForStatus, sendError, sendOpenAIError };
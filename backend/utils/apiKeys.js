@@ -0,0 +1,227 @@
+/**
+ * Bot API key helpers: key generation and hashing, and validation of per-key settings
+ * (scopes, expiry, allowed origins/IPs, rate limit and daily token quota)
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+
+// What a key may do: chat with the bot, manage its documents, read conversation history
+const API_KEY_SCOPES = ['invoke', 'ingest', 'read-history'];
+
+// Secret keys are for servers; publishable keys are embedded in web pages (website widget), so they only
+// chat, and only from their allowed origins
+const API_KEY_KINDS = ['secret', 'publishable'];
+
+const MAX_ALLOWED_ENTRIES = 20;
+const MAX_EXPIRY_DAYS = 3650;
+const MAX_RPM_LIMIT = 10000;
+
+/**
+ * SHA-256 of a key; only the hash is stored, so a leaked database does not leak usable keys
+ * @param {string} apiKey - Raw key
+ * @returns {string} - Hex digest
+ */
+function hashAPIKey(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+/**
+ * New random key for a bot; the first characters (prefix) are kept in clear to tell keys apart
+ * @param {string} containerId - Bot the key belongs to
+ * @param {string} kind - secret | publishable (publishable keys start with pk_)
+ * @returns {{ apiKey: string, prefix: string, hash: string }}
+ */
+function generateAPIKey(containerId, kind = 'secret') {
+  const apiKey = `${kind === 'publishable' ? 'pk_' : ''}${containerId.slice(0, 8)}_${crypto.randomBytes(24).toString('hex')}`;
+  const prefixLength = kind === 'publishable' ? 17 : 14;
+  return { apiKey, prefix: apiKey.slice(0, prefixLength), hash: hashAPIKey(apiKey) };
+}
+
+/**
+ * Parse an IP rule: an exact IPv4/IPv6 address or an IPv4 CIDR range
+ * @returns {string|null} - Normalized rule, or null if invalid
+ */
+function parseIpRule(value) {
+  const rule = String(value).trim();
+  const [address, bits, extra] = rule.split('/');
+  if (extra !== undefined || !net.isIP(address)) return null;
+  if (bits === undefined) return address;
+  const prefix = Number(bits);
+  if (!net.isIPv4(address) || !Number.isInteger(prefix) || prefix < 0 || prefix > 32) return null;
+  return `${address}/${prefix}`;
+}
+
+function ipv4ToInt(address) {
+  return address.split('.').reduce((value, octet) => (value << 8) + Number(octet), 0) >>> 0;
+}
+
+/**
+ * Whether a client address matches one of the rules (IPv4-mapped IPv6 addresses match IPv4 rules)
+ * @param {string} ip - Client address (req.ip)
+ * @param {Array<string>} rules - Parsed rules
+ * @returns {boolean}
+ */
+function ipAllowed(ip, rules) {
+  const address = String(ip || '').replace(/^::ffff:/, '');
+  return rules.some(rule => {
+    const [base, bits] = rule.split('/');
+    if (bits === undefined) return base === address;
+    if (!net.isIPv4(address)) return false;
+    const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+    return ((ipv4ToInt(address) & mask) >>> 0) === ((ipv4ToInt(base) & mask) >>> 0);
+  });
+}
+
+/**
+ * Origin (scheme://host[:port]) of an Origin or Referer header value
+ * @returns {string|null}
+ */
+function originOf(value) {
+  if (!value) return null;
+  try {
+    const url = new URL(value);
+    return /^https?:$/.test(url.protocol) ? url.origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseList(value, field, parse) {
+  if (value === null) return { value: null };
+  if (!Array.isArray(value) || value.length > MAX_ALLOWED_ENTRIES || value.some(item => typeof item !== 'string')) {
+    return { error: `${field} must be an array of at most ${MAX_ALLOWED_ENTRIES} strings, or null` };
+  }
+  const parsed = [];
+  for (const item of value) {
+    const entry = parse(item);
+    if (!entry) return { error: `${field} contains an invalid entry: ${item}` };
+    parsed.push(entry);
+  }
+  // An empty list means no restriction
+  return { value: parsed.length ? [...new Set(parsed)] : null };
+}
+
+function parseLimitValue(value, field, max) {
+  if (value === null) return { value: null };
+  if (!Number.isInteger(value) || value < 1 || (max && value > max)) {
+    return { error: `${field} must be a positive integer${max ? ` up to ${max}` : ''}, or null for no limit` };
+  }
+  return { value };
+}
+
+/**
+ * Validate key settings from a create or update request (any subset of the fields)
+ * @param {Object} body - { scopes, expiresAt (ISO date or null), expiresInDays, allowedOrigins, allowedIps,
+ *   rpmLimit, dailyTokenQuota }
+ * @returns {{ settings: Object, error: string|null }} - settings use column names (scopes, expires_at, ...)
+ */
+function parseKeySettings(body) {
+  const settings = {};
+
+  if (body.scopes !== undefined) {
+    if (!Array.isArray(body.scopes) || body.scopes.length === 0 || body.scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+      return { error: `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}` };
+    }
+    settings.scopes = API_KEY_SCOPES.filter(scope => body.scopes.includes(scope)).join(',');
+  }
+
+  if (body.expiresInDays !== undefined && body.expiresAt !== undefined) {
+    return { error: 'Send expiresAt or expiresInDays, not both' };
+  }
+  if (body.expiresInDays !== undefined) {
+    if (body.expiresInDays !== null && !(Number.isInteger(body.expiresInDays) && body.expiresInDays > 0 && body.expiresInDays <= MAX_EXPIRY_DAYS)) {
+      return { error: `expiresInDays must be an integer from 1 to ${MAX_EXPIRY_DAYS}, or null for no expiry` };
+    }
+    settings.expires_at = body.expiresInDays === null
+      ? null
+      : new Date(Date.now() + body.expiresInDays * 24 * 60 * 60 * 1000).toISOString();
+  }
+  if (body.expiresAt !== undefined) {
+    const expiresAt = body.expiresAt === null ? null : Date.parse(body.expiresAt);
+    if (expiresAt !== null && (typeof body.expiresAt !== 'string' || Number.isNaN(expiresAt) || expiresAt <= Date.now())) {
+      return { error: 'expiresAt must be a future ISO date, or null for no expiry' };
+    }
+    settings.expires_at = expiresAt === null ? null : new Date(expiresAt).toISOString();
+  }
+
+  const lists = [
+    ['allowedOrigins', 'allowed_origins', originOf],
+    ['allowedIps', 'allowed_ips', parseIpRule]
+  ];
+  for (const [field, column, parse] of lists) {
+    if (body[field] === undefined) continue;
+    const { value, error } = parseList(body[field], field, parse);
+    if (error) return { error };
+    settings[column] = value ? JSON.stringify(value) : null;
+  }
+
+  const limits = [
+    ['rpmLimit', 'rpm_limit', MAX_RPM_LIMIT],
+    ['dailyTokenQuota', 'daily_token_quota', null]
+  ];
+  for (const [field, column, max] of limits) {
+    if (body[field] === undefined) continue;
+    const { value, error } = parseLimitValue(body[field], field, max);
+    if (error) return { error };
+    settings[column] = value;
+  }
+
+  return { settings, error: null };
+}
+
+/**
+ * Extra rules for publishable keys: they must be limited to origins and can only chat
+ * @param {string} kind - Key kind
+ * @param {Object} settings - Column values being set (on creation, include allowed_origins: null when not sent)
+ * @returns {string|null} - Error message
+ */
+function checkKindSettings(kind, settings) {
+  if (kind !== 'publishable') return null;
+  if ('allowed_origins' in settings && !settings.allowed_origins) {
+    return 'Publishable keys need allowedOrigins: the sites the widget is embedded on';
+  }
+  if (settings.scopes && settings.scopes !== 'invoke') {
+    return 'Publishable keys can only have the invoke scope';
+  }
+  if (settings.allowed_ips) {
+    return 'Publishable keys are used by site visitors, so they cannot be limited to IP addresses';
+  }
+  return null;
+}
+
+/**
+ * Key settings in API form (camelCase, lists parsed), for the dashboard; never includes the hash
+ * @param {Object} row - ai_api_keys row
+ * @returns {Object}
+ */
+function describeKeySettings(row) {
+  const parseJSON = (value) => {
+    try {
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      return null;
+    }
+  };
+  return {
+    kind: row.kind || 'secret',
+    scopes: row.scopes ? row.scopes.split(',') : [...API_KEY_SCOPES],
+    expiresAt: row.expires_at || null,
+    allowedOrigins: parseJSON(row.allowed_origins),
+    allowedIps: parseJSON(row.allowed_ips),
+    rpmLimit: row.rpm_limit || null,
+    dailyTokenQuota: row.daily_token_quota || null
+  };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  API_KEY_KINDS,
+  hashAPIKey,
+  generateAPIKey,
+  ipAllowed,
+  originOf,
+  parseKeySettings,
+  checkKindSettings,
+  describeKeySettings
+};
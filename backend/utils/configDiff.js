@@ -0,0 +1,130 @@
+/**
+ * Line diffs between bot configuration snapshots (version history view)
+ */
+
+// Fields shown first, in this order; any other field follows alphabetically
+const FIELD_ORDER = ['name', 'description', 'personality', 'detailedInstructions', 'systemPrompt', 'topicGuard', 'domain', 'capabilities', 'llm', 'search', 'retrieval'];
+
+// Above this many LCS cells a changed field is shown as fully removed + added
+const MAX_DIFF_CELLS = 4000000;
+
+function toLines(value) {
+  if (value === undefined) return [];
+  const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  return text.split('\n');
+}
+
+/**
+ * Longest-common-subsequence line diff
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array} - [{ op: ' ' | '-' | '+', text }]
+ */
+function diffLines(a, b) {
+  // Common prefix and suffix never need the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const oldMid = a.slice(start, endA);
+  const newMid = b.slice(start, endB);
+  const lines = a.slice(0, start).map(text => ({ op: ' ', text }));
+
+  if (oldMid.length * newMid.length > MAX_DIFF_CELLS) {
+    oldMid.forEach(text => lines.push({ op: '-', text }));
+    newMid.forEach(text => lines.push({ op: '+', text }));
+  } else {
+    const table = Array.from({ length: oldMid.length + 1 }, () => new Uint32Array(newMid.length + 1));
+    for (let i = oldMid.length - 1; i >= 0; i--) {
+      for (let j = newMid.length - 1; j >= 0; j--) {
+        table[i][j] = oldMid[i] === newMid[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < oldMid.length && j < newMid.length) {
+      if (oldMid[i] === newMid[j]) {
+        lines.push({ op: ' ', text: oldMid[i] });
+        i++;
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        lines.push({ op: '-', text: oldMid[i++] });
+      } else {
+        lines.push({ op: '+', text: newMid[j++] });
+      }
+    }
+    while (i < oldMid.length) lines.push({ op: '-', text: oldMid[i++] });
+    while (j < newMid.length) lines.push({ op: '+', text: newMid[j++] });
+  }
+
+  return lines.concat(a.slice(endA).map(text => ({ op: ' ', text })));
+}
+
+/**
+ * Collapse long runs of unchanged lines, keeping `context` lines around each change
+ * @param {Array} lines - Output of diffLines
+ * @param {number} context - Unchanged lines kept on each side of a change
+ * @returns {Array} - Lines, with skipped runs replaced by { op: '@', text: '... N unchanged lines' }
+ */
+function collapseUnchanged(lines, context = 3) {
+  const keep = lines.map(line => line.op !== ' ');
+  lines.forEach((line, index) => {
+    if (line.op === ' ') return;
+    for (let k = Math.max(0, index - context); k <= Math.min(lines.length - 1, index + context); k++) {
+      keep[k] = true;
+    }
+  });
+
+  const result = [];
+  let skipped = 0;
+  lines.forEach((line, index) => {
+    if (keep[index]) {
+      if (skipped) result.push({ op: '@', text: `... ${skipped} unchanged line${skipped === 1 ? '' : 's'}` });
+      skipped = 0;
+      result.push(line);
+    } else {
+      skipped++;
+    }
+  });
+  if (skipped) result.push({ op: '@', text: `... ${skipped} unchanged line${skipped === 1 ? '' : 's'}` });
+  return result;
+}
+
+/**
+ * Diff two configuration snapshots field by field
+ * @param {Object} from - Older snapshot
+ * @param {Object} to - Newer snapshot
+ * @param {Object} options - { context } unchanged lines kept around each change
+ * @returns {Array} - [{ field, change: 'added' | 'removed' | 'modified', lines }] for changed fields only
+ */
+function diffConfigs(from = {}, to = {}, options = {}) {
+  const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort((x, y) => {
+    const rank = (field) => (FIELD_ORDER.includes(field) ? FIELD_ORDER.indexOf(field) : FIELD_ORDER.length);
+    return rank(x) - rank(y) || x.localeCompare(y);
+  });
+
+  const changes = [];
+  for (const field of fields) {
+    const before = toLines(from[field]);
+    const after = toLines(to[field]);
+    if (before.join('\n') === after.join('\n') && (from[field] === undefined) === (to[field] === undefined)) continue;
+
+    const change = from[field] === undefined ? 'added' : to[field] === undefined ? 'removed' : 'modified';
+    changes.push({
+      field,
+      change,
+      lines: collapseUnchanged(diffLines(before, after), options.context ?? 3)
+    });
+  }
+  return changes;
+}
+
+module.exports = { diffLines, collapseUnchanged, diffConfigs };
@@ -0,0 +1,263 @@
+/**
+ * Validation for bot settings shared by the config editor and the bot builder
+ */
+
+const { listProviders } = require('../../containers/mainCodebase/llmProviders');
+
+// Tones the instruction generator and personality templates know about
+const TONES = ['friendly', 'professional', 'casual', 'technical'];
+
+const TOPIC_GUARD_MODES = ['embeddings', 'llm'];
+
+/**
+ * Validate a list of topics or example prompts
+ * @returns {Array<string>|null} - Trimmed, de-duplicated list, or null if invalid
+ */
+function parseTextList(value, maxItems, maxLength) {
+  if (!Array.isArray(value) || value.length > maxItems ||
+      value.some(item => typeof item !== 'string' || item.trim().length > maxLength)) {
+    return null;
+  }
+  return [...new Set(value.map(item => item.trim()).filter(Boolean))];
+}
+
+/**
+ * Validate a topicGuard update (any subset of its fields)
+ * @param {Object} body - { enabled, mode, allowTopics, denyTopics, inScopeExamples, outOfScopeExamples,
+ *   threshold, allowSmallTalk, refusalMessage }
+ * @returns {{ topicGuard: Object, error: string|null }}
+ */
+function parseTopicGuard(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'topicGuard must be an object' };
+  }
+  const topicGuard = {};
+
+  for (const flag of ['enabled', 'allowSmallTalk']) {
+    if (body[flag] !== undefined) {
+      if (typeof body[flag] !== 'boolean') return { error: `topicGuard.${flag} must be true or false` };
+      topicGuard[flag] = body[flag];
+    }
+  }
+
+  if (body.mode !== undefined) {
+    if (!TOPIC_GUARD_MODES.includes(body.mode)) {
+      return { error: `topicGuard.mode must be one of: ${TOPIC_GUARD_MODES.join(', ')}` };
+    }
+    topicGuard.mode = body.mode;
+  }
+
+  for (const field of ['allowTopics', 'denyTopics']) {
+    if (body[field] !== undefined) {
+      const topics = parseTextList(body[field], 50, 100);
+      if (!topics) return { error: `topicGuard.${field} must be an array of at most 50 topics (100 characters each)` };
+      topicGuard[field] = topics;
+    }
+  }
+
+  for (const field of ['inScopeExamples', 'outOfScopeExamples']) {
+    if (body[field] !== undefined) {
+      const examples = parseTextList(body[field], 50, 500);
+      if (!examples) return { error: `topicGuard.${field} must be an array of at most 50 prompts (500 characters each)` };
+      topicGuard[field] = examples;
+    }
+  }
+
+  if (body.threshold !== undefined) {
+    if (body.threshold !== null && !(typeof body.threshold === 'number' && body.threshold >= 0 && body.threshold <= 1)) {
+      return { error: 'topicGuard.threshold must be a number between 0 and 1 (or null for the default)' };
+    }
+    topicGuard.threshold = body.threshold;
+  }
+
+  if (body.refusalMessage !== undefined) {
+    if (typeof body.refusalMessage !== 'string' || body.refusalMessage.length > 1000) {
+      return { error: 'topicGuard.refusalMessage must be a string of at most 1000 characters' };
+    }
+    topicGuard.refusalMessage = body.refusalMessage.trim();
+  }
+
+  return { topicGuard, error: null };
+}
+
+// Optional capabilities; basic_chat is always on
+const CAPABILITIES = ['data_analysis', 'translation', 'code_generation', 'content_generation', 'summarization', 'explanation', 'creative_thinking'];
+
+const RESPONSE_LENGTHS = ['short', 'medium', 'long'];
+
+// on-request: cite when the user asks; always: cite the passages used in every answer; never: no citations
+const CITATION_POLICIES = ['on-request', 'always', 'never'];
+
+/**
+ * Validate response length, capabilities and citation policy (any subset)
+ * @param {Object} body - { responseLength, capabilities, citationPolicy }
+ * @returns {{ behaviour: Object, error: string|null }}
+ */
+function parseBehaviour(body) {
+  const behaviour = {};
+
+  if (body.responseLength !== undefined) {
+    if (!RESPONSE_LENGTHS.includes(body.responseLength)) {
+      return { error: `responseLength must be one of: ${RESPONSE_LENGTHS.join(', ')}` };
+    }
+    behaviour.responseLength = body.responseLength;
+  }
+
+  if (body.capabilities !== undefined) {
+    if (!Array.isArray(body.capabilities) || body.capabilities.some(c => !CAPABILITIES.includes(c))) {
+      return { error: `capabilities must be a list of: ${CAPABILITIES.join(', ')}` };
+    }
+    behaviour.capabilities = [...new Set(body.capabilities)];
+  }
+
+  if (body.citationPolicy !== undefined) {
+    if (!CITATION_POLICIES.includes(body.citationPolicy)) {
+      return { error: `citationPolicy must be one of: ${CITATION_POLICIES.join(', ')}` };
+    }
+    behaviour.citationPolicy = body.citationPolicy;
+  }
+
+  return { behaviour, error: null };
+}
+
+// Corner of the page the website widget's launcher sits in
+const WIDGET_POSITIONS = ['bottom-right', 'bottom-left'];
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Validate a website widget update (any subset of its fields)
+ * @param {Object} body - { title, greeting, placeholder, primaryColor, textColor, position }
+ * @returns {{ widget: Object, error: string|null }}
+ */
+function parseWidget(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'widget must be an object' };
+  }
+  const widget = {};
+
+  const texts = [['title', 60], ['greeting', 500], ['placeholder', 100]];
+  for (const [field, maxLength] of texts) {
+    if (body[field] !== undefined) {
+      if (typeof body[field] !== 'string' || body[field].length > maxLength) {
+        return { error: `widget.${field} must be a string of at most ${maxLength} characters` };
+      }
+      widget[field] = body[field].trim();
+    }
+  }
+
+  for (const field of ['primaryColor', 'textColor']) {
+    if (body[field] !== undefined) {
+      if (typeof body[field] !== 'string' || !HEX_COLOR.test(body[field])) {
+        return { error: `widget.${field} must be a hex color such as #667eea` };
+      }
+      widget[field] = body[field].toLowerCase();
+    }
+  }
+
+  if (body.position !== undefined) {
+    if (!WIDGET_POSITIONS.includes(body.position)) {
+      return { error: `widget.position must be one of: ${WIDGET_POSITIONS.join(', ')}` };
+    }
+    widget.position = body.position;
+  }
+
+  return { widget, error: null };
+}
+
+/**
+ * Validate an optional per-bot model selection
+ * @param {Object|undefined} llm - { provider, model? }
+ * @returns {{ llm: Object|null, error: string|null }}
+ */
+function parseLLM(llm) {
+  if (!llm) return { llm: null, error: null };
+  if (typeof llm !== 'object' || !listProviders().includes(String(llm.provider || '').toLowerCase())) {
+    return { error: `llm.provider must be one of: ${listProviders().join(', ')}` };
+  }
+  return { llm: { provider: llm.provider, model: llm.model }, error: null };
+}
+
+/**
+ * Validate and normalize a config editor request body (also applied to configurations imported from bundles)
+ * @param {Object} body - { name, description, tone, responseLength, capabilities, citationPolicy,
+ *   detailedInstructions, systemPrompt, topicGuard (or legacy domain), widget }
+ * @returns {{ updates: Object, error: string|null }}
+ */
+function parseConfigUpdates(body) {
+  const updates = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 50) {
+      return { error: 'AI name must be 1-50 characters' };
+    }
+    updates.name = body.name.trim();
+  }
+
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string' || !body.description.trim() || body.description.length > 500) {
+      return { error: 'AI description must be 1-500 characters' };
+    }
+    updates.description = body.description.trim();
+  }
+
+  if (body.tone !== undefined) {
+    if (!TONES.includes(body.tone)) {
+      return { error: `tone must be one of: ${TONES.join(', ')}` };
+    }
+    updates.tone = body.tone;
+  }
+
+  if (body.detailedInstructions !== undefined) {
+    if (typeof body.detailedInstructions !== 'string' || body.detailedInstructions.length > 20000) {
+      return { error: 'detailedInstructions must be a string of at most 20000 characters' };
+    }
+    updates.detailedInstructions = body.detailedInstructions.trim();
+  }
+
+  if (body.systemPrompt !== undefined) {
+    if (typeof body.systemPrompt !== 'string' || body.systemPrompt.length > 30000) {
+      return { error: 'systemPrompt must be a string of at most 30000 characters' };
+    }
+    updates.systemPrompt = body.systemPrompt.trim();
+  }
+
+  const { behaviour, error: behaviourError } = parseBehaviour(body);
+  if (behaviourError) return { error: behaviourError };
+  Object.assign(updates, behaviour);
+
+  if (body.topicGuard !== undefined) {
+    const { topicGuard, error } = parseTopicGuard(body.topicGuard);
+    if (error) return { error };
+    updates.topicGuard = topicGuard;
+  } else if (body.domain !== undefined) {
+    // Older clients send domain keywords; they are the guard's allowed topics now
+    const allowTopics = parseTextList(body.domain && body.domain.keywords, 50, 100);
+    if (!allowTopics) {
+      return { error: 'domain.keywords must be an array of at most 50 keywords (100 characters each)' };
+    }
+    updates.topicGuard = { allowTopics };
+  }
+
+  if (body.widget !== undefined) {
+    const { widget, error } = parseWidget(body.widget);
+    if (error) return { error };
+    updates.widget = widget;
+  }
+
+  return { updates, error: null };
+}
+
+module.exports = {
+  TONES,
+  CAPABILITIES,
+  RESPONSE_LENGTHS,
+  CITATION_POLICIES,
+  WIDGET_POSITIONS,
+  parseTextList,
+  parseTopicGuard,
+  parseBehaviour,
+  parseWidget,
+  parseLLM,
+  parseConfigUpdates
+};
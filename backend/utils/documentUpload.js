@@ -0,0 +1,33 @@
+const multer = require('multer');
+const path = require('path');
+const { supportedFileTypes } = require('../../containers/mainCodebase/extractors');
+
+// File types bots can extract text from (the bot template's extractor registry)
+const { mimeTypes: DOCUMENT_MIME_TYPES, extensions: DOCUMENT_EXTENSIONS, labels: DOCUMENT_TYPE_LABELS } = supportedFileTypes();
+
+const MAX_DOCUMENT_BYTES = 50 * 1024 * 1024; // 50MB per file
+
+/**
+ * Multer file filter accepting the supported document types (by MIME type or extension)
+ * Other files fail with a 415 error listing the supported types.
+ */
+function documentFileFilter(req, file, cb) {
+  if (DOCUMENT_MIME_TYPES.includes(file.mimetype) || DOCUMENT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(Object.assign(new Error(`File type not supported. Supported file types: ${DOCUMENT_TYPE_LABELS.join(', ')}.`), { status: 415 }), false);
+  }
+}
+
+/**
+ * Multer instance for document uploads (kept in memory and forwarded to the bot)
+ */
+const documentUpload = multer({
+  limits: {
+    fileSize: MAX_DOCUMENT_BYTES,
+    fieldSize: 10 * 1024 * 1024 // 10MB limit for fields
+  },
+  fileFilter: documentFileFilter
+});
+
+module.exports = { documentUpload, documentFileFilter, DOCUMENT_MIME_TYPES, DOCUMENT_TYPE_LABELS, MAX_DOCUMENT_BYTES };
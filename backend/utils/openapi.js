@@ -0,0 +1,168 @@
+const { ERROR_CODES, sendError } = require('./apiErrors');
+
+// Errors any API-key route can return, whatever it does
+const KEY_ERRORS = ['missing_api_key', 'invalid_api_key', 'expired_api_key', 'origin_not_allowed', 'ip_not_allowed', 'rate_limited', 'quota_exceeded'];
+
+/**
+ * Route tables for documented APIs: each route is declared once and both mounted on an Express
+ * router and described in the generated OpenAPI 3 document, so the two cannot drift apart.
+ *
+ * Route fields:
+ *   method, path (Express syntax, e.g. /conversations/:conversationId), operationId, summary, description, tag
+ *   auth      - false for routes open without an API key (default true)
+ *   scope     - API key scope the route requires (invoke, ingest, read-history); omit for routes any key may call
+ *   query     - { name: { type, description, enum?, default? } }
+ *   body      - JSON schema of the JSON request body (bodyRequired: false to make it optional)
+ *   upload    - { field, description } accepts multipart/form-data with a file in `field` (alongside or instead of body)
+ *   response  - { status, description, schema }
+ *   stream    - { description } the route answers with Server-Sent Events
+ *   errors    - public error codes the route can return besides the authentication and internal ones
+ *   middleware - Express middleware run after authentication
+ *   handler   - async (req, res) => void; thrown errors are sent with sendError
+ */
+
+/**
+ * Register a route table on a router
+ * @param {Object} router - Express router
+ * @param {Array} routes - Route definitions
+ * @param {Object} options - { authenticate(route) } returns the middleware guarding a route with auth !== false
+ */
+function mountRoutes(router, routes, options = {}) {
+  for (const route of routes) {
+    const guards = route.auth === false || !options.authenticate ? [] : [options.authenticate(route)];
+    router[route.method](route.path, ...guards, ...(route.middleware || []), async (req, res) => {
+      try {
+        await route.handler(req, res);
+      } catch (error) {
+        if (res.headersSent) {
+          console.error(`Public API ${route.operationId} failed mid-response:`, error.message);
+          return res.end();
+        }
+        sendError(res, error);
+      }
+    });
+  }
+}
+
+/**
+ * Build the OpenAPI document for a route table
+ * @param {Array} routes - Route definitions
+ * @param {Object} options - { title, version, description, basePath, schemas } (schemas become components.schemas)
+ * @returns {Object} - OpenAPI 3.0 document
+ */
+function buildOpenAPI(routes, options = {}) {
+  const paths = {};
+  for (const route of routes) {
+    const openapiPath = `${options.basePath || ''}${route.path.replace(/:(\w+)/g, '{$1}')}`;
+    paths[openapiPath] = paths[openapiPath] || {};
+    paths[openapiPath][route.method] = describeOperation(route);
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: options.title,
+      version: options.version,
+      description: `${options.description || ''}\n\n${describeErrorCodes()}`.trim()
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-AI-API-Key', description: 'Secret API key (header only, never the query string)' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['success', 'code', 'message'],
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+            message: { type: 'string' }
+          }
+        },
+        ...(options.schemas || {})
+      }
+    },
+    security: [{ apiKey: [] }]
+  };
+}
+
+function describeOperation(route) {
+  const parameters = [
+    ...(route.path.match(/:(\w+)/g) || []).map(param => ({
+      name: param.slice(1),
+      in: 'path',
+      required: true,
+      schema: { type: 'string' }
+    })),
+    ...Object.entries(route.query || {}).map(([name, { description, ...schema }]) => ({
+      name,
+      in: 'query',
+      required: false,
+      ...(description ? { description } : {}),
+      schema
+    }))
+  ];
+
+  const operation = {
+    operationId: route.operationId,
+    summary: route.summary,
+    ...(route.description || route.scope
+      ? { description: [route.description, route.scope && `Requires the \`${route.scope}\` scope.`].filter(Boolean).join('\n\n') }
+      : {}),
+    ...(route.tag ? { tags: [route.tag] } : {}),
+    ...(route.auth === false ? { security: [] } : {}),
+    ...(parameters.length ? { parameters } : {})
+  };
+
+  const content = {};
+  if (route.body) content['application/json'] = { schema: route.body };
+  if (route.upload) {
+    content['multipart/form-data'] = {
+      schema: {
+        type: 'object',
+        required: [route.upload.field],
+        properties: {
+          [route.upload.field]: { type: 'string', format: 'binary', description: route.upload.description },
+          ...((route.body && route.body.properties) || {})
+        }
+      }
+    };
+  }
+  if (Object.keys(content).length) {
+    operation.requestBody = { required: route.bodyRequired !== false, content };
+  }
+
+  const success = route.response || { status: 200, description: 'OK' };
+  operation.responses = {
+    [success.status]: {
+      description: success.description,
+      content: route.stream
+        ? { 'text/event-stream': { schema: { type: 'string', description: route.stream.description } } }
+        : { 'application/json': { schema: success.schema || { type: 'object' } } }
+    }
+  };
+
+  const codes = [
+    ...(route.auth === false ? [] : KEY_ERRORS),
+    ...(route.scope ? ['insufficient_scope'] : []),
+    ...(route.errors || []),
+    'internal_error'
+  ];
+  for (const code of codes) {
+    const { status } = ERROR_CODES[code];
+    const existing = operation.responses[status];
+    operation.responses[status] = {
+      description: existing ? `${existing.description}; ${code}` : code,
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+  }
+  return operation;
+}
+
+function describeErrorCodes() {
+  const rows = Object.entries(ERROR_CODES).map(([code, { status, description }]) => `| \`${code}\` | ${status} | ${description} |`);
+  return ['Errors are `{ success: false, code, message }`:', '', '| code | HTTP | meaning |', '| --- | --- | --- |', ...rows].join('\n');
+}
+
+module.exports = { mountRoutes, buildOpenAPI };
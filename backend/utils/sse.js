@@ -0,0 +1,46 @@
+/**
+ * Server-Sent Events helpers for streaming AI replies
+ * Frames use the same names as the WebSocket stream: token, done, error
+ */
+
+/**
+ * Switch a response into SSE mode
+ * @param {Object} res - Express response
+ * @returns {Object} - { send(event, data), sendData(data) unnamed frame (OpenAI style; strings are sent as-is),
+ *   close(), isClosed() }
+ */
+function openSSE(res) {
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable proxy buffering (nginx, Render)
+  });
+  res.flushHeaders?.();
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    sendData(data) {
+      if (closed) return;
+      res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    },
+    isClosed() {
+      return closed;
+    }
+  };
+}
+
+module.exports = { openSSE };
@@ -0,0 +1,7 @@
+/**
+ * Rough token count, used for usage blocks and per-key quotas
+ * The bot template's retrieval budgets use the same estimate, so quotas and prompts count tokens alike.
+ */
+const { estimateTokens } = require('../../containers/mainCodebase/retrieval');
+
+module.exports = { estimateTokens };
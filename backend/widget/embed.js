@@ -0,0 +1,77 @@
+/**
+ * Website chat widget loader
+ * <script src="https://<platform host>/widget/embed.js" data-key="pk_..." async></script>
+ * Adds a launcher button and the bot's chat frame to the page. Colors, position and greeting come from the
+ * bot's widget settings, which the frame sends once it has loaded.
+ */
+(function () {
+  var script = document.currentScript;
+  if (!script || window.__aiWidgetLoaded) return;
+  window.__aiWidgetLoaded = true;
+
+  var key = script.getAttribute('data-key');
+  if (!key) {
+    console.warn('AI widget: add data-key="pk_..." to the script tag');
+    return;
+  }
+  var host = new URL(script.src).origin;
+  var frameUrl = host + '/widget/frame?key=' + encodeURIComponent(key) +
+    '&origin=' + encodeURIComponent(window.location.origin) + '&embedded=1';
+
+  var panel = document.createElement('div');
+  panel.style.cssText = 'position:fixed;bottom:88px;right:20px;width:370px;height:560px;' +
+    'max-width:calc(100vw - 40px);max-height:calc(100vh - 108px);border-radius:16px;overflow:hidden;' +
+    'box-shadow:0 12px 40px rgba(0,0,0,0.25);z-index:2147483646;display:none;background:#fff;';
+
+  var frame = document.createElement('iframe');
+  frame.src = frameUrl;
+  frame.title = 'Chat';
+  frame.style.cssText = 'width:100%;height:100%;border:0;';
+  panel.appendChild(frame);
+
+  var launcher = document.createElement('button');
+  launcher.type = 'button';
+  launcher.setAttribute('aria-label', 'Open chat');
+  launcher.textContent = '💬';
+  launcher.style.cssText = 'position:fixed;bottom:20px;right:20px;width:56px;height:56px;border-radius:50%;' +
+    'border:0;cursor:pointer;font-size:26px;box-shadow:0 6px 20px rgba(0,0,0,0.25);z-index:2147483647;' +
+    'display:none;background:#667eea;color:#fff;';
+
+  function setOpen(open) {
+    panel.style.display = open ? 'block' : 'none';
+    launcher.textContent = open ? '×' : '💬';
+    launcher.setAttribute('aria-label', open ? 'Close chat' : 'Open chat');
+  }
+
+  launcher.addEventListener('click', function () {
+    setOpen(panel.style.display === 'none');
+  });
+
+  window.addEventListener('message', function (event) {
+    if (event.origin !== host || event.source !== frame.contentWindow || !event.data) return;
+    if (event.data.type === 'ai-widget:config') {
+      var widget = event.data.widget || {};
+      var side = widget.position === 'bottom-left' ? 'left' : 'right';
+      var other = side === 'left' ? 'right' : 'left';
+      [launcher, panel].forEach(function (element) {
+        element.style[side] = '20px';
+        element.style[other] = 'auto';
+      });
+      launcher.style.background = widget.primaryColor || '#667eea';
+      launcher.style.color = widget.textColor || '#fff';
+      launcher.style.display = 'block';
+    } else if (event.data.type === 'ai-widget:close') {
+      setOpen(false);
+    }
+  });
+
+  function mount() {
+    document.body.appendChild(panel);
+    document.body.appendChild(launcher);
+  }
+  if (document.body) {
+    mount();
+  } else {
+    document.addEventListener('DOMContentLoaded', mount);
+  }
+})();
@@ -1,12 +1,28 @@
 const express = require('express');
-const axios = require('axios');
-const { aiConfig } = require('./ai-config.js');
 const { utils } = require('./utils.js');
 const { config } = require('./config.js');
 const { RAGManager } = require('./rag.js');
-const { DocStore } = require('./docStore.js');
-let pdfParse = null;
-let Tesseract = null;
+const { DocStore, summarize } = require('./docStore.js');
+const { chunkMetadata } = require('./chunker.js');
+const { ConversationMemory } = require('./conversationMemory.js');
+const { createProvider } = require('./llmProviders.js');
+const { createEmbedder } = require('./embeddings.js');
+const { DocumentRetriever } = require('./retrieval.js');
+const { TopicGuard, TopicDecisionLog, resolveTopicGuardSettings } = require('./topicGuard.js');
+const { extractText, findExtractor, unsupportedTypeError } = require('./extractors.js');
+const { IngestJobQueue } = require('./ingestJobs.js');
+const { WebCrawler } = require('./crawler.js');
+const { WebSources } = require('./webSources.js');
+
+/**
+ * Read ai-config.js from disk, bypassing the require cache so edits made by the backend are picked up
+ * @returns {Object} - aiConfig
+ */
+function loadAIConfig() {
+  const configPath = require.resolve('./ai-config.js');
+  delete require.cache[configPath];
+  return require(configPath).aiConfig;
+}
 
 /**
  * AI Chatbot Container - Main Logic
@@ -21,7 +37,7 @@ class AIChatbot {
     this.sessionId = process.env.SESSION_ID;
     
     // Initialize AI configuration
-    this.aiConfig = aiConfig || {
+    this.aiConfig = loadAIConfig() || {
       name: 'Default AI',
       description: 'A helpful AI assistant',
       personality: { tone: 'friendly' },
@@ -31,32 +47,79 @@ class AIChatbot {
 
     // Use port from AI config
     this.port = this.aiConfig.port || process.env.PORT || 3001;
+
+    // Earlier configuration versions that API keys are pinned to, loaded on first use
+    this.versionViews = new Map();
     
-    // Conversation memory (last 15 exchanges)
-    this.conversationMemory = [];
-    this.maxMemorySize = 15;
+    // Conversation memory, kept separately per conversation ID
+    this.memory = new ConversationMemory({
+      maxMessages: config.memory.maxMessagesPerConversation,
+      idleTtlMs: config.memory.idleTtlMs,
+      maxConversations: config.memory.maxConversations
+    });
+
+    // LLM provider for chat and embeddings (per-bot `llm` section in ai-config.js)
+    this.llm = createProvider(this.resolveLLMSettings());
+    this.embedder = createEmbedder(this.resolveLLMSettings({ forEmbeddings: true }));
+
+    // Topic guard (ai-config.js `topicGuard`); every decision is logged for the owner to tune it
+    this.guardLog = new TopicDecisionLog(__dirname, { maxEntries: config.topicGuard.maxLogEntries });
+    this.topicGuard = this.createTopicGuard();
 
     this.setupMiddleware();
     this.setupRoutes();
     this.initializeAI();
 
     // Initialize simple per-container RAG manager
-    this.rag = new RAGManager({ apiKey: this.aiConfig.apiKeys?.google || config.apis.google.apiKey, dbDir: require('path').join(__dirname, 'rag_db') });
+    this.rag = new RAGManager({
+      embedder: this.embedder,
+      reranker: this.llm,
+      search: this.aiConfig.search,
+      dbDir: require('path').join(__dirname, 'rag_db')
+    });
     // Initialize per-bot document store (stores metadata; content chunking handled here and sent to RAG)
-    this.docStore = new DocStore(__dirname);
+    this.docStore = new DocStore(__dirname, config.chunking);
+    // Packs the most relevant document passages into the prompt's token budget
+    this.retriever = new DocumentRetriever({
+      rag: this.rag,
+      docStore: this.docStore,
+      ...config.retrieval,
+      ...(this.aiConfig.retrieval || {})
+    });
+    // Uploads are extracted, chunked and embedded in the background, one job at a time
+    this.ingestJobs = new IngestJobQueue({
+      baseDir: __dirname,
+      docStore: this.docStore,
+      rag: this.rag,
+      extractText,
+      maxJobs: config.ingestion.maxJobs
+    });
+    this.ingestJobs.resume();
+    // Pages, sitemaps and sites crawled into documents, re-crawled on their schedule
+    this.webSources = new WebSources({
+      baseDir: __dirname,
+      docStore: this.docStore,
+      ingestJobs: this.ingestJobs,
+      crawler: new WebCrawler(config.crawler),
+      deleteDocument: (docId) => this.deleteDocument(docId),
+      limits: config.crawler
+    });
+    this.webSources.start();
   }
 
   /**
    * Setup Express middleware
    */
   setupMiddleware() {
+    // Bundle imports carry every document and vector, so they get a larger limit (parsed first)
+    this.app.use('/bundle', express.json({ limit: config.bundle.maxBytes }));
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.urlencoded({ extended: true }));
     
     // CORS middleware
     this.app.use((req, res, next) => {
       res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
       res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
       
       if (req.method === 'OPTIONS') {
@@ -88,6 +151,7 @@ class AIChatbot {
         personality: this.aiConfig.personality,
         capabilities: this.aiConfig.capabilities,
         port: this.port,
+        busy: this.ingestJobs.hasActiveJobs() || this.webSources.isCrawling(), // keeps the idle monitor from hibernating it
         uptime: process.uptime(),
         timestamp: new Date().toISOString()
       });
@@ -96,7 +160,7 @@ class AIChatbot {
     // Chat endpoint - main interaction point
     this.app.post('/chat', async (req, res) => {
       try {
-        const { message } = req.body;
+        const { message, conversationId, configVersion } = req.body;
         
         if (!message || typeof message !== 'string') {
           return res.status(400).json({
@@ -113,22 +177,27 @@ class AIChatbot {
           });
         }
 
+        const bot = this.forConfigVersion(configVersion);
         console.log(`[${new Date().toISOString()}] Received message: "${message}"`);
 
         // Process message and generate response
         const startTime = Date.now();
-        const response = await this.processMessage(message);
+        const { response, citations } = await bot.respond(message, conversationId || req.body.sessionId);
         const responseTime = Date.now() - startTime;
 
         res.json({
           response: response,
+          citations: citations,
           containerId: this.containerId,
-          aiName: this.aiConfig.name,
+          aiName: bot.aiConfig.name,
           responseTime: responseTime,
           timestamp: new Date().toISOString()
         });
 
       } catch (error) {
+        if (error.status === 404) {
+          return res.status(404).json({ error: 'Unknown configuration version', message: error.message });
+        }
         console.error('Error processing chat message:', error);
         res.status(500).json({
           error: 'Internal server error',
@@ -137,52 +206,319 @@ class AIChatbot {
       }
     });
 
+    // Streaming chat endpoint - Server-Sent Events with token/done/error frames
+    this.app.post('/chat/stream', async (req, res) => {
+      const { message, conversationId, configVersion } = req.body;
+
+      if (!message || typeof message !== 'string') {
+        return res.status(400).json({
+          error: 'Invalid message format',
+          message: 'Please provide a valid text message'
+        });
+      }
+
+      if (message.length > 1000) {
+        return res.status(400).json({
+          error: 'Message too long',
+          message: 'Please keep messages under 1000 characters'
+        });
+      }
+
+      let bot;
+      try {
+        bot = this.forConfigVersion(configVersion);
+      } catch (error) {
+        return res.status(error.status || 500).json({ error: 'Unknown configuration version', message: error.message });
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+      try {
+        const startTime = Date.now();
+        const { response, citations } = await bot.streamMessage(message, conversationId || req.body.sessionId, (token) => {
+          send('token', { token });
+        });
+        send('done', {
+          response: response,
+          citations: citations,
+          containerId: this.containerId,
+          aiName: bot.aiConfig.name,
+          responseTime: Date.now() - startTime,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Error streaming chat message:', error);
+        send('error', { message: 'I encountered an error processing your message. Please try again.' });
+      }
+      res.end();
+    });
+
     // Ingest freeform text (from PDF/OCR or plain text)
     this.app.post('/ingest-text', async (req, res) => {
       try {
         const { title, text, tags } = req.body || {};
-        if (!text || typeof text !== 'string' || text.trim().length < 10) {
-          return res.status(400).json({ success: false, message: 'Provide text (>=10 chars)' });
-        }
-        const { id, chunks, doc } = this.docStore.addDocument({ title, text, tags });
-        // Push chunks into RAG for retrieval
-        let count = 0;
-        for (const c of chunks) {
-          try { await this.rag.ingestText(c, { role: 'document', title: doc.title, docId: id, tags: tags || [] }); count++; } catch (_) {}
-        }
-        return res.json({ success: true, docId: id, doc, ingestedChunks: count });
+        const result = await this.ingestTextExternal(title, text, tags || []);
+        return res.status(result.success ? 200 : (result.status || 500)).json(result);
       } catch (e) {
         return res.status(500).json({ success: false, message: 'Failed to ingest', error: e.message });
       }
     });
 
-    // List ingested documents
+    // List ingested documents (without their text)
     this.app.get('/documents', (req, res) => {
       try {
-        const docs = this.docStore.listDocuments();
-        return res.json({ success: true, documents: docs });
+        return res.json({ success: true, documents: this.docStore.listSummaries() });
       } catch (e) {
         return res.status(500).json({ success: false, message: 'Failed to list documents' });
       }
     });
 
-    // Multipart upload for PDF/Image/Text
+    // One document with the start of its extracted text (?maxChars=, default 20000)
+    this.app.get('/documents/:docId', (req, res) => {
+      const doc = this.docStore.getDocumentById(req.params.docId);
+      if (!doc) return res.status(404).json({ success: false, message: 'Document not found' });
+      const maxChars = Math.min(Math.max(parseInt(req.query.maxChars, 10) || 20000, 1), 200000);
+      return res.json({
+        success: true,
+        document: summarize(doc),
+        text: doc.text.slice(0, maxChars),
+        truncated: doc.text.length > maxChars
+      });
+    });
+
+    // Rename or retag a document: { title, tags }
+    this.app.patch('/documents/:docId', async (req, res) => {
+      try {
+        const result = await this.updateDocument(req.params.docId, req.body || {});
+        return res.status(result.success ? 200 : result.status).json(result);
+      } catch (e) {
+        return res.status(500).json({ success: false, message: 'Failed to update document', error: e.message });
+      }
+    });
+
+    // Replace a document with a new version (body as for POST /ingest-jobs); answers 202 with the job,
+    // which re-embeds only the chunks that changed
+    this.app.put('/documents/:docId/content', (req, res) => this.queueUpload(req, res, { replaces: req.params.docId }));
+
+    // Re-read ai-config.js after the backend edits it
+    this.app.post('/config/reload', (req, res) => {
+      try {
+        return res.json(this.reloadConfig());
+      } catch (e) {
+        return res.status(500).json({ success: false, message: 'Failed to reload configuration', error: e.message });
+      }
+    });
+
+    // Topic guard decisions, newest first (?outcome=allowed|refused&limit=&offset=)
+    this.app.get('/topic-guard/decisions', (req, res) => {
+      try {
+        return res.json({ success: true, ...this.guardLog.list(req.query) });
+      } catch (e) {
+        return res.status(500).json({ success: false, message: 'Failed to read topic guard log' });
+      }
+    });
+
+    this.app.delete('/topic-guard/decisions', (req, res) => {
+      this.guardLog.clear();
+      return res.json({ success: true });
+    });
+
+    // Classify a message without answering or logging it (for tuning the guard)
+    this.app.post('/topic-guard/test', async (req, res) => {
+      const { message } = req.body || {};
+      if (!message || typeof message !== 'string') {
+        return res.status(400).json({ success: false, message: 'Provide a message' });
+      }
+      try {
+        const decision = await this.topicGuard.classify(message);
+        return res.json({ success: true, decision, ...(decision.allowed ? {} : { refusal: this.topicGuard.refusal() }) });
+      } catch (e) {
+        return res.status(500).json({ success: false, message: 'Topic guard failed', error: e.message });
+      }
+    });
+
+    // Delete one document and its vectors
+    this.app.delete('/documents/:docId', async (req, res) => {
+      try {
+        const result = await this.deleteDocument(req.params.docId);
+        return res.status(result.success ? 200 : 404).json(result);
+      } catch (e) {
+        return res.status(500).json({ success: false, message: 'Failed to delete document', error: e.message });
+      }
+    });
+
+    // Delete every document and all RAG data
+    this.app.delete('/documents', async (req, res) => {
+      try {
+        return res.json(await this.clearDocuments());
+      } catch (e) {
+        return res.status(500).json({ success: false, message: 'Failed to clear documents', error: e.message });
+      }
+    });
+
+    // Raw file upload, any type with a registered extractor (file name in x-file-name, real MIME type in x-file-type)
     this.app.post('/ingest-file', async (req, res) => {
       try {
         const chunks = [];
-        req.on('data', (c) => chunks.push(c));
-        req.on('end', async () => {
-          const buffer = Buffer.concat(chunks);
-          // Basic boundary parse is omitted for brevity; assume raw body is the file in demo mode
-          const result = await this.ingestFileExternal(buffer, req.headers['x-file-name'] || 'upload', req.headers['content-type'] || 'application/octet-stream', ['upload']);
-          if (!result.success) return res.status(400).json(result);
-          return res.json(result);
-        });
+        for await (const chunk of req) chunks.push(chunk);
+        const buffer = Buffer.concat(chunks);
+        const filename = decodeURIComponent(req.headers['x-file-name'] || 'upload');
+        const mimetype = req.headers['x-file-type'] || req.headers['content-type'] || 'application/octet-stream';
+        const result = await this.ingestFileExternal(buffer, filename, mimetype, ['upload']);
+        if (!result.success) return res.status(result.status || 400).json(result);
+        return res.json(result);
       } catch (e) {
         return res.status(500).json({ success: false, message: 'Failed to ingest file', error: e.message });
       }
     });
 
+    // Queue an upload and answer at once with its job: raw bytes as for /ingest-file, or JSON { title, text, tags }
+    this.app.post('/ingest-jobs', (req, res) => this.queueUpload(req, res));
+
+    // Ingestion jobs, newest first (?limit=)
+    this.app.get('/ingest-jobs', (req, res) => {
+      return res.json({ success: true, jobs: this.ingestJobs.list(req.query), active: this.ingestJobs.hasActiveJobs() });
+    });
+
+    // Job changes as Server-Sent Events: `job` { ...job } on every change, `idle` {} whenever no job is left running
+    // and no web source is being crawled (a crawl queues more jobs). Active jobs, and the ones named in ?jobIds=a,b, are sent first so a late listener misses nothing.
+    this.app.get('/ingest-jobs/events', (req, res) => {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      const sendIdle = () => {
+        if (!this.ingestJobs.hasActiveJobs() && !this.webSources.isCrawling()) send('idle', {});
+      };
+
+      const requested = new Set(String(req.query.jobIds || '').split(',').filter(Boolean));
+      for (const job of this.ingestJobs.list({ limit: config.ingestion.maxJobs })) {
+        if (requested.has(job.id) || !['done', 'failed', 'cancelled'].includes(job.state)) send('job', job);
+      }
+      const unsubscribe = this.ingestJobs.onUpdate((job) => {
+        send('job', job);
+        sendIdle();
+      });
+      const unsubscribeSources = this.webSources.onUpdate(sendIdle);
+      sendIdle();
+      // Comment frames keep the connection from timing out during long extractions
+      const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        unsubscribeSources();
+      });
+    });
+
+    this.app.get('/ingest-jobs/:jobId', (req, res) => {
+      const job = this.ingestJobs.get(req.params.jobId);
+      if (!job) return res.status(404).json({ success: false, message: 'Job not found' });
+      return res.json({ success: true, job });
+    });
+
+    // Retry a failed job (only its failed chunks when the document was created)
+    this.app.post('/ingest-jobs/:jobId/retry', (req, res) => {
+      try {
+        return res.json({ success: true, job: this.ingestJobs.retry(req.params.jobId) });
+      } catch (e) {
+        return res.status(e.status || 500).json({ success: false, message: e.message });
+      }
+    });
+
+    // Cancel a queued or running job; whatever it had indexed is removed
+    this.app.post('/ingest-jobs/:jobId/cancel', (req, res) => {
+      try {
+        return res.json({ success: true, job: this.ingestJobs.cancel(req.params.jobId) });
+      } catch (e) {
+        return res.status(e.status || 500).json({ success: false, message: e.message });
+      }
+    });
+
+    // Add a web source and queue its first crawl: { url, mode: page | sitemap | crawl, maxDepth, maxPages,
+    // includePaths, excludePaths, tags, recrawlHours }
+    this.app.post('/web-sources', (req, res) => {
+      try {
+        return res.status(202).json({ success: true, source: this.webSources.create(req.body || {}) });
+      } catch (e) {
+        return res.status(e.status || 500).json({ success: false, message: e.status ? e.message : 'Failed to add the web source', error: e.message });
+      }
+    });
+
+    this.app.get('/web-sources', (req, res) => {
+      return res.json({ success: true, sources: this.webSources.list(), crawling: this.webSources.isCrawling() });
+    });
+
+    this.app.get('/web-sources/:sourceId', (req, res) => {
+      try {
+        return res.json({ success: true, source: this.webSources.get(req.params.sourceId) });
+      } catch (e) {
+        return res.status(e.status || 500).json({ success: false, message: e.message });
+      }
+    });
+
+    // Change a source's limits, tags or re-crawl schedule
+    this.app.patch('/web-sources/:sourceId', (req, res) => {
+      try {
+        return res.json({ success: true, source: this.webSources.update(req.params.sourceId, req.body || {}) });
+      } catch (e) {
+        return res.status(e.status || 500).json({ success: false, message: e.message });
+      }
+    });
+
+    // Crawl a source again now (changed pages get new versions, gone ones are removed)
+    this.app.post('/web-sources/:sourceId/crawl', (req, res) => {
+      try {
+        return res.status(202).json({ success: true, source: this.webSources.crawlNow(req.params.sourceId) });
+      } catch (e) {
+        return res.status(e.status || 500).json({ success: false, message: e.message });
+      }
+    });
+
+    // Remove a source and the documents made from its pages (?keepDocuments=true keeps them)
+    this.app.delete('/web-sources/:sourceId', async (req, res) => {
+      try {
+        const result = await this.webSources.remove(req.params.sourceId, { keepDocuments: req.query.keepDocuments === 'true' });
+        return res.json({ success: true, ...result });
+      } catch (e) {
+        return res.status(e.status || 500).json({ success: false, message: e.message });
+      }
+    });
+
+    // Documents (and optionally vectors) for a portable bot bundle (?vectors=true&interactions=true)
+    this.app.get('/bundle', async (req, res) => {
+      try {
+        return res.json({
+          success: true,
+          ...(await this.exportBundle({
+            vectors: req.query.vectors === 'true',
+            interactions: req.query.interactions === 'true'
+          }))
+        });
+      } catch (e) {
+        return res.status(500).json({ success: false, message: 'Failed to export bot data', error: e.message });
+      }
+    });
+
+    // Load documents and vectors from a bundle into this bot
+    this.app.post('/bundle', async (req, res) => {
+      const { documents, vectors } = req.body || {};
+      if (!Array.isArray(documents) || (vectors && !Array.isArray(vectors.items))) {
+        return res.status(400).json({ success: false, message: 'Provide a documents array and optional vectors { embedding, items }' });
+      }
+      try {
+        return res.json({ success: true, ...(await this.importBundle({ documents, vectors })) });
+      } catch (e) {
+        return res.status(500).json({ success: false, message: 'Failed to import bot data', error: e.message });
+      }
+    });
+
     // Get AI info endpoint
     this.app.get('/info', (req, res) => {
       res.json({
@@ -195,19 +531,53 @@ class AIChatbot {
       });
     });
 
-    // Get conversation memory endpoint
+    // Get conversation memory endpoint (one conversation, or a summary of all)
     this.app.get('/memory', (req, res) => {
+      const { conversationId } = req.query;
+      if (conversationId) {
+        return res.json({
+          conversationId,
+          memory: this.memory.getMessages(conversationId),
+          containerId: this.containerId
+        });
+      }
       res.json({
-        memory: this.conversationMemory,
+        conversations: this.memory.list(),
         containerId: this.containerId
       });
     });
 
-    // Clear conversation memory endpoint
+    // Replace a conversation's memory (used when a stored thread is resumed)
+    this.app.put('/memory', (req, res) => {
+      const { conversationId, messages } = req.body || {};
+      if (!conversationId || !Array.isArray(messages)) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'conversationId and a messages array are required'
+        });
+      }
+      this.memory.setMessages(conversationId, messages);
+      res.json({
+        message: 'Conversation memory restored',
+        conversationId,
+        restoredMessages: this.memory.getMessages(conversationId).length
+      });
+    });
+
+    // Clear conversation memory endpoint (one conversation, or all)
     this.app.delete('/memory', (req, res) => {
-      this.conversationMemory = [];
+      const { conversationId } = req.query;
+      if (conversationId) {
+        const existed = this.memory.clear(conversationId);
+        return res.json({
+          message: existed ? 'Conversation memory cleared successfully' : 'Conversation not found',
+          conversationId
+        });
+      }
+      const count = this.memory.clearAll();
       res.json({
-        message: 'Conversation memory cleared successfully'
+        message: 'Conversation memory cleared successfully',
+        clearedConversations: count
       });
     });
 
@@ -235,13 +605,110 @@ class AIChatbot {
   initializeAI() {
     console.log(`🤖 ${this.aiConfig.name} ready on port ${this.port}`);
     
-    // Initialize conversation memory
-    this.conversationMemory = [];
-    
     // Initialize AI-specific features based on capabilities
     this.initializeCapabilities();
   }
 
+  /**
+   * Re-read ai-config.js and apply it without restarting (persona, instructions, topic guard, model)
+   * The listening port and stored documents/conversations are kept.
+   * @returns {Object} - { success, aiName, reloadedAt }
+   */
+  reloadConfig() {
+    const next = loadAIConfig();
+    if (!next) throw new Error('ai-config.js has no aiConfig');
+    this.aiConfig = { ...next, port: this.aiConfig.port };
+    this.versionViews.clear();
+
+    this.initializeCapabilities();
+    this.llm = createProvider(this.resolveLLMSettings());
+    const embedder = createEmbedder(this.resolveLLMSettings({ forEmbeddings: true }));
+    if (embedder.modelId !== this.embedder.modelId) {
+      this.embedder = embedder;
+      this.rag.setEmbedder(embedder);
+    }
+    this.topicGuard = this.createTopicGuard();
+    this.rag.reranker = this.llm;
+    this.rag.search = { ...config.search, ...(this.aiConfig.search || {}) };
+    this.retriever = new DocumentRetriever({
+      rag: this.rag,
+      docStore: this.docStore,
+      ...config.retrieval,
+      ...(this.aiConfig.retrieval || {})
+    });
+
+    console.log(`🔄 Configuration reloaded for ${this.aiConfig.name}`);
+    return { success: true, aiName: this.aiConfig.name, reloadedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Build the topic guard for the current configuration
+   * @returns {TopicGuard}
+   */
+  createTopicGuard() {
+    return new TopicGuard(resolveTopicGuardSettings(this.aiConfig, config.topicGuard), {
+      embedder: this.embedder,
+      llm: this.llm,
+      name: this.aiConfig.name
+    });
+  }
+
+  /**
+   * Run the topic guard on a message and log the decision
+   * Guard failures let the message through (and are logged) rather than breaking chat.
+   * @param {string} message - User message
+   * @param {string} conversationId - Conversation the message belongs to
+   * @returns {Promise<Object>} - Decision ({ allowed, method, score, matched, reason })
+   */
+  async checkTopic(message, conversationId) {
+    let decision;
+    try {
+      decision = await this.topicGuard.classify(message, {
+        previous: this.memory.getPref(conversationId, 'topicGuard')
+      });
+    } catch (error) {
+      console.warn('⚠️ Topic guard failed, allowing message:', error.message);
+      decision = { allowed: true, method: 'error', score: null, matched: null, reason: error.message };
+    }
+
+    this.memory.setPref(conversationId, 'topicGuard', { allowed: decision.allowed });
+    if (decision.method !== 'disabled') {
+      this.guardLog.record({ conversationId, message, configVersion: this.aiConfig.configVersion || null, ...decision });
+    }
+    return decision;
+  }
+
+  /**
+   * The bot as it behaves under an earlier configuration version (config_versions/v<N>.json,
+   * written by the backend). Documents, memory and the embedder are shared with the active bot;
+   * persona, instructions, topic guard and chat model come from the snapshot.
+   * @param {number} version - Version number; omitted or the active version returns this bot
+   * @returns {AIChatbot} - Bot to answer with
+   */
+  forConfigVersion(version) {
+    if (!version) return this;
+    version = Number(version);
+    if (version === this.aiConfig.configVersion) return this;
+    if (this.versionViews.has(version)) return this.versionViews.get(version);
+
+    const snapshotPath = require('path').join(__dirname, 'config_versions', `v${version}.json`);
+    let snapshot;
+    try {
+      if (!Number.isInteger(version)) throw new Error('invalid version');
+      snapshot = JSON.parse(require('fs').readFileSync(snapshotPath, 'utf-8'));
+    } catch (e) {
+      throw Object.assign(new Error(`Configuration version ${version} not found`), { status: 404 });
+    }
+
+    const view = Object.create(this);
+    view.aiConfig = { ...snapshot, port: this.aiConfig.port, configVersion: version };
+    view.initializeCapabilities();
+    view.llm = createProvider(view.resolveLLMSettings());
+    view.topicGuard = view.createTopicGuard();
+    this.versionViews.set(version, view);
+    return view;
+  }
+
   /**
    * Initialize AI capabilities
    */
@@ -261,117 +728,164 @@ class AIChatbot {
   }
 
   /**
-   * External ingestion helper for backend proxy (demo mode)
+   * Ingest text through the job queue and wait until it is indexed
+   * @returns {Promise<Object>} - See finishIngestJob
    */
   async ingestTextExternal(title, text, tags = []) {
     if (!text || typeof text !== 'string' || text.trim().length < 10) {
-      return { success: false, message: 'Provide text (>=10 chars)' };
+      return { success: false, status: 400, message: 'Provide text (>=10 chars)' };
     }
-    const { id, chunks, doc } = this.docStore.addDocument({ title, text, tags });
-    let count = 0;
-    for (const c of chunks) {
-      try { await this.rag.ingestText(c, { role: 'document', title: doc.title, docId: id, tags }); count++; } catch (_) {}
-    }
-    return { success: true, docId: id, doc, ingestedChunks: count };
+    return this.finishIngestJob(this.ingestJobs.enqueue({ kind: 'text', title, text, tags }));
   }
 
   /**
-   * External file ingestion (PDF/Image/Text) using in-process parsers
+   * External file ingestion: text is extracted by the extractor registered for the file's type (extractors.js)
+   * @returns {Promise<Object>} - Failures carry an HTTP status (415 for unsupported types, 400 for unreadable files)
    */
   async ingestFileExternal(buffer, filename = 'upload', mimetype = 'application/octet-stream', tags = []) {
+    if (!findExtractor(filename, mimetype)) {
+      const error = unsupportedTypeError(filename, mimetype);
+      return { success: false, status: error.status, message: error.message };
+    }
+    return this.finishIngestJob(this.ingestJobs.enqueue({ kind: 'file', filename, mimetype, buffer, tags }));
+  }
+
+  /**
+   * Queue the upload carried by a request and answer 202 with its job
+   * The body is JSON { title, text, tags }, or the raw file with its name in x-file-name and real MIME type
+   * in x-file-type.
+   * @param {Object} options - { replaces } ID of the document the upload is a new version of
+   */
+  async queueUpload(req, res, options = {}) {
     try {
-      let extractedText = '';
-      const lower = (mimetype || '').toLowerCase();
-      if (lower.includes('pdf') || filename.toLowerCase().endsWith('.pdf')) {
-        if (!pdfParse) pdfParse = require('pdf-parse');
-        const data = await pdfParse(buffer);
-        extractedText = data.text || '';
-      } else if (lower.startsWith('image/') || /\.(png|jpg|jpeg|gif|bmp|tiff)$/i.test(filename)) {
-        if (!Tesseract) Tesseract = require('tesseract.js');
-        const { data: { text } } = await Tesseract.recognize(buffer, 'eng');
-        extractedText = text || '';
-      } else if (lower.includes('text') || /\.(txt|md|csv|log)$/i.test(filename)) {
-        extractedText = buffer.toString('utf-8');
+      let input;
+      if (req.is('application/json')) {
+        const { title, text, tags } = req.body || {};
+        if (!text || typeof text !== 'string' || text.trim().length < 10) {
+          return res.status(400).json({ success: false, message: 'Provide text (>=10 chars)' });
+        }
+        input = { kind: 'text', title, text, tags: Array.isArray(tags) ? tags : [] };
       } else {
-        // Try as utf-8 text fallback
-        extractedText = buffer.toString('utf-8');
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        const filename = decodeURIComponent(req.headers['x-file-name'] || 'upload');
+        const mimetype = req.headers['x-file-type'] || req.headers['content-type'] || 'application/octet-stream';
+        if (!findExtractor(filename, mimetype)) {
+          const error = unsupportedTypeError(filename, mimetype);
+          return res.status(error.status).json({ success: false, message: error.message });
+        }
+        input = { kind: 'file', filename, mimetype, buffer: Buffer.concat(chunks), tags: ['upload'] };
       }
+      const job = this.ingestJobs.enqueue({ ...input, replaces: options.replaces });
+      return res.status(202).json({ success: true, job });
+    } catch (e) {
+      return res.status(e.status || 500).json({ success: false, message: e.status ? e.message : 'Failed to queue the upload', error: e.message });
+    }
+  }
 
-      extractedText = (extractedText || '').trim();
-      if (extractedText.length < 10) {
-        return { success: false, message: 'No readable text extracted from file' };
+  /**
+   * Rename or retag a document; its chunks get the new title and tags too (tag filters read them)
+   * @param {Object} changes - { title, tags }
+   * @returns {Promise<Object>} - { success, document } or { success: false, status, message }
+   */
+  async updateDocument(docId, { title, tags } = {}) {
+    const changes = {};
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim() || title.length > 200) {
+        return { success: false, status: 400, message: 'title must be a non-empty string of at most 200 characters' };
       }
-      return await this.ingestTextExternal(filename, extractedText, tags);
-    } catch (e) {
-      return { success: false, message: e.message };
+      changes.title = title.trim();
+    }
+    if (tags !== undefined) {
+      if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+        return { success: false, status: 400, message: 'tags must be an array of strings' };
+      }
+      changes.tags = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+    }
+    if (!Object.keys(changes).length) {
+      return { success: false, status: 400, message: 'Provide a title or tags' };
+    }
+
+    const result = this.docStore.updateDocument(docId, changes);
+    if (!result.success) return { ...result, status: 404 };
+    await this.rag.updateDocumentMetadata(docId, changes);
+    return { success: true, document: summarize(result.doc) };
+  }
+
+  /**
+   * Wait for a queued ingestion job (the synchronous ingestion routes)
+   * @param {Object} queued - Job returned by ingestJobs.enqueue
+   * @returns {Promise<Object>} - { success, docId, doc, ingestedChunks, format, job }, or { success: false, status,
+   *   message, job } when the job failed (some chunks may be indexed; see job.failedChunks) or was cancelled
+   */
+  async finishIngestJob(queued) {
+    const job = await this.ingestJobs.waitFor(queued.id);
+    if (job.state !== 'done') {
+      return { success: false, status: job.state === 'cancelled' ? 409 : (job.status || 500), message: job.error || 'Ingestion was cancelled', job };
     }
+    return {
+      success: true,
+      docId: job.docId,
+      doc: this.docStore.getDocumentById(job.docId),
+      ingestedChunks: job.progress.embeddedChunks,
+      format: job.format,
+      job
+    };
   }
 
   /**
    * Process incoming message and generate response
    * @param {string} message - User message
+   * @param {string} conversationId - Conversation the message belongs to
+   * @param {Object} options - { onToken } to receive model output as it is generated
    * @returns {Promise<string>} - AI response
    */
-  async processMessage(message) {
+  async processMessage(message, conversationId = 'default', options = {}) {
+    const result = await this.respond(message, conversationId, options);
+    return result.response;
+  }
+
+  /**
+   * Process incoming message and return the response with its document citations
+   * @param {string} message - User message
+   * @param {string} conversationId - Conversation the message belongs to
+   * @param {Object} options - { onToken } to receive model output as it is generated
+   * @returns {Promise<Object>} - { response, citations: [{ ref, docId, title, chunkIndex, offset, length, page, section, location, whole }] }
+   */
+  async respond(message, conversationId = 'default', options = {}) {
+    let citations = [];
     try {
       // Add to conversation memory
-      this.addToMemory('user', message);
+      this.addToMemory('user', message, conversationId);
 
-      // Session preference memory (simple toggle via message command)
+      // Conversation preference memory (simple toggle via message command)
       const prefOn = /\b(citations?\s*on|show\s*citations\s*by\s*default)\b/i.test(message);
       const prefOff = /\b(citations?\s*off|hide\s*citations\s*by\s*default)\b/i.test(message);
-      if (prefOn) this.sessionPrefShowCitations = true;
-      if (prefOff) this.sessionPrefShowCitations = false;
+      if (prefOn) this.memory.setPref(conversationId, 'showCitations', true);
+      if (prefOff) this.memory.setPref(conversationId, 'showCitations', false);
+
+      // Topic guard: out-of-scope messages are refused before retrieval or the model
+      const guardDecision = await this.checkTopic(message, conversationId);
+      if (!guardDecision.allowed) {
+        const response = this.topicGuard.refusal();
+        this.addToMemory('ai', response, conversationId);
+        return { response, citations: [] };
+      }
 
       // Retrieve top-k similar chunks from RAG as context (optimized)
       let ragContext = '';
       let sources = [];
       try {
-        // ALWAYS check for documents and send context if they exist
-        const documents = this.docStore.getAllDocuments();
-        console.log(`🔍 DEBUG: Message: "${message}"`);
-        console.log(`🔍 DEBUG: Documents found: ${documents ? documents.length : 0}`);
-        
-        // Enhanced document query detection for multiple documents
-        const isDocumentQuery = /\b(document|documents|file|files|upload|uploaded|form|forms|pdf|image|text|analyze|analysis|extract|personal|details|information|doc|read|see|look|examine|review|study|check|tell|about|this|that|these|both|two|multiple|compare|difference|similar|different)\b/i.test(message) || 
-                               /^(analyse|analyze|read|see|look|examine|review|study|check)$/i.test(message.trim());
-        console.log(`🔍 DEBUG: Is document query: ${isDocumentQuery}`);
-        
-        if (documents && documents.length > 0) {
-          console.log(`🔍 DEBUG: Document titles: ${documents.map(d => d.title).join(', ')}`);
-          // ALWAYS use document content when documents exist - regardless of query type
-          console.log('📚 Using document context (documents available)');
-          
-          if (documents.length === 1) {
-            // Single document
-            const doc = documents[0];
-            ragContext = `DOCUMENT CONTEXT:\nDocument: ${doc.title}\nContent: ${doc.text}`;
-          } else {
-            // Multiple documents - format for comparison
-            const allDocs = documents.map((doc, index) => 
-              `Document ${index + 1}: ${doc.title}\nContent: ${doc.text}`
-            ).join('\n\n');
-            ragContext = `MULTIPLE DOCUMENTS CONTEXT:\n${allDocs}`;
-          }
-          
-          console.log(`🔍 DEBUG: Document context length: ${ragContext.length}`);
-          console.log(`🔍 DEBUG: First 200 chars of context: ${ragContext.substring(0, 200)}...`);
-        } else {
-          console.log('📚 No documents available - no document context');
+        // Pack the most relevant document passages (or whole small documents) into the token budget
+        const retrieval = await this.retriever.buildContext(message);
+        if (retrieval.context) {
+          ragContext = retrieval.context;
+          citations = retrieval.citations;
+          console.log(`📚 Document context: ${citations.length} passages, ~${retrieval.usedTokens} tokens`);
         }
         // SIMPLE LOGIC: Citations ONLY when user explicitly asks for sources/citations/web info
-        const wantsSources = /\b(sources?|cite|citation|references?|links?|web\s+information|find\s+(me\s+)?(sources?|citations?|references?|links?)|provide\s+(sources?|citations?|references?|links?)|give\s+(me\s+)?(sources?|citations?|references?|links?)|show\s+(me\s+)?(sources?|citations?|references?|links?))\b/i.test(message);
-        
-        // Domain enforcement (if configured)
-        const domainKeywords = (this.aiConfig.domain && Array.isArray(this.aiConfig.domain.keywords)) ? this.aiConfig.domain.keywords : [];
-        const isInDomain = this._isInDomain(message, domainKeywords);
-        
-        if (domainKeywords.length > 0 && !isInDomain) {
-          const domainList = domainKeywords.join(', ');
-          const response = `I'm ${this.aiConfig.name}, specialized in ${domainList}. I focus on topics within my expertise area. Could you ask me something related to ${domainList}?`;
-          this.addToMemory('assistant', response);
-          return response;
-        }
+        const wantsSources = this.citationPolicy() !== 'never' && /\b(sources?|cite|citation|references?|links?|web\s+information|find\s+(me\s+)?(sources?|citations?|references?|links?)|provide\s+(sources?|citations?|references?|links?)|give\s+(me\s+)?(sources?|citations?|references?|links?)|show\s+(me\s+)?(sources?|citations?|references?|links?))\b/i.test(message);
+
         
         // SIMPLE: Web search ONLY when user explicitly asks for sources/citations
         const shouldAugment = wantsSources;
@@ -396,16 +910,18 @@ class AIChatbot {
       }
 
       // Generate AI response based on personality and capabilities
-      let response = await this.generateAIResponse(message, ragContext, sources);
+      let response = await this.generateAIResponse(message, ragContext, sources, conversationId, options.onToken);
 
       // If user asked for citations, enforce inline [n] - use same precise pattern
-      const wantsSources = /\b(sources?|cite|citation|references?|links?|find\s+(me\s+)?(sources?|citations?|references?|links?)|provide\s+(sources?|citations?|references?|links?)|give\s+(me\s+)?(sources?|citations?|references?|links?)|show\s+(me\s+)?(sources?|citations?|references?|links?))\b/i.test(message) || this.sessionPrefShowCitations === true;
+      // The bot's citation policy overrides the request: 'always' cites every answer, 'never' none
+      const policy = this.citationPolicy();
+      const wantsSources = policy === 'always' || (policy !== 'never' && (/\b(sources?|cite|citation|references?|links?|find\s+(me\s+)?(sources?|citations?|references?|links?)|provide\s+(sources?|citations?|references?|links?)|give\s+(me\s+)?(sources?|citations?|references?|links?)|show\s+(me\s+)?(sources?|citations?|references?|links?))\b/i.test(message) || this.memory.getPref(conversationId, 'showCitations') === true));
       const hasInline = /\[\d+\]/.test(response);
       if (wantsSources && !hasInline && sources.length) {
         // Try a second pass with explicit instruction to include inline citations
         try {
           const enforcementNote = `\n\nIMPORTANT: Include inline citations [1], [2] referencing the provided RELEVANT SOURCES and ensure the reasoning explains why each source is used.`;
-          response = await this.getRealAIResponse(message + enforcementNote, ragContext, sources);
+          response = await this.getRealAIResponse(message + enforcementNote, ragContext, sources, conversationId);
         } catch (_) {
           // Keep first response on failure
         }
@@ -413,50 +929,54 @@ class AIChatbot {
       // If user did NOT ask for sources, strip any accidental citation sections from the model
       if (!wantsSources) {
         response = this._stripCitations(response);
+        if (policy === 'never') response = response.replace(/\s*\[(?:D?\d+(?:,\s*)?)+\]/g, '');
       }
       
       // Add response to conversation memory
-      this.addToMemory('ai', response);
+      this.addToMemory('ai', response, conversationId);
 
       // Persist interaction into RAG
       try { await this.rag.ingestInteraction(message, response); } catch (_) {}
 
+      // Mark which document passages the reply actually cited
+      citations = citations.map(c => ({ ...c, cited: response.includes(`[${c.ref}]`) }));
+
       // Only append Sources section when explicitly requested
       if (wantsSources && sources && sources.length) {
         const list = sources.map((s, i) => `- [${s.title}](${s.url})${s.snippet ? ` - ${s.snippet}` : ''}${s.reliability ? ` (Reliability: ${s.reliability})` : ''}`).join('\n');
-        return `${response}\n\nSources:\n${list}`;
+        return { response: `${response}\n\nSources:\n${list}`, citations };
       }
-      return response;
+      return { response, citations };
 
     } catch (error) {
       console.error('Error processing message:', error);
-      return "I'm sorry, I encountered an error processing your message. Please try again.";
+      return { response: "I'm sorry, I encountered an error processing your message. Please try again.", citations: [] };
     }
   }
 
   /**
-   * Determine if a user message is within the bot's declared domain
-   * @param {string} message
-   * @param {string[]} domainKeywords
-   * @returns {boolean}
+   * Process a message while streaming the reply as it is generated
+   * The final reply can differ from the streamed text (citation enforcement, appended sources),
+   * so callers should treat the returned response as authoritative.
+   * @param {string} message - User message
+   * @param {string} conversationId - Conversation the message belongs to
+   * @param {Function} onToken - Called with each text delta
+   * @returns {Promise<Object>} - { response, citations } as returned by respond()
    */
-  _isInDomain(message, domainKeywords) {
-    try {
-      if (!domainKeywords || domainKeywords.length === 0) return true; // default: consider in-domain if unspecified
-      const lower = (message || '').toLowerCase();
-      
-      // Check for exact keyword matches
-      const hasKeyword = domainKeywords.some(k => lower.includes(String(k).toLowerCase()));
-      
-      // Also check for common greetings and basic interactions (always allow these)
-      const isGreeting = /\b(hello|hi|hey|good morning|good afternoon|good evening|greetings|what's up|how are you|thanks|thank you|bye|goodbye)\b/i.test(message);
-      const isBasicQuestion = /\b(what|who|how|when|where|why|can you|could you|help|assist)\b/i.test(message);
-      
-      // Allow greetings, basic questions, and domain-related content
-      return hasKeyword || isGreeting || isBasicQuestion;
-    } catch (_) {
-      return true;
+  async streamMessage(message, conversationId = 'default', onToken = () => {}) {
+    let streamed = '';
+    const result = await this.respond(message, conversationId, {
+      onToken: (token) => {
+        streamed += token;
+        onToken(token);
+      }
+    });
+    // Replies that never reached the model (topic guard refusals, fallbacks) and appended
+    // Sources sections are sent as one trailing token
+    if (result.response.startsWith(streamed) && result.response.length > streamed.length) {
+      onToken(result.response.slice(streamed.length));
     }
+    return result;
   }
 
   /**
@@ -464,12 +984,14 @@ class AIChatbot {
    * @param {string} message - User message
    * @param {string} ragContext - RAG context
    * @param {Array} sources - Web search sources
+   * @param {string} conversationId - Conversation the message belongs to
+   * @param {Function} onToken - Optional streaming callback
    * @returns {Promise<string>} - Generated response
    */
-  async generateAIResponse(message, ragContext = '', sources = []) {
+  async generateAIResponse(message, ragContext = '', sources = [], conversationId = 'default', onToken = null) {
     try {
       // Try to get real AI response first
-      const realResponse = await this.getRealAIResponse(message, ragContext, sources);
+      const realResponse = await this.getRealAIResponse(message, ragContext, sources, conversationId, onToken);
       if (realResponse) {
         return realResponse;
       }
@@ -482,82 +1004,96 @@ class AIChatbot {
   }
 
   /**
-   * Exponential backoff retry for API calls
+   * Resolve provider settings from ai-config.js `llm`, falling back to config.llm and config.apis
+   * @param {Object} options - { forEmbeddings } to resolve the embedding provider instead
+   * @returns {Object} - Settings for createProvider
    */
-  async _retryWithBackoff(apiCall, maxRetries = 3) {
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      try {
-        return await apiCall();
-      } catch (error) {
-        const isRateLimit = error.response?.status === 429;
-        const isLastAttempt = attempt === maxRetries - 1;
-        
-        if (!isRateLimit || isLastAttempt) {
-          throw error;
-        }
-        
-        // Exponential backoff: 2s, 4s, 8s
-        const delay = Math.pow(2, attempt + 1) * 1000;
-        console.log(`⏳ Rate limited, retrying in ${delay/1000}s (attempt ${attempt + 1}/${maxRetries})`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
+  resolveLLMSettings(options = {}) {
+    const llm = { ...config.llm, ...(this.aiConfig.llm || {}) };
+    let provider = (llm.provider || 'gemini').toLowerCase();
+
+    // Mocked external APIs always use the local mock model (the local hashing embedder is allowed)
+    if (options.forEmbeddings && String(llm.embeddingProvider).toLowerCase() === 'hashing') {
+      provider = 'hashing';
+    } else if (config.development.mockExternalAPIs) {
+      provider = 'mock';
+    } else if (options.forEmbeddings && (llm.embeddingProvider || provider === 'anthropic')) {
+      // Anthropic has no embeddings API
+      provider = llm.embeddingProvider || 'gemini';
     }
+
+    const keys = this.aiConfig.apiKeys || {};
+    const defaults = {
+      gemini: { apiKey: keys.google || config.apis.google.apiKey, model: config.apis.google.model },
+      openai: { apiKey: keys.openai || config.apis.openai.apiKey, baseUrl: config.apis.openai.baseUrl, model: config.apis.openai.model },
+      'openai-compatible': { apiKey: keys.openai || process.env.LLM_API_KEY },
+      anthropic: { apiKey: keys.anthropic || config.apis.anthropic.apiKey, model: config.apis.anthropic.model },
+      ollama: { baseUrl: config.apis.ollama.baseUrl, model: config.apis.ollama.model, embeddingModel: config.apis.ollama.embeddingModel },
+      mock: { tokenDelayMs: config.development.mockTokenDelayMs },
+      hashing: { dimensions: config.embeddings.hashingDimensions }
+    }[provider] || {};
+
+    // Without credentials a remote embeddings API can't be reached: index locally instead of storing nothing
+    const missingKey = !defaults.apiKey || /^\[.*\]$/.test(defaults.apiKey);
+    if (options.forEmbeddings && ['gemini', 'openai'].includes(provider) && missingKey) {
+      console.warn(`⚠️ No ${provider} API key for embeddings, using the local hashing embedder`);
+      return { provider: 'hashing', dimensions: config.embeddings.hashingDimensions };
+    }
+
+    // Model/base URL overrides only apply when they belong to the chat provider
+    const sameProvider = provider === (llm.provider || 'gemini').toLowerCase();
+    return {
+      ...defaults,
+      provider,
+      name: this.aiConfig.name,
+      ...(sameProvider && llm.model ? { model: llm.model } : {}),
+      ...(sameProvider && llm.baseUrl ? { baseUrl: llm.baseUrl } : {}),
+      ...(llm.embeddingModel ? { embeddingModel: llm.embeddingModel } : {}),
+      ...(llm.temperature !== undefined ? { temperature: llm.temperature } : {}),
+      ...(llm.maxTokens ? { maxTokens: llm.maxTokens } : {})
+    };
   }
 
   /**
-   * Get real AI response using Gemini API with strict personality adherence
+   * Get real AI response from the configured LLM provider with strict personality adherence
    * @param {string} message - User message
    * @param {string} ragContext - RAG context
    * @param {Array} sources - Web search sources
+   * @param {string} conversationId - Conversation the message belongs to
+   * @param {Function} onToken - Optional streaming callback
    * @returns {Promise<string>} - AI response
    */
-  async getRealAIResponse(message, ragContext = '', sources = []) {
+  async getRealAIResponse(message, ragContext = '', sources = [], conversationId = 'default', onToken = null) {
     try {
-      const { personality, name, description } = this.aiConfig;
+      const { name } = this.aiConfig;
       
       // Create strict personality-based prompt with conversation context
-      const conversationContext = this.getConversationContext();
+      const conversationContext = this.getConversationContext(conversationId);
       const systemPrompt = this.createStrictSystemPrompt(conversationContext, ragContext, sources);
 
-      console.log(`💬 Sending: ${message.substring(0, 50)}... using RESPONSE API`);
+      console.log(`💬 Sending: ${message.substring(0, 50)}... using ${this.llm.name} (${this.llm.model})`);
       console.log(`🔍 DEBUG: RAG context length: ${ragContext ? ragContext.length : 0}`);
       console.log(`🔍 DEBUG: RAG context preview: ${ragContext ? ragContext.substring(0, 300) + '...' : 'None'}`);
       console.log(`🔍 DEBUG: Sources count: ${sources ? sources.length : 0}`);
 
-      const response = await this._retryWithBackoff(async () => {
-        return await axios.post(
-          'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent',
-          {
-            contents: [{
-              parts: [{
-                text: `${systemPrompt}\n\n${conversationContext}${ragContext ? `\n\nDOCUMENT CONTEXT (USE THIS INFORMATION):\n${ragContext}\n\nIMPORTANT: You have access to uploaded document content above. Analyze it freely and confidently. Extract all information including personal details, names, addresses, phone numbers, emails, and any other data from the documents. Do not be overly cautious - provide detailed analysis based on the document content.\n\nCITATION INSTRUCTIONS: When the user asks for citations or references, provide inline citations [1], [2], [3] etc. for any information you reference from the document context above. Number the citations sequentially and explain what each citation refers to.` : ''}${sources.length ? `\n\nRELEVANT SOURCES:\n${sources.map((s, i) => `[${i + 1}] ${s.title}\nURL: ${s.url}\nSnippet: ${s.snippet}\nRelevance: Use this source for ${s.title.includes('research') || s.title.includes('study') ? 'academic insights' : s.title.includes('news') ? 'current developments' : 'general information'}`).join('\n\n')}` : ''}\n\nUser: ${message}\n\n${name}:`
-              }]
-            }],
-            generationConfig: {
-              temperature: 0.7,
-              topK: 40,
-              topP: 0.95,
-              maxOutputTokens: 1000,
-            }
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            params: {
-              key: this.aiConfig.apiKeys?.google || config.apis.google.apiKey
-            }
-          }
-        );
-      });
+      const request = {
+        system: systemPrompt,
+        messages: [{
+          role: 'user',
+          content: `${conversationContext}${ragContext ? `\n\nDOCUMENT CONTEXT (USE THIS INFORMATION):\n${ragContext}\n\nIMPORTANT: You have access to uploaded document content above. Analyze it freely and confidently. Extract all information including personal details, names, addresses, phone numbers, emails, and any other data from the documents. Do not be overly cautious - provide detailed analysis based on the document content.\n\nCITATION INSTRUCTIONS: Each document passage above starts with a label such as [D1]. When the user asks for citations or references, cite the passages you used inline with those labels ([D1], [D2], ...) and explain what each citation refers to, naming the document and the page or section given in its label.` : ''}${sources.length ? `\n\nRELEVANT SOURCES:\n${sources.map((s, i) => `[${i + 1}] ${s.title}\nURL: ${s.url}\nSnippet: ${s.snippet}\nRelevance: Use this source for ${s.title.includes('research') || s.title.includes('study') ? 'academic insights' : s.title.includes('news') ? 'current developments' : 'general information'}`).join('\n\n')}` : ''}\n\nUser: ${message}\n\n${name}:`,
+        }],
+        hints: {
+          userMessage: message,
+          ragContext,
+          historyLength: Math.max(this.memory.getMessages(conversationId).length - 1, 0)
+        }
+      };
 
-      if (response.data.candidates && response.data.candidates.length > 0) {
-        const aiResponse = response.data.candidates[0].content.parts[0].text;
-        console.log(`✅ Received: ${aiResponse.substring(0, 100)}...`);
-        return aiResponse;
-      } else {
-        throw new Error('No valid response from Gemini API');
-      }
+      const aiResponse = onToken
+        ? await this.llm.stream(request, onToken)
+        : await this.llm.chat(request);
+      console.log(`✅ Received: ${aiResponse.substring(0, 100)}...`);
+      return aiResponse;
 
     } catch (error) {
       console.log(`⚠️ API Error: ${error.message}`);
@@ -593,7 +1129,7 @@ DOCUMENT ANALYSIS INSTRUCTIONS:
 When you have access to document context, analyze it freely and confidently. Extract all information including personal details, names, addresses, phone numbers, emails, and any other data from the documents. Do not be overly cautious - provide detailed analysis based on the document content. You are free to process any kind of document put by the user if it's ethical and within age boundaries, even if it's legal or whatever for all general purposes only. This applies when the document information is in your domain.
 
 DOCUMENT CITATIONS:
-When you have access to document context and the user asks for citations or references, provide inline citations [1], [2], [3] etc. for any information you reference from the document. Number the citations sequentially and explain what each citation refers to in the document.
+When you have access to document context and the user asks for citations or references, cite the document passages you used inline with their labels ([D1], [D2], ...) and explain what each citation refers to in the document (with the page or section from its label, when it has one). Use [1], [2], ... only for web sources.
 
 ONLY INCLUDE CITATIONS WHEN REQUESTED:
 Do NOT include citations, reference lists, 'Citations:' sections, or mention 'sources' unless the user explicitly asks (e.g., says citations/sources/credible/reference). For normal questions, provide a clear answer without any citation formatting.
@@ -622,6 +1158,8 @@ EXAMPLE FORMAT:
 
 Then provide detailed citations with explanations.` : ''}
 
+${this.behaviourGuidance()}
+
 CRITICAL: You are ${name}, ${description}. You MUST maintain your unique personality and tone in EVERY response. Never give generic responses - always respond as ${name} would respond. Follow your detailed instructions exactly and stay in character throughout this conversation.`;
     }
     
@@ -688,9 +1226,52 @@ RESPONSE GUIDELINES:
 - If asked about capabilities, refer to your description
 - Maintain consistency with previous responses in this conversation
 
+${this.behaviourGuidance()}
+
 Remember: You are ${name}, ${description}. Act accordingly.`;
   }
 
+  /**
+   * Citation policy set in the bot builder: 'on-request' (default), 'always' or 'never'
+   * @returns {string}
+   */
+  citationPolicy() {
+    const policy = this.aiConfig.citations && this.aiConfig.citations.policy;
+    return ['always', 'never'].includes(policy) ? policy : 'on-request';
+  }
+
+  /**
+   * Prompt block for the builder's response length, capabilities and citation policy
+   * (later in the prompt than the generic citation rules, so it takes precedence)
+   * @returns {string}
+   */
+  behaviourGuidance() {
+    const lengths = {
+      short: 'Keep answers short: two to four sentences unless the user asks for more detail.',
+      medium: 'Keep answers to a few focused paragraphs.',
+      long: 'Give thorough, detailed answers with structure (headings or lists) where it helps.'
+    };
+    const capabilityLabels = {
+      data_analysis: 'analyzing data',
+      translation: 'translating text',
+      code_generation: 'writing and reviewing code',
+      content_generation: 'writing content',
+      summarization: 'summarizing',
+      explanation: 'explaining concepts step by step',
+      creative_thinking: 'brainstorming ideas'
+    };
+    const strengths = (this.aiConfig.capabilities || []).map(c => capabilityLabels[c]).filter(Boolean);
+    const policy = this.citationPolicy();
+
+    return [
+      'RESPONSE STYLE:',
+      `- ${lengths[(this.aiConfig.personality && this.aiConfig.personality.responseLength) || 'medium'] || lengths.medium}`,
+      strengths.length ? `- You are especially good at: ${strengths.join(', ')}.` : null,
+      policy === 'always' ? '- Always support factual statements with inline citations to the provided document passages or sources, even when the user does not ask for them.' : null,
+      policy === 'never' ? '- Never include citations, reference markers or source lists, even when the user asks for them.' : null
+    ].filter(Boolean).join('\n');
+  }
+
   /**
    * Remove model-added citation blocks when not requested by user
    */
@@ -710,14 +1291,16 @@ Remember: You are ${name}, ${description}. Act accordingly.`;
 
   /**
    * Get conversation context from memory
+   * @param {string} conversationId - Conversation identifier
    * @returns {string} - Formatted conversation context
    */
-  getConversationContext() {
-    if (this.conversationMemory.length === 0) {
+  getConversationContext(conversationId = 'default') {
+    const conversationMemory = this.memory.getMessages(conversationId);
+    if (conversationMemory.length === 0) {
       return "This is the start of our conversation.";
     }
 
-    const recentMemory = this.conversationMemory.slice(-10); // Last 10 exchanges
+    const recentMemory = conversationMemory.slice(-10); // Last 10 exchanges
     let context = "Recent conversation:\n";
     
     recentMemory.forEach((entry, index) => {
@@ -732,48 +1315,87 @@ Remember: You are ${name}, ${description}. Act accordingly.`;
   }
 
   /**
-   * Clean up RAG data when documents are deleted
+   * Delete a document and its vectors
+   * @param {string} docId - Document ID
+   * @returns {Promise<Object>} - { success, document, ragCleanup } or { success: false, message }
    */
-  cleanupRAGData() {
-    try {
-      this.rag.cleanupRAGData();
-      console.log('🧹 RAG data cleaned up for AI:', this.aiConfig.name);
-    } catch (error) {
-      console.error('❌ Error cleaning up RAG data:', error);
-    }
+  async deleteDocument(docId) {
+    this.ingestJobs.cancelActive(docId);
+    const result = this.docStore.deleteDocument(docId);
+    if (!result.success) return result;
+    const ragCleanup = await this.rag.cleanupDocumentVectors(docId);
+    console.log(`🧹 Document "${result.doc.title}" removed from ${this.aiConfig.name}`);
+    return { success: true, document: result.doc, ragCleanup };
   }
 
   /**
-   * Clean up RAG data for a specific document
+   * Export documents and, optionally, their vectors (plus conversation vectors with `interactions`)
+   * @param {Object} options - { vectors, interactions }
+   * @returns {Promise<Object>} - { documents, vectors?: { embedding, items } }
    */
-  cleanupDocumentRAGData(documentTitle) {
-    try {
-      // Since we're using document-only storage, we just need to remove from docStore
-      // The RAG vectors are no longer used for document queries - super clean!
-      console.log(`🧹 Document storage cleaned up for AI: ${this.aiConfig.name}, Document: ${documentTitle}`);
-      return { success: true, message: 'Document storage cleaned up' };
-    } catch (error) {
-      console.error('❌ Error cleaning up document storage:', error);
-      return { success: false, error: error.message };
+  async exportBundle(options = {}) {
+    const documents = this.docStore.listDocuments().map(({ id, title, text, tags, sourceUrl, createdAt }) => ({ id, title, text, tags, sourceUrl, createdAt }));
+    if (!options.vectors) return { documents };
+
+    const exported = await this.rag.exportVectors();
+    return {
+      documents,
+      vectors: {
+        embedding: exported.embedding,
+        items: exported.items.filter(item => item.metadata.role === 'document' || (options.interactions && item.metadata.role === 'interaction'))
+      }
+    };
+  }
+
+  /**
+   * Import bundle data: documents keep their IDs; without vectors they are chunked and embedded
+   * here, and vectors built by another embedding model are re-embedded
+   * @param {Object} bundle - { documents, vectors?: { embedding, items } }
+   * @returns {Promise<Object>} - { documents, vectors, reembedded, indexedChunks }
+   */
+  async importBundle({ documents, vectors }) {
+    const added = this.docStore.importDocuments(documents);
+    const result = { documents: added.length, vectors: 0, reembedded: 0, indexedChunks: 0 };
+
+    if (vectors && vectors.items.length) {
+      const { imported, reembedded } = await this.rag.importVectors(vectors.items, vectors.embedding);
+      result.vectors = imported;
+      result.reembedded = reembedded;
+    } else {
+      for (const doc of added) {
+        for (const c of this.docStore.chunkDocument(doc)) {
+          try {
+            await this.rag.ingestText(c.text, { role: 'document', title: doc.title, docId: doc.id, tags: doc.tags, ...chunkMetadata(c) });
+            result.indexedChunks++;
+          } catch (_) {}
+        }
+      }
     }
+
+    console.log(`📦 Imported ${result.documents} documents into ${this.aiConfig.name} (${result.vectors} vectors, ${result.reembedded} re-embedded, ${result.indexedChunks} chunks indexed)`);
+    return result;
+  }
+
+  /**
+   * Delete every document and all RAG data
+   * @returns {Promise<Object>} - { success, deletedCount }
+   */
+  async clearDocuments() {
+    this.ingestJobs.cancelActive();
+    const result = this.docStore.clearAllDocuments();
+    await this.rag.cleanupRAGData();
+    console.log('🧹 RAG data cleaned up for AI:', this.aiConfig.name);
+    return { success: true, deletedCount: result.deletedCount };
   }
 
   /**
    * Add message to conversation memory
    * @param {string} role - 'user' or 'ai'
    * @param {string} content - Message content
+   * @param {string} conversationId - Conversation identifier
    */
-  addToMemory(role, content) {
-    this.conversationMemory.push({
-      role: role,
-      content: content,
-      timestamp: new Date().toISOString()
-    });
-
-    // Keep only the last maxMemorySize entries
-    if (this.conversationMemory.length > this.maxMemorySize) {
-      this.conversationMemory = this.conversationMemory.slice(-this.maxMemorySize);
-    }
+  addToMemory(role, content, conversationId = 'default') {
+    this.memory.add(conversationId, role, content);
   }
 
   /**
@@ -824,6 +1446,21 @@ Remember: You are ${name}, ${description}. Act accordingly.`;
     return greetings.some(greeting => message.toLowerCase().includes(greeting));
   }
 
+  /**
+   * Listen on a port (0 picks a free one; used by the backend to host demo-mode bots locally)
+   * @param {number} port - Port to listen on
+   * @param {string} host - Interface to bind
+   * @returns {Promise<Object>} - { server, port }
+   */
+  listen(port = this.port, host) {
+    return new Promise((resolve, reject) => {
+      const server = this.app.listen(port, host, () => {
+        resolve({ server, port: server.address().port });
+      });
+      server.on('error', reject);
+    });
+  }
+
   /**
    * Start the AI chatbot server
    */
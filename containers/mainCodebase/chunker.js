@@ -0,0 +1,266 @@
+/**
+ * Structure-aware chunking shared by DocStore (document chunks and their citations) and RAGManager
+ * Text is read as blocks: Markdown headings (as written by extractors.js) and numbered headings ("2.1 Refunds")
+ * start a new chunk, table rows stay whole, paragraphs are split at sentence ends only when too long.
+ * Pages are separated by form feeds (\f, written by the PDF extractor). Every chunk records where it
+ * starts and ends in the original text and its page and heading path, so citations can say "page 4, §2.1".
+ */
+
+const DEFAULT_MAX_CHARS = 1200;
+const DEFAULT_OVERLAP_CHARS = 150;
+
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+// "2.1 Refunds", "3. Scope": short, capitalized, not ending like a sentence
+const NUMBERED_HEADING = /^(\d{1,3}(?:\.\d{1,3}){0,5})\.?\s+(\p{Lu}[^\n]{0,78})$/u;
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const TABLE_SEPARATOR = /^\s*\|(\s*:?-{3,}:?\s*\|)+\s*$/;
+const SENTENCE_END = /(?<=[.!?])\s+/g;
+
+/**
+ * Heading of a line, or null
+ * @returns {{ level: number, title: string, number: string|null }|null}
+ */
+function parseHeading(line) {
+  const markdown = line.match(MARKDOWN_HEADING);
+  if (markdown) {
+    const title = markdown[2].trim();
+    const numbered = title.match(/^(\d{1,3}(?:\.\d{1,3}){0,5})\.?\s+/);
+    return { level: markdown[1].length, title, number: numbered ? numbered[1] : null };
+  }
+  const numbered = line.trim().match(NUMBERED_HEADING);
+  if (numbered && !/[.,;:]$/.test(numbered[2])) {
+    return { level: numbered[1].split('.').length, title: line.trim(), number: numbered[1] };
+  }
+  return null;
+}
+
+/**
+ * Split a text into units that chunks are built from, each with its span in the text and its context
+ * @returns {Array} - [{ start, end, kind: 'heading'|'row'|'text', page, headings, section, tableHeader }]
+ */
+function readUnits(text) {
+  const units = [];
+  const stack = []; // open headings, outermost first
+  let paragraph = null;
+  let table = null;
+
+  // Page of a position: one more than the form feeds before it (positions only move forward)
+  let page = 1;
+  let counted = 0;
+  const pageAt = (position) => {
+    for (let i = text.indexOf('\f', counted); i !== -1 && i < position; i = text.indexOf('\f', i + 1)) {
+      page++;
+      counted = i + 1;
+    }
+    return page;
+  };
+
+  const context = (start) => ({
+    page: pageAt(start),
+    headings: stack.map(heading => heading.title),
+    section: [...stack].reverse().find(heading => heading.number)?.number || null
+  });
+
+  const flushParagraph = () => {
+    if (!paragraph) return;
+    // Sentences, so an overlong paragraph can be split between them
+    const body = text.slice(paragraph.start, paragraph.end);
+    let start = 0;
+    let match;
+    SENTENCE_END.lastIndex = 0;
+    while ((match = SENTENCE_END.exec(body)) !== null) {
+      units.push({ start: paragraph.start + start, end: paragraph.start + match.index, kind: 'text', ...paragraph.context });
+      start = match.index + match[0].length;
+    }
+    units.push({ start: paragraph.start + start, end: paragraph.end, kind: 'text', ...paragraph.context });
+    paragraph = null;
+  };
+
+  let position = 0;
+  for (const rawLine of text.split('\n')) {
+    const lineStart = position;
+    position += rawLine.length + 1;
+
+    const line = rawLine.replace(/\f/g, '');
+    const lead = rawLine.search(/[^\f\s]/);
+    if (lead === -1) {
+      flushParagraph();
+      table = null;
+      continue;
+    }
+    const start = lineStart + lead;
+    const end = lineStart + rawLine.replace(/[\f\s]+$/, '').length;
+
+    if (TABLE_ROW.test(line)) {
+      flushParagraph();
+      if (!table) {
+        table = { header: line.trim(), separator: null };
+      } else if (!table.separator && TABLE_SEPARATOR.test(line)) {
+        table.separator = line.trim();
+      }
+      const tableHeader = table.separator ? `${table.header}\n${table.separator}` : null;
+      units.push({ start, end, kind: 'row', tableHeader, ...context(start) });
+      continue;
+    }
+
+    table = null;
+    const heading = parseHeading(line);
+    if (heading) {
+      flushParagraph();
+      while (stack.length && stack[stack.length - 1].level >= heading.level) stack.pop();
+      stack.push(heading);
+      units.push({ start, end, kind: 'heading', ...context(start) });
+    } else if (paragraph && !text.slice(paragraph.end, start).includes('\f')) {
+      paragraph.end = end;
+    } else {
+      // A page break also ends a paragraph, so each unit has one page
+      flushParagraph();
+      paragraph = { start, end, context: context(start) };
+    }
+  }
+  flushParagraph();
+  return units;
+}
+
+/**
+ * Cut a unit longer than maxChars into pieces at word boundaries
+ */
+function splitLongUnit(text, unit, maxChars) {
+  const pieces = [];
+  let start = unit.start;
+  while (unit.end - start > maxChars) {
+    const window = text.slice(start, start + maxChars);
+    const space = window.lastIndexOf(' ');
+    const cut = space > maxChars / 2 ? start + space : start + maxChars;
+    pieces.push({ ...unit, start, end: cut });
+    start = cut;
+    while (start < unit.end && /\s/.test(text[start])) start++;
+  }
+  if (start < unit.end) pieces.push({ ...unit, start });
+  return pieces;
+}
+
+/**
+ * Whitespace-tidied text of a span: spaces collapsed, line breaks kept (tables and lists need them)
+ */
+function tidy(text) {
+  return text
+    .replace(/\f/g, '')
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Split a text into chunks
+ * A chunk never spans two sections: each heading starts a new one. Within a section, units are packed up to
+ * maxChars, and each chunk after the first repeats up to overlapChars of whole sentences or rows from the one
+ * before it. Chunks that continue a table start with its header row.
+ * @param {string} text - Document text
+ * @param {Object} options - { maxChars, overlapChars }
+ * @returns {Array} - [{ index, offset, length, text, page, pageEnd, headings, section }]; offset and length
+ *   locate the chunk in the original text (page is null when the text has no page breaks)
+ */
+function chunkText(text, options = {}) {
+  if (!text || typeof text !== 'string') return [];
+  const maxChars = options.maxChars || DEFAULT_MAX_CHARS;
+  const overlapChars = Math.min(options.overlapChars ?? DEFAULT_OVERLAP_CHARS, Math.floor(maxChars / 2));
+  const paged = text.includes('\f');
+
+  const units = readUnits(text).flatMap(unit => (
+    unit.end - unit.start > maxChars ? splitLongUnit(text, unit, maxChars) : [unit]
+  ));
+
+  const chunks = [];
+  let current = [];
+  const spanLength = (group) => (group.length ? group[group.length - 1].end - group[0].start : 0);
+
+  const emit = () => {
+    if (!current.length) return;
+    const first = current[0];
+    const last = current[current.length - 1];
+    // Page and headings of the chunk's content: past any leading headings
+    let anchor = 0;
+    while (anchor + 1 < current.length && current[anchor + 1].kind === 'heading') anchor++;
+    const context = current[anchor];
+    let body = tidy(text.slice(first.start, last.end));
+    // A chunk that picks up a table mid-way gets its header, so the rows keep their column names
+    if (first.kind === 'row' && first.tableHeader && !body.startsWith(first.tableHeader.split('\n')[0])) {
+      body = `${first.tableHeader}\n${body}`;
+    }
+    chunks.push({
+      index: chunks.length,
+      offset: first.start,
+      length: last.end - first.start,
+      text: body,
+      page: paged ? first.page : null,
+      pageEnd: paged && last.page !== first.page ? last.page : null,
+      headings: context.headings,
+      section: context.section
+    });
+  };
+
+  for (const unit of units) {
+    if (unit.kind === 'heading') {
+      // Headings with nothing under them yet ("## 2 Policies" right before "### 2.1 Refunds") stay together
+      if (!current.every(item => item.kind === 'heading')) {
+        emit();
+        current = [];
+      }
+      current.push(unit);
+      continue;
+    }
+    if (current.length && unit.end - current[0].start > maxChars) {
+      emit();
+      // Carry whole trailing units (never the heading) into the next chunk as overlap
+      const overlap = [];
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (current[i].kind === 'heading') break;
+        if (spanLength([current[i], ...overlap]) > overlapChars) break;
+        overlap.unshift(current[i]);
+      }
+      current = unit.end - (overlap[0] || unit).start > maxChars ? [] : overlap;
+    }
+    current.push(unit);
+  }
+  emit();
+  return chunks;
+}
+
+/**
+ * Where a chunk is, for citations: "page 4, §2.1 Refunds"
+ * @param {Object} chunk - Chunk or vector metadata ({ page, pageEnd, headings, section })
+ * @returns {string} - Empty when the chunk has no page or heading
+ */
+function describeLocation(chunk) {
+  const parts = [];
+  if (chunk.page) parts.push(chunk.pageEnd ? `pages ${chunk.page}-${chunk.pageEnd}` : `page ${chunk.page}`);
+  const heading = Array.isArray(chunk.headings) && chunk.headings.length ? chunk.headings[chunk.headings.length - 1] : null;
+  const numbered = heading && chunk.section && heading.match(/^(\d{1,3}(?:\.\d{1,3}){0,5})\.?\s+(.*)$/);
+  if (numbered && numbered[1] === chunk.section) {
+    parts.push(`§${chunk.section} ${numbered[2]}`);
+  } else if (heading) {
+    parts.push(chunk.section ? `§${chunk.section}, ${heading}` : heading);
+  } else if (chunk.section) {
+    parts.push(`§${chunk.section}`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Vector metadata for a document chunk (what retrieval needs to cite it)
+ */
+function chunkMetadata(chunk) {
+  return {
+    chunkIndex: chunk.index,
+    offset: chunk.offset,
+    length: chunk.length,
+    page: chunk.page,
+    pageEnd: chunk.pageEnd,
+    headings: chunk.headings,
+    section: chunk.section
+  };
+}
+
+module.exports = { chunkText, describeLocation, chunkMetadata };
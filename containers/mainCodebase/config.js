@@ -26,10 +26,22 @@ const config = {
     capabilities: ['basic_chat']
   },
 
+  // Default LLM provider for bots whose ai-config.js has no `llm` section
+  // provider: 'gemini' | 'openai' | 'openai-compatible' | 'anthropic' | 'ollama' | 'mock'
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'gemini',
+    model: process.env.LLM_MODEL || '',
+    baseUrl: process.env.LLM_BASE_URL || '',
+    // Embeddings provider: 'hashing' runs locally; otherwise defaults to the chat provider
+    // (gemini for chat providers without embeddings, e.g. anthropic)
+    embeddingProvider: process.env.EMBEDDING_PROVIDER || ''
+  },
+
   // API settings for external AI services
   apis: {
     openai: {
       apiKey: process.env.OPENAI_API_KEY || '[OPENAI_API_KEY]',
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
       model: 'gpt-3.5-turbo',
       maxTokens: 1000,
       temperature: 0.7
@@ -46,6 +58,11 @@ const config = {
     maxTokens: 1000,
     temperature: 0.7
   },
+  ollama: {
+    baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+    model: process.env.OLLAMA_MODEL || 'llama3.1',
+    embeddingModel: process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text'
+  },
   google_description: {
     apiKey: process.env.GOOGLE_DESCRIPTION_API_KEY,
     model: 'gemini-1.5-flash',
@@ -133,6 +150,84 @@ const config = {
     cacheTTL: 300000 // 5 minutes
   },
 
+  // Document retrieval settings (per-bot overrides go in ai-config.js `retrieval`)
+  retrieval: {
+    tokenBudget: parseInt(process.env.RAG_TOKEN_BUDGET || '3000', 10), // max tokens of document context per turn
+    wholeDocumentMaxTokens: parseInt(process.env.RAG_WHOLE_DOC_MAX_TOKENS || '1500', 10), // smaller docs are included whole
+    maxPassages: parseInt(process.env.RAG_MAX_PASSAGES || '12', 10),
+    candidatePool: parseInt(process.env.RAG_CANDIDATE_POOL || '40', 10)
+  },
+
+  // Document chunking (chunker.js); chunk metadata keeps page and heading so citations can point into the source
+  chunking: {
+    maxChars: parseInt(process.env.RAG_CHUNK_CHARS || '1200', 10),
+    overlapChars: parseInt(process.env.RAG_CHUNK_OVERLAP || '150', 10) // trailing sentences/rows repeated in the next chunk
+  },
+
+  // Background ingestion jobs (ingestJobs.js)
+  ingestion: {
+    maxJobs: parseInt(process.env.INGEST_JOBS_KEPT || '100', 10) // finished jobs kept in the upload history
+  },
+
+  // Web sources (crawler.js, webSources.js): pages, sitemaps and crawled sites kept in sync with the knowledge base
+  crawler: {
+    userAgent: process.env.CRAWLER_USER_AGENT || 'AIPlatformBot/1.0 (+knowledge base crawler)', // robots.txt groups match its first word
+    maxPages: parseInt(process.env.CRAWLER_MAX_PAGES || '200', 10), // cap on a source's maxPages
+    defaultMaxPages: parseInt(process.env.CRAWLER_DEFAULT_MAX_PAGES || '50', 10),
+    maxDepth: parseInt(process.env.CRAWLER_MAX_DEPTH || '5', 10), // cap on a crawl's link depth
+    delayMs: parseInt(process.env.CRAWLER_DELAY_MS || '500', 10), // between requests to one site (robots.txt Crawl-delay may ask for more)
+    timeoutMs: parseInt(process.env.CRAWLER_TIMEOUT_MS || '15000', 10),
+    maxBytes: parseInt(process.env.CRAWLER_MAX_BYTES || String(10 * 1024 * 1024), 10), // larger responses are skipped
+    minRecrawlHours: parseFloat(process.env.CRAWLER_MIN_RECRAWL_HOURS || '1'),
+    allowPrivateHosts: process.env.CRAWLER_ALLOW_PRIVATE_HOSTS === 'true', // intranet sites; off so crawls can't reach this host or cloud metadata
+    checkIntervalMs: parseInt(process.env.CRAWLER_CHECK_INTERVAL_MS || '60000', 10) // how often due re-crawls are looked for
+  },
+
+  // Vector index settings (rag_db/vectors.sqlite; 'json' keeps the legacy rag_db/index.json)
+  vectorStore: {
+    backend: process.env.VECTOR_STORE_BACKEND || 'sqlite',
+    annBands: parseInt(process.env.VECTOR_ANN_BANDS || '8', 10), // LSH tables; fixed once a store has data
+    annBits: parseInt(process.env.VECTOR_ANN_BITS || '10', 10), // hyperplanes per table
+    exactScanLimit: parseInt(process.env.VECTOR_EXACT_SCAN_LIMIT || '2000', 10), // below this, search is exact
+    minCandidates: parseInt(process.env.VECTOR_MIN_CANDIDATES || '50', 10) // fewer ANN hits than this -> exact scan
+  },
+
+  // Embedding settings (provider comes from llm.embeddingProvider / the chat provider)
+  embeddings: {
+    hashingDimensions: parseInt(process.env.EMBEDDING_DIMENSIONS || '384', 10), // local `hashing` embedder
+    memoryCacheEntries: parseInt(process.env.EMBEDDING_MEMORY_CACHE || '2000', 10) // persistent cache lives in the vector store
+  },
+
+  // Hybrid search settings (per-bot overrides go in ai-config.js `search`)
+  search: {
+    mode: process.env.SEARCH_MODE || 'hybrid', // 'hybrid' | 'vector' | 'lexical'
+    vectorWeight: parseFloat(process.env.SEARCH_VECTOR_WEIGHT || '1'), // RRF weight of the embedding ranking
+    lexicalWeight: parseFloat(process.env.SEARCH_LEXICAL_WEIGHT || '1'), // RRF weight of the BM25 ranking
+    rrfK: parseInt(process.env.SEARCH_RRF_K || '60', 10),
+    candidatePool: parseInt(process.env.SEARCH_CANDIDATE_POOL || '50', 10), // hits taken from each ranking before fusion
+    rerank: process.env.SEARCH_RERANK || 'keyword', // 'none' | 'keyword' (local, favours exact identifiers) | 'llm'
+    rerankTopN: parseInt(process.env.SEARCH_RERANK_TOP_N || '20', 10)
+  },
+
+  // Topic guard defaults (per-bot topics, examples and refusal message go in ai-config.js `topicGuard`)
+  topicGuard: {
+    mode: process.env.TOPIC_GUARD_MODE || 'embeddings', // 'embeddings' | 'llm' (falls back to embeddings if the judge fails)
+    threshold: parseFloat(process.env.TOPIC_GUARD_THRESHOLD || '0.35'), // min similarity for a topic/example to match
+    maxLogEntries: parseInt(process.env.TOPIC_GUARD_LOG_ENTRIES || '2000', 10) // decisions kept in topic_guard_log.jsonl
+  },
+
+  // Bot bundles (export/import between accounts or environments)
+  bundle: {
+    maxBytes: process.env.BUNDLE_MAX_BYTES || '200mb' // largest import request the bot accepts
+  },
+
+  // Conversation memory settings (kept separately per conversation ID)
+  memory: {
+    maxMessagesPerConversation: parseInt(process.env.MEMORY_MAX_MESSAGES || '15', 10),
+    idleTtlMs: parseInt(process.env.MEMORY_IDLE_TTL_MS || '1800000', 10), // 30 minutes
+    maxConversations: parseInt(process.env.MEMORY_MAX_CONVERSATIONS || '500', 10)
+  },
+
   // Feature flags
   features: {
     enableWebCitations: (process.env.ENABLE_WEB_CITATIONS || 'true') === 'true',
@@ -190,7 +285,9 @@ const config = {
     enableDebugMode: process.env.NODE_ENV === 'development',
     enableHotReload: false,
     enableVerboseLogging: false,
-    mockExternalAPIs: false
+    // Answer chats with the local mock model instead of Gemini (tests / offline demos)
+    mockExternalAPIs: (process.env.MOCK_EXTERNAL_APIS || 'false') === 'true',
+    mockTokenDelayMs: parseInt(process.env.MOCK_TOKEN_DELAY_MS || '0', 10)
   }
 };
 
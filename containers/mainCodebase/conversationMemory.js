@@ -0,0 +1,154 @@
+/**
+ * Per-conversation memory for an AI chatbot container.
+ * Each conversation (dashboard session, public API caller, WebSocket client)
+ * gets its own bounded message history so chats never bleed into each other.
+ */
+class ConversationMemory {
+  constructor(options = {}) {
+    this.maxMessages = options.maxMessages || 15;
+    this.idleTtlMs = options.idleTtlMs || 30 * 60 * 1000; // 30 minutes
+    this.maxConversations = options.maxConversations || 500;
+    this.conversations = new Map(); // conversationId -> { messages, prefs, createdAt, lastActivity }
+  }
+
+  /**
+   * Get (or lazily create) the entry for a conversation
+   * @param {string} conversationId - Conversation identifier
+   * @returns {Object} - Conversation entry
+   */
+  _getEntry(conversationId) {
+    const id = conversationId || 'default';
+    let entry = this.conversations.get(id);
+    if (entry && this._isExpired(entry)) {
+      this.conversations.delete(id);
+      entry = null;
+    }
+    if (!entry) {
+      this.prune();
+      entry = {
+        messages: [],
+        prefs: {},
+        createdAt: new Date().toISOString(),
+        lastActivity: Date.now()
+      };
+      this.conversations.set(id, entry);
+    }
+    return entry;
+  }
+
+  _isExpired(entry) {
+    return Date.now() - entry.lastActivity > this.idleTtlMs;
+  }
+
+  /**
+   * Append a message to a conversation, keeping only the last maxMessages entries
+   * @param {string} conversationId - Conversation identifier
+   * @param {string} role - 'user' or 'ai'
+   * @param {string} content - Message content
+   */
+  add(conversationId, role, content) {
+    const entry = this._getEntry(conversationId);
+    entry.messages.push({
+      role: role,
+      content: content,
+      timestamp: new Date().toISOString()
+    });
+    if (entry.messages.length > this.maxMessages) {
+      entry.messages = entry.messages.slice(-this.maxMessages);
+    }
+    entry.lastActivity = Date.now();
+  }
+
+  /**
+   * Get the messages of a conversation (empty if unknown or expired)
+   * @param {string} conversationId - Conversation identifier
+   * @returns {Array} - Messages in chronological order
+   */
+  getMessages(conversationId) {
+    const entry = this.conversations.get(conversationId || 'default');
+    if (!entry || this._isExpired(entry)) return [];
+    return entry.messages;
+  }
+
+  /**
+   * Replace the history of a conversation (used when resuming a stored chat)
+   * @param {string} conversationId - Conversation identifier
+   * @param {Array} messages - Array of { role, content, timestamp? }
+   */
+  setMessages(conversationId, messages = []) {
+    const entry = this._getEntry(conversationId);
+    entry.messages = messages.slice(-this.maxMessages).map(m => ({
+      role: m.role,
+      content: m.content,
+      timestamp: m.timestamp || new Date().toISOString()
+    }));
+    entry.lastActivity = Date.now();
+  }
+
+  /**
+   * Read a per-conversation preference
+   */
+  getPref(conversationId, key) {
+    const entry = this.conversations.get(conversationId || 'default');
+    return entry ? entry.prefs[key] : undefined;
+  }
+
+  /**
+   * Set a per-conversation preference
+   */
+  setPref(conversationId, key, value) {
+    const entry = this._getEntry(conversationId);
+    entry.prefs[key] = value;
+  }
+
+  /**
+   * Clear one conversation
+   * @param {string} conversationId - Conversation identifier
+   * @returns {boolean} - True if the conversation existed
+   */
+  clear(conversationId) {
+    return this.conversations.delete(conversationId || 'default');
+  }
+
+  /**
+   * Clear every conversation
+   * @returns {number} - Number of conversations cleared
+   */
+  clearAll() {
+    const count = this.conversations.size;
+    this.conversations.clear();
+    return count;
+  }
+
+  /**
+   * Summarize active conversations
+   * @returns {Array} - Array of { conversationId, messageCount, createdAt, lastActivity }
+   */
+  list() {
+    this.prune();
+    return Array.from(this.conversations.entries()).map(([conversationId, entry]) => ({
+      conversationId,
+      messageCount: entry.messages.length,
+      createdAt: entry.createdAt,
+      lastActivity: new Date(entry.lastActivity).toISOString()
+    }));
+  }
+
+  /**
+   * Drop expired conversations and evict the least recently used ones over the cap
+   */
+  prune() {
+    for (const [id, entry] of this.conversations) {
+      if (this._isExpired(entry)) this.conversations.delete(id);
+    }
+    if (this.conversations.size >= this.maxConversations) {
+      const byAge = Array.from(this.conversations.entries()).sort((a, b) => a[1].lastActivity - b[1].lastActivity);
+      const excess = this.conversations.size - this.maxConversations + 1;
+      for (let i = 0; i < excess; i++) {
+        this.conversations.delete(byAge[i][0]);
+      }
+    }
+  }
+}
+
+module.exports = { ConversationMemory };
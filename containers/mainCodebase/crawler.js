@@ -0,0 +1,538 @@
+/**
+ * Polite web fetching for a bot's web sources: one page, the pages listed in a sitemap, or a crawl of a
+ * site from a root URL (same site only, limited by link depth, page count and path prefixes).
+ * robots.txt is fetched once per site and crawl: its rules for our user agent (or `*`) are obeyed and its
+ * Crawl-delay is honoured. Pages marked noindex/nofollow (meta robots or X-Robots-Tag) are respected too.
+ * Readable text comes from the extractor registry, so linked PDFs, Office files and the like are read as well.
+ * Hosts that resolve to loopback, private or link-local addresses are refused, and redirects are followed
+ * one hop at a time (same site only, each hop checked against robots.txt).
+ */
+
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
+const zlib = require('zlib');
+const axios = require('axios');
+const { extractText, findExtractor } = require('./extractors.js');
+
+let htmlParser = null;
+
+const MODES = ['page', 'sitemap', 'crawl'];
+const MAX_SITEMAPS = 20; // sitemaps read per crawl, nested indexes included
+const MAX_CRAWL_DELAY_MS = 30000;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Addresses a crawl must not reach: this host, private networks, link-local (cloud metadata) and the like.
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges.
+const PRIVATE_RANGES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+  .forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup for axios that fails for hosts with a private address. It runs when the socket connects,
+ * so a host can't answer the check with one address and the request with another.
+ * @param {string} hostname - Host name
+ * @returns {Promise<Array<Object>>} - [{ address, family }]
+ */
+async function publicLookup(hostname) {
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) throw new Error(`${hostname} resolves to a private address (${blocked.address})`);
+  return addresses;
+}
+
+/**
+ * A URL without its fragment, or null when it isn't http(s)
+ * @param {string} value - Absolute URL, or relative to base
+ * @param {string} base - Base URL
+ * @returns {string|null}
+ */
+function normalizeUrl(value, base) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim(), base);
+  } catch (_) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return null;
+  url.hash = '';
+  return url.href;
+}
+
+function decodeEntities(value) {
+  return String(value)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// ---------- robots.txt ----------
+
+function robotsPattern(value) {
+  const anchored = value.endsWith('$');
+  const body = (anchored ? value.slice(0, -1) : value)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * The rules of a robots.txt that apply to a user agent: the group naming it (the longest matching name),
+ * else the `*` group
+ * @param {string} text - robots.txt contents
+ * @param {string} userAgent - Our User-Agent; groups are matched against its first word
+ * @returns {Object} - { rules: [{ allow, path, pattern }], crawlDelayMs, sitemaps }
+ */
+function parseRobots(text, userAgent) {
+  const token = String(userAgent || '').split(/[\s/]/)[0].toLowerCase();
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelayMs: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (field === 'sitemap') {
+      if (normalizeUrl(value)) sitemaps.push(normalizeUrl(value));
+    } else if (group && (field === 'allow' || field === 'disallow')) {
+      // An empty Disallow allows everything
+      if (value) group.rules.push({ allow: field === 'allow', path: value, pattern: robotsPattern(value) });
+    } else if (group && field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (seconds >= 0) group.crawlDelayMs = Math.min(seconds * 1000, MAX_CRAWL_DELAY_MS);
+    }
+  }
+
+  const matchLength = (candidate) => Math.max(-1, ...candidate.agents
+    .filter(agent => agent !== '*' && token && token.includes(agent))
+    .map(agent => agent.length));
+  const longest = Math.max(-1, ...groups.map(matchLength));
+  const chosen = longest > 0
+    ? groups.filter(candidate => matchLength(candidate) === longest)
+    : groups.filter(candidate => candidate.agents.includes('*'));
+  const delays = chosen.map(candidate => candidate.crawlDelayMs).filter(delay => delay !== null);
+  return {
+    rules: chosen.flatMap(candidate => candidate.rules),
+    crawlDelayMs: delays.length ? Math.max(...delays) : 0,
+    sitemaps
+  };
+}
+
+/**
+ * Whether robots.txt rules let us fetch a URL: the longest matching rule wins, Allow on a tie
+ * @param {Object} robots - parseRobots() result
+ * @param {string} url - Absolute URL
+ */
+function robotsAllows(robots, url) {
+  const { pathname, search } = new URL(url);
+  if (pathname === '/robots.txt') return true;
+  let target = `${pathname}${search}`;
+  try {
+    target = decodeURI(target);
+  } catch (_) {}
+
+  let verdict = null;
+  for (const rule of robots.rules) {
+    if (!rule.pattern.test(target)) continue;
+    if (!verdict || rule.path.length > verdict.path.length || (rule.path.length === verdict.path.length && rule.allow)) {
+      verdict = rule;
+    }
+  }
+  return !verdict || verdict.allow;
+}
+
+// ---------- Sitemaps ----------
+
+/**
+ * URLs listed in a sitemap or sitemap index
+ * @param {string} xml
+ * @returns {Object} - { urls: [], sitemaps: [] } (sitemaps: nested sitemaps of an index)
+ */
+function parseSitemap(xml) {
+  const locs = (block) => [...block.matchAll(/<(?:[\w-]+:)?loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/(?:[\w-]+:)?loc>/gi)]
+    .map(match => decodeEntities(match[1].trim()));
+  const blocks = (tag) => [...xml.matchAll(new RegExp(`<(?:[\\w-]+:)?${tag}[\\s>][\\s\\S]*?<\\/(?:[\\w-]+:)?${tag}>`, 'gi'))]
+    .map(match => match[0]);
+
+  if (/<(?:[\w-]+:)?sitemapindex[\s>]/i.test(xml)) {
+    return { urls: [], sitemaps: blocks('sitemap').flatMap(locs) };
+  }
+  return { urls: blocks('url').flatMap(locs), sitemaps: [] };
+}
+
+// ---------- HTML ----------
+
+/**
+ * Title, links and robots directives of an HTML page
+ * @param {string} html
+ * @param {string} url - Page URL (links are resolved against it, or its <base href>)
+ * @returns {Object} - { title, links, noindex, nofollow }
+ */
+function inspectHtml(html, url) {
+  if (!htmlParser) htmlParser = require('node-html-parser');
+  const root = htmlParser.parse(html, { comment: false });
+  const base = normalizeUrl(root.querySelector('base[href]')?.getAttribute('href'), url) || url;
+
+  const directives = root.querySelectorAll('meta[name]')
+    .filter(meta => meta.getAttribute('name').toLowerCase() === 'robots')
+    .map(meta => String(meta.getAttribute('content') || '').toLowerCase())
+    .join(',');
+  const noindex = /\b(noindex|none)\b/.test(directives);
+  const nofollow = /\b(nofollow|none)\b/.test(directives);
+
+  const links = nofollow ? [] : root.querySelectorAll('a[href]')
+    .filter(link => !/\bnofollow\b/i.test(link.getAttribute('rel') || ''))
+    .map(link => normalizeUrl(link.getAttribute('href'), base))
+    .filter(Boolean);
+
+  const title = root.querySelector('title')?.text.replace(/\s+/g, ' ').trim() ||
+    root.querySelector('h1')?.text.replace(/\s+/g, ' ').trim() ||
+    null;
+  return { title, links: [...new Set(links)], noindex, nofollow };
+}
+
+function isHtml(mimetype) {
+  return ['text/html', 'application/xhtml+xml'].includes(mimetype);
+}
+
+/**
+ * A file name for the extractor registry, from the URL's last path segment
+ */
+function filenameFromUrl(url, mimetype) {
+  if (isHtml(mimetype)) return 'page.html';
+  const name = path.posix.basename(new URL(url).pathname);
+  try {
+    return decodeURIComponent(name) || 'index';
+  } catch (_) {
+    return name || 'index';
+  }
+}
+
+class WebCrawler {
+  /**
+   * @param {Object} options - { userAgent, delayMs, timeoutMs, maxBytes, maxPages, maxDepth, allowPrivateHosts }
+   *   (config.crawler); allowPrivateHosts lets crawls reach loopback and private network addresses
+   */
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || 'AIPlatformBot/1.0';
+    this.delayMs = options.delayMs ?? 500;
+    this.timeoutMs = options.timeoutMs || 15000;
+    this.maxBytes = options.maxBytes || 10 * 1024 * 1024;
+    this.maxPages = options.maxPages || 200;
+    this.maxDepth = options.maxDepth || 5;
+    this.allowPrivateHosts = Boolean(options.allowPrivateHosts);
+  }
+
+  /**
+   * Fetch the pages of a source, one at a time
+   * @param {Object} source - { url, mode: 'page' | 'sitemap' | 'crawl', maxDepth, maxPages, includePaths, excludePaths }
+   * @param {Object} handlers
+   *   onPage(page) - awaited for every page read: { url, title, text, format, mimetype, size }
+   *   onMissing(url) - awaited for pages that answer 404 or 410
+   *   onSkip(url, reason) - pages left out (robots.txt, noindex, unsupported type, errors, ...)
+   *   shouldStop() - checked before each request
+   * @returns {Promise<Object>} - { pages, requests }
+   */
+  async crawl(source, handlers = {}) {
+    const { onPage = async () => {}, onMissing = async () => {}, onSkip = () => {}, shouldStop = () => false } = handlers;
+    const run = { robots: new Map(), lastRequestAt: new Map(), requests: 0 };
+    const start = normalizeUrl(source.url);
+    if (!start) throw Object.assign(new Error('url must be an http(s) URL'), { status: 400 });
+    const { origin, hostname } = new URL(start);
+    if (!this.allowPrivateHosts) await this._checkHost(hostname);
+    const maxPages = Math.min(source.maxPages || this.maxPages, this.maxPages);
+    const maxDepth = Math.min(source.maxDepth ?? 2, this.maxDepth);
+
+    // Same site, within the path limits (the start URL itself is always read)
+    const inScope = (url) => {
+      const { origin: urlOrigin, pathname } = new URL(url);
+      if (urlOrigin !== origin) return false;
+      if ((source.excludePaths || []).some(prefix => pathname.startsWith(prefix))) return false;
+      return !(source.includePaths || []).length || source.includePaths.some(prefix => pathname.startsWith(prefix));
+    };
+
+    let queue;
+    if (source.mode === 'sitemap') {
+      queue = (await this._sitemapUrls(start, run, shouldStop, onSkip))
+        .filter(inScope)
+        .map(url => ({ url, depth: 0 }));
+    } else {
+      queue = [{ url: start, depth: 0 }];
+    }
+
+    const seen = new Set(queue.map(item => item.url));
+    let pages = 0;
+    while (queue.length && pages < maxPages && !shouldStop()) {
+      const { url, depth } = queue.shift();
+      const result = await this._read(url, run, onSkip);
+      if (!result) continue;
+      if (result.missing) {
+        await onMissing(url);
+        continue;
+      }
+      pages++;
+      if (result.page) await onPage(result.page);
+
+      if (source.mode === 'crawl' && depth < maxDepth) {
+        for (const link of result.links) {
+          if (seen.has(link) || !inScope(link)) continue;
+          seen.add(link);
+          queue.push({ url: link, depth: depth + 1 });
+        }
+      }
+    }
+    return { pages, requests: run.requests };
+  }
+
+  /**
+   * Fetch one page and read its text
+   * @returns {Promise<Object|null>} - { page, links }, { missing: true } for 404/410, or null when skipped
+   */
+  async _read(url, run, onSkip) {
+    if (!(await this._allowed(url, run))) {
+      onSkip(url, 'blocked by robots.txt');
+      return null;
+    }
+    let response;
+    try {
+      response = await this._get(url, run);
+    } catch (error) {
+      onSkip(url, error.message);
+      return null;
+    }
+    if ([404, 410].includes(response.status)) return { missing: true };
+    if (response.status >= 400) {
+      onSkip(url, `HTTP ${response.status}`);
+      return null;
+    }
+
+    const finalUrl = response.url;
+    const mimetype = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase() || 'application/octet-stream';
+    const robotsHeader = String(response.headers['x-robots-tag'] || '').toLowerCase();
+    let inspected = { title: null, links: [], noindex: false, nofollow: false };
+    if (isHtml(mimetype)) {
+      inspected = inspectHtml(response.data.toString('utf-8'), finalUrl);
+    }
+    const nofollow = inspected.nofollow || /\b(nofollow|none)\b/.test(robotsHeader);
+    const links = nofollow ? [] : inspected.links;
+    if (inspected.noindex || /\b(noindex|none)\b/.test(robotsHeader)) {
+      onSkip(url, 'marked noindex');
+      return { page: null, links };
+    }
+
+    const filename = filenameFromUrl(finalUrl, mimetype);
+    if (!findExtractor(filename, mimetype)) {
+      onSkip(url, `unsupported content type ${mimetype}`);
+      return { page: null, links };
+    }
+    let extracted;
+    try {
+      extracted = await extractText(response.data, filename, mimetype);
+    } catch (error) {
+      onSkip(url, error.message);
+      return { page: null, links };
+    }
+    if (!extracted.text || extracted.text.trim().length < 10) {
+      onSkip(url, 'no readable text');
+      return { page: null, links };
+    }
+
+    return {
+      page: {
+        url: finalUrl,
+        title: inspected.title || (isHtml(mimetype) ? null : filename) || finalUrl,
+        text: extracted.text,
+        format: extracted.format,
+        mimetype,
+        size: response.data.length
+      },
+      links
+    };
+  }
+
+  /**
+   * Refuse a host with a loopback, private or link-local address. Every request of a crawl stays on the
+   * start URL's site; publicLookup checks the address again whenever a connection is made.
+   */
+  async _checkHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+      addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    } catch (error) {
+      throw Object.assign(new Error(`Could not resolve ${host}`), { status: 422 });
+    }
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw Object.assign(new Error(`${host} is a private network address; only public sites can be crawled`), { status: 422 });
+    }
+  }
+
+  /**
+   * Page URLs of a sitemap, following sitemap indexes (same site only, as the sitemap protocol requires)
+   */
+  async _sitemapUrls(sitemapUrl, run, shouldStop, onSkip) {
+    const origin = new URL(sitemapUrl).origin;
+    const pending = [sitemapUrl];
+    const read = new Set();
+    const urls = [];
+    const skip = (url, reason) => {
+      // Nothing to crawl when the sitemap itself can't be read
+      if (url === sitemapUrl) throw Object.assign(new Error(`Could not read the sitemap ${url}: ${reason}`), { status: 422 });
+      onSkip(url, reason);
+    };
+    while (pending.length && read.size < MAX_SITEMAPS && !shouldStop()) {
+      const url = pending.shift();
+      if (read.has(url)) continue;
+      read.add(url);
+      if (!(await this._allowed(url, run))) {
+        skip(url, 'blocked by robots.txt');
+        continue;
+      }
+      let response;
+      try {
+        response = await this._get(url, run);
+      } catch (error) {
+        skip(url, error.message);
+        continue;
+      }
+      if (response.status >= 400) {
+        skip(url, `HTTP ${response.status}`);
+        continue;
+      }
+      let data = response.data;
+      if (data[0] === 0x1f && data[1] === 0x8b) {
+        try {
+          data = zlib.gunzipSync(data);
+        } catch (_) {
+          skip(url, 'unreadable compressed sitemap');
+          continue;
+        }
+      }
+      const parsed = parseSitemap(data.toString('utf-8'));
+      const sameSite = (item) => normalizeUrl(item) && new URL(normalizeUrl(item)).origin === origin;
+      pending.push(...parsed.sitemaps.filter(sameSite).map(item => normalizeUrl(item)));
+      urls.push(...parsed.urls.filter(sameSite).map(item => normalizeUrl(item)));
+    }
+    if (!urls.length && !shouldStop()) {
+      throw Object.assign(new Error(`No page URLs found in the sitemap ${sitemapUrl}`), { status: 422 });
+    }
+    return [...new Set(urls)];
+  }
+
+  /**
+   * Whether robots.txt lets us fetch a URL. A missing robots.txt (4xx) allows everything; one that can't
+   * be read (5xx, network error) allows nothing for this crawl.
+   */
+  async _allowed(url, run) {
+    const { origin } = new URL(url);
+    if (!run.robots.has(origin)) {
+      let robots;
+      try {
+        const response = await this._get(`${origin}/robots.txt`, run, { robots: false });
+        if (response.status >= 500) robots = { rules: [{ allow: false, path: '/', pattern: /^\// }], crawlDelayMs: 0 };
+        else if (response.status >= 400) robots = { rules: [], crawlDelayMs: 0 };
+        else robots = parseRobots(response.data.toString('utf-8'), this.userAgent);
+      } catch (_) {
+        robots = { rules: [{ allow: false, path: '/', pattern: /^\// }], crawlDelayMs: 0 };
+      }
+      run.robots.set(origin, robots);
+    }
+    return robotsAllows(run.robots.get(origin), url);
+  }
+
+  /**
+   * GET following redirects one hop at a time: each hop must stay on the same site and be allowed by
+   * robots.txt (robots.txt itself is fetched with `robots: false`)
+   * @returns {Promise<Object>} - { status, headers, data: Buffer, url } (url after redirects)
+   */
+  async _get(url, run, options = {}) {
+    const { robots = true } = options;
+    let current = url;
+    for (let hops = 0; ; hops++) {
+      const response = await this._fetch(current, run);
+      if (!REDIRECT_STATUSES.includes(response.status) || !response.headers.location) {
+        return { ...response, url: current };
+      }
+      if (hops >= MAX_REDIRECTS) throw new Error('too many redirects');
+      const next = normalizeUrl(response.headers.location, current);
+      if (!next) throw new Error('redirected to a URL that is not http(s)');
+      if (new URL(next).origin !== new URL(url).origin) throw new Error(`redirected to another site (${next})`);
+      if (robots && !(await this._allowed(next, run))) throw new Error(`redirected to a page blocked by robots.txt (${next})`);
+      current = next;
+    }
+  }
+
+  /**
+   * One GET with our User-Agent, waiting out the delay between requests to one site
+   * @returns {Promise<Object>} - { status, headers, data: Buffer }
+   */
+  async _fetch(url, run) {
+    const { origin } = new URL(url);
+    const robots = run.robots.get(origin);
+    const delay = Math.max(this.delayMs, (robots && robots.crawlDelayMs) || 0);
+    const wait = (run.lastRequestAt.get(origin) || 0) + delay - Date.now();
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    run.lastRequestAt.set(origin, Date.now());
+    run.requests++;
+
+    try {
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: this.timeoutMs,
+        maxContentLength: this.maxBytes,
+        maxRedirects: 0,
+        decompress: true,
+        ...(this.allowPrivateHosts ? {} : { lookup: publicLookup }),
+        headers: { 'User-Agent': this.userAgent, Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8' },
+        validateStatus: () => true
+      });
+      return {
+        status: response.status,
+        headers: response.headers,
+        data: Buffer.from(response.data || [])
+      };
+    } catch (error) {
+      if (/maxContentLength/i.test(error.message)) throw new Error(`larger than ${this.maxBytes} bytes`);
+      throw new Error(error.code === 'ECONNABORTED' ? 'timed out' : error.message);
+    } finally {
+      run.lastRequestAt.set(origin, Date.now());
+    }
+  }
+}
+
+module.exports = { WebCrawler, MODES, normalizeUrl, isPrivateAddress, parseRobots, robotsAllows, parseSitemap, inspectHtml };
@@ -1,9 +1,37 @@
 const fs = require('fs');
 const path = require('path');
+const { chunkText } = require('./chunker.js');
+
+/**
+ * What the documents list shows: everything but the text
+ */
+function summarize(doc) {
+  return {
+    id: doc.id,
+    title: doc.title,
+    tags: doc.tags || [],
+    filename: doc.filename || null,
+    mimetype: doc.mimetype || null,
+    format: doc.format || null,
+    size: doc.size ?? Buffer.byteLength(doc.text || '', 'utf-8'),
+    sourceUrl: doc.sourceUrl || null,
+    webSourceId: doc.webSourceId || null,
+    characters: (doc.text || '').length,
+    chunkCount: doc.chunkCount || 0,
+    version: doc.version || 1,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt || doc.createdAt
+  };
+}
 
 class DocStore {
-  constructor(baseDir) {
+  /**
+   * @param {string} baseDir - Directory holding doc_store.json
+   * @param {Object} chunking - Chunker options: { maxChars, overlapChars }
+   */
+  constructor(baseDir, chunking = {}) {
     this.baseDir = baseDir || __dirname;
+    this.chunking = chunking;
     this.storePath = path.join(this.baseDir, 'doc_store.json');
     this._ensureStore();
   }
@@ -27,16 +55,29 @@ class DocStore {
     fs.writeFileSync(this.storePath, JSON.stringify(data, null, 2), 'utf-8');
   }
 
-  addDocument({ title, text, tags = [] }) {
+  /**
+   * @param {Object} input - { title, text, tags, filename, mimetype, format, size, sourceUrl, webSourceId }
+   *   size: of the uploaded file in bytes; sourceUrl: page the text was read from (cited with it)
+   */
+  addDocument({ title, text, tags = [], filename, mimetype, format, size, sourceUrl, webSourceId }) {
     const db = this._read();
     const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
     const chunks = this._chunk(text);
+    const now = new Date().toISOString();
     const doc = {
       id,
       title: title || `Document ${db.documents.length + 1}`,
       text: text, // Store full text for smart extraction
       tags,
-      createdAt: new Date().toISOString(),
+      filename: filename || null,
+      mimetype: mimetype || null,
+      format: format || null,
+      size: size ?? Buffer.byteLength(text, 'utf-8'),
+      sourceUrl: sourceUrl || null,
+      webSourceId: webSourceId || null,
+      version: 1,
+      createdAt: now,
+      updatedAt: now,
       chunkCount: chunks.length,
     };
     db.documents.push(doc);
@@ -44,11 +85,46 @@ class DocStore {
     return { id, chunks, doc };
   }
 
+  /**
+   * Add documents exported from another bot, keeping their IDs (vectors refer to them)
+   * @param {Array} documents - [{ id, title, text, tags, sourceUrl, createdAt }]
+   * @returns {Array} - The documents added (IDs already present are skipped)
+   */
+  importDocuments(documents) {
+    const db = this._read();
+    const existing = new Set(db.documents.map(doc => doc.id));
+    const added = [];
+    for (const doc of documents) {
+      if (!doc || typeof doc.text !== 'string' || existing.has(doc.id)) continue;
+      const imported = {
+        id: doc.id || `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+        title: doc.title || `Document ${db.documents.length + 1}`,
+        text: doc.text,
+        tags: Array.isArray(doc.tags) ? doc.tags : [],
+        sourceUrl: doc.sourceUrl || null,
+        createdAt: doc.createdAt || new Date().toISOString(),
+        chunkCount: this._chunk(doc.text).length
+      };
+      db.documents.push(imported);
+      existing.add(imported.id);
+      added.push(imported);
+    }
+    this._write(db);
+    return added;
+  }
+
   listDocuments() {
     const db = this._read();
     return db.documents || [];
   }
 
+  /**
+   * Documents without their text, for listings
+   */
+  listSummaries() {
+    return this.listDocuments().map(summarize);
+  }
+
   getAllDocuments() {
     const db = this._read();
     return db.documents || [];
@@ -59,11 +135,60 @@ class DocStore {
     return db.documents.find(doc => doc.id === id) || null;
   }
 
+  /**
+   * Split a stored document into chunks with their location in doc.text (see chunker.js)
+   * @param {Object} doc - Stored document
+   * @returns {Array} - [{ index, offset, length, text, page, pageEnd, headings, section }]
+   */
+  chunkDocument(doc) {
+    return doc ? this._chunk(doc.text) : [];
+  }
+
   getDocumentText(id) {
     const doc = this.getDocumentById(id);
     return doc ? doc.text : null;
   }
 
+  /**
+   * Rename or retag a document
+   * @param {Object} changes - { title, tags }
+   * @returns {Object} - { success, doc } or { success: false, message }
+   */
+  updateDocument(id, changes = {}) {
+    const db = this._read();
+    const doc = db.documents.find(item => item.id === id);
+    if (!doc) {
+      return { success: false, message: 'Document not found' };
+    }
+    if (changes.title !== undefined) doc.title = changes.title;
+    if (changes.tags !== undefined) doc.tags = changes.tags;
+    doc.updatedAt = new Date().toISOString();
+    this._write(db);
+    return { success: true, doc };
+  }
+
+  /**
+   * Give a document the text of a new version (the file it came from may change too)
+   * @param {Object} version - { text, filename, mimetype, format, size }
+   * @returns {Object} - { success, doc } or { success: false, message }
+   */
+  replaceDocument(id, version) {
+    const db = this._read();
+    const doc = db.documents.find(item => item.id === id);
+    if (!doc) {
+      return { success: false, message: 'Document not found' };
+    }
+    doc.text = version.text;
+    doc.chunkCount = this._chunk(version.text).length;
+    for (const field of ['filename', 'mimetype', 'format', 'size']) {
+      if (version[field] !== undefined && version[field] !== null) doc[field] = version[field];
+    }
+    doc.version = (doc.version || 1) + 1;
+    doc.updatedAt = new Date().toISOString();
+    this._write(db);
+    return { success: true, doc };
+  }
+
   deleteDocument(id) {
     const db = this._read();
     const docIndex = db.documents.findIndex(doc => doc.id === id);
@@ -85,27 +210,11 @@ class DocStore {
   }
 
   _chunk(text) {
-    if (!text || typeof text !== 'string') return [];
-    const max = 1200;
-    const cleaned = text.replace(/\s+/g, ' ').trim();
-    if (cleaned.length <= max) return [cleaned];
-    const sentences = cleaned.split(/(?<=[.!?])\s+/);
-    const chunks = [];
-    let current = '';
-    for (const s of sentences) {
-      if ((current + ' ' + s).trim().length > max) {
-        if (current.trim()) chunks.push(current.trim());
-        current = s;
-      } else {
-        current = (current + ' ' + s).trim();
-      }
-    }
-    if (current.trim()) chunks.push(current.trim());
-    return chunks;
+    return chunkText(text, this.chunking);
   }
 }
 
-module.exports = { DocStore };
+module.exports = { DocStore, summarize };
 
 
 
@@ -0,0 +1,129 @@
+/**
+ * Embedding providers for RAG
+ * An embedder is any object with `embed(text) -> Promise<number[]>` and a stable `modelId`
+ * ("provider:model") that the vector store records, so changing models triggers re-embedding.
+ * Remote embedders come from llmProviders.js; `hashing` runs locally with no network.
+ */
+
+const crypto = require('crypto');
+const { createProvider } = require('./llmProviders');
+const { tokenize } = require('./hybridSearch');
+
+/**
+ * Deterministic feature-hashing embedder (no model download, no network)
+ * Hashes words, word bigrams and character trigrams into a signed, L2-normalized vector.
+ * Good enough for tests, offline demos and lexical-ish similarity; not a semantic model.
+ */
+class HashingEmbedder {
+  constructor(settings = {}) {
+    this.dimensions = settings.dimensions || 384;
+    this.name = 'hashing';
+    this.embeddingModel = `fh-v1-${this.dimensions}`;
+  }
+
+  get modelId() {
+    return `${this.name}:${this.embeddingModel}`;
+  }
+
+  _hash(feature) {
+    // FNV-1a, 32-bit
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < feature.length; i++) {
+      hash ^= feature.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+  }
+
+  _add(vector, feature, weight) {
+    const hash = this._hash(feature);
+    const sign = (hash >>> 31) ? -1 : 1;
+    vector[hash % this.dimensions] += sign * weight;
+  }
+
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = tokenize(text);
+    for (let i = 0; i < words.length; i++) {
+      this._add(vector, `w:${words[i]}`, 1);
+      if (i > 0) this._add(vector, `b:${words[i - 1]} ${words[i]}`, 0.5);
+      const padded = `^${words[i]}$`;
+      for (let j = 0; j + 3 <= padded.length; j++) {
+        this._add(vector, `c:${padded.slice(j, j + 3)}`, 0.25);
+      }
+    }
+    const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+    return norm ? vector.map(x => x / norm) : vector;
+  }
+}
+
+/**
+ * Wraps an embedder with a content-hashed cache: an in-memory map in front of the
+ * vector store's persistent cache (keyed by sha256 of model ID + full text)
+ */
+class CachedEmbedder {
+  /**
+   * @param {Object} embedder - Provider with embed() and modelId
+   * @param {Object} options - { store: vector store with cacheGet/cachePut, maxMemoryEntries }
+   */
+  constructor(embedder, options = {}) {
+    this.embedder = embedder;
+    this.store = options.store || null;
+    this.maxMemoryEntries = options.maxMemoryEntries || 2000;
+    this.memory = new Map();
+  }
+
+  get modelId() {
+    return this.embedder.modelId;
+  }
+
+  cacheKey(text) {
+    return crypto.createHash('sha256').update(`${this.modelId}\n${text}`).digest('hex');
+  }
+
+  async embed(text) {
+    const key = this.cacheKey(text);
+    if (this.memory.has(key)) return this.memory.get(key);
+
+    let vector = null;
+    if (this.store) {
+      try {
+        vector = await this.store.cacheGet(key);
+      } catch (_) {
+        vector = null;
+      }
+    }
+    if (!vector) {
+      vector = await this.embedder.embed(text);
+      if (!vector?.length) throw new Error(`${this.modelId} returned an empty embedding`);
+      if (this.store) {
+        try {
+          await this.store.cachePut(key, vector);
+        } catch (error) {
+          console.warn('⚠️ Could not persist embedding to cache:', error.message);
+        }
+      }
+    }
+
+    if (this.memory.size >= this.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+    this.memory.set(key, vector);
+    return vector;
+  }
+}
+
+/**
+ * Create an embedder from provider settings
+ * @param {Object} settings - { provider: 'hashing' | any llmProviders name, dimensions, ...provider settings }
+ * @returns {Object} - Embedder with embed() and modelId
+ */
+function createEmbedder(settings = {}) {
+  const provider = String(settings.provider || 'gemini').toLowerCase();
+  if (provider === 'hashing' || provider === 'local') {
+    return new HashingEmbedder(settings);
+  }
+  return createProvider({ ...settings, provider });
+}
+
+module.exports = { HashingEmbedder, CachedEmbedder, createEmbedder };
@@ -0,0 +1,623 @@
+/**
+ * Text extraction for uploaded files: a registry of extractors keyed by MIME type and file extension
+ * Structure worth keeping is written as Markdown (headings, slide and sheet titles, tables as pipe tables),
+ * so chunks and citations stay readable. Parsers are loaded on first use.
+ */
+
+const path = require('path');
+
+let pdfParse = null;
+let Tesseract = null;
+let JSZip = null;
+let mammoth = null;
+let htmlParser = null;
+
+const extractors = [];
+
+/**
+ * Add an extractor; later registrations win over earlier ones for the same type
+ * @param {Object} extractor - { name, label, mimeTypes: [], extensions: ['.ext'], extract(buffer, file) → text }
+ */
+function registerExtractor(extractor) {
+  extractors.unshift(extractor);
+}
+
+/**
+ * Error for files no extractor handles (HTTP 415)
+ */
+function unsupportedTypeError(filename, mimetype) {
+  const ext = path.extname(filename || '').toLowerCase();
+  const what = ext ? `${ext} files` : `files of type ${mimetype || 'unknown'}`;
+  return Object.assign(new Error(`Cannot extract text from ${what}. Supported: ${supportedFileTypes().labels.join(', ')}`), { status: 415 });
+}
+
+/**
+ * The extractor for a file: by extension first (browsers often send generic types such as
+ * application/octet-stream or application/zip), then by MIME type
+ * @returns {Object|null}
+ */
+function findExtractor(filename, mimetype) {
+  const ext = path.extname(filename || '').toLowerCase();
+  const type = String(mimetype || '').split(';')[0].trim().toLowerCase();
+  return extractors.find(extractor => ext && extractor.extensions.includes(ext)) ||
+    extractors.find(extractor => extractor.mimeTypes.includes(type)) ||
+    null;
+}
+
+/**
+ * Extract the text of a file
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original file name
+ * @param {string} mimetype - MIME type sent with the file
+ * @returns {Promise<{ text: string, format: string }>} - Throws a 415 error for unsupported types
+ */
+async function extractText(buffer, filename, mimetype) {
+  const extractor = findExtractor(filename, mimetype);
+  if (!extractor) throw unsupportedTypeError(filename, mimetype);
+  const text = await extractor.extract(buffer, { filename, mimetype });
+  return { text: normalizeText(text), format: extractor.name };
+}
+
+/**
+ * MIME types, extensions and labels of every registered extractor (for upload filters and messages)
+ */
+function supportedFileTypes() {
+  const ordered = [...extractors].reverse();
+  return {
+    mimeTypes: [...new Set(ordered.flatMap(extractor => extractor.mimeTypes))],
+    extensions: [...new Set(ordered.flatMap(extractor => extractor.extensions))],
+    labels: ordered.map(extractor => extractor.label)
+  };
+}
+
+// ---------- Shared helpers ----------
+
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00A0]+$/g, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function decodeUtf8(buffer) {
+  return buffer.toString('utf-8').replace(/^\uFEFF/, '');
+}
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeXml(value) {
+  return String(value).replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Attributes of one XML start tag (namespace prefixes kept: r:id)
+ */
+function xmlAttributes(tag) {
+  const attributes = {};
+  for (const match of tag.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = decodeXml(match[2] ?? match[3]);
+  }
+  return attributes;
+}
+
+/**
+ * Start tags with a given local name (any namespace prefix)
+ */
+function xmlTags(xml, localName) {
+  return [...xml.matchAll(new RegExp(`<(?:[\\w-]+:)?${localName}\\b[^>]*>`, 'g'))].map(match => match[0]);
+}
+
+/**
+ * Concatenated text of every text-run element (t, a:t) in a fragment
+ */
+function xmlRunText(xml, tagName) {
+  const pattern = new RegExp(`<${tagName}(?:\\s[^>]*)?>([\\s\\S]*?)</${tagName}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => decodeXml(match[1])).join('');
+}
+
+/**
+ * Path of a relationship target, relative to the part that refers to it
+ */
+function resolvePart(fromPart, target) {
+  if (target.startsWith('/')) return target.slice(1);
+  return path.posix.normalize(path.posix.join(path.posix.dirname(fromPart), target));
+}
+
+/**
+ * Relationships of a part: { rId: { part, type } } (external targets are skipped)
+ */
+async function readRelationships(zip, part) {
+  const relsPath = path.posix.join(path.posix.dirname(part), '_rels', `${path.posix.basename(part)}.rels`);
+  const xml = await readZipText(zip, relsPath);
+  const relationships = {};
+  if (!xml) return relationships;
+  for (const tag of xmlTags(xml, 'Relationship')) {
+    const { Id, Target, TargetMode, Type } = xmlAttributes(tag);
+    if (Id && Target && TargetMode !== 'External') {
+      relationships[Id] = { part: resolvePart(part, Target), type: Type || '' };
+    }
+  }
+  return relationships;
+}
+
+async function openZip(buffer, label) {
+  if (!JSZip) JSZip = require('jszip');
+  try {
+    return await JSZip.loadAsync(buffer);
+  } catch (e) {
+    throw Object.assign(new Error(`The file is not a valid ${label} file`), { status: 400 });
+  }
+}
+
+async function readZipText(zip, name) {
+  const entry = zip.file(name);
+  return entry ? entry.async('string') : null;
+}
+
+function escapeCell(value) {
+  return String(value ?? '').replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim();
+}
+
+/**
+ * Render rows as a Markdown pipe table (the first row is the header)
+ * @param {Array<Array<string>>} rows
+ * @returns {string}
+ */
+function markdownTable(rows) {
+  const filled = rows.filter(row => row.some(cell => String(cell ?? '').trim() !== ''));
+  if (filled.length === 0) return '';
+  const width = Math.max(...filled.map(row => row.length));
+  const line = (row) => `| ${Array.from({ length: width }, (_, i) => escapeCell(row[i])).join(' | ')} |`;
+  return [line(filled[0]), `|${' --- |'.repeat(width)}`, ...filled.slice(1).map(line)].join('\n');
+}
+
+// ---------- HTML ----------
+
+// Page chrome that is not content
+const BOILERPLATE_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'nav', 'aside', 'footer', 'form', 'iframe', 'svg', 'button',
+  '[role=navigation]', '[role=banner]', '[role=contentinfo]', '[role=complementary]', '[aria-hidden=true]'
+].join(', ');
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'header', 'blockquote', 'ul', 'ol', 'dl', 'dt', 'dd',
+  'figure', 'figcaption', 'address', 'hr', 'body', 'html'
+]);
+
+function tableRows(table) {
+  return table.querySelectorAll('tr').map(row => row.querySelectorAll('th, td').map(cell => renderHtmlNode(cell).trim()));
+}
+
+function renderHtmlNode(node) {
+  if (node.nodeType === 3) return node.text.replace(/\s+/g, ' ');
+  if (node.nodeType !== 1) return '';
+  const tag = (node.tagName || '').toLowerCase();
+  if (tag === 'br') return '\n';
+  if (tag === 'table') return `\n\n${markdownTable(tableRows(node))}\n\n`;
+  if (tag === 'pre') return `\n\n${node.text}\n\n`;
+  if (tag === 'img') return node.getAttribute('alt') ? ` ${node.getAttribute('alt')} ` : '';
+
+  const inner = node.childNodes.map(renderHtmlNode).join('');
+  if (/^h[1-6]$/.test(tag)) return `\n\n${'#'.repeat(Number(tag[1]))} ${inner.replace(/\s+/g, ' ').trim()}\n\n`;
+  if (tag === 'li') return `\n- ${inner.trim()}`;
+  if (BLOCK_TAGS.has(tag)) return `\n\n${inner}\n\n`;
+  return inner;
+}
+
+/**
+ * Readable text of an HTML page: navigation, headers, footers, forms and scripts are dropped and the
+ * <main> or <article> content is used when there is one
+ * @param {string} html
+ * @returns {string} - Markdown-style text (headings, lists, tables)
+ */
+function htmlToText(html) {
+  if (!htmlParser) htmlParser = require('node-html-parser');
+  const root = htmlParser.parse(html, { comment: false });
+  for (const element of root.querySelectorAll(BOILERPLATE_SELECTOR)) element.remove();
+  // Site headers go; headers inside an article usually hold its title
+  for (const element of root.querySelectorAll('header')) {
+    if (!element.closest('article, main')) element.remove();
+  }
+
+  const content = root.querySelector('main, [role=main], article') || root.querySelector('body') || root;
+  let text = renderHtmlNode(content)
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n');
+
+  const title = root.querySelector('title');
+  if (title && title.text.trim() && !content.querySelector('h1')) {
+    text = `# ${title.text.trim()}\n\n${text}`;
+  }
+  return text;
+}
+
+// ---------- Markdown ----------
+
+/**
+ * Markdown without markup that carries no meaning as text (front matter, images, link targets, emphasis);
+ * headings, lists and tables are kept
+ */
+function markdownToText(markdown) {
+  return markdown
+    .replace(/^---\n[\s\S]*?\n---\n/, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^\[[^\]]+\]:\s*\S+.*$/gm, '')
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+    .replace(/^```.*$/gm, '')
+    .replace(/<\/?[a-z][^>]*>/gi, '');
+}
+
+// ---------- CSV ----------
+
+/**
+ * Parse delimited text (RFC 4180 quoting: quoted fields may hold delimiters, newlines and "" quotes)
+ * @returns {Array<Array<string>>}
+ */
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// The delimiter used most in the header line (quoted parts ignored)
+function detectDelimiter(text, fallback) {
+  const header = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+  let best = fallback;
+  let bestCount = 0;
+  for (const delimiter of [',', ';', '\t', '|']) {
+    const count = header.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+function csvToText(buffer, { filename }) {
+  const text = decodeUtf8(buffer);
+  const fallback = path.extname(filename || '').toLowerCase() === '.tsv' ? '\t' : ',';
+  return markdownTable(parseDelimited(text, detectDelimiter(text, fallback)));
+}
+
+// ---------- JSON ----------
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isScalar = (value) => value === null || typeof value !== 'object';
+
+/**
+ * JSON as text: arrays of flat records become tables, everything else `path: value` lines
+ */
+function jsonToText(value, prefix = '') {
+  if (Array.isArray(value) && value.length && value.every(item => isPlainObject(item) && Object.values(item).every(isScalar))) {
+    const columns = [...new Set(value.flatMap(item => Object.keys(item)))];
+    const table = markdownTable([columns, ...value.map(item => columns.map(column => item[column] ?? ''))]);
+    return prefix ? `${prefix}:\n\n${table}\n` : table;
+  }
+  if (isScalar(value)) {
+    return prefix ? `${prefix}: ${value}` : String(value);
+  }
+  const entries = Array.isArray(value) ? value.map((item, index) => [`[${index}]`, item]) : Object.entries(value);
+  return entries
+    .map(([key, item]) => jsonToText(item, prefix ? (key.startsWith('[') ? `${prefix}${key}` : `${prefix}.${key}`) : key))
+    .join('\n');
+}
+
+// ---------- Office and EPUB (ZIP packages) ----------
+
+async function docxToText(buffer) {
+  if (!mammoth) mammoth = require('mammoth');
+  try {
+    const { value } = await mammoth.convertToHtml({ buffer });
+    return htmlToText(value);
+  } catch (e) {
+    throw Object.assign(new Error(`The file is not a valid Word document: ${e.message}`), { status: 400 });
+  }
+}
+
+function columnIndex(reference) {
+  const letters = (String(reference).match(/^[A-Z]+/i) || ['A'])[0].toUpperCase();
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+async function xlsxToText(buffer) {
+  const zip = await openZip(buffer, 'Excel');
+  const workbookPart = 'xl/workbook.xml';
+  const workbook = await readZipText(zip, workbookPart);
+  if (!workbook) throw Object.assign(new Error('The file is not a valid Excel workbook'), { status: 400 });
+
+  const relationships = await readRelationships(zip, workbookPart);
+  const sharedXml = await readZipText(zip, 'xl/sharedStrings.xml');
+  const sharedStrings = sharedXml
+    ? [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => xmlRunText(match[1], 't'))
+    : [];
+
+  const sections = [];
+  for (const tag of xmlTags(workbook, 'sheet')) {
+    const attributes = xmlAttributes(tag);
+    const target = relationships[attributes['r:id']];
+    const sheetXml = target && await readZipText(zip, target.part);
+    if (!sheetXml) continue;
+
+    const rows = [];
+    for (const rowMatch of sheetXml.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+      const row = [];
+      for (const cellMatch of (rowMatch[1] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const cell = xmlAttributes(`<c ${cellMatch[1]}>`);
+        const body = cellMatch[2] || '';
+        const raw = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+        let value = '';
+        if (cell.t === 's') value = sharedStrings[Number(raw)] ?? '';
+        else if (cell.t === 'inlineStr') value = xmlRunText(body, 't');
+        else if (cell.t === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+        else if (raw !== undefined) value = decodeXml(raw);
+        row[cell.r ? columnIndex(cell.r) : row.length] = value;
+      }
+      rows.push(Array.from(row, cell => cell ?? ''));
+    }
+    const table = markdownTable(rows);
+    if (table) sections.push(`## Sheet: ${attributes.name || `Sheet ${sections.length + 1}`}\n\n${table}`);
+  }
+  return sections.join('\n\n');
+}
+
+// Paragraphs of a slide part, with its title (title placeholders) first
+function slideParagraphs(xml) {
+  let title = '';
+  const body = [];
+  for (const shape of xml.match(/<p:sp\b[\s\S]*?<\/p:sp>/g) || []) {
+    const paragraphs = (shape.match(/<a:p\b[\s\S]*?<\/a:p>/g) || [])
+      .map(paragraph => xmlRunText(paragraph, 'a:t').trim())
+      .filter(Boolean);
+    if (!title && /<p:ph\b[^>]*type="(?:title|ctrTitle)"/.test(shape)) {
+      title = paragraphs.join(' ');
+    } else {
+      body.push(...paragraphs);
+    }
+  }
+  // Tables in graphic frames
+  for (const table of xml.match(/<a:tbl\b[\s\S]*?<\/a:tbl>/g) || []) {
+    const rows = (table.match(/<a:tr\b[\s\S]*?<\/a:tr>/g) || []).map(row => (
+      (row.match(/<a:tc\b[\s\S]*?<\/a:tc>/g) || []).map(cell => xmlRunText(cell, 'a:t'))
+    ));
+    body.push(markdownTable(rows));
+  }
+  return { title, body };
+}
+
+async function pptxToText(buffer) {
+  const zip = await openZip(buffer, 'PowerPoint');
+  const presentationPart = 'ppt/presentation.xml';
+  const presentation = await readZipText(zip, presentationPart);
+  if (!presentation) throw Object.assign(new Error('The file is not a valid PowerPoint presentation'), { status: 400 });
+
+  const relationships = await readRelationships(zip, presentationPart);
+  const slideParts = xmlTags(presentation, 'sldId')
+    .map(tag => relationships[xmlAttributes(tag)['r:id']])
+    .filter(Boolean)
+    .map(target => target.part);
+
+  const sections = [];
+  for (const [index, part] of slideParts.entries()) {
+    const xml = await readZipText(zip, part);
+    if (!xml) continue;
+    const { title, body } = slideParagraphs(xml);
+
+    const slideRelationships = await readRelationships(zip, part);
+    const notesTarget = Object.values(slideRelationships).find(target => target.type.endsWith('/notesSlide'));
+    const notesXml = notesTarget && await readZipText(zip, notesTarget.part);
+    // Notes placeholders only; the slide image and number placeholders repeat the slide
+    const notes = notesXml
+      ? (notesXml.match(/<p:sp\b[\s\S]*?<\/p:sp>/g) || [])
+        .filter(shape => /<p:ph\b[^>]*type="body"/.test(shape))
+        .flatMap(shape => (shape.match(/<a:p\b[\s\S]*?<\/a:p>/g) || []).map(paragraph => xmlRunText(paragraph, 'a:t').trim()))
+        .filter(Boolean)
+      : [];
+
+    const lines = [`## Slide ${index + 1}${title ? `: ${title}` : ''}`, ...body];
+    if (notes.length) lines.push(`Notes: ${notes.join(' ')}`);
+    sections.push(lines.join('\n\n'));
+  }
+  return sections.join('\n\n');
+}
+
+async function epubToText(buffer) {
+  const zip = await openZip(buffer, 'EPUB');
+  const container = await readZipText(zip, 'META-INF/container.xml');
+  const rootfile = container && xmlTags(container, 'rootfile').map(xmlAttributes).find(attributes => attributes['full-path']);
+  const packagePart = rootfile && rootfile['full-path'];
+  const opf = packagePart && await readZipText(zip, packagePart);
+  if (!opf) throw Object.assign(new Error('The file is not a valid EPUB book'), { status: 400 });
+
+  const manifest = {};
+  for (const tag of xmlTags(opf, 'item')) {
+    const { id, href } = xmlAttributes(tag);
+    if (id && href) manifest[id] = resolvePart(packagePart, decodeURIComponent(href));
+  }
+
+  const chapters = [];
+  const titleMatch = opf.match(/<dc:title\b[^>]*>([\s\S]*?)<\/dc:title>/);
+  if (titleMatch) chapters.push(`# ${decodeXml(titleMatch[1]).trim()}`);
+  for (const tag of xmlTags(opf, 'itemref')) {
+    const part = manifest[xmlAttributes(tag).idref];
+    const xhtml = part && await readZipText(zip, part);
+    if (xhtml) chapters.push(htmlToText(xhtml));
+  }
+  return chapters.join('\n\n');
+}
+
+// ---------- Registry ----------
+
+registerExtractor({
+  name: 'text',
+  label: 'text (.txt)',
+  mimeTypes: ['text/plain'],
+  extensions: ['.txt', '.text', '.log'],
+  extract: async (buffer) => decodeUtf8(buffer)
+});
+
+/**
+ * Text of one PDF page, lines as laid out (pdf-parse's default), ended by a form feed so the chunker can tell
+ * which page a passage is on
+ */
+async function renderPdfPage(pageData) {
+  const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  for (const item of content.items) {
+    text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+  return `${text}\f`;
+}
+
+registerExtractor({
+  name: 'pdf',
+  label: 'PDF',
+  mimeTypes: ['application/pdf'],
+  extensions: ['.pdf'],
+  extract: async (buffer) => {
+    if (!pdfParse) pdfParse = require('pdf-parse');
+    const data = await pdfParse(buffer, { pagerender: renderPdfPage });
+    return (data.text || '').replace(/\s+$/, '');
+  }
+});
+
+registerExtractor({
+  name: 'image',
+  label: 'images (OCR)',
+  mimeTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/bmp', 'image/tiff'],
+  extensions: ['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.tif', '.tiff'],
+  extract: async (buffer) => {
+    if (!Tesseract) Tesseract = require('tesseract.js');
+    const { data: { text } } = await Tesseract.recognize(buffer, 'eng');
+    return text || '';
+  }
+});
+
+registerExtractor({
+  name: 'docx',
+  label: 'Word (.docx)',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extensions: ['.docx'],
+  extract: docxToText
+});
+
+registerExtractor({
+  name: 'xlsx',
+  label: 'Excel (.xlsx)',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  extensions: ['.xlsx'],
+  extract: xlsxToText
+});
+
+registerExtractor({
+  name: 'pptx',
+  label: 'PowerPoint (.pptx)',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  extensions: ['.pptx'],
+  extract: pptxToText
+});
+
+registerExtractor({
+  name: 'html',
+  label: 'HTML',
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  extensions: ['.html', '.htm', '.xhtml'],
+  extract: async (buffer) => htmlToText(decodeUtf8(buffer))
+});
+
+registerExtractor({
+  name: 'markdown',
+  label: 'Markdown',
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  extensions: ['.md', '.markdown'],
+  extract: async (buffer) => markdownToText(decodeUtf8(buffer))
+});
+
+registerExtractor({
+  name: 'epub',
+  label: 'EPUB',
+  mimeTypes: ['application/epub+zip'],
+  extensions: ['.epub'],
+  extract: epubToText
+});
+
+registerExtractor({
+  name: 'json',
+  label: 'JSON',
+  mimeTypes: ['application/json'],
+  extensions: ['.json'],
+  extract: async (buffer) => {
+    let value;
+    try {
+      value = JSON.parse(decodeUtf8(buffer));
+    } catch (e) {
+      throw Object.assign(new Error(`The file is not valid JSON: ${e.message}`), { status: 400 });
+    }
+    return jsonToText(value);
+  }
+});
+
+registerExtractor({
+  name: 'csv',
+  label: 'CSV',
+  mimeTypes: ['text/csv', 'text/tab-separated-values', 'application/csv'],
+  extensions: ['.csv', '.tsv'],
+  extract: csvToText
+});
+
+module.exports = {
+  registerExtractor,
+  findExtractor,
+  unsupportedTypeError,
+  extractText,
+  supportedFileTypes,
+  htmlToText,
+  markdownTable
+};
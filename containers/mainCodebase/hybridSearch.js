@@ -0,0 +1,189 @@
+/**
+ * Lexical scoring, rank fusion and reranking for RAGManager's hybrid search
+ * BM25 catches exact identifiers (invoice numbers, clause numbers, names) that embeddings blur;
+ * reciprocal-rank fusion merges it with the vector ranking without having to calibrate scores.
+ */
+
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'from', 'as',
+  'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'these', 'those', 'do', 'does',
+  'did', 'have', 'has', 'had', 'what', 'when', 'where', 'why', 'how', 'who', 'which', 'can', 'could',
+  'should', 'would', 'will', 'may', 'might', 'me', 'my', 'i', 'you', 'your', 'we', 'our', 'about'
+]);
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Split text into lowercase search terms
+ * Compound identifiers ("INV-2024-0042", "12.3", "user_id") are kept whole and also split into their parts.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:[-_./:#][\p{L}\p{N}]+)*/gu) || [];
+  for (const word of words) {
+    const parts = word.split(/[-_./:#]+/);
+    if (parts.length > 1) tokens.push(word);
+    for (const part of parts) {
+      if (STOP_WORDS.has(part)) continue;
+      if (part.length > 1 || /\d/.test(part)) tokens.push(part);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Count term frequencies for one text
+ * @param {string} text
+ * @returns {{ terms: Map<string, number>, length: number }}
+ */
+function termFrequencies(text) {
+  const tokens = tokenize(text);
+  const terms = new Map();
+  for (const token of tokens) terms.set(token, (terms.get(token) || 0) + 1);
+  return { terms, length: tokens.length };
+}
+
+/**
+ * BM25 contribution of one query term to one document
+ * @param {Object} stats - { tf, df, docLength, docCount, avgDocLength }
+ * @returns {number}
+ */
+function bm25Term({ tf, df, docLength, docCount, avgDocLength }) {
+  const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+  const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (docLength / (avgDocLength || 1)));
+  return idf * ((tf * (BM25_K1 + 1)) / norm);
+}
+
+/**
+ * In-memory BM25 index (used by the JSON vector store and for un-indexed documents)
+ */
+class BM25Index {
+  constructor() {
+    this.entries = [];
+    this.docFreq = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * @param {Object} entry - Any object; `text` is indexed and the entry is returned from search()
+   */
+  add(entry) {
+    const { terms, length } = termFrequencies(entry.text);
+    this.entries.push({ entry, terms, length });
+    this.totalLength += length;
+    for (const term of terms.keys()) this.docFreq.set(term, (this.docFreq.get(term) || 0) + 1);
+  }
+
+  /**
+   * @param {string} query
+   * @param {number} topK
+   * @returns {Array} - [{ ...entry, score }] best first, only entries matching at least one term
+   */
+  search(query, topK = 10) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (!queryTerms.length || !this.entries.length) return [];
+    const docCount = this.entries.length;
+    const avgDocLength = this.totalLength / docCount;
+
+    const scored = [];
+    for (const { entry, terms, length } of this.entries) {
+      let score = 0;
+      for (const term of queryTerms) {
+        const tf = terms.get(term);
+        if (tf) score += bm25Term({ tf, df: this.docFreq.get(term), docLength: length, docCount, avgDocLength });
+      }
+      if (score > 0) scored.push({ ...entry, score });
+    }
+    return scored.sort((a, b) => b.score - a.score).slice(0, topK);
+  }
+}
+
+/**
+ * Reciprocal-rank fusion: score = sum(weight / (k + rank)) across the ranked lists
+ * @param {Array} lists - [{ name, hits: [{ id, ... }], weight }]
+ * @param {Object} options - { k }
+ * @returns {Array} - Merged hits, best first, each with `score` (fused) and `scores` per list
+ */
+function reciprocalRankFusion(lists, options = {}) {
+  const k = options.k || 60;
+  const merged = new Map();
+  for (const { name, hits, weight = 1 } of lists) {
+    if (!weight || !hits?.length) continue;
+    hits.forEach((hit, rank) => {
+      const key = hit.id || hit.text;
+      const current = merged.get(key) || { ...hit, score: 0, scores: {} };
+      current.score += weight / (k + rank + 1);
+      current.scores[name] = hit.score;
+      merged.set(key, current);
+    });
+  }
+  return [...merged.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Local reranker: rewards passages that cover more of the query's terms and contain its
+ * identifiers verbatim, blended with the fused rank score
+ * @param {string} query
+ * @param {Array} hits - Fused hits (best first)
+ * @returns {Array}
+ */
+function keywordRerank(query, hits) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (!queryTerms.length || !hits.length) return hits;
+  const identifiers = queryTerms.filter(term => /\d/.test(term) || /[-_./:#]/.test(term));
+  const maxFused = hits[0].score || 1;
+
+  return hits
+    .map(hit => {
+      const { terms } = termFrequencies(hit.text);
+      const coverage = queryTerms.filter(term => terms.has(term)).length / queryTerms.length;
+      const exact = identifiers.length ? identifiers.filter(term => terms.has(term)).length / identifiers.length : 0;
+      const rerankScore = 0.5 * (hit.score / maxFused) + 0.3 * coverage + 0.2 * exact;
+      return { ...hit, score: rerankScore, scores: { ...hit.scores, fused: hit.score, rerank: rerankScore } };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * LLM reranker: asks the bot's model to grade each passage 0-10 in a single call.
+ * Keeps the fused order when the model is unavailable or its answer can't be parsed.
+ * @param {string} query
+ * @param {Array} hits - Fused hits (best first)
+ * @param {Object} llm - Provider from llmProviders.js
+ * @returns {Promise<Array>}
+ */
+async function llmRerank(query, hits, llm) {
+  if (!llm || !hits.length) return hits;
+  const passages = hits.map((hit, i) => `[${i}] ${hit.text.slice(0, 600)}`).join('\n\n');
+  try {
+    const reply = await llm.chat({
+      system: 'You grade search results. Reply with only a JSON array of numbers, one relevance grade from 0 (irrelevant) to 10 (answers the query) per passage, in order.',
+      messages: [{ role: 'user', content: `Query: ${query}\n\nPassages:\n${passages}` }],
+      temperature: 0,
+      maxTokens: 200
+    });
+    const grades = JSON.parse((String(reply).match(/\[[\s\S]*?\]/) || ['null'])[0]);
+    if (!Array.isArray(grades) || grades.length !== hits.length || grades.some(g => typeof g !== 'number')) {
+      return hits;
+    }
+    return hits
+      .map((hit, i) => ({ ...hit, score: grades[i] + hit.score, scores: { ...hit.scores, fused: hit.score, rerank: grades[i] } }))
+      .sort((a, b) => b.score - a.score);
+  } catch (error) {
+    console.warn('⚠️ LLM rerank failed, keeping fused order:', error.message);
+    return hits;
+  }
+}
+
+module.exports = {
+  tokenize,
+  termFrequencies,
+  bm25Term,
+  BM25Index,
+  reciprocalRankFusion,
+  keywordRerank,
+  llmRerank
+};
@@ -0,0 +1,553 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { chunkMetadata } = require('./chunker.js');
+
+/**
+ * Background ingestion jobs for one bot
+ * Uploads are queued and processed one at a time:
+ *   queued -> extracting -> chunking -> embedding -> done | failed | cancelled
+ * Chunks are embedded one by one and counted, so progress is reported per chunk. A chunk that fails
+ * to embed doesn't stop the job: it ends `failed` with the failed chunks listed, and a retry embeds only
+ * those. Jobs and their uploads are kept in ingest_jobs/, so a job cut off by a restart or hibernation
+ * carries on from its last completed step when the bot comes back.
+ *
+ * A job can also replace an existing document with a new version. Only chunks whose text is not indexed
+ * yet are embedded, as `staged` vectors that retrieval ignores; the old version keeps answering until the
+ * job is done, when the document takes the new text and unchanged chunks keep their vectors.
+ */
+
+const ACTIVE_STATES = ['queued', 'extracting', 'chunking', 'embedding'];
+
+class IngestJobQueue {
+  /**
+   * @param {Object} options - { baseDir, docStore, rag, extractText, maxJobs }
+   *   extractText(buffer, filename, mimetype) -> { text, format } (extractors.js)
+   */
+  constructor(options = {}) {
+    this.dir = path.join(options.baseDir || __dirname, 'ingest_jobs');
+    this.jobsPath = path.join(this.dir, 'jobs.json');
+    this.docStore = options.docStore;
+    this.rag = options.rag;
+    this.extractText = options.extractText;
+    this.maxJobs = options.maxJobs || 100; // finished jobs kept for the upload list
+    this.jobs = this._load(); // oldest first
+    this.listeners = new Set();
+    this.waiters = new Map(); // jobId -> [resolve]
+    this.running = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Queue an upload
+   * @param {Object} input - { kind: 'file' | 'text', title, filename, mimetype, buffer, text, tags, replaces, format,
+   *   sourceUrl, webSourceId }
+   *   replaces: ID of a document the upload is a new version of
+   *   format: extractor that produced a text upload (web pages are extracted by the crawler)
+   *   sourceUrl, webSourceId: page a document was made from, and its web source (webSources.js)
+   * @returns {Object} - The job
+   */
+  enqueue(input) {
+    const kind = input.kind === 'text' ? 'text' : 'file';
+    const replaced = input.replaces ? this.docStore.getDocumentById(input.replaces) : null;
+    if (input.replaces && !replaced) {
+      throw Object.assign(new Error('Document not found'), { status: 404 });
+    }
+    const data = kind === 'text' ? Buffer.from(String(input.text || ''), 'utf-8') : input.buffer;
+    const id = crypto.randomUUID();
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this._uploadPath(id), data);
+
+    const now = new Date().toISOString();
+    const job = {
+      id,
+      kind,
+      title: input.title || input.filename || (replaced && replaced.title) || null,
+      filename: input.filename || null,
+      mimetype: input.mimetype || null,
+      size: data.length,
+      tags: Array.isArray(input.tags) ? input.tags : [],
+      state: 'queued',
+      error: null,
+      status: null,
+      format: kind === 'text' ? input.format || 'text' : null,
+      docId: replaced ? replaced.id : null,
+      replaces: replaced ? replaced.id : null,
+      sourceUrl: input.sourceUrl || null,
+      webSourceId: input.webSourceId || null,
+      staged: false, // a replacement's new text is chunked and compared with the indexed chunks
+      totalChunks: 0,
+      embeddedChunks: 0,
+      reusedChunks: 0, // chunks of a replacement that were already indexed
+      cursor: 0, // next chunk of the first pass
+      failedChunks: [], // [{ index, error }]
+      pendingChunks: [], // chunks embedded outside the first pass: failed ones queued by retry(), changed ones of a replacement
+      attempts: 1,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null
+    };
+    this.jobs.push(job);
+    this._prune();
+    this._save();
+    this._emit(job);
+    this._pump();
+    return this._view(job);
+  }
+
+  /**
+   * Jobs, newest first
+   * @param {Object} query - { limit }
+   */
+  list(query = {}) {
+    const limit = Math.min(this.maxJobs, Math.max(1, parseInt(query.limit, 10) || 50));
+    return this.jobs.slice().reverse().slice(0, limit).map(job => this._view(job));
+  }
+
+  get(id) {
+    const job = this.jobs.find(item => item.id === id);
+    return job ? this._view(job) : null;
+  }
+
+  hasActiveJobs() {
+    return this.jobs.some(job => ACTIVE_STATES.includes(job.state));
+  }
+
+  /**
+   * Queued and running jobs, oldest first (list() may leave some out when there are many)
+   */
+  listActive() {
+    return this.jobs.filter(job => ACTIVE_STATES.includes(job.state)).map(job => this._view(job));
+  }
+
+  /**
+   * Resolve when a job is done, failed or cancelled
+   * @returns {Promise<Object>} - The finished job
+   */
+  waitFor(id) {
+    const job = this._require(id);
+    if (!ACTIVE_STATES.includes(job.state)) return Promise.resolve(this._view(job));
+    return new Promise(resolve => {
+      this.waiters.set(id, [...(this.waiters.get(id) || []), resolve]);
+    });
+  }
+
+  /**
+   * Stop a job. A queued job is cancelled at once, a running one after its current step; whatever it
+   * had indexed is removed.
+   */
+  cancel(id) {
+    const job = this._require(id);
+    if (!ACTIVE_STATES.includes(job.state)) {
+      throw Object.assign(new Error(`Job is already ${job.state}`), { status: 409 });
+    }
+    if (job === this.running) {
+      this._update(job, { cancelRequested: true });
+    } else {
+      this._finish(job, 'cancelled');
+      this._discard(job).catch(error => console.warn('⚠️ Could not remove a cancelled upload:', error.message));
+    }
+    return this._view(job);
+  }
+
+  /**
+   * Cancel the jobs still indexing a document (it is being deleted), or every active job
+   * @param {string} docId - Document ID; omit for all
+   */
+  cancelActive(docId) {
+    for (const job of this.jobs) {
+      if (!ACTIVE_STATES.includes(job.state) || job.cancelRequested) continue;
+      if (docId === undefined || job.docId === docId) this.cancel(job.id);
+    }
+  }
+
+  /**
+   * Queue a failed job again: only its failed chunks when it got as far as chunking, else from the upload
+   */
+  retry(id) {
+    const job = this._require(id);
+    if (job.state !== 'failed') {
+      throw Object.assign(new Error('Only failed jobs can be retried'), { status: 409 });
+    }
+    const changes = { state: 'queued', error: null, status: null, finishedAt: null, attempts: job.attempts + 1 };
+    const chunked = job.replaces
+      ? job.staged && fs.existsSync(this._textPath(job.id))
+      : job.docId && this.docStore.getDocumentById(job.docId);
+    if (chunked) {
+      changes.pendingChunks = job.failedChunks.map(chunk => chunk.index);
+      changes.failedChunks = [];
+    } else {
+      if (!fs.existsSync(this._uploadPath(job.id))) {
+        throw Object.assign(new Error('The upload is no longer available; upload the file again'), { status: 410 });
+      }
+      Object.assign(changes, {
+        docId: job.replaces,
+        staged: false,
+        totalChunks: 0,
+        embeddedChunks: 0,
+        reusedChunks: 0,
+        cursor: 0,
+        failedChunks: [],
+        pendingChunks: []
+      });
+    }
+    this._update(job, changes);
+    this._pump();
+    return this._view(job);
+  }
+
+  /**
+   * Listen to job changes
+   * @param {Function} listener - Called with the job after every change
+   * @returns {Function} - Unsubscribe
+   */
+  onUpdate(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Start processing queued jobs (including ones interrupted by a restart)
+   */
+  resume() {
+    this.stopped = false;
+    this._pump();
+  }
+
+  /**
+   * Stop after the current step, leaving the running job to be resumed by the next instance
+   * (the bot is being unloaded)
+   */
+  stop() {
+    this.stopped = true;
+  }
+
+  _pump() {
+    if (this.running || this.stopped) return;
+    const job = this.jobs.find(item => item.state === 'queued');
+    if (!job) return;
+    this.running = job;
+    this._process(job)
+      .catch(error => this._finish(job, 'failed', error))
+      .finally(() => {
+        this.running = null;
+        this._pump();
+      });
+  }
+
+  async _process(job) {
+    if (await this._halted(job)) return;
+    if (job.replaces ? !job.staged : !job.docId) {
+      this._update(job, { state: 'extracting' });
+      const text = await this._readText(job);
+      if (await this._halted(job)) return;
+
+      this._update(job, { state: 'chunking' });
+      if (job.replaces) {
+        await this._stage(job, text);
+      } else {
+        const { id, chunks } = this.docStore.addDocument({
+          title: job.title,
+          text,
+          tags: job.tags,
+          filename: job.filename,
+          mimetype: job.mimetype,
+          format: job.format,
+          size: job.size,
+          sourceUrl: job.sourceUrl,
+          webSourceId: job.webSourceId
+        });
+        this._update(job, { docId: id, totalChunks: chunks.length, cursor: 0 });
+      }
+    }
+    if (await this._halted(job)) return;
+
+    this._update(job, { state: 'embedding' });
+    const doc = this.docStore.getDocumentById(job.docId);
+    if (!doc) {
+      throw Object.assign(new Error('The document was deleted before it was indexed'), { status: 410 });
+    }
+    const chunks = this.docStore.chunkDocument(job.replaces ? { text: this._readStagedText(job) } : doc);
+    for (;;) {
+      const index = job.pendingChunks.length ? job.pendingChunks[0] : job.cursor;
+      if (index >= chunks.length) break;
+      if (await this._halted(job)) return;
+
+      const chunk = chunks[index];
+      const role = job.replaces ? 'staged' : 'document';
+      const changes = {};
+      try {
+        await this.rag.ingestChunk(chunk.text, { role, title: doc.title, docId: doc.id, tags: doc.tags || [], ...chunkMetadata(chunk) });
+        changes.embeddedChunks = job.embeddedChunks + 1;
+      } catch (error) {
+        changes.failedChunks = [...job.failedChunks, { index, error: error.message }];
+      }
+      if (job.pendingChunks.length) changes.pendingChunks = job.pendingChunks.slice(1);
+      else changes.cursor = index + 1;
+      this._update(job, changes);
+    }
+
+    if (job.failedChunks.length) {
+      const message = `${job.failedChunks.length} of ${job.totalChunks} chunks could not be embedded: ${job.failedChunks[0].error}`;
+      this._finish(job, 'failed', Object.assign(new Error(message), { status: 502 }));
+      return;
+    }
+    if (job.replaces) {
+      if (await this._halted(job)) return;
+      await this._promote(job, chunks);
+    }
+    this._finish(job, 'done');
+  }
+
+  /**
+   * Chunk a replacement's text and queue the chunks that aren't indexed yet (the others keep their vectors).
+   * The text is kept in ingest_jobs/ until the job is done.
+   */
+  async _stage(job, text) {
+    const doc = this.docStore.getDocumentById(job.replaces);
+    if (!doc) {
+      throw Object.assign(new Error('The document was deleted before it was replaced'), { status: 410 });
+    }
+    fs.writeFileSync(this._textPath(job.id), text, 'utf-8');
+    // Vectors staged by an earlier attempt may no longer match
+    await this.rag.deleteChunks({ docId: doc.id, role: 'staged' });
+
+    const chunks = this.docStore.chunkDocument({ text });
+    const indexed = new Set((await this.rag.listStoredChunks({ docId: doc.id, role: 'document' })).map(chunk => chunk.text));
+    const pending = chunks.filter(chunk => !indexed.has(chunk.text)).map(chunk => chunk.index);
+    const reused = chunks.length - pending.length;
+    this._update(job, {
+      staged: true,
+      totalChunks: chunks.length,
+      reusedChunks: reused,
+      embeddedChunks: reused,
+      cursor: chunks.length,
+      pendingChunks: pending
+    });
+  }
+
+  /**
+   * Swap a replaced document to its new version: each new chunk takes the stored chunk with the same text
+   * (staged by this job, or kept from the old version) with its new position; chunks left over are removed
+   */
+  async _promote(job, chunks) {
+    const doc = this.docStore.getDocumentById(job.replaces);
+    if (!doc) {
+      throw Object.assign(new Error('The document was deleted before it was replaced'), { status: 410 });
+    }
+    const stored = await this.rag.listStoredChunks({ docId: doc.id });
+    const byText = new Map();
+    // Staged chunks first: they were embedded for this version
+    for (const role of ['staged', 'document']) {
+      for (const chunk of stored.filter(item => item.metadata.role === role)) {
+        byText.set(chunk.text, [...(byText.get(chunk.text) || []), chunk.id]);
+      }
+    }
+
+    const updates = [];
+    for (const chunk of chunks) {
+      const metadata = { role: 'document', title: doc.title, docId: doc.id, tags: doc.tags || [], ...chunkMetadata(chunk) };
+      const id = (byText.get(chunk.text) || []).shift();
+      // A chunk whose vector went missing meanwhile (say, an index rebuilt mid-job) is embedded now
+      if (id) updates.push({ id, metadata });
+      else await this.rag.ingestChunk(chunk.text, metadata);
+    }
+    await this.rag.updateChunkMetadata(updates);
+    await this.rag.deleteChunks({ ids: [...byText.values()].flat() });
+
+    const result = this.docStore.replaceDocument(doc.id, {
+      text: this._readStagedText(job),
+      filename: job.filename,
+      mimetype: job.mimetype,
+      format: job.format,
+      size: job.size
+    });
+    if (!result.success) {
+      throw Object.assign(new Error('The document was deleted before it was replaced'), { status: 410 });
+    }
+    console.log(`🔁 "${doc.title}" replaced: ${job.reusedChunks} of ${chunks.length} chunks kept their vectors`);
+  }
+
+  /**
+   * Whether the running job should stop here: cancelled (its document is removed) or the queue stopped
+   */
+  async _halted(job) {
+    if (job.cancelRequested) {
+      await this._discard(job);
+      this._finish(job, 'cancelled');
+      return true;
+    }
+    return this.stopped;
+  }
+
+  async _readText(job) {
+    let data;
+    try {
+      data = fs.readFileSync(this._uploadPath(job.id));
+    } catch (_) {
+      throw Object.assign(new Error('The upload is no longer available; upload the file again'), { status: 410 });
+    }
+    if (job.kind === 'text') return data.toString('utf-8');
+
+    const { text, format } = await this.extractText(data, job.filename || 'upload', job.mimetype || 'application/octet-stream');
+    this._update(job, { format });
+    if (!text || text.trim().length < 10) {
+      throw Object.assign(new Error('No readable text extracted from file'), { status: 400 });
+    }
+    return text;
+  }
+
+  _readStagedText(job) {
+    try {
+      return fs.readFileSync(this._textPath(job.id), 'utf-8');
+    } catch (_) {
+      throw Object.assign(new Error('The new version is no longer available; upload it again'), { status: 410 });
+    }
+  }
+
+  /**
+   * Remove what a job had indexed: its document, or for a replacement only the staged vectors
+   * (the document keeps its current version)
+   */
+  async _discard(job) {
+    if (job.replaces) {
+      await this.rag.deleteChunks({ docId: job.replaces, role: 'staged' });
+      return;
+    }
+    if (!job.docId) return;
+    this.docStore.deleteDocument(job.docId);
+    await this.rag.cleanupDocumentVectors(job.docId);
+  }
+
+  _finish(job, state, error) {
+    const changes = { state, finishedAt: new Date().toISOString(), cancelRequested: undefined };
+    if (error) {
+      changes.error = error.message;
+      changes.status = error.status || 500;
+      console.error(`❌ Ingestion of "${job.title || job.id}" failed: ${error.message}`);
+    }
+    this._update(job, changes);
+    if (state !== 'failed') this._removeFiles(job.id);
+
+    const view = this._view(job);
+    for (const resolve of this.waiters.get(job.id) || []) resolve(view);
+    this.waiters.delete(job.id);
+  }
+
+  _update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    if (job.cancelRequested === undefined) delete job.cancelRequested;
+    this._save();
+    this._emit(job);
+  }
+
+  _emit(job) {
+    const view = this._view(job);
+    for (const listener of this.listeners) {
+      try {
+        listener(view);
+      } catch (error) {
+        console.warn('⚠️ Ingestion job listener failed:', error.message);
+      }
+    }
+  }
+
+  _require(id) {
+    const job = this.jobs.find(item => item.id === id);
+    if (!job) throw Object.assign(new Error('Job not found'), { status: 404 });
+    return job;
+  }
+
+  /**
+   * Public shape of a job, with its progress
+   */
+  _view(job) {
+    const processed = job.embeddedChunks + job.failedChunks.length;
+    let percent;
+    if (job.state === 'done') percent = 100;
+    else if (job.totalChunks) percent = 10 + Math.floor((90 * processed) / job.totalChunks);
+    else percent = { extracting: 5, chunking: 10 }[job.state] || 0;
+
+    return {
+      id: job.id,
+      kind: job.kind,
+      title: job.title,
+      filename: job.filename,
+      mimetype: job.mimetype,
+      size: job.size,
+      tags: job.tags,
+      state: job.state,
+      error: job.error,
+      status: job.status,
+      format: job.format,
+      docId: job.docId,
+      replaces: job.replaces || null,
+      sourceUrl: job.sourceUrl || null,
+      webSourceId: job.webSourceId || null,
+      progress: {
+        percent,
+        totalChunks: job.totalChunks,
+        embeddedChunks: job.embeddedChunks,
+        reusedChunks: job.reusedChunks || 0,
+        failedChunks: job.failedChunks.length
+      },
+      failedChunks: job.failedChunks,
+      cancelRequested: Boolean(job.cancelRequested),
+      attempts: job.attempts,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  _uploadPath(id) {
+    return path.join(this.dir, `${id}.upload`);
+  }
+
+  // Extracted text of a replacement, read again when it is promoted
+  _textPath(id) {
+    return path.join(this.dir, `${id}.text`);
+  }
+
+  _removeFiles(id) {
+    for (const file of [this._uploadPath(id), this._textPath(id)]) {
+      try { fs.unlinkSync(file); } catch (_) {}
+    }
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond maxJobs
+   */
+  _prune() {
+    let finished = this.jobs.filter(job => !ACTIVE_STATES.includes(job.state)).length;
+    this.jobs = this.jobs.filter(job => {
+      if (finished <= this.maxJobs || ACTIVE_STATES.includes(job.state)) return true;
+      finished--;
+      this._removeFiles(job.id);
+      return false;
+    });
+  }
+
+  _load() {
+    try {
+      const { jobs } = JSON.parse(fs.readFileSync(this.jobsPath, 'utf-8'));
+      // Jobs cut off mid-way go back in the queue; they restart from their last completed step
+      return (jobs || [])
+        .map(job => ({ pendingChunks: [], reusedChunks: 0, replaces: null, ...job }))
+        .map(job => (ACTIVE_STATES.includes(job.state) ? { ...job, state: 'queued' } : job));
+    } catch (_) {
+      return [];
+    }
+  }
+
+  _save() {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(this.jobsPath, JSON.stringify({ jobs: this.jobs }, null, 2), 'utf-8');
+    } catch (error) {
+      console.warn('⚠️ Could not save ingestion jobs:', error.message);
+    }
+  }
+}
+
+module.exports = { IngestJobQueue, ACTIVE_STATES };
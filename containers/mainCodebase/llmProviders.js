@@ -0,0 +1,443 @@
+const axios = require('axios');
+const { MockModel } = require('./mockModel.js');
+
+/**
+ * Pluggable LLM provider layer for AI chatbot containers
+ * Every provider exposes the same interface:
+ *   chat(request)            -> Promise<string>
+ *   stream(request, onToken) -> Promise<string> (full text; onToken receives each delta)
+ *   embed(text)              -> Promise<number[]>
+ * where request = { system, messages: [{ role: 'user'|'assistant', content }], temperature, maxTokens, hints }.
+ * `hints` carries optional metadata ({ userMessage, ragContext, historyLength }) that only the mock model uses.
+ */
+
+class LLMProvider {
+  constructor(settings = {}) {
+    this.settings = settings;
+    this.model = settings.model;
+    this.apiKey = settings.apiKey;
+    this.temperature = settings.temperature ?? 0.7;
+    this.maxTokens = settings.maxTokens || 1000;
+    this.timeout = settings.timeout || 60000;
+  }
+
+  get name() {
+    return this.settings.provider;
+  }
+
+  /**
+   * Embedding model identity ("provider:model"), recorded with each vector index
+   */
+  get modelId() {
+    return `${this.name}:${this.embeddingModel || this.model}`;
+  }
+
+  async chat(request) {
+    throw new Error(`${this.name} provider does not implement chat`);
+  }
+
+  /**
+   * Default streaming: run a normal chat and emit it as one token
+   */
+  async stream(request, onToken = () => {}) {
+    const text = await this.chat(request);
+    onToken(text);
+    return text;
+  }
+
+  async embed(text) {
+    throw new Error(`${this.name} provider does not provide embeddings`);
+  }
+
+  /**
+   * Exponential backoff retry for rate-limited API calls
+   */
+  async _retryWithBackoff(apiCall, maxRetries = 3) {
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        const isRateLimit = error.response?.status === 429;
+        const isLastAttempt = attempt === maxRetries - 1;
+
+        if (!isRateLimit || isLastAttempt) {
+          throw error;
+        }
+
+        // Exponential backoff: 2s, 4s, 8s
+        const delay = Math.pow(2, attempt + 1) * 1000;
+        console.log(`⏳ Rate limited, retrying in ${delay/1000}s (attempt ${attempt + 1}/${maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Read a streamed HTTP body line by line, calling onData with each `data:` payload (SSE)
+   * or each raw line when sse is false (NDJSON)
+   */
+  _readStream(stream, onData, { sse = true } = {}) {
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      const handleLine = (line) => {
+        if (sse) {
+          if (!line.startsWith('data:')) return;
+          line = line.slice(5).trim();
+        }
+        if (!line) return;
+        onData(line);
+      };
+      stream.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      });
+      stream.on('end', () => {
+        if (buffer) handleLine(buffer);
+        resolve();
+      });
+      stream.on('error', reject);
+    });
+  }
+}
+
+/**
+ * Google Gemini (generativelanguage.googleapis.com)
+ */
+class GeminiProvider extends LLMProvider {
+  constructor(settings = {}) {
+    super(settings);
+    this.model = settings.model || 'gemini-1.5-flash';
+    this.embeddingModel = settings.embeddingModel || 'text-embedding-004';
+    this.baseUrl = settings.baseUrl || 'https://generativelanguage.googleapis.com/v1beta';
+  }
+
+  _body(request) {
+    const body = {
+      contents: request.messages.map(m => ({
+        role: m.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: m.content }]
+      })),
+      generationConfig: {
+        temperature: request.temperature ?? this.temperature,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: request.maxTokens || this.maxTokens
+      }
+    };
+    if (request.system) {
+      body.systemInstruction = { parts: [{ text: request.system }] };
+    }
+    return body;
+  }
+
+  _text(payload) {
+    const parts = payload?.candidates?.[0]?.content?.parts || [];
+    return parts.map(p => p.text || '').join('');
+  }
+
+  async chat(request) {
+    const response = await this._retryWithBackoff(async () => {
+      return await axios.post(`${this.baseUrl}/models/${this.model}:generateContent`, this._body(request), {
+        headers: { 'Content-Type': 'application/json' },
+        params: { key: this.apiKey },
+        timeout: this.timeout
+      });
+    });
+    const text = this._text(response.data);
+    if (!text) throw new Error('No valid response from Gemini API');
+    return text;
+  }
+
+  async stream(request, onToken = () => {}) {
+    const response = await this._retryWithBackoff(async () => {
+      return await axios.post(`${this.baseUrl}/models/${this.model}:streamGenerateContent`, this._body(request), {
+        headers: { 'Content-Type': 'application/json' },
+        params: { key: this.apiKey, alt: 'sse' },
+        responseType: 'stream',
+        timeout: this.timeout
+      });
+    });
+
+    let fullText = '';
+    await this._readStream(response.data, (data) => {
+      try {
+        const text = this._text(JSON.parse(data));
+        if (text) {
+          fullText += text;
+          onToken(text);
+        }
+      } catch (_) {
+        // ignore keep-alives and partial frames
+      }
+    });
+    if (!fullText) throw new Error('No valid response from Gemini API');
+    return fullText;
+  }
+
+  async embed(text) {
+    const response = await this._retryWithBackoff(async () => {
+      return await axios.post(`${this.baseUrl}/models/${this.embeddingModel}:embedContent`, {
+        content: { parts: [{ text }] }
+      }, {
+        params: { key: this.apiKey },
+        headers: { 'Content-Type': 'application/json' },
+        timeout: this.timeout
+      });
+    });
+    return response?.data?.embedding?.values || [];
+  }
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API
+ * (OpenAI, Azure-style gateways, llama.cpp server, vLLM, LM Studio, Ollama's /v1, test stubs)
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(settings = {}) {
+    super(settings);
+    this.model = settings.model || 'gpt-4o-mini';
+    this.embeddingModel = settings.embeddingModel || 'text-embedding-3-small';
+    this.baseUrl = (settings.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  }
+
+  _headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  _body(request, stream = false) {
+    const messages = [];
+    if (request.system) messages.push({ role: 'system', content: request.system });
+    messages.push(...request.messages.map(m => ({ role: m.role, content: m.content })));
+    return {
+      model: this.model,
+      messages,
+      temperature: request.temperature ?? this.temperature,
+      max_tokens: request.maxTokens || this.maxTokens,
+      stream
+    };
+  }
+
+  async chat(request) {
+    const response = await this._retryWithBackoff(async () => {
+      return await axios.post(`${this.baseUrl}/chat/completions`, this._body(request), {
+        headers: this._headers(),
+        timeout: this.timeout
+      });
+    });
+    const text = response.data?.choices?.[0]?.message?.content;
+    if (!text) throw new Error(`No valid response from ${this.name} API`);
+    return text;
+  }
+
+  async stream(request, onToken = () => {}) {
+    const response = await this._retryWithBackoff(async () => {
+      return await axios.post(`${this.baseUrl}/chat/completions`, this._body(request, true), {
+        headers: this._headers(),
+        responseType: 'stream',
+        timeout: this.timeout
+      });
+    });
+
+    let fullText = '';
+    await this._readStream(response.data, (data) => {
+      if (data === '[DONE]') return;
+      try {
+        const text = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (text) {
+          fullText += text;
+          onToken(text);
+        }
+      } catch (_) {
+        // ignore malformed frames
+      }
+    });
+    if (!fullText) throw new Error(`No valid response from ${this.name} API`);
+    return fullText;
+  }
+
+  async embed(text) {
+    const response = await this._retryWithBackoff(async () => {
+      return await axios.post(`${this.baseUrl}/embeddings`, {
+        model: this.embeddingModel,
+        input: text
+      }, {
+        headers: this._headers(),
+        timeout: this.timeout
+      });
+    });
+    return response.data?.data?.[0]?.embedding || [];
+  }
+}
+
+/**
+ * Local Ollama server through its OpenAI-compatible endpoint
+ */
+class OllamaProvider extends OpenAICompatibleProvider {
+  constructor(settings = {}) {
+    super({
+      ...settings,
+      model: settings.model || 'llama3.1',
+      embeddingModel: settings.embeddingModel || 'nomic-embed-text',
+      baseUrl: settings.baseUrl || 'http://localhost:11434/v1'
+    });
+  }
+}
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider extends LLMProvider {
+  constructor(settings = {}) {
+    super(settings);
+    this.model = settings.model || 'claude-3-5-sonnet-latest';
+    this.baseUrl = (settings.baseUrl || 'https://api.anthropic.com/v1').replace(/\/+$/, '');
+  }
+
+  _headers() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2023-06-01'
+    };
+  }
+
+  _body(request, stream = false) {
+    const body = {
+      model: this.model,
+      messages: request.messages.map(m => ({ role: m.role, content: m.content })),
+      max_tokens: request.maxTokens || this.maxTokens,
+      temperature: request.temperature ?? this.temperature,
+      stream
+    };
+    if (request.system) body.system = request.system;
+    return body;
+  }
+
+  async chat(request) {
+    const response = await this._retryWithBackoff(async () => {
+      return await axios.post(`${this.baseUrl}/messages`, this._body(request), {
+        headers: this._headers(),
+        timeout: this.timeout
+      });
+    });
+    const text = (response.data?.content || []).map(b => b.text || '').join('');
+    if (!text) throw new Error('No valid response from Anthropic API');
+    return text;
+  }
+
+  async stream(request, onToken = () => {}) {
+    const response = await this._retryWithBackoff(async () => {
+      return await axios.post(`${this.baseUrl}/messages`, this._body(request, true), {
+        headers: this._headers(),
+        responseType: 'stream',
+        timeout: this.timeout
+      });
+    });
+
+    let fullText = '';
+    await this._readStream(response.data, (data) => {
+      try {
+        const event = JSON.parse(data);
+        const text = event.type === 'content_block_delta' ? event.delta?.text : null;
+        if (text) {
+          fullText += text;
+          onToken(text);
+        }
+      } catch (_) {
+        // ignore pings and malformed frames
+      }
+    });
+    if (!fullText) throw new Error('No valid response from Anthropic API');
+    return fullText;
+  }
+}
+
+/**
+ * Deterministic offline model (see mockModel.js)
+ */
+class MockProvider extends LLMProvider {
+  constructor(settings = {}) {
+    super(settings);
+    this.model = settings.model || 'mock';
+    this.embeddingModel = 'mock-bow-64';
+    this.mock = new MockModel({ name: settings.name, tokenDelayMs: settings.tokenDelayMs });
+  }
+
+  _args(request) {
+    const hints = request.hints || {};
+    const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+    return [
+      hints.userMessage || (lastUser ? lastUser.content : ''),
+      { ragContext: hints.ragContext || '', historyLength: hints.historyLength || 0 }
+    ];
+  }
+
+  async chat(request) {
+    return await this.mock.complete(...this._args(request));
+  }
+
+  async stream(request, onToken = () => {}) {
+    const [message, context] = this._args(request);
+    return await this.mock.stream(message, context, onToken);
+  }
+
+  /**
+   * Deterministic bag-of-words vector so retrieval works offline
+   */
+  async embed(text) {
+    const dims = 64;
+    const vec = new Array(dims).fill(0);
+    for (const word of String(text || '').toLowerCase().match(/[a-z0-9]+/g) || []) {
+      let hash = 0;
+      for (let i = 0; i < word.length; i++) hash = (hash * 31 + word.charCodeAt(i)) >>> 0;
+      vec[hash % dims] += 1;
+    }
+    return vec;
+  }
+}
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  anthropic: AnthropicProvider,
+  ollama: OllamaProvider,
+  mock: MockProvider
+};
+
+/**
+ * Names accepted in ai-config.js `llm.provider`
+ * @returns {string[]}
+ */
+function listProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Create a provider instance
+ * @param {Object} settings - { provider, model, apiKey, baseUrl, embeddingModel, temperature, maxTokens, timeout }
+ * @returns {LLMProvider}
+ */
+function createProvider(settings = {}) {
+  const provider = (settings.provider || 'gemini').toLowerCase();
+  const ProviderClass = PROVIDERS[provider];
+  if (!ProviderClass) {
+    throw new Error(`Unknown LLM provider "${settings.provider}". Supported: ${listProviders().join(', ')}`);
+  }
+  return new ProviderClass({ ...settings, provider });
+}
+
+module.exports = {
+  LLMProvider,
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  OllamaProvider,
+  AnthropicProvider,
+  MockProvider,
+  createProvider,
+  listProviders
+};
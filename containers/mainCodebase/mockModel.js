@@ -0,0 +1,57 @@
+/**
+ * Local mock model for AI chatbot containers
+ * Produces deterministic replies without calling any external API so chat,
+ * streaming and memory can be exercised offline (enable with MOCK_EXTERNAL_APIS=true)
+ */
+class MockModel {
+  constructor(options = {}) {
+    this.name = options.name || 'Mock AI';
+    this.tokenDelayMs = options.tokenDelayMs || 0;
+  }
+
+  /**
+   * Build the deterministic reply for a message
+   * @param {string} message - User message
+   * @param {Object} context - { ragContext, historyLength }
+   * @returns {string} - Reply text
+   */
+  reply(message, context = {}) {
+    const parts = [`${this.name} (mock) received: "${message}".`];
+    if (context.ragContext) {
+      parts.push(`I have ${context.ragContext.length} characters of document context.`);
+    }
+    if (context.historyLength) {
+      parts.push(`This conversation has ${context.historyLength} earlier messages.`);
+    }
+    return parts.join(' ');
+  }
+
+  /**
+   * Generate a full reply
+   * @returns {Promise<string>} - Reply text
+   */
+  async complete(message, context = {}) {
+    return this.reply(message, context);
+  }
+
+  /**
+   * Generate a reply word by word, calling onToken for each piece
+   * @param {string} message - User message
+   * @param {Object} context - { ragContext, historyLength }
+   * @param {Function} onToken - Called with each text delta
+   * @returns {Promise<string>} - Full reply text
+   */
+  async stream(message, context = {}, onToken = () => {}) {
+    const text = this.reply(message, context);
+    const tokens = text.match(/\S+\s*/g) || [];
+    for (const token of tokens) {
+      if (this.tokenDelayMs) {
+        await new Promise(resolve => setTimeout(resolve, this.tokenDelayMs));
+      }
+      onToken(token);
+    }
+    return text;
+  }
+}
+
+module.exports = { MockModel };
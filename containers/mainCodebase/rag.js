@@ -2,64 +2,77 @@ const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 const { config } = require('./config');
+const { createVectorStore } = require('./vectorStore');
+const { reciprocalRankFusion, keywordRerank, llmRerank } = require('./hybridSearch');
+const { CachedEmbedder, createEmbedder } = require('./embeddings');
+const { chunkText } = require('./chunker');
 
 /**
- * Simple per-container RAG manager using Gemini embeddings.
- * Stores chunk texts and vectors in a local JSON index at rag_db/index.json
+ * Simple per-container RAG manager.
+ * Embeds with the given embedder (options.embedder, see embeddings.js), or Gemini when none is given,
+ * through a content-hashed persistent cache. The store records which model and dimension built it;
+ * when they change, stored chunks are re-embedded before the next ingest or query.
+ * Queries are hybrid: BM25 and vector rankings fused with RRF, optionally reranked (options.search).
+ * Stores chunk texts and vectors in the configured vector store (SQLite at rag_db/vectors.sqlite
+ * by default, see vectorStore.js). A legacy rag_db/index.json is imported on first use.
  */
 class RAGManager {
   constructor(options = {}) {
     this.dbDir = options.dbDir || path.join(__dirname, 'rag_db');
     this.indexPath = path.join(this.dbDir, 'index.json');
-    this.googleApiKey = options.apiKey || process.env.GOOGLE_AI_API_KEY;
-    this.embeddingModel = 'text-embedding-004';
+    this.reranker = options.reranker || null; // chat provider used when search.rerank is 'llm'
+    this.search = { ...config.search, ...(options.search || {}) };
     this.maxChunkChars = options.maxChunkChars || 2000; // ~2000 chars per chunk (larger chunks)
-    this.minChunkChars = 500; // Minimum 500 chars per chunk
     this.topKDefault = 5;
-    this.embeddingCache = new Map(); // Cache embeddings to avoid duplicate API calls
     this.webCache = new Map(); // Cache web search results by query
     this._ensureDb();
+    this.store = createVectorStore({ ...config.vectorStore, ...(options.vectorStore || {}), dbDir: this.dbDir, indexPath: this.indexPath });
+    this.ready = this._migrateLegacyIndex();
+    this.embedder = new CachedEmbedder(
+      options.embedder || createEmbedder({ provider: 'gemini', apiKey: options.apiKey || process.env.GOOGLE_AI_API_KEY }),
+      { store: this.store, maxMemoryEntries: config.embeddings.memoryCacheEntries }
+    );
+    this.embeddingCheck = null;
+  }
+
+  /**
+   * Swap the embedding provider; stored vectors are re-embedded on next use if the model changed
+   * @param {Object} embedder - Provider with embed() and modelId
+   */
+  setEmbedder(embedder) {
+    this.embedder = new CachedEmbedder(embedder, {
+      store: this.store,
+      maxMemoryEntries: config.embeddings.memoryCacheEntries
+    });
+    this.embeddingCheck = null;
   }
 
   _ensureDb() {
     if (!fs.existsSync(this.dbDir)) {
       fs.mkdirSync(this.dbDir, { recursive: true });
     }
-    if (!fs.existsSync(this.indexPath)) {
-      fs.writeFileSync(this.indexPath, JSON.stringify({ vectors: [] }, null, 2), 'utf-8');
-    }
   }
 
-  _readIndex() {
+  /**
+   * Move vectors from a pre-SQLite rag_db/index.json into the store (once)
+   */
+  async _migrateLegacyIndex() {
+    if (!this.store.importJsonIndex || !fs.existsSync(this.indexPath)) return;
     try {
-      const raw = fs.readFileSync(this.indexPath, 'utf-8');
-      return JSON.parse(raw);
-    } catch (_) {
-      return { vectors: [] };
+      const result = await this.store.importJsonIndex(this.indexPath);
+      if (result.imported) {
+        console.log(`📦 Migrated ${result.imported} vectors from index.json to ${this.store.backend} store`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to migrate legacy RAG index:', error.message);
     }
   }
 
-  _writeIndex(index) {
-    fs.writeFileSync(this.indexPath, JSON.stringify(index, null, 2), 'utf-8');
-  }
-
+  /**
+   * Split freeform text with the shared chunker (headings, tables and sentences kept whole)
+   */
   _splitIntoChunks(text) {
-    if (!text || typeof text !== 'string') return [];
-    const cleaned = text.replace(/\s+/g, ' ').trim();
-    if (cleaned.length <= this.maxChunkChars) return [cleaned];
-    const sentences = cleaned.split(/(?<=[.!?])\s+/);
-    const chunks = [];
-    let current = '';
-    for (const s of sentences) {
-      if ((current + ' ' + s).trim().length > this.maxChunkChars) {
-        if (current.trim().length >= this.minChunkChars) chunks.push(current.trim());
-        current = s;
-      } else {
-        current = (current + ' ' + s).trim();
-      }
-    }
-    if (current.trim()) chunks.push(current.trim());
-    return chunks;
+    return chunkText(text, { maxChars: this.maxChunkChars, overlapChars: 0 }).map(chunk => chunk.text);
   }
 
   /**
@@ -87,32 +100,98 @@ class RAGManager {
 
   async _embed(text) {
     if (!text) return [];
-    
-    // Check cache first
-    const cacheKey = text.substring(0, 100); // Use first 100 chars as cache key
-    if (this.embeddingCache.has(cacheKey)) {
-      return this.embeddingCache.get(cacheKey);
+    await this._ensureEmbeddingModel();
+    return await this.embedder.embed(text);
+  }
+
+  /**
+   * Make sure every stored vector was built by the current embedding model (once per instance;
+   * retried on the next call if it fails, e.g. while the embedding API is unreachable)
+   */
+  _ensureEmbeddingModel() {
+    if (!this.embeddingCheck) {
+      this.embeddingCheck = this._checkEmbeddingModel().catch(error => {
+        this.embeddingCheck = null;
+        throw error;
+      });
     }
-    
-    const apiKey = this.googleApiKey;
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.embeddingModel}:embedContent`;
-    const body = {
-      content: { parts: [{ text }] }
+    return this.embeddingCheck;
+  }
+
+  async _checkEmbeddingModel() {
+    await this.ready;
+    const model = this.embedder.modelId;
+    const recorded = await this.store.getMeta('embedding');
+    if (recorded && recorded.model === model) return;
+
+    const dim = (await this.embedder.embed('embedding dimension probe')).length;
+    const chunks = await this.store.listChunks();
+    // Unknown model (index built before models were recorded): only vectors of another size are stale
+    const stale = recorded ? chunks : chunks.filter(chunk => chunk.dim !== dim);
+
+    if (stale.length) {
+      console.log(`🔁 Re-embedding ${stale.length} chunks: ${recorded ? recorded.model : 'unrecorded model'} -> ${model} (${dim} dims)`);
+      await this.reembed(stale);
+    }
+    await this.store.setMeta('embedding', { model, dim, updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Re-embed stored chunks with the current embedder
+   * @param {Array} chunks - [{ id, text }] (defaults to every stored chunk)
+   * @returns {Promise<number>} - Number of vectors updated
+   */
+  async reembed(chunks = null) {
+    const targets = chunks || await this.store.listChunks();
+    const batchSize = 50;
+    let updated = 0;
+    for (let i = 0; i < targets.length; i += batchSize) {
+      const batch = [];
+      for (const chunk of targets.slice(i, i + batchSize)) {
+        batch.push({ id: chunk.id, vector: await this.embedder.embed(chunk.text) });
+      }
+      updated += await this.store.updateVectors(batch);
+    }
+    return updated;
+  }
+
+  /**
+   * Stored chunks with their vectors, for moving a bot's index elsewhere
+   * @param {Object} filter - Metadata filter: { docId, docIds, role, tags, title }
+   * @returns {Promise<Object>} - { embedding: { model, dim }, items: [{ id, text, vector, metadata }] }
+   */
+  async exportVectors(filter = {}) {
+    await this.ready;
+    const items = await this.store.listItems(filter);
+    const recorded = await this.store.getMeta('embedding');
+    return {
+      embedding: recorded ? { model: recorded.model, dim: recorded.dim } : { model: this.embedder.modelId, dim: items.length ? items[0].vector.length : null },
+      items
     };
-    
-    const resp = await this._retryWithBackoff(async () => {
-      return await axios.post(url, body, {
-        params: { key: apiKey },
-        headers: { 'Content-Type': 'application/json' }
-      });
-    });
-    
-    const vec = resp?.data?.embedding?.values || [];
-    
-    // Cache the result
-    this.embeddingCache.set(cacheKey, vec);
-    
-    return vec;
+  }
+
+  /**
+   * Add exported chunks; they are re-embedded when they were built by another embedding model
+   * @param {Array} items - [{ id, text, vector, metadata }]
+   * @param {Object} embedding - { model, dim } that built the vectors
+   * @returns {Promise<Object>} - { imported, reembedded }
+   */
+  async importVectors(items, embedding = {}) {
+    await this._ensureEmbeddingModel();
+    const sameModel = embedding.model === this.embedder.modelId;
+    const imported = await this.store.add(items.map(item => ({
+      id: item.id,
+      text: item.text,
+      // Placeholder vector until re-embedded; the store skips items without one
+      vector: sameModel && item.vector?.length ? item.vector : [0],
+      metadata: item.metadata || {}
+    })));
+    let reembedded = 0;
+    if (!sameModel) {
+      console.log(`🔁 Re-embedding ${items.length} imported chunks: ${embedding.model || 'unknown model'} -> ${this.embedder.modelId}`);
+      reembedded = await this.reembed(items.map(item => ({ id: item.id, text: item.text })));
+    }
+    return { imported, reembedded };
   }
 
   /**
@@ -247,20 +326,6 @@ class RAGManager {
     }
   }
 
-  _cosineSim(a, b) {
-    if (!a?.length || !b?.length || a.length !== b.length) return 0;
-    let dot = 0, na = 0, nb = 0;
-    for (let i = 0; i < a.length; i++) {
-      const x = a[i];
-      const y = b[i];
-      dot += x * y;
-      na += x * x;
-      nb += y * y;
-    }
-    if (na === 0 || nb === 0) return 0;
-    return dot / (Math.sqrt(na) * Math.sqrt(nb));
-  }
-
   /**
    * Enhance search query for better results
    */
@@ -629,20 +694,76 @@ class RAGManager {
 
   /**
    * Ingest freeform text into the vector store (sentence-chunked)
+   * Document chunks (metadata.chunkIndex set) were already cut by DocStore and are stored as they are,
+   * so their offset/page metadata stays true.
    */
   async ingestText(text, metadata = {}) {
-    const index = this._readIndex();
-    const chunks = this._splitIntoChunks(text);
+    await this.ready;
+    const chunks = metadata.chunkIndex !== undefined && text.trim() ? [text] : this._splitIntoChunks(text);
+    const items = [];
+    let lastError = null;
     for (const chunk of chunks) {
       try {
         const vector = await this._embed(chunk);
-        index.vectors.push({ id: Date.now().toString() + '-' + Math.random().toString(36).slice(2), text: chunk, vector, metadata });
+        items.push({ text: chunk, vector, metadata });
       } catch (e) {
-        // Skip failed embeddings, continue
+        lastError = e; // skip this chunk, keep the rest
       }
     }
-    this._writeIndex(index);
-    return chunks.length;
+    if (lastError) {
+      console.error(`❌ Failed to embed ${chunks.length - items.length}/${chunks.length} chunks with ${this.embedder.modelId}: ${lastError.message}`);
+    }
+    await this.store.add(items);
+    return items.length;
+  }
+
+  /**
+   * Embed and store one document chunk as it is. Unlike ingestText, a failed embedding is thrown
+   * so the caller (the ingestion job queue) can record the chunk and retry it.
+   */
+  async ingestChunk(text, metadata = {}) {
+    await this.ready;
+    const vector = await this._embed(text);
+    await this.store.add([{ text, vector, metadata }]);
+  }
+
+  /**
+   * Stored chunks without their vectors
+   * @param {Object} filter - Metadata filter: { ids, docId, docIds, role, tags, title }
+   * @returns {Promise<Array>} - [{ id, text, metadata }]
+   */
+  async listStoredChunks(filter = {}) {
+    await this.ready;
+    return (await this.store.listItems(filter)).map(({ id, text, metadata }) => ({ id, text, metadata }));
+  }
+
+  /**
+   * Replace stored chunks' metadata (a renamed document, moved chunks); their vectors are kept
+   * @param {Array} items - [{ id, metadata }]
+   * @returns {Promise<number>} - Number of chunks updated
+   */
+  async updateChunkMetadata(items) {
+    await this.ready;
+    return items.length ? this.store.updateMetadata(items) : 0;
+  }
+
+  /**
+   * Merge fields into the metadata of every chunk of a document (title, tags)
+   * @returns {Promise<number>} - Number of chunks updated
+   */
+  async updateDocumentMetadata(docId, changes) {
+    const chunks = await this.listStoredChunks({ docId });
+    return this.updateChunkMetadata(chunks.map(chunk => ({ id: chunk.id, metadata: { ...chunk.metadata, ...changes } })));
+  }
+
+  /**
+   * Remove the chunks matching a filter
+   * @returns {Promise<number>} - Number of chunks removed
+   */
+  async deleteChunks(filter) {
+    await this.ready;
+    if (filter.ids && !filter.ids.length) return 0;
+    return this.store.delete(filter);
   }
 
   /**
@@ -662,20 +783,54 @@ class RAGManager {
   }
 
   /**
-   * Query top-k similar chunks; returns array of { text, score, metadata }
+   * Query top-k relevant chunks; returns array of { text, score, metadata, scores }
+   * Vector and BM25 rankings are fused with reciprocal-rank fusion, then optionally reranked.
+   * `scores` keeps the per-stage values ({ vector, lexical, fused, rerank }).
+   * @param {string} queryText
+   * @param {number} topK
+   * @param {Object} filter - Metadata filter: { docId, docIds, role, tags, title }
    */
-  async query(queryText, topK = this.topKDefault) {
-    const index = this._readIndex();
-    if (!index.vectors.length) return [];
-    let qv = [];
-    try {
-      qv = await this._embed(queryText);
-    } catch (_) {
-      return [];
+  async query(queryText, topK = this.topKDefault, filter = {}) {
+    await this.ready;
+    if (!(await this.store.count(filter))) return [];
+
+    const { mode, vectorWeight, lexicalWeight, rrfK, candidatePool, rerank, rerankTopN } = this.search;
+    const pool = Math.max(topK, candidatePool || 0);
+
+    let vectorHits = [];
+    if (mode !== 'lexical' && vectorWeight > 0) {
+      try {
+        const qv = await this._embed(queryText);
+        vectorHits = (await this.store.search(qv, { topK: pool, filter })).filter(hit => hit.score > 0);
+      } catch (_) {
+        vectorHits = []; // embeddings unavailable: lexical results still count
+      }
+    }
+
+    let lexicalHits = [];
+    if (mode !== 'vector' && lexicalWeight > 0) {
+      try {
+        lexicalHits = await this.store.lexicalSearch(queryText, { topK: pool, filter });
+      } catch (error) {
+        console.error('❌ Lexical search failed:', error.message);
+      }
     }
-    const scored = index.vectors.map((item) => ({ text: item.text, metadata: item.metadata || {}, score: this._cosineSim(qv, item.vector) }));
-    scored.sort((a, b) => b.score - a.score);
-    return scored.slice(0, topK);
+
+    let hits = reciprocalRankFusion([
+      { name: 'vector', hits: vectorHits, weight: vectorWeight },
+      { name: 'lexical', hits: lexicalHits, weight: lexicalWeight }
+    ], { k: rrfK });
+
+    if (rerank && rerank !== 'none' && hits.length > 1) {
+      const head = hits.slice(0, Math.max(topK, rerankTopN || 0));
+      const tail = hits.slice(head.length);
+      const reranked = rerank === 'llm'
+        ? await llmRerank(queryText, head, this.reranker)
+        : keywordRerank(queryText, head);
+      hits = [...reranked, ...tail];
+    }
+
+    return hits.slice(0, topK).map(hit => ({ text: hit.text, metadata: hit.metadata, score: hit.score, scores: hit.scores }));
   }
 
   /**
@@ -936,34 +1091,41 @@ class RAGManager {
   /**
    * Clean up RAG data when documents are deleted
    */
-  cleanupRAGData() {
+  async cleanupRAGData() {
     try {
-      const index = this._readIndex();
-      index.vectors = [];
-      fs.writeFileSync(this.indexPath, JSON.stringify(index, null, 2), 'utf-8');
-      console.log('🧹 RAG data cleaned up');
+      await this.ready;
+      const removedCount = await this.store.clear();
+      console.log(`🧹 RAG data cleaned up - removed ${removedCount} vectors`);
+      return { success: true, removedCount };
     } catch (error) {
       console.error('❌ Error cleaning up RAG data:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remove every vector that belongs to a document
+   * @param {string} docId - DocStore document ID
+   */
+  async cleanupDocumentVectors(docId) {
+    try {
+      await this.ready;
+      const removedCount = await this.store.delete({ docId });
+      console.log(`🧹 RAG data cleaned up for document ${docId} - removed ${removedCount} vectors`);
+      return { success: true, removedCount };
+    } catch (error) {
+      console.error('❌ Error cleaning up document RAG data:', error);
+      return { success: false, error: error.message };
     }
   }
 
   /**
    * Clean up RAG data for a specific document
    */
-  cleanupDocumentRAGData(documentTitle) {
+  async cleanupDocumentRAGData(documentTitle) {
     try {
-      const index = this._readIndex();
-      const originalCount = index.vectors.length;
-      
-      // Filter out vectors that contain the document title in metadata
-      index.vectors = index.vectors.filter(vector => {
-        const metadata = vector.metadata || {};
-        const title = metadata.title || '';
-        return !title.includes(documentTitle) && !vector.text.includes(documentTitle);
-      });
-      
-      const removedCount = originalCount - index.vectors.length;
-      fs.writeFileSync(this.indexPath, JSON.stringify(index, null, 2), 'utf-8');
+      await this.ready;
+      const removedCount = await this.store.delete({ title: documentTitle });
       console.log(`🧹 RAG data cleaned up for document "${documentTitle}" - removed ${removedCount} vectors`);
       return { success: true, removedCount };
     } catch (error) {
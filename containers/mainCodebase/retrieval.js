@@ -0,0 +1,170 @@
+/**
+ * Token-budgeted document retrieval for AI chatbot containers
+ * Documents small enough are included whole; larger ones contribute their best-ranked
+ * chunks until the budget is spent. Every passage is labelled ([D1], [D2], ...) and
+ * mapped back to its document ID, character offset and page/section for citations (and the page URL of
+ * documents read from the web).
+ */
+
+const { BM25Index } = require('./hybridSearch');
+const { describeLocation } = require('./chunker');
+
+/**
+ * Rough token estimate (~4 characters per token for English text)
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+class DocumentRetriever {
+  /**
+   * @param {Object} options - { rag, docStore, tokenBudget, wholeDocumentMaxTokens, maxPassages, candidatePool }
+   */
+  constructor(options = {}) {
+    this.rag = options.rag;
+    this.docStore = options.docStore;
+    this.tokenBudget = options.tokenBudget || 3000;
+    this.wholeDocumentMaxTokens = options.wholeDocumentMaxTokens || 1500;
+    this.maxPassages = options.maxPassages || 12;
+    this.candidatePool = options.candidatePool || 40;
+  }
+
+  /**
+   * Build the document context for a query
+   * @param {string} query - User message
+   * @returns {Promise<Object>} - { context, citations: [{ ref, docId, title, url, chunkIndex, offset, length, page,
+   *   section, location, whole }], usedTokens }
+   */
+  async buildContext(query) {
+    const documents = this.docStore.getAllDocuments();
+    if (!documents.length) {
+      return { context: '', citations: [], usedTokens: 0 };
+    }
+
+    let remaining = this.tokenBudget;
+    const passages = [];
+
+    // 1. Small documents go in whole, smallest first, while they fit
+    const wholeDocIds = new Set();
+    const bySize = documents
+      .map(doc => ({ doc, tokens: estimateTokens(doc.text) }))
+      .sort((a, b) => a.tokens - b.tokens);
+    for (const { doc, tokens } of bySize) {
+      if (tokens > this.wholeDocumentMaxTokens || tokens > remaining) continue;
+      passages.push({ docId: doc.id, title: doc.title, url: doc.sourceUrl || null, chunkIndex: null, offset: 0, length: doc.text.length, text: doc.text, whole: true });
+      wholeDocIds.add(doc.id);
+      remaining -= tokens;
+    }
+
+    // 2. Rank chunks of the remaining documents and pack the best ones
+    const rest = documents.filter(doc => !wholeDocIds.has(doc.id));
+    if (rest.length && remaining > 0) {
+      const ranked = await this.rankChunks(query, rest);
+      let packed = 0;
+      for (const chunk of ranked) {
+        if (packed >= this.maxPassages) break;
+        const tokens = estimateTokens(chunk.text);
+        if (tokens > remaining) continue;
+        passages.push({ ...chunk, whole: false });
+        remaining -= tokens;
+        packed++;
+      }
+    }
+
+    // Keep passages in reading order: by document, then by offset
+    const docOrder = new Map(documents.map((doc, i) => [doc.id, i]));
+    passages.sort((a, b) => (docOrder.get(a.docId) - docOrder.get(b.docId)) || ((a.offset || 0) - (b.offset || 0)));
+
+    const citations = passages.map((p, i) => ({
+      ref: `D${i + 1}`,
+      docId: p.docId,
+      title: p.title,
+      url: p.url || null,
+      chunkIndex: p.chunkIndex,
+      offset: p.offset,
+      length: p.length ?? p.text.length,
+      page: p.page ?? null,
+      section: p.section ?? null,
+      location: p.whole ? '' : describeLocation(p),
+      whole: p.whole
+    }));
+
+    const context = passages.map((p, i) => {
+      const location = citations[i].location;
+      const where = p.whole
+        ? 'full document'
+        : location || `chunk ${p.chunkIndex ?? '?'}${p.offset !== null && p.offset !== undefined ? `, offset ${p.offset}` : ''}`;
+      return `[D${i + 1}] ${p.title} (doc ${p.docId}, ${where}${p.url ? `, ${p.url}` : ''})\n${p.text}`;
+    }).join('\n\n');
+
+    return { context, citations, usedTokens: this.tokenBudget - remaining };
+  }
+
+  /**
+   * Rank candidate chunks from the given documents, best first
+   * Uses the hybrid index when it has these documents, else falls back to BM25 over freshly split chunks.
+   * @param {string} query - User message
+   * @param {Array} documents - Documents to draw chunks from
+   * @returns {Promise<Array>} - [{ docId, title, url, chunkIndex, offset, length, page, pageEnd, headings, section, text, score }]
+   */
+  async rankChunks(query, documents) {
+    const docIds = new Set(documents.map(doc => doc.id));
+    const titles = new Map(documents.map(doc => [doc.id, doc.title]));
+    const urls = new Map(documents.map(doc => [doc.id, doc.sourceUrl || null]));
+
+    let hits = [];
+    try {
+      hits = (await this.rag.query(query, this.candidatePool, { role: 'document', docIds: [...docIds] }))
+        .filter(hit => hit.metadata && hit.metadata.role === 'document' && docIds.has(hit.metadata.docId));
+    } catch (_) {
+      hits = [];
+    }
+
+    const seen = new Set();
+    const ranked = [];
+    for (const hit of hits) {
+      const key = `${hit.metadata.docId}:${hit.metadata.chunkIndex ?? hit.text.slice(0, 80)}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      ranked.push({
+        docId: hit.metadata.docId,
+        title: titles.get(hit.metadata.docId),
+        url: urls.get(hit.metadata.docId),
+        chunkIndex: hit.metadata.chunkIndex ?? null,
+        offset: hit.metadata.offset ?? null,
+        length: hit.metadata.length ?? null,
+        page: hit.metadata.page ?? null,
+        pageEnd: hit.metadata.pageEnd ?? null,
+        headings: hit.metadata.headings || [],
+        section: hit.metadata.section ?? null,
+        text: hit.text,
+        score: hit.score
+      });
+    }
+    if (ranked.length) return ranked;
+
+    // Lexical fallback (documents not indexed yet)
+    const bm25 = new BM25Index();
+    const candidates = [];
+    for (const doc of documents) {
+      for (const chunk of this.docStore.chunkDocument(doc)) {
+        const { index: chunkIndex, ...location } = chunk;
+        const candidate = { docId: doc.id, title: doc.title, url: doc.sourceUrl || null, chunkIndex, ...location };
+        candidates.push(candidate);
+        bm25.add(candidate);
+      }
+    }
+    const scores = new Map(bm25.search(query, candidates.length).map(hit => [`${hit.docId}:${hit.chunkIndex}`, hit.score]));
+    return candidates
+      .map(candidate => ({
+        ...candidate,
+        // Earlier chunks win ties so an unrelated question still sees each document's opening
+        score: (scores.get(`${candidate.docId}:${candidate.chunkIndex}`) || 0) - candidate.chunkIndex * 1e-6
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = { DocumentRetriever, estimateTokens };
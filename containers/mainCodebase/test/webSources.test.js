@@ -0,0 +1,247 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const { WebCrawler, isPrivateAddress, parseRobots, robotsAllows, parseSitemap } = require('../crawler.js');
+const { WebSources } = require('../webSources.js');
+const { DocStore } = require('../docStore.js');
+const { RAGManager } = require('../rag.js');
+const { createEmbedder } = require('../embeddings.js');
+const { IngestJobQueue } = require('../ingestJobs.js');
+const { extractText } = require('../extractors.js');
+
+const page = (title, body, links = []) =>
+  `<html><head><title>${title}</title></head><body><nav><a href="/">Home</a></nav>` +
+  `<main><h1>${title}</h1><p>${body}</p>${links.map(link => `<a href="${link}">${link}</a>`).join(' ')}</main></body></html>`;
+
+/**
+ * A local site; `site` maps paths to [content type, body] and can be changed between crawls (BASE is
+ * replaced by the server's URL)
+ */
+async function startSite(site) {
+  const server = http.createServer((req, res) => {
+    const entry = site[req.url.split('?')[0]];
+    if (!entry) {
+      res.writeHead(404);
+      return res.end('not found');
+    }
+    res.writeHead(200, { 'Content-Type': `${entry[0]}; charset=utf-8` });
+    res.end(entry[1].replace(/BASE/g, server.base));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  server.base = `http://127.0.0.1:${server.address().port}`;
+  return server;
+}
+
+async function waitFor(condition, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('timed out');
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+/**
+ * The pieces AIChatbot wires together, in a temporary directory
+ */
+function createKnowledgeBase(limits = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-sources-'));
+  const docStore = new DocStore(dir, { maxChars: 400, overlapChars: 0 });
+  const rag = new RAGManager({ embedder: createEmbedder({ provider: 'hashing' }), dbDir: path.join(dir, 'rag_db') });
+  const ingestJobs = new IngestJobQueue({ baseDir: dir, docStore, rag, extractText });
+  ingestJobs.resume();
+  const deleteDocument = async (docId) => {
+    const result = docStore.deleteDocument(docId);
+    if (result.success) await rag.cleanupDocumentVectors(docId);
+    return result;
+  };
+  const webSources = new WebSources({
+    baseDir: dir,
+    docStore,
+    ingestJobs,
+    crawler: new WebCrawler({ userAgent: 'TestBot/1.0', delayMs: 0, allowPrivateHosts: true }),
+    deleteDocument,
+    limits: { maxPages: 50, maxDepth: 5, defaultMaxPages: 50, minRecrawlHours: 0.0001, checkIntervalMs: 50, ...limits }
+  });
+  webSources.start();
+  const settled = () => waitFor(() => !webSources.isCrawling() && !ingestJobs.hasActiveJobs());
+  const close = async () => {
+    webSources.stop();
+    ingestJobs.stop();
+    if (rag.store) await rag.store.close().catch(() => {});
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+  return { docStore, ingestJobs, webSources, settled, close };
+}
+
+describe('robots.txt', () => {
+  const robots = parseRobots([
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    'User-agent: TestBot',
+    'Disallow: /private',
+    'Allow: /private/open$',
+    'Disallow: /*.pdf$',
+    'Crawl-delay: 2'
+  ].join('\n'), 'TestBot/1.0');
+
+  test('uses the group for our user agent', () => {
+    assert.equal(robotsAllows(robots, 'http://site/docs'), true);
+    assert.equal(robots.crawlDelayMs, 2000);
+  });
+
+  test('disallows paths by prefix and pattern, the longest rule winning', () => {
+    assert.equal(robotsAllows(robots, 'http://site/private/x'), false);
+    assert.equal(robotsAllows(robots, 'http://site/private/open'), true);
+    assert.equal(robotsAllows(robots, 'http://site/private/open/more'), false);
+    assert.equal(robotsAllows(robots, 'http://site/files/a.pdf'), false);
+  });
+
+  test('always allows robots.txt itself', () => {
+    assert.equal(robotsAllows(robots, 'http://site/robots.txt'), true);
+  });
+});
+
+describe('parseSitemap', () => {
+  test('reads page URLs with CDATA and entities', () => {
+    const { urls, sitemaps } = parseSitemap(
+      '<urlset><url><loc><![CDATA[http://site/a]]></loc></url><url><loc> http://site/b?x=1&amp;y=2 </loc></url></urlset>'
+    );
+    assert.deepEqual(urls, ['http://site/a', 'http://site/b?x=1&y=2']);
+    assert.deepEqual(sitemaps, []);
+  });
+
+  test('reads the sitemaps of a sitemap index', () => {
+    const { urls, sitemaps } = parseSitemap(
+      '<sitemapindex><sitemap><loc>http://site/one.xml</loc></sitemap><sitemap><loc>http://site/two.xml</loc></sitemap></sitemapindex>'
+    );
+    assert.deepEqual(urls, []);
+    assert.deepEqual(sitemaps, ['http://site/one.xml', 'http://site/two.xml']);
+  });
+});
+
+describe('private hosts', () => {
+  test('loopback, private and link-local addresses are private', () => {
+    for (const address of ['127.0.0.1', '10.0.0.8', '172.16.5.4', '192.168.1.1', '169.254.169.254', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['8.8.8.8', '2606:4700::1111']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+
+  test('crawls of private hosts are refused', async () => {
+    const crawler = new WebCrawler({ delayMs: 0 });
+    await assert.rejects(crawler.crawl({ url: 'http://127.0.0.1:9/', mode: 'page' }), { status: 422 });
+    await assert.rejects(crawler.crawl({ url: 'http://[::1]:9/', mode: 'page' }), { status: 422 });
+  });
+});
+
+describe('WebSources', () => {
+  let site;
+  let server;
+  let kb;
+
+  before(async () => {
+    site = {
+      '/robots.txt': ['text/plain', 'User-agent: *\nDisallow: /private\n'],
+      '/': ['text/html', page('Home', 'Welcome to the home page of the test site.', ['/a', '/b', '/copy', '/gone', '/private/secret'])],
+      '/a': ['text/html', page('Page A', 'Refunds are accepted within thirty days of purchase.')],
+      '/copy': ['text/html', page('Page A', 'Refunds are accepted within thirty days of purchase.')],
+      '/b': ['text/html', page('Page B', 'Shipping takes three to five working days.')],
+      '/gone': ['text/html', page('Gone soon', 'This page will be deleted before the next crawl.')],
+      '/private/secret': ['text/html', page('Secret', 'Never to be crawled.')],
+      '/sitemap.xml': ['application/xml', '<sitemapindex><sitemap><loc>BASE/pages.xml</loc></sitemap></sitemapindex>'],
+      '/pages.xml': ['application/xml', '<urlset><url><loc>BASE/a</loc></url><url><loc>BASE/b</loc></url><url><loc>BASE/private/secret</loc></url></urlset>']
+    };
+    server = await startSite(site);
+  });
+
+  after(() => server.close());
+
+  test('a crawl obeys robots.txt, skips duplicates and re-crawls changed and missing pages', async () => {
+    kb = createKnowledgeBase();
+    try {
+      const source = kb.webSources.create({ url: `${server.base}/`, mode: 'crawl', maxDepth: 1 });
+      await kb.settled();
+
+      let view = kb.webSources.get(source.id);
+      assert.equal(view.state, 'idle');
+      assert.equal(view.lastCrawl.added, 4);
+      assert.equal(view.lastCrawl.duplicates, 1);
+      assert.ok(view.lastCrawl.skips.some(skip => skip.url.endsWith('/private/secret') && skip.reason === 'blocked by robots.txt'));
+      const urls = kb.docStore.listDocuments().map(doc => doc.sourceUrl);
+      assert.ok(urls.includes(`${server.base}/a`));
+      assert.ok(!urls.includes(`${server.base}/private/secret`));
+
+      site['/b'][1] = page('Page B', 'Shipping now takes one to two working days.');
+      delete site['/gone'];
+      kb.webSources.crawlNow(source.id);
+      await kb.settled();
+
+      view = kb.webSources.get(source.id);
+      assert.equal(view.lastCrawl.updated, 1);
+      assert.equal(view.lastCrawl.unchanged, 2);
+      assert.equal(view.lastCrawl.duplicates, 1);
+      assert.equal(view.lastCrawl.removed, 1);
+      const pageB = kb.docStore.listDocuments().find(doc => doc.sourceUrl === `${server.base}/b`);
+      assert.equal(pageB.version, 2);
+      assert.match(pageB.text, /one to two working days/);
+      assert.ok(!kb.docStore.listDocuments().some(doc => doc.sourceUrl === `${server.base}/gone`));
+    } finally {
+      await kb.close();
+    }
+  });
+
+  test('a sitemap index is followed to its pages', async () => {
+    kb = createKnowledgeBase();
+    try {
+      const source = kb.webSources.create({ url: `${server.base}/sitemap.xml`, mode: 'sitemap' });
+      await kb.settled();
+
+      const view = kb.webSources.get(source.id);
+      assert.equal(view.lastCrawl.error, null);
+      assert.equal(view.lastCrawl.added, 2);
+      assert.deepEqual(kb.docStore.listDocuments().map(doc => doc.sourceUrl).sort(), [`${server.base}/a`, `${server.base}/b`]);
+    } finally {
+      await kb.close();
+    }
+  });
+
+  test('a page that answers 404 is reported, not added', async () => {
+    kb = createKnowledgeBase();
+    try {
+      const source = kb.webSources.create({ url: `${server.base}/missing`, mode: 'page' });
+      await kb.settled();
+
+      const view = kb.webSources.get(source.id);
+      assert.equal(view.lastCrawl.added, 0);
+      assert.deepEqual(view.lastCrawl.skips, [{ url: `${server.base}/missing`, reason: 'not found' }]);
+      assert.equal(kb.docStore.listDocuments().length, 0);
+    } finally {
+      await kb.close();
+    }
+  });
+
+  test('sources are crawled again when their re-crawl is due', async () => {
+    kb = createKnowledgeBase();
+    try {
+      const source = kb.webSources.create({ url: `${server.base}/a`, mode: 'page', recrawlHours: 0.0001 });
+      await kb.settled();
+      const first = kb.webSources.get(source.id);
+      assert.ok(Date.parse(first.nextCrawlAt) > Date.parse(first.lastCrawl.finishedAt));
+
+      await waitFor(() => kb.webSources.get(source.id).lastCrawl.finishedAt !== first.lastCrawl.finishedAt);
+      await kb.settled();
+      const second = kb.webSources.get(source.id);
+      assert.equal(second.lastCrawl.unchanged, 1);
+      assert.equal(kb.docStore.listDocuments().length, 1);
+    } finally {
+      await kb.close();
+    }
+  });
+});
@@ -0,0 +1,301 @@
+const fs = require('fs');
+const path = require('path');
+const { cosineSim } = require('./vectorStore.js');
+const { tokenize } = require('./hybridSearch.js');
+
+/**
+ * Per-bot topic guard
+ * Decides whether a message is in scope before it reaches retrieval or the model, using the bot's
+ * `topicGuard` section in ai-config.js:
+ *   { enabled, mode: 'embeddings' | 'llm', allowTopics, denyTopics, inScopeExamples, outOfScopeExamples,
+ *     threshold, allowSmallTalk, refusalMessage }
+ * Topics and examples are compared with the message by embedding similarity (short topics also match
+ * by word overlap), or judged by the bot's chat model in 'llm' mode. A guard with no topics or
+ * examples allows everything.
+ */
+
+// Whole-message greetings and thanks, allowed when allowSmallTalk is on
+const SMALL_TALK = /^\s*(hi|hello|hey|yo|good (morning|afternoon|evening)|greetings|how are you( doing)?|what's up|thanks|thank you( so much)?|ok(ay)?|bye|goodbye|see you)\b[\s!.?,]*(there|again|very much|so much)?[\s!.?,]*$/i;
+
+// Whole-message continuations ("yes", "tell me more") inherit the previous turn's decision
+const FOLLOW_UP = /^\s*(yes|yeah|yep|sure|no|nope|ok(ay)?|please|go on|continue|tell me more|more( details| please)?|why|how so|really|and( then)?|what else|anything else|explain( that| more| it)?|elaborate|can you (explain|elaborate)( that| more| on that| it)?|for example|an example|give me an example)\b[\s!.?,]*(please|then)?[\s!.?,]*$/i;
+
+const DEFAULT_REFUSAL = "I'm {name}, and I can only help with {topics}. Could you ask me something related to that?";
+
+/**
+ * Merge a bot's topicGuard section with the container defaults. Bots configured before the guard
+ * existed have `domain.keywords`, which become the allowed topics.
+ * @param {Object} aiConfig - Bot configuration
+ * @param {Object} defaults - config.topicGuard
+ * @returns {Object} - Guard settings
+ */
+function resolveTopicGuardSettings(aiConfig = {}, defaults = {}) {
+  const guard = aiConfig.topicGuard || {};
+  const legacyKeywords = (aiConfig.domain && Array.isArray(aiConfig.domain.keywords)) ? aiConfig.domain.keywords : [];
+  const list = (value) => (Array.isArray(value) ? value.map(v => String(v).trim()).filter(Boolean) : []);
+
+  return {
+    enabled: guard.enabled !== false,
+    mode: guard.mode || defaults.mode || 'embeddings',
+    allowTopics: list(guard.allowTopics || legacyKeywords),
+    denyTopics: list(guard.denyTopics),
+    inScopeExamples: list(guard.inScopeExamples),
+    outOfScopeExamples: list(guard.outOfScopeExamples),
+    threshold: Number.isFinite(guard.threshold) ? guard.threshold : (defaults.threshold ?? 0.35),
+    allowSmallTalk: guard.allowSmallTalk !== false,
+    refusalMessage: guard.refusalMessage || ''
+  };
+}
+
+class TopicGuard {
+  /**
+   * @param {Object} settings - Output of resolveTopicGuardSettings
+   * @param {Object} options - { embedder, llm, name } bot's embedder and chat provider, bot name for refusals
+   */
+  constructor(settings, options = {}) {
+    this.settings = settings;
+    this.embedder = options.embedder;
+    this.llm = options.llm;
+    this.name = options.name || 'this assistant';
+    // Topic and example vectors; they only change with the configuration, which builds a new guard
+    this.termVectors = new Map();
+  }
+
+  /**
+   * Whether the guard has anything to check against
+   */
+  get active() {
+    const s = this.settings;
+    return s.enabled && (s.allowTopics.length + s.denyTopics.length + s.inScopeExamples.length + s.outOfScopeExamples.length) > 0;
+  }
+
+  /**
+   * Classify a message
+   * @param {string} message - User message
+   * @param {Object} context - { previous } the conversation's previous decision, if any
+   * @returns {Promise<Object>} - { allowed, method, score, matched: { kind, text } | null, reason }
+   */
+  async classify(message, context = {}) {
+    if (!this.active) {
+      return { allowed: true, method: 'disabled', score: null, matched: null, reason: 'No topics configured' };
+    }
+    if (this.settings.allowSmallTalk && SMALL_TALK.test(message)) {
+      return { allowed: true, method: 'small-talk', score: null, matched: null, reason: 'Greeting or small talk' };
+    }
+
+    let decision = null;
+    if (this.settings.mode === 'llm') {
+      decision = await this.judgeWithLLM(message);
+    }
+    if (!decision) {
+      decision = await this.classifyWithEmbeddings(message);
+    }
+
+    // "Yes please" / "tell me more" after an allowed turn continues that topic, unless it hits a denied one
+    const previous = context.previous;
+    if (!decision.allowed && previous && previous.allowed && !this.isDenyMatch(decision) && FOLLOW_UP.test(message)) {
+      return { ...decision, allowed: true, method: `${decision.method}+follow-up`, reason: 'Short follow-up to an allowed message' };
+    }
+    return decision;
+  }
+
+  isDenyMatch(decision) {
+    return Boolean(decision.matched && (decision.matched.kind === 'deny topic' || decision.matched.kind === 'out-of-scope example'));
+  }
+
+  /**
+   * Embed a topic or example once per guard (failed calls are retried on the next message)
+   * @param {string} text - Topic or example prompt
+   * @returns {Promise<Array<number>>}
+   */
+  embedTerm(text) {
+    if (!this.termVectors.has(text)) {
+      const vector = this.embedder.embed(text);
+      vector.catch(() => this.termVectors.delete(text));
+      this.termVectors.set(text, vector);
+    }
+    return this.termVectors.get(text);
+  }
+
+  /**
+   * Compare the message with every topic and example; the closest side wins
+   * @param {string} message - User message
+   * @returns {Promise<Object>} - Decision
+   */
+  async classifyWithEmbeddings(message) {
+    const { allowTopics, denyTopics, inScopeExamples, outOfScopeExamples, threshold } = this.settings;
+    const messageVector = await this.embedder.embed(message);
+    const messageTerms = new Set(tokenize(message).map(singular));
+
+    const best = async (items, kind, isTopic) => {
+      let top = { score: 0, matched: null };
+      for (const text of items) {
+        let score = cosineSim(messageVector, await this.embedTerm(text));
+        if (isTopic) score = Math.max(score, termOverlap(messageTerms, text));
+        if (score > top.score) top = { score, matched: { kind, text } };
+      }
+      return top;
+    };
+
+    const allow = [await best(allowTopics, 'allow topic', true), await best(inScopeExamples, 'in-scope example', false)]
+      .reduce((a, b) => (b.score > a.score ? b : a));
+    const deny = [await best(denyTopics, 'deny topic', true), await best(outOfScopeExamples, 'out-of-scope example', false)]
+      .reduce((a, b) => (b.score > a.score ? b : a));
+    const round = (score) => Math.round(score * 1000) / 1000;
+
+    if (deny.matched && deny.score >= threshold && deny.score >= allow.score) {
+      return { allowed: false, method: 'embeddings', score: round(deny.score), matched: deny.matched, reason: `Closest to ${deny.matched.kind} "${deny.matched.text}"` };
+    }
+    if (!allowTopics.length && !inScopeExamples.length) {
+      return { allowed: true, method: 'embeddings', score: round(deny.score), matched: null, reason: 'No denied topic matched' };
+    }
+    if (allow.score >= threshold) {
+      return { allowed: true, method: 'embeddings', score: round(allow.score), matched: allow.matched, reason: `Closest to ${allow.matched.kind} "${allow.matched.text}"` };
+    }
+    return {
+      allowed: false,
+      method: 'embeddings',
+      score: round(allow.score),
+      matched: null,
+      reason: `Below threshold ${threshold} for every allowed topic and example`
+    };
+  }
+
+  /**
+   * Ask the bot's chat model whether the message is in scope
+   * @param {string} message - User message
+   * @returns {Promise<Object|null>} - Decision, or null if the model's answer could not be used
+   */
+  async judgeWithLLM(message) {
+    if (!this.llm) return null;
+    const { allowTopics, denyTopics, inScopeExamples, outOfScopeExamples } = this.settings;
+    const section = (title, items) => (items.length ? `${title}:\n${items.map(item => `- ${item}`).join('\n')}\n\n` : '');
+
+    try {
+      const reply = await this.llm.chat({
+        system: 'You decide whether a user message is within the scope of an assistant. Reply with only a JSON object: ' +
+          '{"allowed": true|false, "topic": "<closest listed topic or example>", "confidence": <0-1>, "reason": "<short reason>"}.',
+        messages: [{
+          role: 'user',
+          content: `${section('Allowed topics', allowTopics)}${section('Denied topics', denyTopics)}` +
+            `${section('In-scope examples', inScopeExamples)}${section('Out-of-scope examples', outOfScopeExamples)}` +
+            `Message: ${message}`
+        }],
+        temperature: 0,
+        maxTokens: 150
+      });
+      const verdict = JSON.parse((String(reply).match(/\{[\s\S]*\}/) || ['null'])[0]);
+      if (!verdict || typeof verdict.allowed !== 'boolean') return null;
+
+      const topic = typeof verdict.topic === 'string' ? verdict.topic : '';
+      const kind = denyTopics.includes(topic) ? 'deny topic'
+        : allowTopics.includes(topic) ? 'allow topic'
+          : outOfScopeExamples.includes(topic) ? 'out-of-scope example'
+            : inScopeExamples.includes(topic) ? 'in-scope example' : null;
+      return {
+        allowed: verdict.allowed,
+        method: 'llm',
+        score: typeof verdict.confidence === 'number' ? verdict.confidence : null,
+        matched: kind ? { kind, text: topic } : null,
+        reason: typeof verdict.reason === 'string' ? verdict.reason.slice(0, 300) : ''
+      };
+    } catch (error) {
+      console.warn('⚠️ Topic guard LLM judge failed, using embeddings:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Reply sent instead of an answer when a message is refused
+   * `{name}` and `{topics}` in a custom refusal message are filled in.
+   */
+  refusal() {
+    const topics = this.settings.allowTopics.length ? this.settings.allowTopics.join(', ') : 'topics within my area of expertise';
+    return (this.settings.refusalMessage || DEFAULT_REFUSAL)
+      .replace(/\{name\}/g, this.name)
+      .replace(/\{topics\}/g, topics);
+  }
+}
+
+// Crude plural folding so "refunds" matches the topic "refund"
+function singular(term) {
+  return term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term;
+}
+
+/**
+ * Share of a short topic's words that appear in the message ("refund policy" vs "what is your refund policy?")
+ */
+function termOverlap(messageTerms, topic) {
+  const terms = tokenize(topic).map(singular);
+  if (!terms.length) return 0;
+  return terms.filter(term => messageTerms.has(term)).length / terms.length;
+}
+
+/**
+ * Append-only log of guard decisions (topic_guard_log.jsonl), trimmed to the newest maxEntries
+ */
+class TopicDecisionLog {
+  constructor(baseDir, options = {}) {
+    this.logPath = path.join(baseDir || __dirname, 'topic_guard_log.jsonl');
+    this.maxEntries = options.maxEntries || 2000;
+    this.appended = 0;
+  }
+
+  /**
+   * Record one decision
+   * @param {Object} entry - { conversationId, message, configVersion, ...decision }
+   */
+  record(entry) {
+    try {
+      const line = JSON.stringify({
+        at: new Date().toISOString(),
+        ...entry,
+        message: String(entry.message || '').slice(0, 500)
+      });
+      fs.appendFileSync(this.logPath, `${line}\n`, 'utf-8');
+      // Trimming rewrites the file, so only check every few hundred decisions
+      if (++this.appended % 200 === 0) this.trim();
+    } catch (error) {
+      console.warn('⚠️ Could not write topic guard log:', error.message);
+    }
+  }
+
+  _readAll() {
+    try {
+      return fs.readFileSync(this.logPath, 'utf-8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => { try { return JSON.parse(line); } catch (_) { return null; } })
+        .filter(Boolean);
+    } catch (_) {
+      return [];
+    }
+  }
+
+  trim() {
+    const entries = this._readAll();
+    if (entries.length <= this.maxEntries) return;
+    fs.writeFileSync(this.logPath, entries.slice(-this.maxEntries).map(e => JSON.stringify(e)).join('\n') + '\n', 'utf-8');
+  }
+
+  /**
+   * Newest decisions first
+   * @param {Object} query - { outcome: 'allowed' | 'refused', limit, offset }
+   * @returns {Object} - { decisions, total, refused }
+   */
+  list(query = {}) {
+    let entries = this._readAll().reverse();
+    const refused = entries.filter(e => !e.allowed).length;
+    if (query.outcome === 'allowed') entries = entries.filter(e => e.allowed);
+    if (query.outcome === 'refused') entries = entries.filter(e => !e.allowed);
+    const offset = Math.max(0, parseInt(query.offset, 10) || 0);
+    const limit = Math.min(200, Math.max(1, parseInt(query.limit, 10) || 50));
+    return { decisions: entries.slice(offset, offset + limit), total: entries.length, refused };
+  }
+
+  clear() {
+    try { fs.unlinkSync(this.logPath); } catch (_) {}
+  }
+}
+
+module.exports = { TopicGuard, TopicDecisionLog, resolveTopicGuardSettings };
@@ -0,0 +1,790 @@
+/**
+ * Vector storage backends for RAGManager
+ * Every store implements the same async interface:
+ *   add(items)                 - items: [{ id?, text, vector, metadata }]
+ *   search(vector, options)    - options: { topK, filter } -> [{ id, text, score, metadata }]
+ *   lexicalSearch(query, opts) - BM25 over chunk text, same options and result shape
+ *   delete(filter)             - returns number of removed vectors
+ *   clear()                    - removes everything, returns number removed
+ *   count(filter)
+ *   listChunks(filter)         - [{ id, text, dim }] for re-embedding
+ *   listItems(filter)          - [{ id, text, vector, metadata }] for export
+ *   updateVectors(items)       - items: [{ id, vector }]
+ *   updateMetadata(items)      - items: [{ id, metadata }]; replaces the metadata, keeps text and vector
+ *   getMeta(key) / setMeta(key, value)
+ *   cacheGet(key) / cachePut(key, vector) - persistent embedding cache
+ *   close()
+ * Filters match on { ids, docId, docIds, role, tags (any of), title }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize, termFrequencies, bm25Term, BM25Index } = require('./hybridSearch');
+
+function newVectorId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+function cosineSim(a, b) {
+  if (!a?.length || !b?.length || a.length !== b.length) return 0;
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  if (na === 0 || nb === 0) return 0;
+  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+}
+
+/**
+ * Check a stored item against a store filter
+ * @param {Object} metadata
+ * @param {Object} filter - { ids, docId, docIds, role, tags, title }
+ * @param {string} id - The item's ID (for `ids`)
+ * @returns {boolean}
+ */
+function matchesFilter(metadata = {}, filter = {}, id = undefined) {
+  if (filter.ids && !filter.ids.includes(id)) return false;
+  if (filter.docId !== undefined && metadata.docId !== filter.docId) return false;
+  if (filter.docIds && !filter.docIds.includes(metadata.docId)) return false;
+  if (filter.role !== undefined && metadata.role !== filter.role) return false;
+  if (filter.title !== undefined && metadata.title !== filter.title) return false;
+  if (filter.tags && filter.tags.length) {
+    const tags = metadata.tags || [];
+    if (!filter.tags.some(tag => tags.includes(tag))) return false;
+  }
+  return true;
+}
+
+/**
+ * Deterministic PRNG (mulberry32) so hyperplanes are identical across restarts
+ */
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random-hyperplane LSH for cosine similarity.
+ * Each band hashes a vector to a `bits`-wide bucket; similar vectors share buckets in at least one band.
+ */
+class HyperplaneLSH {
+  constructor({ dim, bands, bits, seed }) {
+    this.dim = dim;
+    this.bands = bands;
+    this.bits = bits;
+    const random = seededRandom(seed + dim * 7919);
+    // Gaussian-ish hyperplanes (sum of uniforms is plenty for sign hashing)
+    this.planes = Array.from({ length: bands * bits }, () =>
+      Float32Array.from({ length: dim }, () => random() + random() + random() - 1.5)
+    );
+  }
+
+  /**
+   * @param {Array<number>} vector
+   * @returns {Array<number>} - One bucket per band
+   */
+  hash(vector) {
+    const buckets = [];
+    for (let band = 0; band < this.bands; band++) {
+      let bucket = 0;
+      for (let bit = 0; bit < this.bits; bit++) {
+        const plane = this.planes[band * this.bits + bit];
+        let dot = 0;
+        for (let i = 0; i < this.dim; i++) dot += plane[i] * vector[i];
+        if (dot >= 0) bucket |= (1 << bit);
+      }
+      buckets.push(bucket);
+    }
+    return buckets;
+  }
+
+  /**
+   * Buckets to probe for a query: the exact bucket plus every bucket one bit away
+   * @param {Array<number>} vector
+   * @returns {Array<Array<number>>} - Per band, the list of buckets to probe
+   */
+  probes(vector) {
+    return this.hash(vector).map(bucket => {
+      const list = [bucket];
+      for (let bit = 0; bit < this.bits; bit++) list.push(bucket ^ (1 << bit));
+      return list;
+    });
+  }
+}
+
+/**
+ * Legacy backend: the whole index lives in one JSON file (rag_db/index.json) and every
+ * query is a linear scan. Kept for environments where sqlite3 cannot be loaded.
+ */
+class JsonVectorStore {
+  constructor(options = {}) {
+    this.indexPath = options.indexPath || path.join(options.dbDir || __dirname, 'index.json');
+    this.backend = 'json';
+    this.cachePath = path.join(path.dirname(this.indexPath), 'embedding_cache.json');
+    this._writes = Promise.resolve();
+    if (!fs.existsSync(this.indexPath)) {
+      fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+      this._writeIndex({ vectors: [] });
+    }
+  }
+
+  _readIndex() {
+    try {
+      return JSON.parse(fs.readFileSync(this.indexPath, 'utf-8'));
+    } catch (_) {
+      return { vectors: [] };
+    }
+  }
+
+  _writeIndex(index) {
+    fs.writeFileSync(this.indexPath, JSON.stringify(index), 'utf-8');
+  }
+
+  _mutate(fn) {
+    const run = this._writes.then(() => {
+      const index = this._readIndex();
+      const result = fn(index);
+      this._writeIndex(index);
+      return result;
+    });
+    this._writes = run.catch(() => {});
+    return run;
+  }
+
+  async add(items) {
+    return this._mutate(index => {
+      for (const item of items) {
+        index.vectors.push({ id: item.id || newVectorId(), text: item.text, vector: item.vector, metadata: item.metadata || {} });
+      }
+      return items.length;
+    });
+  }
+
+  async search(vector, options = {}) {
+    const { topK = 5, filter = {} } = options;
+    return this._readIndex().vectors
+      .filter(item => matchesFilter(item.metadata, filter, item.id))
+      .map(item => ({ id: item.id, text: item.text, metadata: item.metadata || {}, score: cosineSim(vector, item.vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  async lexicalSearch(query, options = {}) {
+    const { topK = 5, filter = {} } = options;
+    const bm25 = new BM25Index();
+    for (const item of this._readIndex().vectors) {
+      if (matchesFilter(item.metadata, filter, item.id)) {
+        bm25.add({ id: item.id, text: item.text, metadata: item.metadata || {} });
+      }
+    }
+    return bm25.search(query, topK);
+  }
+
+  async delete(filter = {}) {
+    return this._mutate(index => {
+      const before = index.vectors.length;
+      index.vectors = index.vectors.filter(item => !matchesFilter(item.metadata, filter, item.id));
+      return before - index.vectors.length;
+    });
+  }
+
+  async clear() {
+    return this._mutate(index => {
+      const removed = index.vectors.length;
+      index.vectors = [];
+      return removed;
+    });
+  }
+
+  async count(filter = {}) {
+    return this._readIndex().vectors.filter(item => matchesFilter(item.metadata, filter, item.id)).length;
+  }
+
+  async listChunks(filter = {}) {
+    return this._readIndex().vectors
+      .filter(item => matchesFilter(item.metadata, filter, item.id))
+      .map(item => ({ id: item.id, text: item.text, dim: (item.vector || []).length }));
+  }
+
+  async listItems(filter = {}) {
+    return this._readIndex().vectors
+      .filter(item => matchesFilter(item.metadata, filter, item.id))
+      .map(item => ({ id: item.id, text: item.text, vector: item.vector || [], metadata: item.metadata || {} }));
+  }
+
+  async updateVectors(items) {
+    const vectors = new Map(items.map(item => [item.id, item.vector]));
+    return this._mutate(index => {
+      let updated = 0;
+      for (const item of index.vectors) {
+        if (vectors.has(item.id)) {
+          item.vector = vectors.get(item.id);
+          updated++;
+        }
+      }
+      return updated;
+    });
+  }
+
+  async updateMetadata(items) {
+    const metadata = new Map(items.map(item => [item.id, item.metadata]));
+    return this._mutate(index => {
+      let updated = 0;
+      for (const item of index.vectors) {
+        if (metadata.has(item.id)) {
+          item.metadata = metadata.get(item.id) || {};
+          updated++;
+        }
+      }
+      return updated;
+    });
+  }
+
+  async getMeta(key) {
+    const meta = this._readIndex().meta || {};
+    return meta[key] === undefined ? null : meta[key];
+  }
+
+  async setMeta(key, value) {
+    return this._mutate(index => {
+      index.meta = { ...(index.meta || {}), [key]: value };
+    });
+  }
+
+  _readCache() {
+    try {
+      return JSON.parse(fs.readFileSync(this.cachePath, 'utf-8'));
+    } catch (_) {
+      return {};
+    }
+  }
+
+  async cacheGet(key) {
+    return this._readCache()[key] || null;
+  }
+
+  async cachePut(key, vector) {
+    const run = this._writes.then(() => {
+      const cache = this._readCache();
+      cache[key] = vector;
+      fs.writeFileSync(this.cachePath, JSON.stringify(cache), 'utf-8');
+    });
+    this._writes = run.catch(() => {});
+    return run;
+  }
+
+  async close() {
+    await this._writes;
+  }
+}
+
+/**
+ * SQLite backend (rag_db/vectors.sqlite)
+ * Vectors are stored as Float32 blobs with indexed docId/role/tag columns for filtering,
+ * plus an LSH bucket table used as an approximate nearest-neighbour index. Small or heavily
+ * filtered collections are scanned exactly; larger ones only score the LSH candidates.
+ * A term table (vector_terms) is the inverted index for BM25 lexical search.
+ */
+class SqliteVectorStore {
+  /**
+   * @param {Object} options - { dbDir, dbPath, annBands, annBits, annSeed, exactScanLimit, minCandidates }
+   */
+  constructor(options = {}) {
+    const sqlite3 = require('sqlite3');
+    this.backend = 'sqlite';
+    this.dbPath = options.dbPath || path.join(options.dbDir || __dirname, 'vectors.sqlite');
+    this.annBands = options.annBands || 8;
+    this.annBits = options.annBits || 10;
+    this.annSeed = options.annSeed || 1337;
+    this.exactScanLimit = options.exactScanLimit || 2000;
+    this.minCandidates = options.minCandidates || 50;
+    this.hashers = new Map(); // dim -> HyperplaneLSH
+    this._writes = Promise.resolve();
+
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    this.db = new sqlite3.Database(this.dbPath);
+    this.ready = this._initialize();
+  }
+
+  async _initialize() {
+    const statements = [
+      'PRAGMA journal_mode = WAL',
+      'PRAGMA busy_timeout = 5000',
+      `CREATE TABLE IF NOT EXISTS vectors (
+        id TEXT PRIMARY KEY,
+        doc_id TEXT,
+        role TEXT,
+        title TEXT,
+        text TEXT NOT NULL,
+        metadata TEXT,
+        dim INTEGER NOT NULL,
+        vector BLOB NOT NULL,
+        token_count INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS vector_tags (
+        vector_id TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (vector_id, tag)
+      )`,
+      `CREATE TABLE IF NOT EXISTS vector_buckets (
+        vector_id TEXT NOT NULL,
+        band INTEGER NOT NULL,
+        bucket INTEGER NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS vector_terms (
+        vector_id TEXT NOT NULL,
+        term TEXT NOT NULL,
+        tf INTEGER NOT NULL,
+        PRIMARY KEY (vector_id, term)
+      )`,
+      `CREATE TABLE IF NOT EXISTS embedding_cache (
+        key TEXT PRIMARY KEY,
+        vector BLOB NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS store_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_vectors_doc_id ON vectors(doc_id)',
+      'CREATE INDEX IF NOT EXISTS idx_vectors_role ON vectors(role)',
+      'CREATE INDEX IF NOT EXISTS idx_vector_tags_tag ON vector_tags(tag)',
+      'CREATE INDEX IF NOT EXISTS idx_vector_buckets_lookup ON vector_buckets(band, bucket)',
+      'CREATE INDEX IF NOT EXISTS idx_vector_buckets_vector ON vector_buckets(vector_id)',
+      'CREATE INDEX IF NOT EXISTS idx_vector_terms_term ON vector_terms(term)'
+    ];
+    for (const sql of statements) {
+      await this._run(sql);
+    }
+
+    // Stores created before lexical search have no term index yet
+    const columns = await this._all('PRAGMA table_info(vectors)');
+    if (!columns.some(c => c.name === 'token_count')) {
+      await this._run('ALTER TABLE vectors ADD COLUMN token_count INTEGER');
+    }
+    await this._backfillTerms();
+
+    // The index layout is fixed once vectors are hashed with it
+    const layout = await this._get("SELECT value FROM store_meta WHERE key = 'ann'");
+    if (layout) {
+      Object.assign(this, JSON.parse(layout.value));
+    } else {
+      await this._run("INSERT INTO store_meta (key, value) VALUES ('ann', ?)", [
+        JSON.stringify({ annBands: this.annBands, annBits: this.annBits, annSeed: this.annSeed })
+      ]);
+    }
+  }
+
+  async _backfillTerms() {
+    const rows = await this._all('SELECT id, text FROM vectors WHERE token_count IS NULL');
+    if (!rows.length) return;
+    await this._run('BEGIN IMMEDIATE');
+    try {
+      for (const row of rows) {
+        await this._indexTerms(row.id, row.text);
+      }
+      await this._run('COMMIT');
+      console.log(`🔤 Built lexical index for ${rows.length} stored chunks`);
+    } catch (error) {
+      await this._run('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  }
+
+  async _indexTerms(id, text) {
+    const { terms, length } = termFrequencies(text);
+    await this._run('DELETE FROM vector_terms WHERE vector_id = ?', [id]);
+    for (const [term, tf] of terms) {
+      await this._run('INSERT INTO vector_terms (vector_id, term, tf) VALUES (?, ?, ?)', [id, term, tf]);
+    }
+    await this._run('UPDATE vectors SET token_count = ? WHERE id = ?', [length, id]);
+  }
+
+  _run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ changes: this.changes });
+      });
+    });
+  }
+
+  _get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  }
+
+  _all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+
+  /**
+   * Run writes one transaction at a time on this connection
+   * (other processes are handled by SQLite's own locking and busy_timeout)
+   */
+  _transaction(fn) {
+    const run = this._writes.then(async () => {
+      await this.ready;
+      await this._run('BEGIN IMMEDIATE');
+      try {
+        const result = await fn();
+        await this._run('COMMIT');
+        return result;
+      } catch (error) {
+        await this._run('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    });
+    this._writes = run.catch(() => {});
+    return run;
+  }
+
+  _hasher(dim) {
+    if (!this.hashers.has(dim)) {
+      this.hashers.set(dim, new HyperplaneLSH({ dim, bands: this.annBands, bits: this.annBits, seed: this.annSeed }));
+    }
+    return this.hashers.get(dim);
+  }
+
+  _encode(vector) {
+    return Buffer.from(Float32Array.from(vector).buffer);
+  }
+
+  _decode(blob) {
+    // Copy into an aligned buffer before viewing as floats
+    return new Float32Array(Uint8Array.from(blob).buffer);
+  }
+
+  /**
+   * Translate a store filter into SQL conditions on the `vectors` table (aliased v)
+   */
+  _where(filter = {}) {
+    const clauses = [];
+    const params = [];
+    if (filter.ids) {
+      if (!filter.ids.length) return { sql: '0', params: [] };
+      clauses.push(`v.id IN (${filter.ids.map(() => '?').join(', ')})`);
+      params.push(...filter.ids);
+    }
+    if (filter.docId !== undefined) {
+      clauses.push('v.doc_id = ?');
+      params.push(filter.docId);
+    }
+    if (filter.docIds) {
+      if (!filter.docIds.length) return { sql: '0', params: [] };
+      clauses.push(`v.doc_id IN (${filter.docIds.map(() => '?').join(', ')})`);
+      params.push(...filter.docIds);
+    }
+    if (filter.role !== undefined) {
+      clauses.push('v.role = ?');
+      params.push(filter.role);
+    }
+    if (filter.title !== undefined) {
+      clauses.push('v.title = ?');
+      params.push(filter.title);
+    }
+    if (filter.tags && filter.tags.length) {
+      clauses.push(`v.id IN (SELECT vector_id FROM vector_tags WHERE tag IN (${filter.tags.map(() => '?').join(', ')}))`);
+      params.push(...filter.tags);
+    }
+    return { sql: clauses.length ? clauses.join(' AND ') : '1', params };
+  }
+
+  async add(items) {
+    if (!items?.length) return 0;
+    return this._transaction(async () => {
+      let added = 0;
+      for (const item of items) {
+        if (!item.vector?.length) continue;
+        const id = item.id || newVectorId();
+        const metadata = item.metadata || {};
+        await this._run(
+          `INSERT OR REPLACE INTO vectors (id, doc_id, role, title, text, metadata, dim, vector)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [id, metadata.docId || null, metadata.role || null, metadata.title || null, item.text,
+            JSON.stringify(metadata), item.vector.length, this._encode(item.vector)]
+        );
+        await this._run('DELETE FROM vector_tags WHERE vector_id = ?', [id]);
+        for (const tag of new Set(metadata.tags || [])) {
+          await this._run('INSERT INTO vector_tags (vector_id, tag) VALUES (?, ?)', [id, String(tag)]);
+        }
+        await this._run('DELETE FROM vector_buckets WHERE vector_id = ?', [id]);
+        const buckets = this._hasher(item.vector.length).hash(item.vector);
+        for (let band = 0; band < buckets.length; band++) {
+          await this._run('INSERT INTO vector_buckets (vector_id, band, bucket) VALUES (?, ?, ?)', [id, band, buckets[band]]);
+        }
+        await this._indexTerms(id, item.text);
+        added++;
+      }
+      return added;
+    });
+  }
+
+  async search(vector, options = {}) {
+    const { topK = 5, filter = {} } = options;
+    if (!vector?.length) return [];
+    await this.ready;
+
+    const where = this._where(filter);
+    const dimClause = `v.dim = ? AND ${where.sql}`;
+    const dimParams = [vector.length, ...where.params];
+
+    let rows = null;
+    const { total } = await this._get(`SELECT COUNT(*) AS total FROM vectors v WHERE ${dimClause}`, dimParams);
+    if (!total) return [];
+
+    if (total > this.exactScanLimit) {
+      // Approximate: only score vectors sharing a (nearby) bucket with the query in some band
+      const probes = this._hasher(vector.length).probes(vector);
+      const bandSql = probes.map(list => `(band = ? AND bucket IN (${list.map(() => '?').join(', ')}))`).join(' OR ');
+      const bandParams = probes.flatMap((list, band) => [band, ...list]);
+      const candidates = await this._all(
+        `SELECT v.id, v.text, v.metadata, v.vector FROM vectors v
+         WHERE ${dimClause} AND v.id IN (SELECT vector_id FROM vector_buckets WHERE ${bandSql})`,
+        [...dimParams, ...bandParams]
+      );
+      if (candidates.length >= Math.max(topK, this.minCandidates)) rows = candidates;
+    }
+
+    if (!rows) {
+      rows = await this._all(`SELECT v.id, v.text, v.metadata, v.vector FROM vectors v WHERE ${dimClause}`, dimParams);
+    }
+
+    return rows
+      .map(row => ({
+        id: row.id,
+        text: row.text,
+        metadata: JSON.parse(row.metadata || '{}'),
+        score: cosineSim(vector, this._decode(row.vector))
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  async lexicalSearch(query, options = {}) {
+    const { topK = 5, filter = {} } = options;
+    const queryTerms = [...new Set(tokenize(query))];
+    if (!queryTerms.length) return [];
+    await this.ready;
+
+    const termList = queryTerms.map(() => '?').join(', ');
+    const corpus = await this._get('SELECT COUNT(*) AS docCount, AVG(token_count) AS avgDocLength FROM vectors');
+    if (!corpus.docCount) return [];
+    const docFreq = new Map(
+      (await this._all(`SELECT term, COUNT(*) AS df FROM vector_terms WHERE term IN (${termList}) GROUP BY term`, queryTerms))
+        .map(row => [row.term, row.df])
+    );
+    if (!docFreq.size) return [];
+
+    const where = this._where(filter);
+    const postings = await this._all(
+      `SELECT t.vector_id, t.term, t.tf, v.token_count FROM vector_terms t
+       JOIN vectors v ON v.id = t.vector_id
+       WHERE t.term IN (${termList}) AND ${where.sql}`,
+      [...queryTerms, ...where.params]
+    );
+
+    const scores = new Map();
+    for (const posting of postings) {
+      const score = bm25Term({
+        tf: posting.tf,
+        df: docFreq.get(posting.term),
+        docLength: posting.token_count || 0,
+        docCount: corpus.docCount,
+        avgDocLength: corpus.avgDocLength
+      });
+      scores.set(posting.vector_id, (scores.get(posting.vector_id) || 0) + score);
+    }
+
+    const top = [...scores.entries()].sort((a, b) => b[1] - a[1]).slice(0, topK);
+    if (!top.length) return [];
+    const rows = await this._all(
+      `SELECT id, text, metadata FROM vectors WHERE id IN (${top.map(() => '?').join(', ')})`,
+      top.map(([id]) => id)
+    );
+    const byId = new Map(rows.map(row => [row.id, row]));
+    return top
+      .filter(([id]) => byId.has(id))
+      .map(([id, score]) => ({ id, text: byId.get(id).text, metadata: JSON.parse(byId.get(id).metadata || '{}'), score }));
+  }
+
+  async delete(filter = {}) {
+    const where = this._where(filter);
+    return this._transaction(async () => {
+      // Resolve ids first: a tag filter reads vector_tags, which is cleared below
+      await this._run('CREATE TEMP TABLE IF NOT EXISTS doomed_vectors (id TEXT PRIMARY KEY)');
+      await this._run('DELETE FROM doomed_vectors');
+      await this._run(`INSERT INTO doomed_vectors (id) SELECT v.id FROM vectors v WHERE ${where.sql}`, where.params);
+      await this._run('DELETE FROM vector_tags WHERE vector_id IN (SELECT id FROM doomed_vectors)');
+      await this._run('DELETE FROM vector_buckets WHERE vector_id IN (SELECT id FROM doomed_vectors)');
+      await this._run('DELETE FROM vector_terms WHERE vector_id IN (SELECT id FROM doomed_vectors)');
+      const { changes } = await this._run('DELETE FROM vectors WHERE id IN (SELECT id FROM doomed_vectors)');
+      await this._run('DELETE FROM doomed_vectors');
+      return changes;
+    });
+  }
+
+  async clear() {
+    return this.delete({});
+  }
+
+  async count(filter = {}) {
+    await this.ready;
+    const where = this._where(filter);
+    const row = await this._get(`SELECT COUNT(*) AS total FROM vectors v WHERE ${where.sql}`, where.params);
+    return row.total;
+  }
+
+  async listChunks(filter = {}) {
+    await this.ready;
+    const where = this._where(filter);
+    return this._all(`SELECT v.id, v.text, v.dim FROM vectors v WHERE ${where.sql} ORDER BY v.rowid`, where.params);
+  }
+
+  async listItems(filter = {}) {
+    await this.ready;
+    const where = this._where(filter);
+    const rows = await this._all(`SELECT v.id, v.text, v.metadata, v.vector FROM vectors v WHERE ${where.sql} ORDER BY v.rowid`, where.params);
+    return rows.map(row => ({
+      id: row.id,
+      text: row.text,
+      vector: Array.from(this._decode(row.vector)),
+      metadata: JSON.parse(row.metadata || '{}')
+    }));
+  }
+
+  async updateVectors(items) {
+    if (!items?.length) return 0;
+    return this._transaction(async () => {
+      let updated = 0;
+      for (const { id, vector } of items) {
+        if (!vector?.length) continue;
+        const { changes } = await this._run('UPDATE vectors SET vector = ?, dim = ? WHERE id = ?', [this._encode(vector), vector.length, id]);
+        if (!changes) continue;
+        await this._run('DELETE FROM vector_buckets WHERE vector_id = ?', [id]);
+        const buckets = this._hasher(vector.length).hash(vector);
+        for (let band = 0; band < buckets.length; band++) {
+          await this._run('INSERT INTO vector_buckets (vector_id, band, bucket) VALUES (?, ?, ?)', [id, band, buckets[band]]);
+        }
+        updated++;
+      }
+      return updated;
+    });
+  }
+
+  async updateMetadata(items) {
+    if (!items?.length) return 0;
+    return this._transaction(async () => {
+      let updated = 0;
+      for (const { id, metadata = {} } of items) {
+        const { changes } = await this._run(
+          'UPDATE vectors SET doc_id = ?, role = ?, title = ?, metadata = ? WHERE id = ?',
+          [metadata.docId || null, metadata.role || null, metadata.title || null, JSON.stringify(metadata), id]
+        );
+        if (!changes) continue;
+        await this._run('DELETE FROM vector_tags WHERE vector_id = ?', [id]);
+        for (const tag of new Set(metadata.tags || [])) {
+          await this._run('INSERT INTO vector_tags (vector_id, tag) VALUES (?, ?)', [id, String(tag)]);
+        }
+        updated++;
+      }
+      return updated;
+    });
+  }
+
+  async getMeta(key) {
+    await this.ready;
+    const row = await this._get('SELECT value FROM store_meta WHERE key = ?', [key]);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async setMeta(key, value) {
+    await this.ready;
+    await this._run('INSERT OR REPLACE INTO store_meta (key, value) VALUES (?, ?)', [key, JSON.stringify(value)]);
+  }
+
+  async cacheGet(key) {
+    await this.ready;
+    const row = await this._get('SELECT vector FROM embedding_cache WHERE key = ?', [key]);
+    return row ? Array.from(this._decode(row.vector)) : null;
+  }
+
+  async cachePut(key, vector) {
+    await this.ready;
+    await this._run('INSERT OR REPLACE INTO embedding_cache (key, vector) VALUES (?, ?)', [key, this._encode(vector)]);
+  }
+
+  /**
+   * Import a legacy rag_db/index.json into this store
+   * @param {string} indexPath - Path to index.json
+   * @param {Object} options - { rename: move the file to index.json.migrated afterwards (default true) }
+   * @returns {Promise<Object>} - { imported, skipped }
+   */
+  async importJsonIndex(indexPath, options = {}) {
+    const { rename = true } = options;
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+    const vectors = Array.isArray(index.vectors) ? index.vectors : [];
+    const valid = vectors.filter(item => item && typeof item.text === 'string' && Array.isArray(item.vector) && item.vector.length);
+
+    const batchSize = 200;
+    let imported = 0;
+    for (let i = 0; i < valid.length; i += batchSize) {
+      imported += await this.add(valid.slice(i, i + batchSize).map(item => ({
+        id: item.id,
+        text: item.text,
+        vector: item.vector,
+        metadata: item.metadata || {}
+      })));
+    }
+
+    if (rename) {
+      fs.renameSync(indexPath, `${indexPath}.migrated`);
+    }
+    return { imported, skipped: vectors.length - imported };
+  }
+
+  async close() {
+    await this._writes;
+    await this.ready.catch(() => {});
+    return new Promise(resolve => this.db.close(() => resolve()));
+  }
+}
+
+/**
+ * Create the configured vector store for a rag_db directory
+ * @param {Object} options - { backend: 'sqlite' | 'json', dbDir, ...backend options }
+ * @returns {JsonVectorStore|SqliteVectorStore}
+ */
+function createVectorStore(options = {}) {
+  const backend = (options.backend || 'sqlite').toLowerCase();
+  if (backend === 'json') {
+    return new JsonVectorStore(options);
+  }
+  try {
+    return new SqliteVectorStore(options);
+  } catch (error) {
+    console.warn(`⚠️ SQLite vector store unavailable (${error.message}), falling back to index.json`);
+    return new JsonVectorStore(options);
+  }
+}
+
+module.exports = {
+  createVectorStore,
+  SqliteVectorStore,
+  JsonVectorStore,
+  HyperplaneLSH,
+  matchesFilter,
+  cosineSim
+};
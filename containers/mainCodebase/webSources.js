@@ -0,0 +1,386 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { MODES, normalizeUrl } = require('./crawler.js');
+
+/**
+ * Web sources of one bot: a page, a sitemap or a site crawl whose pages are kept as documents
+ * Each crawl goes through the ingestion job queue: new pages become documents (with their URL as
+ * `sourceUrl`, for citations), pages whose text changed are replaced as new versions (only changed chunks
+ * are re-embedded), unchanged pages are left alone and pages that now answer 404/410 are removed. A page
+ * whose text is already in the knowledge base (same content hash) is skipped as a duplicate.
+ * Sources with `recrawlHours` are crawled again on that schedule. Crawls run one at a time; sources are
+ * kept in web_sources.json and a crawl cut off by a restart starts over when the bot comes back.
+ */
+
+const MAX_REPORTED_SKIPS = 20;
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(String(text || ''), 'utf-8').digest('hex');
+}
+
+function emptyReport() {
+  return { pages: 0, added: 0, updated: 0, unchanged: 0, duplicates: 0, removed: 0, skipped: 0, skips: [] };
+}
+
+class WebSources {
+  /**
+   * @param {Object} options - { baseDir, docStore, ingestJobs, crawler, deleteDocument, limits }
+   *   deleteDocument(docId) removes a document and its vectors (AIChatbot.deleteDocument)
+   *   limits: config.crawler (maxPages, defaultMaxPages, maxDepth, minRecrawlHours, checkIntervalMs)
+   */
+  constructor(options = {}) {
+    this.storePath = path.join(options.baseDir || __dirname, 'web_sources.json');
+    this.docStore = options.docStore;
+    this.ingestJobs = options.ingestJobs;
+    this.crawler = options.crawler;
+    this.deleteDocument = options.deleteDocument;
+    this.limits = options.limits || {};
+    this.sources = this._load(); // id -> source
+    this.listeners = new Set();
+    this.running = null;
+    this.stopped = true;
+    this.timer = null;
+  }
+
+  /**
+   * Add a source and queue its first crawl
+   * @param {Object} input - { url, mode: 'page' | 'sitemap' | 'crawl', maxDepth, maxPages, includePaths,
+   *   excludePaths, tags, recrawlHours } (recrawlHours 0 or omitted: only crawled on request)
+   * @returns {Object} - The source
+   */
+  create(input = {}) {
+    const settings = this._settings(input);
+    const duplicate = [...this.sources.values()].find(source => source.url === settings.url && source.mode === settings.mode);
+    if (duplicate) {
+      throw Object.assign(new Error(`${settings.url} is already a web source`), { status: 409 });
+    }
+    const now = new Date().toISOString();
+    const source = {
+      id: crypto.randomUUID(),
+      ...settings,
+      state: 'queued',
+      lastCrawl: null,
+      nextCrawlAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.sources.set(source.id, source);
+    this._save();
+    this._emit(source);
+    this._pump();
+    return this._view(source);
+  }
+
+  list() {
+    return [...this.sources.values()].map(source => this._view(source));
+  }
+
+  get(id) {
+    return this._view(this._require(id));
+  }
+
+  /**
+   * Change a source's limits, tags or schedule (its URL and mode stay); applies from the next crawl
+   */
+  update(id, changes = {}) {
+    const source = this._require(id);
+    const settings = this._settings({ ...source, ...changes, url: source.url, mode: source.mode });
+    const nextCrawlAt = settings.recrawlHours && source.lastCrawl && source.lastCrawl.finishedAt
+      ? new Date(Date.parse(source.lastCrawl.finishedAt) + settings.recrawlHours * 3600000).toISOString()
+      : null;
+    this._update(source, { ...settings, nextCrawlAt });
+    return this._view(source);
+  }
+
+  /**
+   * Queue a crawl now
+   */
+  crawlNow(id) {
+    const source = this._require(id);
+    if (source.state !== 'idle') {
+      throw Object.assign(new Error(`A crawl of ${source.url} is already ${source.state}`), { status: 409 });
+    }
+    this._update(source, { state: 'queued' });
+    this._pump();
+    return this._view(source);
+  }
+
+  /**
+   * Remove a source, and unless keepDocuments, the documents made from its pages
+   * @returns {Promise<Object>} - { source, removedDocuments }
+   */
+  async remove(id, { keepDocuments = false } = {}) {
+    const source = this._require(id);
+    this.sources.delete(id);
+    this._save();
+
+    let removedDocuments = 0;
+    if (!keepDocuments) {
+      for (const job of this.ingestJobs.listActive()) {
+        if (job.webSourceId === id && !job.cancelRequested) this.ingestJobs.cancel(job.id);
+      }
+      for (const doc of this._documents(id)) {
+        const result = await this.deleteDocument(doc.id);
+        if (result.success) removedDocuments++;
+      }
+    }
+    this._emit({ ...source, state: 'removed' });
+    return { source: this._view(source), removedDocuments };
+  }
+
+  isCrawling() {
+    return [...this.sources.values()].some(source => source.state !== 'idle');
+  }
+
+  /**
+   * Listen to source changes
+   * @param {Function} listener - Called with the source after every change
+   * @returns {Function} - Unsubscribe
+   */
+  onUpdate(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Start crawling: queued crawls (including ones cut off by a restart) and, every checkIntervalMs,
+   * the sources whose re-crawl is due
+   */
+  start() {
+    this.stopped = false;
+    for (const source of this.sources.values()) {
+      if (source.state === 'crawling') this._update(source, { state: 'queued' });
+    }
+    const check = () => {
+      const now = Date.now();
+      for (const source of this.sources.values()) {
+        if (source.state === 'idle' && source.nextCrawlAt && Date.parse(source.nextCrawlAt) <= now) {
+          this._update(source, { state: 'queued' });
+        }
+      }
+      this._pump();
+    };
+    clearInterval(this.timer);
+    this.timer = setInterval(check, this.limits.checkIntervalMs || 60000);
+    if (this.timer.unref) this.timer.unref();
+    check();
+  }
+
+  /**
+   * Stop after the current page, leaving the crawl to the next instance (the bot is being unloaded)
+   */
+  stop() {
+    this.stopped = true;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  _pump() {
+    if (this.running || this.stopped) return;
+    const source = [...this.sources.values()].find(item => item.state === 'queued');
+    if (!source) return;
+    this.running = source;
+    this._crawl(source)
+      .catch(error => console.error(`❌ Crawl of ${source.url} failed: ${error.message}`))
+      .finally(() => {
+        this.running = null;
+        this._pump();
+      });
+  }
+
+  async _crawl(source) {
+    const report = emptyReport();
+    const startedAt = new Date().toISOString();
+    this._update(source, { state: 'crawling', lastCrawl: { ...report, startedAt, finishedAt: null, error: null } });
+    const removed = () => !this.sources.has(source.id);
+    const progress = () => this._update(source, { lastCrawl: { ...source.lastCrawl, ...report } });
+    const skip = (url, reason) => {
+      report.skipped++;
+      if (report.skips.length < MAX_REPORTED_SKIPS) report.skips.push({ url, reason });
+    };
+
+    // Content hashes of the knowledge base, for duplicate pages
+    const hashes = new Map(this.docStore.listDocuments().map(doc => [hashText(doc.text), doc.id]));
+    let error = null;
+    try {
+      await this.crawler.crawl(source, {
+        shouldStop: () => this.stopped || removed(),
+        onSkip: (url, reason) => {
+          skip(url, reason);
+          progress();
+        },
+        onPage: async (page) => {
+          report.pages++;
+          this._syncPage(source, page, hashes, report, skip);
+          progress();
+        },
+        onMissing: async (url) => {
+          const doc = this._documents(source.id).find(item => item.sourceUrl === url);
+          if (doc && (await this.deleteDocument(doc.id)).success) {
+            report.removed++;
+            console.log(`🧹 ${url} is gone; its document was removed`);
+          } else {
+            skip(url, 'not found');
+          }
+          progress();
+        }
+      });
+    } catch (e) {
+      error = e;
+    }
+    if (removed() || (this.stopped && !error)) return;
+
+    const finishedAt = new Date().toISOString();
+    this._update(source, {
+      state: 'idle',
+      lastCrawl: { ...report, startedAt, finishedAt, error: error ? error.message : null },
+      nextCrawlAt: source.recrawlHours ? new Date(Date.now() + source.recrawlHours * 3600000).toISOString() : null
+    });
+    if (error) throw error;
+    console.log(`🕸️ Crawled ${source.url}: ${report.pages} pages, ${report.added} added, ${report.updated} updated, ${report.unchanged} unchanged, ${report.duplicates} duplicates, ${report.removed} removed`);
+  }
+
+  /**
+   * Queue a page read by the crawler: a new document, a new version of the page's document, or nothing
+   */
+  _syncPage(source, page, hashes, report, skip) {
+    const hash = hashText(page.text);
+    if (this.ingestJobs.listActive().some(job => job.webSourceId === source.id && job.sourceUrl === page.url)) {
+      skip(page.url, 'still being indexed');
+      return;
+    }
+
+    const doc = this._documents(source.id).find(item => item.sourceUrl === page.url);
+    if (doc && hashText(doc.text) === hash) {
+      report.unchanged++;
+      return;
+    }
+    if (hashes.has(hash) && (!doc || hashes.get(hash) !== doc.id)) {
+      report.duplicates++;
+      return;
+    }
+
+    const input = { kind: 'text', text: page.text, format: page.format, mimetype: page.mimetype, sourceUrl: page.url, webSourceId: source.id };
+    if (doc) {
+      // The document keeps its title and tags, which the owner may have edited
+      this.ingestJobs.enqueue({ ...input, replaces: doc.id });
+      report.updated++;
+    } else {
+      this.ingestJobs.enqueue({ ...input, title: page.title, tags: source.tags });
+      report.added++;
+    }
+    hashes.set(hash, doc ? doc.id : page.url);
+  }
+
+  /**
+   * Validated source settings
+   */
+  _settings(input) {
+    const fail = (message) => {
+      throw Object.assign(new Error(message), { status: 400 });
+    };
+    const url = normalizeUrl(input.url);
+    if (!url) fail('url must be an http(s) URL');
+    const mode = input.mode === undefined ? 'page' : input.mode;
+    if (!MODES.includes(mode)) fail(`mode must be one of: ${MODES.join(', ')}`);
+
+    const integer = (value, name, min, max, fallback) => {
+      if (value === undefined || value === null || value === '') return fallback;
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < min || number > max) fail(`${name} must be a whole number from ${min} to ${max}`);
+      return number;
+    };
+    const maxPagesCap = this.limits.maxPages || 200;
+    const maxDepthCap = this.limits.maxDepth || 5;
+    const maxPages = mode === 'page' ? 1 : integer(input.maxPages, 'maxPages', 1, maxPagesCap, Math.min(this.limits.defaultMaxPages || 50, maxPagesCap));
+    const maxDepth = mode === 'crawl' ? integer(input.maxDepth, 'maxDepth', 0, maxDepthCap, Math.min(2, maxDepthCap)) : 0;
+
+    const paths = (value, name) => {
+      if (value === undefined || value === null) return [];
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim().startsWith('/'))) {
+        fail(`${name} must be an array of paths starting with /`);
+      }
+      return [...new Set(value.map(item => item.trim()))];
+    };
+    if (input.tags !== undefined && (!Array.isArray(input.tags) || input.tags.some(tag => typeof tag !== 'string'))) {
+      fail('tags must be an array of strings');
+    }
+    const tags = input.tags === undefined ? ['web'] : [...new Set(input.tags.map(tag => tag.trim()).filter(Boolean))];
+
+    const minHours = this.limits.minRecrawlHours || 1;
+    const recrawlHours = input.recrawlHours ? Number(input.recrawlHours) : 0;
+    if (!Number.isFinite(recrawlHours) || (recrawlHours && recrawlHours < minHours)) {
+      fail(`recrawlHours must be 0 (off) or at least ${minHours}`);
+    }
+
+    return {
+      url,
+      mode,
+      maxDepth,
+      maxPages,
+      includePaths: paths(input.includePaths, 'includePaths'),
+      excludePaths: paths(input.excludePaths, 'excludePaths'),
+      tags,
+      recrawlHours
+    };
+  }
+
+  // Documents made from a source's pages
+  _documents(id) {
+    return this.docStore.listDocuments().filter(doc => doc.webSourceId === id);
+  }
+
+  _require(id) {
+    const source = this.sources.get(id);
+    if (!source) throw Object.assign(new Error('Web source not found'), { status: 404 });
+    return source;
+  }
+
+  _update(source, changes) {
+    Object.assign(source, changes, { updatedAt: new Date().toISOString() });
+    if (this.sources.has(source.id)) this._save();
+    this._emit(source);
+  }
+
+  _emit(source) {
+    const view = this._view(source);
+    for (const listener of this.listeners) {
+      try {
+        listener(view);
+      } catch (error) {
+        console.warn('⚠️ Web source listener failed:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Public shape of a source, with the number of documents made from it
+   */
+  _view(source) {
+    return {
+      ...source,
+      lastCrawl: source.lastCrawl ? { ...source.lastCrawl, skips: [...source.lastCrawl.skips] } : null,
+      documents: source.state === 'removed' ? 0 : this._documents(source.id).length
+    };
+  }
+
+  _load() {
+    try {
+      const { sources } = JSON.parse(fs.readFileSync(this.storePath, 'utf-8'));
+      return new Map((sources || []).map(source => [source.id, source]));
+    } catch (_) {
+      return new Map();
+    }
+  }
+
+  _save() {
+    try {
+      fs.writeFileSync(this.storePath, JSON.stringify({ sources: [...this.sources.values()] }, null, 2), 'utf-8');
+    } catch (error) {
+      console.warn('⚠️ Could not save web sources:', error.message);
+    }
+  }
+}
+
+module.exports = { WebSources, hashText };
@@ -5,6 +5,7 @@ import LoginForm from './components/LoginForm';
 import Dashboard from './components/Dashboard';
 import CreateAIForm from './components/CreateAIForm';
 import MusicSpaces from './components/MusicSpaces';
+import WidgetChat from './components/WidgetChat';
 import { MusicProvider } from './contexts/MusicContext';
 import { sessionManager } from './utils/sessionManager';
 
@@ -41,6 +42,11 @@ function App() {
     sessionManager.clearSession();
   };
 
+  // The website widget frame (served by the backend at /widget/frame) is a standalone page without login
+  if (window.location.pathname === '/widget/frame') {
+    return <WidgetChat />;
+  }
+
   if (loading) {
     return (
       <AppContainer>
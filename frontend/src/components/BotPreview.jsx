@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useRef } from 'react';
+import styled from 'styled-components';
+import { apiService } from '../services/api';
+
+const Pane = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 12px;
+  background: rgba(255, 255, 255, 0.95);
+  border-radius: 15px;
+  box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
+  padding: 20px;
+  min-height: 500px;
+`;
+
+const PaneHeader = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+`;
+
+const PaneTitle = styled.h3`
+  margin: 0;
+  color: #333;
+  font-size: 1.05rem;
+`;
+
+const Status = styled.span`
+  color: ${props => props.error ? '#e74c3c' : '#999'};
+  font-size: 0.8rem;
+`;
+
+const Messages = styled.div`
+  flex: 1;
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+  overflow-y: auto;
+  max-height: 420px;
+  padding: 4px;
+`;
+
+const Bubble = styled.div`
+  align-self: ${props => props.user ? 'flex-end' : 'flex-start'};
+  max-width: 85%;
+  padding: 10px 14px;
+  border-radius: 12px;
+  font-size: 0.9rem;
+  line-height: 1.4;
+  white-space: pre-wrap;
+  word-break: break-word;
+  background: ${props => props.user ? 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)' : '#f1f3f7'};
+  color: ${props => props.user ? 'white' : '#333'};
+`;
+
+const Suggestions = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 6px;
+`;
+
+const Suggestion = styled.button`
+  background: #f5f6fa;
+  color: #555;
+  border: 1px solid #e1e5e9;
+  border-radius: 14px;
+  padding: 5px 10px;
+  font-size: 0.8rem;
+  cursor: pointer;
+
+  &:hover {
+    border-color: #667eea;
+    color: #667eea;
+  }
+`;
+
+const InputRow = styled.form`
+  display: flex;
+  gap: 8px;
+`;
+
+const Input = styled.input`
+  flex: 1;
+  padding: 10px 14px;
+  border: 2px solid #e1e5e9;
+  border-radius: 8px;
+  font-size: 0.95rem;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+const SendButton = styled.button`
+  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+  color: white;
+  border: none;
+  padding: 10px 16px;
+  border-radius: 8px;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+// Wait for typing to settle before rebuilding the draft bot
+const UPDATE_DELAY_MS = 800;
+
+/**
+ * Live preview of the bot being built: chats with an unsaved draft bot that follows the builder's settings
+ * @param {Object} props - { sessionId, spec } settings as sent to create_ai (null while invalid),
+ *   { sampleQuestions } suggested first messages, { onDraftChange } called with the draft ID
+ */
+function BotPreview({ sessionId, spec, sampleQuestions = [], onDraftChange }) {
+  const [draftId, setDraftId] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [input, setInput] = useState('');
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+  const [sending, setSending] = useState(false);
+  const draftRef = useRef(null);
+  const specKey = spec ? JSON.stringify(spec) : '';
+
+  // Create the draft on the first valid settings, then push every change to it
+  useEffect(() => {
+    if (!specKey) return undefined;
+    const timer = setTimeout(async () => {
+      const settings = JSON.parse(specKey);
+      setStatus(draftRef.current ? 'Applying changes...' : 'Starting preview...');
+      let response = draftRef.current
+        ? await apiService.updateDraft(sessionId, draftRef.current, settings)
+        : null;
+      if (!response || response.status === 404) {
+        // First run, or the draft expired while the builder sat idle
+        response = await apiService.createDraft(sessionId, settings);
+        if (response.success) {
+          draftRef.current = response.draftId;
+          setDraftId(response.draftId);
+          if (onDraftChange) onDraftChange(response.draftId);
+        }
+      }
+      if (response.success) {
+        setStatus('Preview is up to date');
+        setError('');
+      } else {
+        setStatus('');
+        setError(response.message || 'Preview unavailable');
+      }
+    }, UPDATE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [specKey, sessionId, onDraftChange]);
+
+  // The draft only lives as long as the builder
+  useEffect(() => () => {
+    if (draftRef.current) apiService.discardDraft(sessionId, draftRef.current);
+  }, [sessionId]);
+
+  const send = async (text) => {
+    const message = text.trim();
+    if (!message || !draftId || sending) return;
+    setInput('');
+    setSending(true);
+    setMessages(current => [...current, { role: 'user', content: message }]);
+    const response = await apiService.chatWithDraft(sessionId, draftId, message);
+    setSending(false);
+    setMessages(current => [...current, {
+      role: 'ai',
+      content: response.success ? response.response : `⚠️ ${response.message}`
+    }]);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    send(input);
+  };
+
+  return (
+    <Pane>
+      <PaneHeader>
+        <PaneTitle>Live preview</PaneTitle>
+        <Status error={!!error}>{error || status}</Status>
+      </PaneHeader>
+
+      <Messages>
+        {messages.length === 0 && (
+          <Status>
+            {spec ? 'Ask the draft bot something. It is not saved and has no documents yet.' : 'Enter a name and description to start the preview.'}
+          </Status>
+        )}
+        {messages.map((message, index) => (
+          <Bubble key={index} user={message.role === 'user'}>{message.content}</Bubble>
+        ))}
+        {sending && <Bubble>...</Bubble>}
+      </Messages>
+
+      {draftId && sampleQuestions.length > 0 && (
+        <Suggestions>
+          {sampleQuestions.map(question => (
+            <Suggestion key={question} type="button" onClick={() => send(question)}>{question}</Suggestion>
+          ))}
+        </Suggestions>
+      )}
+
+      <InputRow onSubmit={handleSubmit}>
+        <Input
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder={draftId ? 'Message the draft bot...' : 'Waiting for preview...'}
+          disabled={!draftId}
+          maxLength={4000}
+        />
+        <SendButton type="submit" disabled={!draftId || sending || !input.trim()}>Send</SendButton>
+      </InputRow>
+    </Pane>
+  );
+}
+
+export default BotPreview;
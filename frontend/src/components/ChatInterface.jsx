@@ -1,232 +1,8 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import styled from 'styled-components';
 import { apiService } from '../services/api';
 import MiniMusicPlayer from './MiniMusicPlayer';
-
-// Citation Button Component with Popup
-function CitationButton({ source, citationNum }) {
-  const [showPopup, setShowPopup] = useState(false);
-  const popupRef = useRef(null);
-
-  useEffect(() => {
-    function handleClickOutside(event) {
-      if (popupRef.current && !popupRef.current.contains(event.target)) {
-        setShowPopup(false);
-      }
-    }
-
-    if (showPopup) {
-      document.addEventListener('mousedown', handleClickOutside);
-      return () => document.removeEventListener('mousedown', handleClickOutside);
-    }
-  }, [showPopup]);
-
-  const handleClick = (e) => {
-    e.preventDefault();
-    setShowPopup(!showPopup);
-  };
-
-  // Prepare short description and reliability label for popup
-  const description = (source.description || source.snippet || '').trim();
-  const shortDesc = description ? description.replace(/\s+/g, ' ').slice(0, 200) : 'No preview available';
-  const reliability = (source.reliability || 'Unknown').trim();
-
-  return (
-    <span style={{ position: 'relative', display: 'inline-block' }}>
-      <button
-        onClick={handleClick}
-        style={{
-          background: 'none',
-          border: 'none',
-          color: '#667eea',
-          textDecoration: 'underline',
-          cursor: 'pointer',
-          padding: '2px 4px',
-          borderRadius: '3px',
-          fontSize: 'inherit',
-          fontWeight: '600'
-        }}
-        onMouseEnter={(e) => e.target.style.backgroundColor = '#f0f4ff'}
-        onMouseLeave={(e) => e.target.style.backgroundColor = 'transparent'}
-      >
-        [{citationNum}]
-      </button>
-      
-      {showPopup && (
-        <div
-          ref={popupRef}
-          style={{
-            position: 'absolute',
-            top: '100%',
-            left: '50%',
-            transform: 'translateX(-50%)',
-            backgroundColor: 'white',
-            border: '1px solid #e1e5e9',
-            borderRadius: '8px',
-            padding: '12px',
-            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
-            zIndex: 1000,
-            minWidth: '300px',
-            maxWidth: '400px',
-            marginTop: '4px'
-          }}
-        >
-          <div style={{ fontSize: '14px', fontWeight: '600', color: '#333', marginBottom: '8px' }}>
-            {source.title}
-          </div>
-          <div style={{ fontSize: '12px', color: '#666', marginBottom: '8px', lineHeight: '1.4' }}>{shortDesc}</div>
-          <div style={{ fontSize: '11px', color: '#999', marginBottom: '8px' }}>Reliability: {reliability}</div>
-          <a
-            href={source.url}
-            target="_blank"
-            rel="noreferrer"
-            style={{
-              fontSize: '12px',
-              color: '#667eea',
-              textDecoration: 'underline',
-              display: 'block'
-            }}
-          >
-            View Source →
-          </a>
-        </div>
-      )}
-    </span>
-  );
-}
-
-function renderMessageText(text) {
-  if (typeof text !== 'string') return text;
-  
-  // Detect trailing Sources section and make it collapsible
-  const sourcesMatch = text.match(/^(.*?)\n\nSources:\n(.*)$/s);
-  if (sourcesMatch) {
-    const [_, body, sourcesBlock] = sourcesMatch;
-    const links = sourcesBlock
-      .split(/\n+/)
-      .map(l => l.trim())
-      .filter(Boolean);
-
-    // Extract source data for inline citations with optional description and reliability
-    const sourceData = links.map((line, idx) => {
-      // Supported formats:
-      // - [Title](URL)
-      // - [Title](URL) - short description
-      // - [Title](URL) - short description (Reliability: Peer-reviewed)
-      const match = line.match(/^[-*]\s*\[(.*?)\]\((.*?)\)\s*(?:-\s*(.*?))?\s*(?:\(\s*Reliability:\s*([^)]*)\))?\s*$/);
-      if (match) {
-        const title = match[1];
-        const url = match[2];
-        const description = match[3] || '';
-        const reliability = (match[4] || '').trim();
-        return {
-          index: idx + 1,
-          title,
-          url,
-          description,
-          reliability
-        };
-      }
-      return null;
-    }).filter(Boolean);
-
-    // Process body text to make inline citations clickable
-    const processBodyWithCitations = (bodyText) => {
-      const citationRegex = /\[(\d+)\]/g;
-      const parts = [];
-      let lastIndex = 0;
-      let match;
-
-      while ((match = citationRegex.exec(bodyText)) !== null) {
-        // Add text before the citation
-        if (match.index > lastIndex) {
-          parts.push(bodyText.slice(lastIndex, match.index));
-        }
-        
-        // Add the clickable citation
-        const citationNum = parseInt(match[1]);
-        const source = sourceData.find(s => s.index === citationNum);
-        
-        if (source) {
-          parts.push(
-            <CitationButton 
-              key={match.index} 
-              source={source}
-              citationNum={citationNum}
-            />
-          );
-        } else {
-          parts.push(match[0]); // Fallback to plain text
-        }
-        
-        lastIndex = match.index + match[0].length;
-      }
-      
-      // Add remaining text
-      if (lastIndex < bodyText.length) {
-        parts.push(bodyText.slice(lastIndex));
-      }
-      
-      return parts.length > 1 ? parts : bodyText;
-    };
-
-    return (
-      <div>
-        <div style={{ whiteSpace: 'pre-wrap' }}>
-          {processBodyWithCitations(body)}
-        </div>
-        <details style={{ marginTop: 10 }}>
-          <summary style={{ cursor: 'pointer', color: '#667eea', fontWeight: 600 }}>Sources</summary>
-          <ul style={{ marginTop: 8, paddingLeft: 18 }}>
-            {links.map((line, idx) => {
-              // Expect format: - [Title](URL)
-              const match = line.match(/^-\s*\[(.*?)\]\((.*?)\)/);
-              if (match) {
-                const title = match[1];
-                const url = match[2];
-                return (
-                  <li key={idx}>
-                    <a href={url} target="_blank" rel="noreferrer">{title}</a>
-                  </li>
-                );
-              }
-              return <li key={idx} style={{ whiteSpace: 'pre-wrap' }}>{line}</li>;
-            })}
-          </ul>
-        </details>
-      </div>
-    );
-  }
-
-  // Handle inline markdown links and make them clickable
-  const linkRegex = /\[([^\]]+)\]\(([^)]+)\)/g;
-  const parts = [];
-  let lastIndex = 0;
-  let match;
-
-  while ((match = linkRegex.exec(text)) !== null) {
-    // Add text before the link
-    if (match.index > lastIndex) {
-      parts.push(text.slice(lastIndex, match.index));
-    }
-    
-    // Add the link
-    parts.push(
-      <a key={match.index} href={match[2]} target="_blank" rel="noreferrer" style={{ color: '#667eea', textDecoration: 'underline' }}>
-        {match[1]}
-      </a>
-    );
-    
-    lastIndex = match.index + match[0].length;
-  }
-  
-  // Add remaining text
-  if (lastIndex < text.length) {
-    parts.push(text.slice(lastIndex));
-  }
-
-  return parts.length > 1 ? <div style={{ whiteSpace: 'pre-wrap' }}>{parts}</div> : text;
-}
+import { renderMessageText } from './MessageText';
 
 const ChatContainer = styled.div`
   position: fixed;
@@ -244,7 +20,7 @@ const ChatContainer = styled.div`
 
 const ChatWindow = styled.div`
   width: 90%;
-  max-width: 800px;
+  max-width: 1040px;
   height: 80%;
   max-height: 600px;
   background: white;
@@ -304,6 +80,92 @@ const SmallButton = styled.button`
   }
 `;
 
+const ChatBody = styled.div`
+  flex: 1;
+  display: flex;
+  min-height: 0;
+`;
+
+const ThreadSidebar = styled.div`
+  width: 230px;
+  flex-shrink: 0;
+  border-right: 1px solid #eee;
+  background: white;
+  display: flex;
+  flex-direction: column;
+
+  @media (max-width: 700px) {
+    display: none;
+  }
+`;
+
+const NewThreadButton = styled.button`
+  margin: 12px;
+  padding: 10px;
+  border: 2px dashed #667eea;
+  border-radius: 10px;
+  background: white;
+  color: #667eea;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:hover {
+    background: #f0f4ff;
+  }
+`;
+
+const ThreadList = styled.div`
+  flex: 1;
+  overflow-y: auto;
+  padding: 0 8px 12px;
+`;
+
+const ThreadItem = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 4px;
+  padding: 8px 10px;
+  margin-bottom: 4px;
+  border-radius: 8px;
+  cursor: pointer;
+  font-size: 0.9rem;
+  color: #333;
+  background: ${props => props.active ? '#f0f4ff' : 'transparent'};
+  border: 1px solid ${props => props.active ? '#c9d3ff' : 'transparent'};
+
+  &:hover {
+    background: #f5f7ff;
+  }
+`;
+
+const ThreadTitle = styled.div`
+  flex: 1;
+  min-width: 0;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+`;
+
+const ThreadAction = styled.button`
+  background: none;
+  border: none;
+  color: #999;
+  cursor: pointer;
+  padding: 2px 4px;
+  font-size: 0.8rem;
+
+  &:hover {
+    color: #667eea;
+  }
+`;
+
+const ChatMain = styled.div`
+  flex: 1;
+  min-width: 0;
+  display: flex;
+  flex-direction: column;
+`;
+
 const MessagesContainer = styled.div`
   flex: 1;
   padding: 20px;
@@ -412,26 +274,339 @@ const LoadingDots = styled.div`
   }
 `;
 
+const KeyPanel = styled.div`
+  background: white;
+  border-radius: 12px;
+  box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+  padding: 15px 20px;
+  display: flex;
+  flex-direction: column;
+  gap: 12px;
+  font-size: 0.9rem;
+  color: #333;
+`;
+
+const KeyForm = styled.form`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+  gap: 10px;
+  align-items: end;
+`;
+
+const KeyField = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+  font-size: 0.8rem;
+  font-weight: 600;
+  color: #555;
+
+  input, textarea {
+    padding: 6px 8px;
+    border: 1px solid #e1e5e9;
+    border-radius: 6px;
+    font-size: 0.85rem;
+    font-weight: normal;
+  }
+`;
+
+const KeyButton = styled.button`
+  background: ${props => props.danger ? '#f5f6fa' : 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)'};
+  color: ${props => props.danger ? '#e74c3c' : 'white'};
+  border: none;
+  padding: 8px 12px;
+  border-radius: 8px;
+  cursor: pointer;
+  font-size: 0.85rem;
+  font-weight: 600;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const NewKey = styled.div`
+  background: #fff8e1;
+  border: 1px solid #ffe082;
+  border-radius: 8px;
+  padding: 10px;
+  font-family: monospace;
+  word-break: break-all;
+`;
+
+const KeyRow = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 10px;
+  padding: 8px 0;
+  border-top: 1px solid #eee;
+  opacity: ${props => props.inactive ? 0.5 : 1};
+`;
+
+const KeyMeta = styled.div`
+  color: #777;
+  font-size: 0.8rem;
+`;
+
+const KEY_SCOPES = [
+  { value: 'invoke', label: 'Chat (invoke)' },
+  { value: 'ingest', label: 'Documents (ingest)' },
+  { value: 'read-history', label: 'History (read-history)' }
+];
+
+// Comma- or newline-separated entries; an empty list means no restriction
+const splitList = (text) => text.split(/[\n,]/).map(item => item.trim()).filter(Boolean);
+
+const optionalInteger = (text) => (text.trim() ? parseInt(text, 10) : null);
+
+/**
+ * API keys of a bot: create scoped, expiring, rate-limited keys (shown once) and watch their usage
+ */
+function ApiKeyPanel({ ai, sessionId }) {
+  const [keys, setKeys] = useState([]);
+  const [label, setLabel] = useState('');
+  const [scopes, setScopes] = useState(KEY_SCOPES.map(scope => scope.value));
+  const [expiresInDays, setExpiresInDays] = useState('');
+  const [origins, setOrigins] = useState('');
+  const [ips, setIps] = useState('');
+  const [rpmLimit, setRpmLimit] = useState('');
+  const [dailyTokenQuota, setDailyTokenQuota] = useState('');
+  const [newKey, setNewKey] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadKeys = useCallback(async () => {
+    const response = await apiService.listAIKeys(sessionId, ai.containerId);
+    if (response.success) {
+      setKeys(response.keys);
+    } else {
+      setError(response.message || 'Failed to load API keys');
+    }
+  }, [ai.containerId, sessionId]);
+
+  useEffect(() => {
+    loadKeys();
+  }, [loadKeys]);
+
+  const toggleScope = (value) => {
+    setScopes(prev => prev.includes(value) ? prev.filter(scope => scope !== value) : [...prev, value]);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    setNewKey('');
+    const response = await apiService.generateAIKey(sessionId, ai.containerId, {
+      label: label.trim() || 'default',
+      scopes,
+      expiresInDays: optionalInteger(expiresInDays),
+      allowedOrigins: splitList(origins),
+      allowedIps: splitList(ips),
+      rpmLimit: optionalInteger(rpmLimit),
+      dailyTokenQuota: optionalInteger(dailyTokenQuota)
+    });
+    setBusy(false);
+    if (response.success) {
+      setNewKey(response.apiKey);
+      setLabel('');
+      loadKeys();
+    } else {
+      setError(response.message || 'Failed to generate API key');
+    }
+  };
+
+  const handleRevoke = async (key) => {
+    if (!window.confirm(`Revoke ${key.label || key.prefix}? Clients using it stop working immediately.`)) return;
+    const response = await apiService.revokeAIKey(sessionId, key.id);
+    if (response.success) {
+      loadKeys();
+    } else {
+      setError(response.message || 'Failed to revoke API key');
+    }
+  };
+
+  const describeStatus = (key) => {
+    if (!key.is_active) return 'revoked';
+    if (key.expired) return 'expired';
+    return key.expiresAt ? `expires ${new Date(key.expiresAt).toLocaleDateString()}` : 'no expiry';
+  };
+
+  return (
+    <KeyPanel>
+      <div style={{ fontWeight: 600 }}>API keys</div>
+      <KeyForm onSubmit={handleCreate}>
+        <KeyField>
+          Label
+          <input value={label} onChange={(e) => setLabel(e.target.value)} maxLength={50} placeholder="default" />
+        </KeyField>
+        <KeyField>
+          Expires after (days)
+          <input type="number" min="1" value={expiresInDays} onChange={(e) => setExpiresInDays(e.target.value)} placeholder="never" />
+        </KeyField>
+        <KeyField>
+          Requests per minute
+          <input type="number" min="1" value={rpmLimit} onChange={(e) => setRpmLimit(e.target.value)} placeholder="unlimited" />
+        </KeyField>
+        <KeyField>
+          Tokens per day
+          <input type="number" min="1" value={dailyTokenQuota} onChange={(e) => setDailyTokenQuota(e.target.value)} placeholder="unlimited" />
+        </KeyField>
+        <KeyField>
+          Allowed origins
+          <textarea rows={2} value={origins} onChange={(e) => setOrigins(e.target.value)} placeholder="https://example.com (any if empty)" />
+        </KeyField>
+        <KeyField>
+          Allowed IPs
+          <textarea rows={2} value={ips} onChange={(e) => setIps(e.target.value)} placeholder="203.0.113.7, 10.0.0.0/8 (any if empty)" />
+        </KeyField>
+        <KeyField as="div">
+          Scopes
+          {KEY_SCOPES.map(scope => (
+            <span key={scope.value} style={{ fontWeight: 'normal' }}>
+              <input type="checkbox" checked={scopes.includes(scope.value)} onChange={() => toggleScope(scope.value)} /> {scope.label}
+            </span>
+          ))}
+        </KeyField>
+        <KeyButton type="submit" disabled={busy || scopes.length === 0}>
+          {busy ? 'Generating…' : 'Generate API Key'}
+        </KeyButton>
+      </KeyForm>
+
+      {error && <div style={{ color: '#e74c3c' }}>{error}</div>}
+
+      {newKey && (
+        <div>
+          <div style={{ marginBottom: 6 }}>Copy this key now: only a hash is stored, so it will not be shown again.</div>
+          <NewKey>{newKey}</NewKey>
+          <div style={{ marginTop: 6 }}>
+            Send it in the <code>X-AI-API-Key</code> header, e.g. to <code>/public/v1</code> or <code>POST /public/invoke</code>.
+          </div>
+        </div>
+      )}
+
+      {keys.map(key => (
+        <KeyRow key={key.id} inactive={!key.is_active || key.expired}>
+          <div>
+            <div>
+              <strong>{key.label || 'key'}</strong> <code>{key.prefix}…</code>{key.kind === 'publishable' && ' · publishable (widget)'} · {key.scopes.join(', ')} · {describeStatus(key)}
+            </div>
+            <KeyMeta>
+              Today: {key.usage.today.requests} requests, {key.usage.today.tokens}
+              {key.dailyTokenQuota ? ` / ${key.dailyTokenQuota}` : ''} tokens
+              {' · '}Total: {key.usage.total.requests} requests, {key.usage.total.tokens} tokens
+              {key.rpmLimit ? ` · ${key.rpmLimit}/min` : ''}
+              {' · '}Last used: {key.last_used_at ? new Date(key.last_used_at).toLocaleString() : 'never'}
+            </KeyMeta>
+            {(key.allowedOrigins || key.allowedIps) && (
+              <KeyMeta>
+                Allowed: {[...(key.allowedOrigins || []), ...(key.allowedIps || [])].join(', ')}
+              </KeyMeta>
+            )}
+          </div>
+          {key.is_active ? (
+            <KeyButton danger onClick={() => handleRevoke(key)}>Revoke</KeyButton>
+          ) : null}
+        </KeyRow>
+      ))}
+      {keys.length === 0 && <KeyMeta>No API keys yet</KeyMeta>}
+    </KeyPanel>
+  );
+}
+
+const ACTIVE_JOB_STATES = ['queued', 'extracting', 'chunking', 'embedding'];
+
+// Upload list entry for an ingestion job
+const fileFromJob = (job) => ({
+  id: job.id,
+  jobId: job.id,
+  name: job.filename || job.title || 'Document',
+  type: job.mimetype || '',
+  size: job.size || 0,
+  status: job.state,
+  percent: job.progress?.percent || 0,
+  chunks: job.progress?.totalChunks || 0,
+  embeddedChunks: job.progress?.embeddedChunks || 0,
+  failedChunks: job.progress?.failedChunks || 0,
+  docId: job.docId,
+  error: job.error,
+  cancelRequested: job.cancelRequested
+});
+
 function ChatInterface({ ai, onClose, sessionId }) {
   const [messages, setMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const messagesEndRef = useRef(null);
-  const [apiKey, setApiKey] = useState('');
-  const [isGeneratingKey, setIsGeneratingKey] = useState(false);
+  const [showApiKeys, setShowApiKeys] = useState(false);
   const [uploadedFiles, setUploadedFiles] = useState([]);
   const [isUploading, setIsUploading] = useState(false);
+  const uploadedFilesRef = useRef(uploadedFiles);
+  uploadedFilesRef.current = uploadedFiles;
+  const [threads, setThreads] = useState([]);
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [streamingId, setStreamingId] = useState(null);
+
+  const welcomeMessage = () => ({
+    id: Date.now(),
+    text: `Hello! I'm ${ai.name}. ${ai.description} How can I help you today?`,
+    isUser: false,
+    timestamp: new Date().toISOString()
+  });
+
+  const loadThreads = async () => {
+    const resp = await apiService.listThreads(sessionId, ai.containerId);
+    if (resp.success) {
+      setThreads(resp.threads || []);
+    }
+  };
 
   useEffect(() => {
     // Add welcome message
-    setMessages([{
-      id: Date.now(),
-      text: `Hello! I'm ${ai.name}. ${ai.description} How can I help you today?`,
-      isUser: false,
-      timestamp: new Date().toISOString()
-    }]);
+    setMessages([welcomeMessage()]);
+    setActiveThreadId(null);
+    loadThreads();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [ai]);
 
+  // Replace an upload's entry with the job's latest state; jobs started elsewhere show up while they run
+  const applyJob = useCallback((job) => {
+    setUploadedFiles(prev => {
+      if (prev.some(f => f.jobId === job.id)) {
+        return prev.map(f => (f.jobId === job.id ? fileFromJob(job) : f));
+      }
+      return ACTIVE_JOB_STATES.includes(job.state) ? [...prev, fileFromJob(job)] : prev;
+    });
+  }, []);
+
+  // Upload progress is pushed over the WebSocket; while it isn't connected, running jobs are polled
+  useEffect(() => {
+    setUploadedFiles([]);
+    if (!sessionId || !ai?.containerId) return undefined;
+
+    const watcher = apiService.watchIngestJobs(sessionId, ai.containerId, applyJob);
+    apiService.listIngestJobs(sessionId, ai.containerId).then(resp => {
+      if (resp.success) {
+        (resp.jobs || []).filter(job => ACTIVE_JOB_STATES.includes(job.state)).reverse().forEach(applyJob);
+      }
+    });
+    const poll = setInterval(async () => {
+      if (watcher.isOpen()) return;
+      const running = uploadedFilesRef.current.filter(f => f.jobId && ACTIVE_JOB_STATES.includes(f.status));
+      for (const file of running) {
+        const resp = await apiService.getIngestJob(sessionId, ai.containerId, file.jobId);
+        if (resp.success) applyJob(resp.job);
+      }
+    }, 3000);
+
+    return () => {
+      clearInterval(poll);
+      watcher.close();
+    };
+  }, [ai?.containerId, sessionId, applyJob]);
+
   useEffect(() => {
     scrollToBottom();
   }, [messages]);
@@ -440,6 +615,56 @@ function ChatInterface({ ai, onClose, sessionId }) {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
+  const handleSelectThread = async (threadId) => {
+    if (threadId === activeThreadId || isLoading) return;
+    setActiveThreadId(threadId);
+    setIsLoading(true);
+    try {
+      const resp = await apiService.getThreadMessages(sessionId, ai.containerId, threadId);
+      if (resp.success) {
+        const history = [];
+        for (const interaction of resp.interactions || []) {
+          history.push({ id: `${interaction.id}-u`, text: interaction.user_message, isUser: true, timestamp: interaction.timestamp });
+          history.push({ id: `${interaction.id}-a`, text: interaction.ai_response, isUser: false, timestamp: interaction.timestamp });
+        }
+        setMessages(history.length ? history : [welcomeMessage()]);
+        // Restore the AI's memory so follow-up questions keep their context
+        await apiService.resumeThread(sessionId, ai.containerId, threadId);
+      } else {
+        setMessages([welcomeMessage()]);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleNewThread = () => {
+    setActiveThreadId(null);
+    setMessages([welcomeMessage()]);
+  };
+
+  const handleRenameThread = async (thread) => {
+    const title = window.prompt('Rename chat', thread.title);
+    if (!title || !title.trim() || title === thread.title) return;
+    const resp = await apiService.renameThread(sessionId, ai.containerId, thread.id, title.trim());
+    if (resp.success) {
+      loadThreads();
+    } else {
+      alert(resp.message || 'Failed to rename chat');
+    }
+  };
+
+  const handleDeleteThread = async (thread) => {
+    if (!window.confirm(`Delete "${thread.title}"? This cannot be undone.`)) return;
+    const resp = await apiService.deleteThread(sessionId, ai.containerId, thread.id);
+    if (resp.success) {
+      if (thread.id === activeThreadId) handleNewThread();
+      loadThreads();
+    } else {
+      alert(resp.message || 'Failed to delete chat');
+    }
+  };
+
   const handleSendMessage = async () => {
     if (!inputMessage.trim() || isLoading) return;
 
@@ -455,25 +680,41 @@ function ChatInterface({ ai, onClose, sessionId }) {
     setIsLoading(true);
 
     try {
-      const response = await apiService.interactAI(sessionId, ai.containerId, inputMessage);
-      
-      if (response.success) {
-        const aiMessage = {
-          id: Date.now() + 1,
-          text: response.response || response.message,
-          isUser: false,
-          timestamp: new Date().toISOString()
-        };
-        setMessages(prev => [...prev, aiMessage]);
-      } else {
-        const errorMessage = {
-          id: Date.now() + 1,
-          text: `Sorry, I encountered an error: ${response.message}`,
-          isUser: false,
-          timestamp: new Date().toISOString()
-        };
-        setMessages(prev => [...prev, errorMessage]);
+      // First message of a new chat starts a thread titled after it
+      let threadId = activeThreadId;
+      if (!threadId) {
+        const created = await apiService.createThread(sessionId, ai.containerId, inputMessage.slice(0, 60));
+        if (created.success) {
+          threadId = created.thread.id;
+          setActiveThreadId(threadId);
+        }
       }
+
+      // Stream the reply into a single AI bubble as tokens arrive
+      const aiMessageId = Date.now() + 1;
+      const onToken = (token) => {
+        setStreamingId(aiMessageId);
+        setMessages(prev => {
+          if (!prev.some(m => m.id === aiMessageId)) {
+            return [...prev, { id: aiMessageId, text: token, isUser: false, timestamp: new Date().toISOString() }];
+          }
+          return prev.map(m => m.id === aiMessageId ? { ...m, text: m.text + token } : m);
+        });
+      };
+
+      const response = await apiService.interactAIStream(sessionId, ai.containerId, inputMessage, threadId, onToken);
+      loadThreads();
+
+      // The final reply replaces the streamed text (it may include a Sources section)
+      const finalText = response.success
+        ? (response.response || response.message)
+        : `Sorry, I encountered an error: ${response.message}`;
+      setMessages(prev => {
+        if (!prev.some(m => m.id === aiMessageId)) {
+          return [...prev, { id: aiMessageId, text: finalText, isUser: false, timestamp: new Date().toISOString() }];
+        }
+        return prev.map(m => m.id === aiMessageId ? { ...m, text: finalText } : m);
+      });
     } catch (error) {
       const errorMessage = {
         id: Date.now() + 1,
@@ -484,6 +725,7 @@ function ChatInterface({ ai, onClose, sessionId }) {
       setMessages(prev => [...prev, errorMessage]);
     } finally {
       setIsLoading(false);
+      setStreamingId(null);
     }
   };
 
@@ -498,72 +740,68 @@ function ChatInterface({ ai, onClose, sessionId }) {
     return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   };
 
-  const handleGenerateApiKey = async () => {
-    if (isGeneratingKey) return;
-    setIsGeneratingKey(true);
-    try {
-      const resp = await apiService.generateAIKey(sessionId, ai.containerId, 'chat');
-      if (resp.success && resp.apiKey) {
-        setApiKey(resp.apiKey);
-      } else {
-        setApiKey('');
-        alert(resp.message || 'Failed to generate API key');
-      }
-    } catch (e) {
-      alert('Failed to generate API key');
-    } finally {
-      setIsGeneratingKey(false);
-    }
-  };
-
   const handleFileUpload = async (files) => {
     if (!files.length) return;
     setIsUploading(true);
     
-    const newFiles = [];
+    // Each file is queued as an ingestion job; its entry then follows the job (see applyJob)
     for (const file of files) {
       try {
         const resp = await apiService.ingestFile(sessionId, ai.containerId, file);
         if (resp.success) {
-          newFiles.push({
-            id: Date.now() + Math.random(),
-            name: file.name,
-            type: file.type,
-            size: file.size,
-            chunks: resp.ingestedChunks || 0,
-            docId: resp.docId, // Store document ID for deletion
-            status: 'uploaded'
-          });
-        } else {
-          newFiles.push({
-            id: Date.now() + Math.random(),
-            name: file.name,
-            type: file.type,
-            size: file.size,
-            status: 'error',
-            error: resp.message || 'Upload failed'
+          // The WebSocket may already have reported this job
+          setUploadedFiles(prev => {
+            return prev.some(f => f.jobId === resp.job.id) ? prev : [...prev, fileFromJob(resp.job)];
           });
+          continue;
         }
+        setUploadedFiles(prev => [...prev, {
+          id: Date.now() + Math.random(),
+          name: file.name,
+          type: file.type,
+          size: file.size,
+          status: 'error',
+          error: resp.message || 'Upload failed'
+        }]);
       } catch (err) {
-        newFiles.push({
+        setUploadedFiles(prev => [...prev, {
           id: Date.now() + Math.random(),
           name: file.name,
           type: file.type,
           size: file.size,
           status: 'error',
           error: 'Upload failed'
-        });
+        }]);
       }
     }
-    
-    setUploadedFiles(prev => [...prev, ...newFiles]);
+
     setIsUploading(false);
   };
 
+  const retryUpload = async (file) => {
+    const resp = await apiService.retryIngestJob(sessionId, ai.containerId, file.jobId);
+    if (resp.success) {
+      applyJob(resp.job);
+    } else {
+      console.error('❌ Failed to retry upload:', resp.message);
+    }
+  };
+
   const removeFile = async (fileId) => {
     const fileToRemove = uploadedFiles.find(f => f.id === fileId);
     if (!fileToRemove) return;
 
+    // A running upload is cancelled instead; the bot removes whatever it had indexed
+    if (fileToRemove.jobId && ACTIVE_JOB_STATES.includes(fileToRemove.status)) {
+      const result = await apiService.cancelIngestJob(sessionId, ai.containerId, fileToRemove.jobId);
+      if (!result.success) {
+        console.error('❌ Failed to cancel upload:', result.message);
+        return;
+      }
+      setUploadedFiles(prev => prev.filter(f => f.id !== fileId));
+      return;
+    }
+
     // If the file has a docId, delete it from the backend
     if (fileToRemove.docId && ai?.containerId) {
       try {
@@ -594,6 +832,27 @@ function ChatInterface({ ai, onClose, sessionId }) {
     return '📎';
   };
 
+  const uploadStatusText = (file) => {
+    switch (file.status) {
+      case 'queued':
+        return 'Waiting…';
+      case 'extracting':
+        return 'Reading file…';
+      case 'chunking':
+        return 'Splitting into sections…';
+      case 'embedding':
+        return file.cancelRequested
+          ? 'Cancelling…'
+          : `Indexing ${file.embeddedChunks + file.failedChunks}/${file.chunks} sections`;
+      case 'done':
+        return `${formatFileSize(file.size)} • ${file.chunks} sections`;
+      case 'cancelled':
+        return 'Cancelled';
+      default:
+        return file.error;
+    }
+  };
+
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -608,159 +867,216 @@ function ChatInterface({ ai, onClose, sessionId }) {
         <ChatHeader>
           <ChatTitle>{ai.name}</ChatTitle>
           <HeaderActions>
-            <SmallButton onClick={handleGenerateApiKey} disabled={isGeneratingKey}>
-              {isGeneratingKey ? 'Generating…' : (apiKey ? 'Regenerate API Key' : 'Generate API Key')}
+            <SmallButton onClick={() => setShowApiKeys(prev => !prev)}>
+              {showApiKeys ? 'Hide API Keys' : 'API Keys'}
             </SmallButton>
             <CloseButton onClick={onClose}>×</CloseButton>
           </HeaderActions>
         </ChatHeader>
-        
-        <MessagesContainer>
-          {apiKey && (
-            <Message isUser={false}>
-              <div>
-                <MessageBubble isUser={false}>
-                  <div style={{ fontWeight: 600, marginBottom: 6 }}>Public API Key</div>
-                  <div style={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>{apiKey}</div>
-                  <div style={{ marginTop: 10, fontSize: '0.9rem' }}>Use with header <code>X-AI-API-Key</code> at <code>POST /public/invoke</code></div>
-                </MessageBubble>
-              </div>
-            </Message>
-          )}
-          {messages.map((message) => (
-            <Message key={message.id} isUser={message.isUser}>
-              <div>
-                <MessageBubble isUser={message.isUser}>
-                  {renderMessageText(message.text)}
-                </MessageBubble>
-                <MessageTime isUser={message.isUser}>
-                  {formatTime(message.timestamp)}
-                </MessageTime>
-              </div>
-            </Message>
-          ))}
-          
-          {isLoading && (
-            <Message isUser={false}>
-              <div>
-                <MessageBubble isUser={false}>
-                  <TypingIndicator>
-                    AI is typing
-                    <LoadingDots />
-                    <LoadingDots />
-                    <LoadingDots />
-                  </TypingIndicator>
-                </MessageBubble>
-              </div>
-            </Message>
-          )}
-          
-          <div ref={messagesEndRef} />
-        </MessagesContainer>
-        
-        {/* File Preview Section */}
-        {uploadedFiles.length > 0 && (
-          <div style={{ 
-            padding: '10px 20px', 
-            borderTop: '1px solid #eee',
-            backgroundColor: '#f8f9fa',
-            maxHeight: '120px',
-            overflowY: 'auto'
-          }}>
-            <div style={{ fontSize: '0.9rem', fontWeight: '600', marginBottom: '8px', color: '#666' }}>
-              📁 Uploaded Files ({uploadedFiles.length})
-            </div>
-            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
-              {uploadedFiles.map((file) => (
-                <div key={file.id} style={{
-                  display: 'flex',
-                  alignItems: 'center',
-                  gap: '6px',
-                  padding: '6px 10px',
-                  backgroundColor: file.status === 'error' ? '#fee' : '#e8f5e8',
-                  border: `1px solid ${file.status === 'error' ? '#fcc' : '#c8e6c8'}`,
-                  borderRadius: '6px',
-                  fontSize: '0.85rem',
-                  maxWidth: '200px'
-                }}>
-                  <span>{getFileIcon(file.type)}</span>
-                  <div style={{ flex: 1, minWidth: 0 }}>
-                    <div style={{ 
-                      fontWeight: '500', 
-                      overflow: 'hidden', 
-                      textOverflow: 'ellipsis', 
-                      whiteSpace: 'nowrap' 
-                    }}>
-                      {file.name}
-                    </div>
-                    <div style={{ fontSize: '0.75rem', color: '#666' }}>
-                      {file.status === 'uploaded' 
-                        ? `${formatFileSize(file.size)} • ${file.chunks} sections`
-                        : file.error
-                      }
-                    </div>
-                  </div>
-                  <button
-                    onClick={() => removeFile(file.id)}
-                    style={{
-                      background: 'none',
-                      border: 'none',
-                      color: '#999',
-                      cursor: 'pointer',
-                      padding: '2px',
-                      fontSize: '0.9rem'
-                    }}
-                    title="Remove file"
+
+        <ChatBody>
+          <ThreadSidebar>
+            <NewThreadButton onClick={handleNewThread}>+ New chat</NewThreadButton>
+            <ThreadList>
+              {threads.map((thread) => (
+                <ThreadItem
+                  key={thread.id}
+                  active={thread.id === activeThreadId}
+                  onClick={() => handleSelectThread(thread.id)}
+                  title={thread.title}
+                >
+                  <ThreadTitle>{thread.title}</ThreadTitle>
+                  <ThreadAction
+                    onClick={(e) => { e.stopPropagation(); handleRenameThread(thread); }}
+                    title="Rename chat"
                   >
-                    ×
-                  </button>
+                    ✏️
+                  </ThreadAction>
+                  <ThreadAction
+                    onClick={(e) => { e.stopPropagation(); handleDeleteThread(thread); }}
+                    title="Delete chat"
+                  >
+                    🗑️
+                  </ThreadAction>
+                </ThreadItem>
+              ))}
+              {threads.length === 0 && (
+                <div style={{ padding: '10px', fontSize: '0.85rem', color: '#999' }}>
+                  No saved chats yet
                 </div>
+              )}
+            </ThreadList>
+          </ThreadSidebar>
+
+          <ChatMain>
+            <MessagesContainer>
+              {showApiKeys && <ApiKeyPanel ai={ai} sessionId={sessionId} />}
+              {messages.map((message) => (
+                <Message key={message.id} isUser={message.isUser}>
+                  <div>
+                    <MessageBubble isUser={message.isUser}>
+                      {renderMessageText(message.text)}
+                    </MessageBubble>
+                    <MessageTime isUser={message.isUser}>
+                      {formatTime(message.timestamp)}
+                    </MessageTime>
+                  </div>
+                </Message>
               ))}
-            </div>
-          </div>
-        )}
-
-        <InputContainer>
-          <label 
-            htmlFor="doc-upload" 
-            style={{ 
-              alignSelf: 'center', 
-              cursor: 'pointer',
-              opacity: isUploading ? 0.5 : 1,
-              pointerEvents: isUploading ? 'none' : 'auto'
-            }} 
-            title="Upload PDF/Image/Text"
-          >
-            {isUploading ? '⏳' : '📎'}
-          </label>
-          <input
-            id="doc-upload"
-            type="file"
-            accept=".pdf,.txt,image/*"
-            multiple
-            style={{ display: 'none' }}
-            onChange={(e) => {
-              const files = Array.from(e.target.files || []);
-              handleFileUpload(files);
-              e.target.value = '';
-            }}
-            disabled={isUploading}
-          />
-          <MessageInput
-            type="text"
-            value={inputMessage}
-            onChange={(e) => setInputMessage(e.target.value)}
-            onKeyPress={handleKeyPress}
-            placeholder="Type your message here..."
-            disabled={isLoading}
-          />
-          <SendButton 
-            onClick={handleSendMessage} 
-            disabled={isLoading || !inputMessage.trim()}
-          >
-            Send
-          </SendButton>
-        </InputContainer>
+
+              {isLoading && !streamingId && (
+                <Message isUser={false}>
+                  <div>
+                    <MessageBubble isUser={false}>
+                      <TypingIndicator>
+                        AI is typing
+                        <LoadingDots />
+                        <LoadingDots />
+                        <LoadingDots />
+                      </TypingIndicator>
+                    </MessageBubble>
+                  </div>
+                </Message>
+              )}
+
+              <div ref={messagesEndRef} />
+            </MessagesContainer>
+
+            {/* File Preview Section */}
+            {uploadedFiles.length > 0 && (
+              <div style={{ 
+                padding: '10px 20px', 
+                borderTop: '1px solid #eee',
+                backgroundColor: '#f8f9fa',
+                maxHeight: '120px',
+                overflowY: 'auto'
+              }}>
+                <div style={{ fontSize: '0.9rem', fontWeight: '600', marginBottom: '8px', color: '#666' }}>
+                  📁 Uploaded Files ({uploadedFiles.length})
+                </div>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                  {uploadedFiles.map((file) => {
+                    const failed = file.status === 'error' || file.status === 'failed';
+                    const running = ACTIVE_JOB_STATES.includes(file.status);
+                    return (
+                    <div key={file.id} style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '6px',
+                      padding: '6px 10px',
+                      backgroundColor: failed ? '#fee' : running ? '#eef3ff' : '#e8f5e8',
+                      border: `1px solid ${failed ? '#fcc' : running ? '#c8d6f5' : '#c8e6c8'}`,
+                      borderRadius: '6px',
+                      fontSize: '0.85rem',
+                      maxWidth: '200px'
+                    }}>
+                      <span>{getFileIcon(file.type)}</span>
+                      <div style={{ flex: 1, minWidth: 0 }}>
+                        <div style={{ 
+                          fontWeight: '500', 
+                          overflow: 'hidden', 
+                          textOverflow: 'ellipsis', 
+                          whiteSpace: 'nowrap' 
+                        }}>
+                          {file.name}
+                        </div>
+                        <div
+                          style={{ fontSize: '0.75rem', color: '#666', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                          title={file.error || ''}
+                        >
+                          {uploadStatusText(file)}
+                        </div>
+                        {running && (
+                          <div style={{ height: '4px', marginTop: '4px', backgroundColor: '#dde3f0', borderRadius: '2px', overflow: 'hidden' }}>
+                            <div style={{
+                              width: `${file.percent}%`,
+                              height: '100%',
+                              backgroundColor: '#667eea',
+                              transition: 'width 0.3s ease'
+                            }} />
+                          </div>
+                        )}
+                      </div>
+                      {file.status === 'failed' && (
+                        <button
+                          onClick={() => retryUpload(file)}
+                          style={{
+                            background: 'none',
+                            border: 'none',
+                            color: '#667eea',
+                            cursor: 'pointer',
+                            padding: '2px',
+                            fontSize: '0.9rem'
+                          }}
+                          title={file.failedChunks ? `Retry the ${file.failedChunks} failed sections` : 'Retry upload'}
+                        >
+                          ↻
+                        </button>
+                      )}
+                      <button
+                        onClick={() => removeFile(file.id)}
+                        style={{
+                          background: 'none',
+                          border: 'none',
+                          color: '#999',
+                          cursor: 'pointer',
+                          padding: '2px',
+                          fontSize: '0.9rem'
+                        }}
+                        title={running ? 'Cancel upload' : 'Remove file'}
+                      >
+                        ×
+                      </button>
+                    </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
+            <InputContainer>
+              <label 
+                htmlFor="doc-upload" 
+                style={{ 
+                  alignSelf: 'center', 
+                  cursor: 'pointer',
+                  opacity: isUploading ? 0.5 : 1,
+                  pointerEvents: isUploading ? 'none' : 'auto'
+                }} 
+                title="Upload documents (PDF, Office, HTML, Markdown, EPUB, JSON, CSV, text or images)"
+              >
+                {isUploading ? '⏳' : '📎'}
+              </label>
+              <input
+                id="doc-upload"
+                type="file"
+                accept=".pdf,.txt,.md,.markdown,.html,.htm,.docx,.xlsx,.pptx,.epub,.json,.csv,.tsv,image/*"
+                multiple
+                style={{ display: 'none' }}
+                onChange={(e) => {
+                  const files = Array.from(e.target.files || []);
+                  handleFileUpload(files);
+                  e.target.value = '';
+                }}
+                disabled={isUploading}
+              />
+              <MessageInput
+                type="text"
+                value={inputMessage}
+                onChange={(e) => setInputMessage(e.target.value)}
+                onKeyPress={handleKeyPress}
+                placeholder="Type your message here..."
+                disabled={isLoading}
+              />
+              <SendButton 
+                onClick={handleSendMessage} 
+                disabled={isLoading || !inputMessage.trim()}
+              >
+                Send
+              </SendButton>
+            </InputContainer>
+          </ChatMain>
+        </ChatBody>
       </ChatWindow>
       
       {/* Mini Music Player */}
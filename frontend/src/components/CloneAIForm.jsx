@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { apiService } from '../services/api';
+
+const Overlay = styled.div`
+  position: fixed;
+  top: 0;
+  left: 0;
+  right: 0;
+  bottom: 0;
+  background: rgba(0, 0, 0, 0.8);
+  display: flex;
+  justify-content: center;
+  align-items: center;
+  z-index: 1000;
+  backdrop-filter: blur(5px);
+`;
+
+const CloneWindow = styled.form`
+  width: 90%;
+  max-width: 480px;
+  background: white;
+  border-radius: 20px;
+  box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+  display: flex;
+  flex-direction: column;
+  gap: 16px;
+  padding: 25px;
+`;
+
+const Title = styled.h2`
+  margin: 0;
+  color: #333;
+  font-size: 1.4rem;
+`;
+
+const Label = styled.label`
+  color: #333;
+  font-weight: 600;
+  font-size: 0.9rem;
+`;
+
+const Input = styled.input`
+  padding: 12px 15px;
+  border: 2px solid #e1e5e9;
+  border-radius: 8px;
+  font-size: 1rem;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+const CheckboxLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  color: #555;
+  font-size: 0.9rem;
+`;
+
+const Hint = styled.span`
+  color: #999;
+  font-size: 0.8rem;
+`;
+
+const Actions = styled.div`
+  display: flex;
+  justify-content: flex-end;
+  gap: 10px;
+`;
+
+const Button = styled.button`
+  background: ${props => props.primary ? 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)' : '#f5f6fa'};
+  color: ${props => props.primary ? 'white' : '#555'};
+  border: none;
+  padding: 12px 20px;
+  border-radius: 8px;
+  font-size: 0.95rem;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const ErrorMessage = styled.div`
+  color: #e74c3c;
+  font-size: 0.9rem;
+`;
+
+/**
+ * Make a copy of a bot, choosing what to bring along
+ * @param {Object} props - { ai } bot to copy, { sessionId }, { onClose }, { onCloned } called with the clone response
+ */
+function CloneAIForm({ ai, sessionId, onClose, onCloned }) {
+  const [name, setName] = useState(`${ai.name} (copy)`.slice(0, 50));
+  const [documents, setDocuments] = useState(true);
+  const [history, setHistory] = useState(false);
+  const [apiKeys, setApiKeys] = useState(false);
+  const [cloning, setCloning] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setCloning(true);
+    setError('');
+    const response = await apiService.cloneAI(sessionId, ai.containerId, { name: name.trim(), documents, history, apiKeys });
+    setCloning(false);
+    if (response.success) {
+      onCloned(response);
+    } else {
+      setError(response.message || 'Failed to clone AI');
+    }
+  };
+
+  return (
+    <Overlay onClick={() => !cloning && onClose()}>
+      <CloneWindow onClick={(e) => e.stopPropagation()} onSubmit={handleSubmit}>
+        <Title>Clone {ai.name}</Title>
+        <Hint>The copy starts with the same configuration. Change its tone or instructions afterwards with Edit.</Hint>
+
+        <Label htmlFor="clone-name">Name</Label>
+        <Input id="clone-name" value={name} onChange={(e) => setName(e.target.value)} maxLength={50} required />
+
+        <CheckboxLabel>
+          <input type="checkbox" checked={documents} onChange={(e) => setDocuments(e.target.checked)} />
+          Copy documents and their search index
+        </CheckboxLabel>
+        <CheckboxLabel>
+          <input type="checkbox" checked={history} onChange={(e) => setHistory(e.target.checked)} />
+          Copy my chat history and the bot's conversation memory
+        </CheckboxLabel>
+        <CheckboxLabel>
+          <input type="checkbox" checked={apiKeys} onChange={(e) => setApiKeys(e.target.checked)} />
+          Create matching API keys (new keys with the same labels)
+        </CheckboxLabel>
+
+        {error && <ErrorMessage>{error}</ErrorMessage>}
+
+        <Actions>
+          <Button type="button" onClick={onClose} disabled={cloning}>Cancel</Button>
+          <Button type="submit" primary disabled={cloning || !name.trim()}>
+            {cloning ? 'Cloning...' : 'Clone'}
+          </Button>
+        </Actions>
+      </CloneWindow>
+    </Overlay>
+  );
+}
+
+export default CloneAIForm;
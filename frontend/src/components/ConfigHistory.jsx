@@ -0,0 +1,277 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { apiService } from '../services/api';
+
+const Section = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 18px;
+  padding: 25px;
+  overflow-y: auto;
+`;
+
+const SectionTitle = styled.h3`
+  margin: 0;
+  color: #333;
+  font-size: 1.05rem;
+`;
+
+const Hint = styled.span`
+  color: #999;
+  font-size: 0.8rem;
+`;
+
+const VersionList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+`;
+
+const VersionRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  padding: 10px 14px;
+  border: 2px solid ${props => props.active ? '#667eea' : '#e1e5e9'};
+  border-radius: 8px;
+`;
+
+const VersionInfo = styled.div`
+  flex: 1;
+  display: flex;
+  flex-direction: column;
+  gap: 2px;
+`;
+
+const VersionLabel = styled.span`
+  color: #333;
+  font-weight: 600;
+  font-size: 0.95rem;
+`;
+
+const VersionMeta = styled.span`
+  color: #777;
+  font-size: 0.8rem;
+`;
+
+const SmallButton = styled.button`
+  background: transparent;
+  color: #667eea;
+  border: 2px solid #667eea;
+  padding: 6px 12px;
+  border-radius: 8px;
+  font-size: 0.85rem;
+  font-weight: 600;
+  cursor: pointer;
+  transition: all 0.3s ease;
+
+  &:hover {
+    background: #667eea;
+    color: white;
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const DiffField = styled.div`
+  border: 1px solid #e1e5e9;
+  border-radius: 8px;
+  overflow: hidden;
+`;
+
+const DiffFieldName = styled.div`
+  background: #f5f6fa;
+  color: #555;
+  font-weight: 600;
+  font-size: 0.85rem;
+  padding: 6px 12px;
+`;
+
+const DIFF_COLORS = {
+  '+': { background: '#e6ffed', color: '#22863a' },
+  '-': { background: '#ffeef0', color: '#b31d28' },
+  '@': { background: '#f1f8ff', color: '#6a737d' },
+  ' ': { background: 'white', color: '#444' }
+};
+
+const DiffLine = styled.pre`
+  margin: 0;
+  padding: 1px 12px;
+  font-size: 0.8rem;
+  white-space: pre-wrap;
+  word-break: break-word;
+  background: ${props => DIFF_COLORS[props.op].background};
+  color: ${props => DIFF_COLORS[props.op].color};
+`;
+
+const KeyRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+`;
+
+const KeyLabel = styled.span`
+  flex: 1;
+  color: #333;
+  font-size: 0.9rem;
+`;
+
+const Select = styled.select`
+  padding: 6px 10px;
+  border: 2px solid #e1e5e9;
+  border-radius: 8px;
+  font-size: 0.9rem;
+  background: white;
+`;
+
+const ErrorMessage = styled.div`
+  color: #e74c3c;
+  font-size: 0.9rem;
+  text-align: center;
+`;
+
+const SuccessMessage = styled.div`
+  color: #2ecc71;
+  font-size: 0.9rem;
+  text-align: center;
+`;
+
+function ConfigHistory({ ai, sessionId, onRolledBack }) {
+  const [activeVersion, setActiveVersion] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [keys, setKeys] = useState([]);
+  const [diff, setDiff] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const loadHistory = useCallback(async () => {
+    const [history, keyList] = await Promise.all([
+      apiService.listConfigVersions(sessionId, ai.containerId),
+      apiService.listAIKeys(sessionId, ai.containerId)
+    ]);
+    if (history.success) {
+      setActiveVersion(history.activeVersion);
+      setVersions(history.versions);
+    } else {
+      setError(history.message || 'Failed to load configuration history');
+    }
+    if (keyList.success) {
+      setKeys(keyList.keys.filter(key => key.is_active));
+    }
+  }, [ai.containerId, sessionId]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const showDiff = async (version) => {
+    setError('');
+    const response = await apiService.getConfigDiff(sessionId, ai.containerId, version, activeVersion);
+    if (response.success) {
+      setDiff(response);
+    } else {
+      setError(response.message || 'Failed to diff configuration versions');
+    }
+  };
+
+  const rollback = async (version) => {
+    if (!window.confirm(`Roll back to v${version}? The current configuration stays in the history.`)) {
+      return;
+    }
+    setBusy(true);
+    setError('');
+    setSuccess('');
+    const response = await apiService.rollbackConfig(sessionId, ai.containerId, version);
+    setBusy(false);
+
+    if (response.success) {
+      setSuccess(`${response.message} (saved as v${response.version})`);
+      setDiff(null);
+      onRolledBack(response.config);
+      loadHistory();
+    } else {
+      setError(response.message || 'Failed to roll back configuration');
+    }
+  };
+
+  const pinKey = async (keyId, value) => {
+    setError('');
+    setSuccess('');
+    const version = value ? Number(value) : null;
+    const response = await apiService.pinAIKey(sessionId, ai.containerId, keyId, version);
+    if (response.success) {
+      setKeys(keys.map(key => key.id === keyId ? { ...key, config_version: version } : key));
+    } else {
+      setError(response.message || 'Failed to pin API key');
+    }
+  };
+
+  return (
+    <Section>
+      <SectionTitle>Versions</SectionTitle>
+      <VersionList>
+        {versions.map(version => (
+          <VersionRow key={version.version} active={version.version === activeVersion}>
+            <VersionInfo>
+              <VersionLabel>
+                v{version.version}{version.version === activeVersion ? ' (active)' : ''}
+                {version.note ? ` · ${version.note}` : ''}
+              </VersionLabel>
+              <VersionMeta>
+                {version.author_name || 'Unknown author'} · {new Date(version.created_at).toLocaleString()}
+              </VersionMeta>
+            </VersionInfo>
+            {version.version !== activeVersion && (
+              <>
+                <SmallButton type="button" onClick={() => showDiff(version.version)}>Diff</SmallButton>
+                <SmallButton type="button" onClick={() => rollback(version.version)} disabled={busy}>Roll back</SmallButton>
+              </>
+            )}
+          </VersionRow>
+        ))}
+      </VersionList>
+
+      {diff && (
+        <>
+          <SectionTitle>Changes from v{diff.from} to v{diff.to}</SectionTitle>
+          {diff.changes.length === 0 && <Hint>No differences.</Hint>}
+          {diff.changes.map(change => (
+            <DiffField key={change.field}>
+              <DiffFieldName>{change.field} ({change.change})</DiffFieldName>
+              {change.lines.map((line, index) => (
+                <DiffLine key={index} op={line.op}>{line.op === '@' ? line.text : `${line.op} ${line.text}`}</DiffLine>
+              ))}
+            </DiffField>
+          ))}
+        </>
+      )}
+
+      {keys.length > 0 && (
+        <>
+          <SectionTitle>API key versions</SectionTitle>
+          <Hint>Pin a public API key to a version so its integrations keep that behaviour while you keep editing.</Hint>
+          {keys.map(key => (
+            <KeyRow key={key.id}>
+              <KeyLabel>{key.label || key.prefix}</KeyLabel>
+              <Select value={key.config_version || ''} onChange={(e) => pinKey(key.id, e.target.value)}>
+                <option value="">Follow active version</option>
+                {versions.map(version => (
+                  <option key={version.version} value={version.version}>v{version.version}</option>
+                ))}
+              </Select>
+            </KeyRow>
+          ))}
+        </>
+      )}
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+      {success && <SuccessMessage>{success}</SuccessMessage>}
+    </Section>
+  );
+}
+
+export default ConfigHistory;
@@ -1,14 +1,22 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import styled from 'styled-components';
 import { apiService } from '../services/api';
+import BotPreview from './BotPreview';
+import { TONE_OPTIONS, RESPONSE_LENGTH_OPTIONS, CAPABILITY_OPTIONS, CITATION_POLICY_OPTIONS } from '../utils/botOptions';
 
 const FormContainer = styled.div`
   display: flex;
   justify-content: center;
-  align-items: center;
+  align-items: flex-start;
+  gap: 20px;
   min-height: 100vh;
   padding: 20px;
+
+  @media (max-width: 900px) {
+    flex-direction: column;
+    align-items: stretch;
+  }
 `;
 
 const FormCard = styled.div`
@@ -18,13 +26,25 @@ const FormCard = styled.div`
   border-radius: 15px;
   box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
   width: 100%;
-  max-width: 500px;
+  max-width: 560px;
+`;
+
+const PreviewColumn = styled.div`
+  width: 100%;
+  max-width: 420px;
+  position: sticky;
+  top: 20px;
+
+  @media (max-width: 900px) {
+    max-width: none;
+    position: static;
+  }
 `;
 
 const Title = styled.h1`
   text-align: center;
   color: #333;
-  margin-bottom: 30px;
+  margin-bottom: 20px;
   font-size: 2rem;
   font-weight: 600;
 `;
@@ -76,6 +96,136 @@ const TextArea = styled.textarea`
   }
 `;
 
+const Select = styled.select`
+  padding: 12px 16px;
+  border: 2px solid #e1e5e9;
+  border-radius: 8px;
+  font-size: 1rem;
+  background: white;
+  transition: border-color 0.3s ease;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+// Model providers a bot can run on (stored in the bot's ai-config.js)
+const PROVIDER_OPTIONS = [
+  { value: '', label: 'Platform default' },
+  { value: 'gemini', label: 'Google Gemini' },
+  { value: 'openai', label: 'OpenAI' },
+  { value: 'anthropic', label: 'Anthropic' },
+  { value: 'ollama', label: 'Ollama (local)' },
+  { value: 'openai-compatible', label: 'OpenAI-compatible server' }
+];
+
+const Steps = styled.ol`
+  display: flex;
+  gap: 6px;
+  list-style: none;
+  padding: 0;
+  margin: 0 0 25px 0;
+`;
+
+const StepItem = styled.li`
+  flex: 1;
+  text-align: center;
+  font-size: 0.75rem;
+  font-weight: 600;
+  padding-top: 8px;
+  border-top: 4px solid ${props => props.done || props.current ? '#667eea' : '#e1e5e9'};
+  color: ${props => props.current ? '#667eea' : '#999'};
+  cursor: ${props => props.done ? 'pointer' : 'default'};
+`;
+
+const Hint = styled.span`
+  color: #999;
+  font-size: 0.8rem;
+`;
+
+const TemplateGrid = styled.div`
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  gap: 12px;
+`;
+
+const TemplateCard = styled.button`
+  text-align: left;
+  background: ${props => props.selected ? '#f0f2ff' : 'white'};
+  border: 2px solid ${props => props.selected ? '#667eea' : '#e1e5e9'};
+  border-radius: 10px;
+  padding: 14px;
+  cursor: pointer;
+  transition: border-color 0.3s ease;
+
+  &:hover {
+    border-color: #667eea;
+  }
+`;
+
+const TemplateName = styled.div`
+  color: #333;
+  font-weight: 600;
+  margin-bottom: 4px;
+`;
+
+const TemplateSummary = styled.div`
+  color: #777;
+  font-size: 0.8rem;
+  line-height: 1.4;
+`;
+
+const OptionRow = styled.div`
+  display: flex;
+  gap: 8px;
+  flex-wrap: wrap;
+`;
+
+const OptionButton = styled.button`
+  flex: 1;
+  min-width: 110px;
+  background: ${props => props.selected ? '#667eea' : 'white'};
+  color: ${props => props.selected ? 'white' : '#555'};
+  border: 2px solid ${props => props.selected ? '#667eea' : '#e1e5e9'};
+  border-radius: 8px;
+  padding: 8px 10px;
+  font-size: 0.85rem;
+  cursor: pointer;
+`;
+
+const CheckboxGrid = styled.div`
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  gap: 8px;
+`;
+
+const CheckboxLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  color: #555;
+  font-size: 0.9rem;
+`;
+
+const Summary = styled.dl`
+  display: grid;
+  grid-template-columns: max-content 1fr;
+  gap: 6px 14px;
+  margin: 0;
+  font-size: 0.9rem;
+
+  dt {
+    color: #777;
+  }
+
+  dd {
+    margin: 0;
+    color: #333;
+    word-break: break-word;
+  }
+`;
+
 const ButtonGroup = styled.div`
   display: flex;
   gap: 15px;
@@ -156,29 +306,136 @@ const InfoText = styled.p`
   line-height: 1.4;
 `;
 
+const STEPS = ['Template', 'Basics', 'Behaviour', 'Domain', 'Review'];
+
+const EMPTY_FORM = {
+  templateId: '',
+  name: '',
+  description: '',
+  tone: 'friendly',
+  responseLength: 'medium',
+  capabilities: [],
+  citationPolicy: 'on-request',
+  guardEnabled: true,
+  allowTopics: '',
+  denyTopics: '',
+  inScopeExamples: '',
+  outOfScopeExamples: '',
+  provider: '',
+  model: ''
+};
+
+const splitList = (text, separator) => text.split(separator).map(item => item.trim()).filter(Boolean);
+
+const labelOf = (options, value) => (options.find(option => option.value === value) || {}).label || value;
+
+// Template defaults -> form state (topics are edited as comma-separated lists, example prompts one per line)
+const fromTemplate = (template) => {
+  const defaults = template.defaults;
+  const guard = defaults.topicGuard || {};
+  return {
+    ...EMPTY_FORM,
+    templateId: template.id,
+    name: defaults.name,
+    description: defaults.description,
+    tone: defaults.tone,
+    responseLength: defaults.responseLength,
+    capabilities: defaults.capabilities,
+    citationPolicy: defaults.citationPolicy,
+    allowTopics: (guard.allowTopics || []).join(', '),
+    denyTopics: (guard.denyTopics || []).join(', '),
+    inScopeExamples: (guard.inScopeExamples || []).join('\n'),
+    outOfScopeExamples: (guard.outOfScopeExamples || []).join('\n')
+  };
+};
+
+const toLLM = (formData) => (formData.provider
+  ? { provider: formData.provider, ...(formData.model.trim() ? { model: formData.model.trim() } : {}) }
+  : null);
+
+// Builder settings as the create_ai and drafts endpoints expect them
+const toBuilderSettings = (formData) => ({
+  ...(formData.templateId ? { templateId: formData.templateId } : {}),
+  tone: formData.tone,
+  responseLength: formData.responseLength,
+  capabilities: formData.capabilities,
+  citationPolicy: formData.citationPolicy,
+  topicGuard: {
+    enabled: formData.guardEnabled,
+    allowTopics: splitList(formData.allowTopics, ','),
+    denyTopics: splitList(formData.denyTopics, ','),
+    inScopeExamples: splitList(formData.inScopeExamples, '\n'),
+    outOfScopeExamples: splitList(formData.outOfScopeExamples, '\n')
+  }
+});
+
 function CreateAIForm({ sessionId }) {
   const navigate = useNavigate();
-  const [formData, setFormData] = useState({
-    name: '',
-    description: ''
-  });
+  const [templates, setTemplates] = useState([]);
+  const [step, setStep] = useState(0);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [draftId, setDraftId] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
 
+  useEffect(() => {
+    const loadTemplates = async () => {
+      const response = await apiService.getBotTemplates(sessionId);
+      if (response.success) setTemplates(response.templates);
+    };
+    loadTemplates();
+  }, [sessionId]);
+
+  const template = templates.find(item => item.id === formData.templateId);
+  const basicsValid = formData.name.trim() && formData.description.trim();
+  const previewSpec = basicsValid
+    ? { name: formData.name.trim(), description: formData.description.trim(), ...toBuilderSettings(formData), ...(toLLM(formData) ? { llm: toLLM(formData) } : {}) }
+    : null;
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
-      [e.target.name]: e.target.value
+      [e.target.name]: e.target.type === 'checkbox' ? e.target.checked : e.target.value
     });
     setError(''); // Clear error when user types
     setSuccess(''); // Clear success message
   };
 
+  const setField = (field, value) => {
+    setFormData({ ...formData, [field]: value });
+    setError('');
+  };
+
+  const chooseTemplate = (selected) => {
+    setFormData(selected ? fromTemplate(selected) : { ...EMPTY_FORM, provider: formData.provider, model: formData.model });
+    setStep(1);
+  };
+
+  const toggleCapability = (capability) => {
+    setField('capabilities', formData.capabilities.includes(capability)
+      ? formData.capabilities.filter(item => item !== capability)
+      : [...formData.capabilities, capability]);
+  };
+
+  const goTo = (target) => {
+    if (target > 1 && !basicsValid) {
+      setStep(1);
+      setError('Please enter a name and description');
+      return;
+    }
+    setError('');
+    setStep(target);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
-    
-    if (!formData.name.trim() || !formData.description.trim()) {
+    if (step < STEPS.length - 1) {
+      goTo(step + 1);
+      return;
+    }
+
+    if (!basicsValid) {
       setError('Please fill in all fields');
       return;
     }
@@ -188,7 +445,10 @@ function CreateAIForm({ sessionId }) {
     setSuccess('');
 
     try {
-      const response = await apiService.createAI(sessionId, formData.name, formData.description);
+      const response = await apiService.createAI(sessionId, formData.name, formData.description, toLLM(formData), {
+        ...toBuilderSettings(formData),
+        ...(draftId ? { draftId } : {})
+      });
       if (response.success) {
         setSuccess('AI chatbot created successfully! Redirecting to dashboard...');
         setTimeout(() => {
@@ -213,62 +473,231 @@ function CreateAIForm({ sessionId }) {
     <FormContainer>
       <FormCard>
         <Title>Create New AI Chatbot</Title>
-        
-        <InfoBox>
-          <InfoTitle>How it works:</InfoTitle>
-          <InfoText>
-            Your AI will be created in an isolated container with its own personality and capabilities. 
-            The AI will be initialized based on the name and description you provide, and will be 
-            ready to interact with users once the container is running.
-          </InfoText>
-        </InfoBox>
+
+        <Steps>
+          {STEPS.map((label, index) => (
+            <StepItem key={label} current={index === step} done={index < step} onClick={() => index < step && goTo(index)}>
+              {label}
+            </StepItem>
+          ))}
+        </Steps>
 
         <Form onSubmit={handleSubmit}>
-          <InputGroup>
-            <Label htmlFor="name">AI Name *</Label>
-            <Input
-              type="text"
-              id="name"
-              name="name"
-              value={formData.name}
-              onChange={handleChange}
-              required
-              placeholder="e.g., Customer Support Bot, Creative Writer AI"
-              maxLength={50}
-            />
-          </InputGroup>
-          
-          <InputGroup>
-            <Label htmlFor="description">AI Description *</Label>
-            <TextArea
-              id="description"
-              name="description"
-              value={formData.description}
-              onChange={handleChange}
-              required
-              placeholder="Describe what this AI should do, its personality, and capabilities..."
-              maxLength={500}
-            />
-          </InputGroup>
-          
+          {step === 0 && (
+            <>
+              <InfoBox>
+                <InfoTitle>Start from a template</InfoTitle>
+                <InfoText>
+                  Templates pre-fill every step with settings that suit the use case. You can change anything
+                  before creating the bot, and try it out in the preview as you go.
+                </InfoText>
+              </InfoBox>
+              <TemplateGrid>
+                {templates.map(item => (
+                  <TemplateCard key={item.id} type="button" selected={item.id === formData.templateId} onClick={() => chooseTemplate(item)}>
+                    <TemplateName>{item.name}</TemplateName>
+                    <TemplateSummary>{item.summary}</TemplateSummary>
+                  </TemplateCard>
+                ))}
+                <TemplateCard type="button" selected={!formData.templateId && !!formData.name} onClick={() => chooseTemplate(null)}>
+                  <TemplateName>Start from scratch</TemplateName>
+                  <TemplateSummary>Describe your bot yourself and pick every setting.</TemplateSummary>
+                </TemplateCard>
+              </TemplateGrid>
+            </>
+          )}
+
+          {step === 1 && (
+            <>
+              <InputGroup>
+                <Label htmlFor="name">AI Name *</Label>
+                <Input
+                  type="text"
+                  id="name"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleChange}
+                  required
+                  placeholder="e.g., Customer Support Bot, Creative Writer AI"
+                  maxLength={50}
+                />
+              </InputGroup>
+
+              <InputGroup>
+                <Label htmlFor="description">AI Description *</Label>
+                <TextArea
+                  id="description"
+                  name="description"
+                  value={formData.description}
+                  onChange={handleChange}
+                  required
+                  placeholder="Describe what this AI should do and who it helps..."
+                  maxLength={500}
+                />
+                <Hint>The bot's detailed instructions are written from its name, description and tone.</Hint>
+              </InputGroup>
+            </>
+          )}
+
+          {step === 2 && (
+            <>
+              <InputGroup>
+                <Label>Tone</Label>
+                <OptionRow>
+                  {TONE_OPTIONS.map(tone => (
+                    <OptionButton key={tone} type="button" selected={formData.tone === tone} onClick={() => setField('tone', tone)}>
+                      {tone.charAt(0).toUpperCase() + tone.slice(1)}
+                    </OptionButton>
+                  ))}
+                </OptionRow>
+              </InputGroup>
+
+              <InputGroup>
+                <Label>Response length</Label>
+                <OptionRow>
+                  {RESPONSE_LENGTH_OPTIONS.map(option => (
+                    <OptionButton key={option.value} type="button" title={option.hint} selected={formData.responseLength === option.value} onClick={() => setField('responseLength', option.value)}>
+                      {option.label}
+                    </OptionButton>
+                  ))}
+                </OptionRow>
+              </InputGroup>
+
+              <InputGroup>
+                <Label>Capabilities</Label>
+                <CheckboxGrid>
+                  {CAPABILITY_OPTIONS.map(option => (
+                    <CheckboxLabel key={option.value}>
+                      <input type="checkbox" checked={formData.capabilities.includes(option.value)} onChange={() => toggleCapability(option.value)} />
+                      {option.label}
+                    </CheckboxLabel>
+                  ))}
+                </CheckboxGrid>
+              </InputGroup>
+
+              <InputGroup>
+                <Label>Citations</Label>
+                <OptionRow>
+                  {CITATION_POLICY_OPTIONS.map(option => (
+                    <OptionButton key={option.value} type="button" selected={formData.citationPolicy === option.value} onClick={() => setField('citationPolicy', option.value)}>
+                      {option.label}
+                    </OptionButton>
+                  ))}
+                </OptionRow>
+                <Hint>{CITATION_POLICY_OPTIONS.find(option => option.value === formData.citationPolicy).hint}</Hint>
+              </InputGroup>
+            </>
+          )}
+
+          {step === 3 && (
+            <>
+              <CheckboxLabel>
+                <input type="checkbox" name="guardEnabled" checked={formData.guardEnabled} onChange={handleChange} />
+                Refuse questions outside the topics below
+              </CheckboxLabel>
+
+              <InputGroup>
+                <Label htmlFor="allowTopics">Allowed topics</Label>
+                <Input id="allowTopics" name="allowTopics" value={formData.allowTopics} onChange={handleChange} placeholder="e.g. invoices, billing, refunds" />
+                <Hint>Comma-separated. Leave empty (and the examples too) to allow any topic.</Hint>
+              </InputGroup>
+
+              <InputGroup>
+                <Label htmlFor="denyTopics">Denied topics</Label>
+                <Input id="denyTopics" name="denyTopics" value={formData.denyTopics} onChange={handleChange} placeholder="e.g. politics, medical advice" />
+              </InputGroup>
+
+              <InputGroup>
+                <Label htmlFor="inScopeExamples">In-scope examples</Label>
+                <TextArea id="inScopeExamples" name="inScopeExamples" value={formData.inScopeExamples} onChange={handleChange} placeholder="One question per line" />
+              </InputGroup>
+
+              <InputGroup>
+                <Label htmlFor="outOfScopeExamples">Out-of-scope examples</Label>
+                <TextArea id="outOfScopeExamples" name="outOfScopeExamples" value={formData.outOfScopeExamples} onChange={handleChange} placeholder="One question per line" />
+                <Hint>Try an off-topic question in the preview to check the guard refuses it.</Hint>
+              </InputGroup>
+            </>
+          )}
+
+          {step === 4 && (
+            <>
+              <InputGroup>
+                <Label htmlFor="provider">Model Provider</Label>
+                <Select
+                  id="provider"
+                  name="provider"
+                  value={formData.provider}
+                  onChange={handleChange}
+                >
+                  {PROVIDER_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </Select>
+              </InputGroup>
+
+              {formData.provider && (
+                <InputGroup>
+                  <Label htmlFor="model">Model</Label>
+                  <Input
+                    type="text"
+                    id="model"
+                    name="model"
+                    value={formData.model}
+                    onChange={handleChange}
+                    placeholder="Leave empty for the provider's default model"
+                    maxLength={100}
+                  />
+                </InputGroup>
+              )}
+
+              <Summary>
+                <dt>Template</dt>
+                <dd>{template ? template.name : 'None'}</dd>
+                <dt>Name</dt>
+                <dd>{formData.name}</dd>
+                <dt>Tone</dt>
+                <dd>{formData.tone}</dd>
+                <dt>Responses</dt>
+                <dd>{labelOf(RESPONSE_LENGTH_OPTIONS, formData.responseLength)}</dd>
+                <dt>Capabilities</dt>
+                <dd>{formData.capabilities.map(value => labelOf(CAPABILITY_OPTIONS, value)).join(', ') || 'Chat only'}</dd>
+                <dt>Citations</dt>
+                <dd>{labelOf(CITATION_POLICY_OPTIONS, formData.citationPolicy)}</dd>
+                <dt>Topics</dt>
+                <dd>{formData.guardEnabled && formData.allowTopics.trim() ? formData.allowTopics : 'Any topic'}</dd>
+              </Summary>
+            </>
+          )}
+
           <ButtonGroup>
-            <Button type="button" onClick={handleCancel} disabled={loading}>
-              Cancel
-            </Button>
-            <Button type="submit" primary disabled={loading}>
-              {loading ? <LoadingSpinner /> : 'Create AI Chatbot'}
+            <Button type="button" onClick={step === 0 ? handleCancel : () => goTo(step - 1)} disabled={loading}>
+              {step === 0 ? 'Cancel' : 'Back'}
             </Button>
+            {step > 0 && (
+              <Button type="submit" primary disabled={loading}>
+                {loading ? <LoadingSpinner /> : step === STEPS.length - 1 ? 'Create AI Chatbot' : 'Next'}
+              </Button>
+            )}
           </ButtonGroup>
-          
+
           {error && <ErrorMessage>{error}</ErrorMessage>}
           {success && <SuccessMessage>{success}</SuccessMessage>}
         </Form>
       </FormCard>
+
+      {step > 0 && (
+        <PreviewColumn>
+          <BotPreview
+            sessionId={sessionId}
+            spec={previewSpec}
+            sampleQuestions={template ? template.sampleQuestions : []}
+            onDraftChange={setDraftId}
+          />
+        </PreviewColumn>
+      )}
     </FormContainer>
   );
 }
 
 export default CreateAIForm;
-
-
-
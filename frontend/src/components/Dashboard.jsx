@@ -1,8 +1,10 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import styled from 'styled-components';
 import { apiService } from '../services/api';
 import ChatInterface from './ChatInterface';
+import EditAIForm from './EditAIForm';
+import CloneAIForm from './CloneAIForm';
 import MiniMusicPlayer from './MiniMusicPlayer';
 
 const DashboardContainer = styled.div`
@@ -97,6 +99,8 @@ const StatusBadge = styled.span`
   background: ${props => {
     switch(props.status) {
       case 'Running': return '#2ecc71';
+      case 'Running (Demo Mode)': return '#2ecc71';
+      case 'Hibernated': return '#3498db';
       case 'Initializing': return '#f39c12';
       case 'Error': return '#e74c3c';
       default: return '#95a5a6';
@@ -105,6 +109,40 @@ const StatusBadge = styled.span`
   color: white;
 `;
 
+const CardActions = styled.div`
+  display: flex;
+  gap: 8px;
+  flex-wrap: wrap;
+  margin-top: 15px;
+`;
+
+const ActionButton = styled.button`
+  background: transparent;
+  color: #667eea;
+  border: 1px solid #667eea;
+  padding: 6px 12px;
+  border-radius: 6px;
+  font-size: 0.8rem;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: default;
+  }
+`;
+
+// Which lifecycle controls each status offers
+const actionsForStatus = (status) => {
+  if (status.includes('Running')) return ['stop', 'restart', 'hibernate'];
+  if (status === 'Hibernated') return ['resume', 'stop'];
+  if (status === 'Stopped' || status === 'Error') return ['start'];
+  return [];
+};
+
+// Hibernated AIs wake up on their next message, so they can be opened too
+const canChat = (status) => status.includes('Running') || status === 'Hibernated';
+
 const EmptyState = styled.div`
   text-align: center;
   padding: 60px 20px;
@@ -140,6 +178,12 @@ function Dashboard({ sessionId, onLogout }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [selectedAI, setSelectedAI] = useState(null);
+  const [pendingAction, setPendingAction] = useState({});
+  const [editingAI, setEditingAI] = useState(null);
+  const [cloningAI, setCloningAI] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [notice, setNotice] = useState('');
+  const importInput = useRef(null);
 
   useEffect(() => {
     fetchAIInstances();
@@ -162,6 +206,69 @@ function Dashboard({ sessionId, onLogout }) {
     }
   };
 
+  const handleLifecycle = async (event, ai, action) => {
+    event.stopPropagation();
+    setPendingAction(prev => ({ ...prev, [ai.containerId]: action }));
+    setError('');
+    const response = await apiService.changeAIState(sessionId, ai.containerId, action);
+    if (response.success) {
+      setAiInstances(prev => prev.map(item => (
+        item.containerId === ai.containerId ? { ...item, status: response.status } : item
+      )));
+    } else {
+      setError(response.message || `Failed to ${action} ${ai.name}`);
+    }
+    setPendingAction(prev => ({ ...prev, [ai.containerId]: null }));
+  };
+
+  const handleEdit = (event, ai) => {
+    event.stopPropagation();
+    setEditingAI(ai);
+  };
+
+  const handleClone = (event, ai) => {
+    event.stopPropagation();
+    setCloningAI(ai);
+  };
+
+  const handleCloned = (response) => {
+    setCloningAI(null);
+    setError('');
+    // New keys are only returned this once, so they go in the notice for the user to copy
+    const keys = response.apiKeys || [];
+    const keyList = keys.map(key => `${key.label || 'key'}: ${key.apiKey}`).join('; ');
+    setNotice(`${response.message}${response.threads ? `, ${response.threads} chat(s) copied` : ''}${keys.length ? `, ${keys.length} API key(s) created (copy them now, they are not shown again): ${keyList}` : ''}`);
+    fetchAIInstances();
+  };
+
+  // Reflect a saved name/description on the card without refetching the list
+  const handleConfigSaved = (config) => {
+    setAiInstances(prev => prev.map(item => (
+      item.containerId === editingAI.containerId
+        ? { ...item, name: config.name, description: config.description }
+        : item
+    )));
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setImporting(true);
+    setError('');
+    setNotice('');
+    const response = await apiService.importAI(sessionId, file);
+    setImporting(false);
+    if (response.success) {
+      const reindexed = response.reembedded || response.indexedChunks;
+      setNotice(`${response.message}: ${response.documents} document(s)${response.threads ? `, ${response.threads} chat(s)` : ''}${reindexed ? ', search index rebuilt' : ''}`);
+      fetchAIInstances();
+    } else {
+      setError(response.message || 'Failed to import AI');
+    }
+  };
+
   const handleLogout = () => {
     onLogout();
   };
@@ -182,6 +289,10 @@ function Dashboard({ sessionId, onLogout }) {
           <Link to="/create-ai" style={{ textDecoration: 'none' }}>
             <Button primary>Create New AI</Button>
           </Link>
+          <Button onClick={() => importInput.current.click()} disabled={importing}>
+            {importing ? 'Importing...' : 'Import AI'}
+          </Button>
+          <input ref={importInput} type="file" accept=".aibot,application/gzip,application/json" style={{ display: 'none' }} onChange={handleImport} />
           <Link to="/music-spaces" style={{ textDecoration: 'none' }}>
             <Button>🎵 Music Spaces</Button>
           </Link>
@@ -202,6 +313,20 @@ function Dashboard({ sessionId, onLogout }) {
         </div>
       )}
 
+      {notice && (
+        <div style={{
+          background: '#2ecc71',
+          color: 'white',
+          padding: '15px',
+          borderRadius: '8px',
+          marginBottom: '20px',
+          textAlign: 'center',
+          wordBreak: 'break-word'
+        }}>
+          {notice}
+        </div>
+      )}
+
       {aiInstances.length === 0 ? (
         <EmptyState>
           <EmptyTitle>No AI Chatbots Yet</EmptyTitle>
@@ -218,12 +343,31 @@ function Dashboard({ sessionId, onLogout }) {
           {aiInstances.map((ai) => (
             <AICard 
               key={ai.containerId} 
-              onClick={() => ai.status.includes('Running') && setSelectedAI(ai)}
-              clickable={ai.status.includes('Running')}
+              onClick={() => canChat(ai.status) && setSelectedAI(ai)}
+              clickable={canChat(ai.status)}
             >
               <AIName>{ai.name}</AIName>
               <AIDescription>{ai.description}</AIDescription>
-              <StatusBadge status={ai.status}>{ai.status}</StatusBadge>
+              <StatusBadge status={ai.status}>
+                {pendingAction[ai.containerId] ? `${pendingAction[ai.containerId]}...` : ai.status}
+              </StatusBadge>
+              <CardActions>
+                {actionsForStatus(ai.status).map(action => (
+                  <ActionButton
+                    key={action}
+                    disabled={!!pendingAction[ai.containerId]}
+                    onClick={(event) => handleLifecycle(event, ai, action)}
+                  >
+                    {action.charAt(0).toUpperCase() + action.slice(1)}
+                  </ActionButton>
+                ))}
+                {ai.status !== 'Initializing' && (
+                  <ActionButton onClick={(event) => handleEdit(event, ai)}>Edit</ActionButton>
+                )}
+                {ai.status !== 'Initializing' && (
+                  <ActionButton onClick={(event) => handleClone(event, ai)}>Clone</ActionButton>
+                )}
+              </CardActions>
             </AICard>
           ))}
         </AIGrid>
@@ -237,6 +381,24 @@ function Dashboard({ sessionId, onLogout }) {
         />
       )}
       
+      {editingAI && (
+        <EditAIForm
+          ai={editingAI}
+          sessionId={sessionId}
+          onClose={() => setEditingAI(null)}
+          onSaved={handleConfigSaved}
+        />
+      )}
+
+      {cloningAI && (
+        <CloneAIForm
+          ai={cloningAI}
+          sessionId={sessionId}
+          onClose={() => setCloningAI(null)}
+          onCloned={handleCloned}
+        />
+      )}
+      
       {/* Mini Music Player - Available on Dashboard */}
       <MiniMusicPlayer />
     </DashboardContainer>
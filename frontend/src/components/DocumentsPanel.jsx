@@ -0,0 +1,442 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import styled from 'styled-components';
+import { apiService } from '../services/api';
+
+const Section = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 16px;
+  padding: 25px;
+  overflow-y: auto;
+`;
+
+const SectionTitle = styled.h3`
+  margin: 0;
+  color: #333;
+  font-size: 1.05rem;
+`;
+
+const Hint = styled.span`
+  color: #999;
+  font-size: 0.8rem;
+`;
+
+const Row = styled.div`
+  display: flex;
+  gap: 10px;
+  align-items: center;
+  flex-wrap: wrap;
+`;
+
+const Input = styled.input`
+  flex: 1;
+  min-width: 160px;
+  padding: 8px 12px;
+  border: 2px solid #e1e5e9;
+  border-radius: 8px;
+  font-size: 0.9rem;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+const SmallButton = styled.button`
+  background: transparent;
+  color: ${props => props.danger ? '#e74c3c' : '#667eea'};
+  border: 2px solid ${props => props.danger ? '#e74c3c' : '#667eea'};
+  padding: 6px 12px;
+  border-radius: 8px;
+  font-size: 0.8rem;
+  font-weight: 600;
+  cursor: pointer;
+  transition: all 0.3s ease;
+
+  &:hover {
+    background: ${props => props.danger ? '#e74c3c' : '#667eea'};
+    color: white;
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const DocumentList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+`;
+
+const DocumentCard = styled.div`
+  border: 1px solid #e1e5e9;
+  border-radius: 8px;
+  padding: 12px 14px;
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  background: #fafbfc;
+`;
+
+const DocumentTitle = styled.span`
+  flex: 1;
+  color: #333;
+  font-weight: 600;
+  font-size: 0.95rem;
+  word-break: break-word;
+`;
+
+const DocumentMeta = styled.span`
+  color: #777;
+  font-size: 0.78rem;
+`;
+
+const Tag = styled.span`
+  background: #eef0fb;
+  color: #4a5bd4;
+  border-radius: 10px;
+  padding: 2px 8px;
+  font-size: 0.75rem;
+`;
+
+const Preview = styled.pre`
+  margin: 0;
+  max-height: 260px;
+  overflow: auto;
+  white-space: pre-wrap;
+  word-break: break-word;
+  background: white;
+  border: 1px solid #e1e5e9;
+  border-radius: 6px;
+  padding: 10px;
+  font-size: 0.8rem;
+  color: #444;
+`;
+
+const ProgressTrack = styled.div`
+  height: 4px;
+  background: #dde3f0;
+  border-radius: 2px;
+  overflow: hidden;
+`;
+
+const ProgressBar = styled.div`
+  height: 100%;
+  width: ${props => props.percent}%;
+  background: #667eea;
+  transition: width 0.3s ease;
+`;
+
+const ErrorMessage = styled.div`
+  color: #e74c3c;
+  font-size: 0.9rem;
+  text-align: center;
+`;
+
+const ACTIVE_JOB_STATES = ['queued', 'extracting', 'chunking', 'embedding'];
+const DOCUMENT_ACCEPT = '.pdf,.txt,.md,.markdown,.html,.htm,.docx,.xlsx,.pptx,.epub,.json,.csv,.tsv,image/*';
+const PREVIEW_CHARS = 20000;
+
+const formatSize = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(1))} ${units[i]}`;
+};
+
+const parseTags = (value) => [...new Set(value.split(',').map(tag => tag.trim()).filter(Boolean))];
+
+// "Indexing 3/12 sections (9 unchanged)" for a replacement in progress
+const describeJob = (job) => {
+  const { totalChunks, embeddedChunks, reusedChunks, failedChunks } = job.progress;
+  switch (job.state) {
+    case 'queued':
+      return 'New version waiting…';
+    case 'extracting':
+      return 'Reading new version…';
+    case 'chunking':
+      return 'Comparing with the current version…';
+    case 'embedding':
+      return `Indexing ${embeddedChunks + failedChunks - reusedChunks}/${totalChunks - reusedChunks} changed sections (${reusedChunks} unchanged)`;
+    case 'failed':
+      return `Replacement failed: ${job.error}`;
+    case 'cancelled':
+      return 'Replacement cancelled';
+    default:
+      return `Replaced: ${totalChunks - reusedChunks} of ${totalChunks} sections re-indexed`;
+  }
+};
+
+function DocumentsPanel({ ai, sessionId }) {
+  const [documents, setDocuments] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [previews, setPreviews] = useState({}); // docId -> { text, truncated }
+  const [editing, setEditing] = useState(null); // { id, title, tags }
+  const [jobs, setJobs] = useState({}); // docId -> latest replacement job
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const fileInputs = useRef({});
+  const jobsRef = useRef(jobs);
+  jobsRef.current = jobs;
+
+  const loadDocuments = useCallback(async () => {
+    const response = await apiService.listDocuments(sessionId, ai.containerId);
+    if (response.success) {
+      setDocuments(response.documents || []);
+      setError('');
+    } else {
+      setError(response.message || 'Failed to load documents');
+    }
+    setLoaded(true);
+  }, [ai.containerId, sessionId]);
+
+  // A replacement changed: show its progress, and the new version once it is done
+  const applyJob = useCallback((job) => {
+    if (!job.replaces) return;
+    const previous = jobsRef.current[job.replaces];
+    if (!previous && !ACTIVE_JOB_STATES.includes(job.state)) return;
+    setJobs(prev => ({ ...prev, [job.replaces]: job }));
+    if (job.state === 'done' && previous?.state !== 'done') {
+      setPreviews(prev => {
+        const { [job.replaces]: stale, ...rest } = prev;
+        return rest;
+      });
+      loadDocuments();
+    }
+  }, [loadDocuments]);
+
+  useEffect(() => {
+    loadDocuments();
+  }, [loadDocuments]);
+
+  // Replacement progress is pushed over the WebSocket; while it isn't connected, running jobs are polled
+  useEffect(() => {
+    const watcher = apiService.watchIngestJobs(sessionId, ai.containerId, applyJob);
+    apiService.listIngestJobs(sessionId, ai.containerId).then(response => {
+      if (response.success) (response.jobs || []).slice().reverse().forEach(applyJob);
+    });
+    const poll = setInterval(async () => {
+      if (watcher.isOpen()) return;
+      const running = Object.values(jobsRef.current).filter(job => ACTIVE_JOB_STATES.includes(job.state));
+      for (const job of running) {
+        const response = await apiService.getIngestJob(sessionId, ai.containerId, job.id);
+        if (response.success) applyJob(response.job);
+      }
+    }, 3000);
+
+    return () => {
+      clearInterval(poll);
+      watcher.close();
+    };
+  }, [ai.containerId, sessionId, applyJob]);
+
+  const togglePreview = async (doc) => {
+    if (previews[doc.id]) {
+      setPreviews(prev => {
+        const { [doc.id]: closed, ...rest } = prev;
+        return rest;
+      });
+      return;
+    }
+    setBusyId(doc.id);
+    const response = await apiService.getDocument(sessionId, ai.containerId, doc.id, PREVIEW_CHARS);
+    setBusyId(null);
+    if (response.success) {
+      setPreviews(prev => ({ ...prev, [doc.id]: { text: response.text, truncated: response.truncated } }));
+    } else {
+      setError(response.message || 'Failed to load the document');
+    }
+  };
+
+  const saveEdit = async (e) => {
+    e.preventDefault();
+    if (!editing.title.trim()) return;
+    setBusyId(editing.id);
+    const response = await apiService.updateDocument(sessionId, ai.containerId, editing.id, {
+      title: editing.title.trim(),
+      tags: parseTags(editing.tags)
+    });
+    setBusyId(null);
+    if (response.success) {
+      setDocuments(prev => prev.map(doc => (doc.id === editing.id ? response.document : doc)));
+      setEditing(null);
+      setError('');
+    } else {
+      setError(response.message || 'Failed to update the document');
+    }
+  };
+
+  const replaceDocument = async (doc, file) => {
+    if (!file) return;
+    setBusyId(doc.id);
+    const response = await apiService.replaceDocument(sessionId, ai.containerId, doc.id, file);
+    setBusyId(null);
+    if (response.success) {
+      setJobs(prev => ({ ...prev, [doc.id]: response.job }));
+      setError('');
+    } else {
+      setError(response.message || 'Failed to upload the new version');
+    }
+  };
+
+  const cancelReplacement = async (job) => {
+    const response = await apiService.cancelIngestJob(sessionId, ai.containerId, job.id);
+    if (response.success) {
+      applyJob(response.job);
+    } else {
+      setError(response.message || 'Failed to cancel the replacement');
+    }
+  };
+
+  const retryReplacement = async (job) => {
+    const response = await apiService.retryIngestJob(sessionId, ai.containerId, job.id);
+    if (response.success) {
+      applyJob(response.job);
+    } else {
+      setError(response.message || 'Failed to retry the replacement');
+    }
+  };
+
+  const deleteDocument = async (doc) => {
+    if (!window.confirm(`Delete "${doc.title}" and its index?`)) return;
+    setBusyId(doc.id);
+    const response = await apiService.deleteDocument(sessionId, ai.containerId, doc.id);
+    setBusyId(null);
+    if (response.success) {
+      setDocuments(prev => prev.filter(item => item.id !== doc.id));
+      setError('');
+    } else {
+      setError(response.message || 'Failed to delete the document');
+    }
+  };
+
+  const totalSize = documents.reduce((sum, doc) => sum + (doc.size || 0), 0);
+
+  return (
+    <Section>
+      <Row>
+        <SectionTitle style={{ flex: 1 }}>
+          Documents ({documents.length}{documents.length ? ` · ${formatSize(totalSize)}` : ''})
+        </SectionTitle>
+        <SmallButton type="button" onClick={loadDocuments}>Refresh</SmallButton>
+      </Row>
+      <Hint>Replacing a document with a new version re-indexes only the sections that changed; the current version keeps answering until it is done.</Hint>
+
+      {loaded && documents.length === 0 && <Hint>No documents yet. Upload files from the chat window (📎) or add web sources.</Hint>}
+      <DocumentList>
+        {documents.map((doc) => {
+          const job = jobs[doc.id];
+          const replacing = job && ACTIVE_JOB_STATES.includes(job.state);
+          const preview = previews[doc.id];
+          const busy = busyId === doc.id;
+          return (
+            <DocumentCard key={doc.id}>
+              {editing?.id === doc.id ? (
+                <Row as="form" onSubmit={saveEdit}>
+                  <Input
+                    value={editing.title}
+                    onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                    maxLength={200}
+                    placeholder="Title"
+                    aria-label="Title"
+                  />
+                  <Input
+                    value={editing.tags}
+                    onChange={(e) => setEditing({ ...editing, tags: e.target.value })}
+                    placeholder="Tags, comma separated"
+                    aria-label="Tags"
+                  />
+                  <SmallButton type="submit" disabled={busy || !editing.title.trim()}>Save</SmallButton>
+                  <SmallButton type="button" onClick={() => setEditing(null)}>Cancel</SmallButton>
+                </Row>
+              ) : (
+                <Row>
+                  <DocumentTitle>{doc.title}</DocumentTitle>
+                  {(doc.tags || []).map(tag => <Tag key={tag}>{tag}</Tag>)}
+                </Row>
+              )}
+
+              {doc.sourceUrl && (
+                <DocumentMeta>
+                  <a href={doc.sourceUrl} target="_blank" rel="noopener noreferrer">{doc.sourceUrl}</a>
+                </DocumentMeta>
+              )}
+              <DocumentMeta>
+                {[
+                  doc.filename,
+                  doc.format,
+                  formatSize(doc.size),
+                  `${doc.chunkCount} sections`,
+                  `uploaded ${new Date(doc.createdAt).toLocaleString()}`,
+                  doc.version > 1 ? `v${doc.version}, updated ${new Date(doc.updatedAt).toLocaleString()}` : null
+                ].filter(Boolean).join(' · ')}
+              </DocumentMeta>
+
+              {job && (
+                <>
+                  <DocumentMeta>{describeJob(job)}</DocumentMeta>
+                  {replacing && (
+                    <ProgressTrack>
+                      <ProgressBar percent={job.progress.percent} />
+                    </ProgressTrack>
+                  )}
+                </>
+              )}
+
+              <Row>
+                <SmallButton type="button" onClick={() => togglePreview(doc)} disabled={busy}>
+                  {preview ? 'Hide text' : 'Preview'}
+                </SmallButton>
+                <SmallButton
+                  type="button"
+                  onClick={() => setEditing({ id: doc.id, title: doc.title, tags: (doc.tags || []).join(', ') })}
+                  disabled={busy || editing?.id === doc.id}
+                >
+                  Rename / tags
+                </SmallButton>
+                {replacing ? (
+                  <SmallButton type="button" onClick={() => cancelReplacement(job)} disabled={job.cancelRequested}>
+                    Cancel replacement
+                  </SmallButton>
+                ) : (
+                  <SmallButton type="button" onClick={() => fileInputs.current[doc.id]?.click()} disabled={busy}>
+                    Replace…
+                  </SmallButton>
+                )}
+                {job?.state === 'failed' && (
+                  <SmallButton type="button" onClick={() => retryReplacement(job)}>Retry</SmallButton>
+                )}
+                <SmallButton type="button" danger onClick={() => deleteDocument(doc)} disabled={busy}>Delete</SmallButton>
+                <input
+                  type="file"
+                  accept={DOCUMENT_ACCEPT}
+                  style={{ display: 'none' }}
+                  ref={(input) => { fileInputs.current[doc.id] = input; }}
+                  onChange={(e) => {
+                    replaceDocument(doc, e.target.files?.[0]);
+                    e.target.value = '';
+                  }}
+                />
+              </Row>
+
+              {preview && (
+                <>
+                  <Preview>{preview.text}</Preview>
+                  {preview.truncated && (
+                    <Hint>Showing the first {PREVIEW_CHARS.toLocaleString()} of {doc.characters.toLocaleString()} characters.</Hint>
+                  )}
+                </>
+              )}
+            </DocumentCard>
+          );
+        })}
+      </DocumentList>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+    </Section>
+  );
+}
+
+export default DocumentsPanel;
@@ -0,0 +1,519 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import { apiService } from '../services/api';
+import ConfigHistory from './ConfigHistory';
+import TopicGuardLog from './TopicGuardLog';
+import ExportBot from './ExportBot';
+import WidgetSettings from './WidgetSettings';
+import DocumentsPanel from './DocumentsPanel';
+import WebSourcesPanel from './WebSourcesPanel';
+import { TONE_OPTIONS, RESPONSE_LENGTH_OPTIONS, CAPABILITY_OPTIONS, CITATION_POLICY_OPTIONS } from '../utils/botOptions';
+
+const Overlay = styled.div`
+  position: fixed;
+  top: 0;
+  left: 0;
+  right: 0;
+  bottom: 0;
+  background: rgba(0, 0, 0, 0.8);
+  display: flex;
+  justify-content: center;
+  align-items: center;
+  z-index: 1000;
+  backdrop-filter: blur(5px);
+`;
+
+const EditWindow = styled.div`
+  width: 90%;
+  max-width: 760px;
+  max-height: 90%;
+  background: white;
+  border-radius: 20px;
+  box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+  display: flex;
+  flex-direction: column;
+  overflow: hidden;
+`;
+
+const EditHeader = styled.div`
+  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+  color: white;
+  padding: 20px;
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const EditTitle = styled.h2`
+  margin: 0;
+  font-size: 1.5rem;
+`;
+
+const CloseButton = styled.button`
+  background: rgba(255, 255, 255, 0.2);
+  border: none;
+  color: white;
+  padding: 10px 15px;
+  border-radius: 10px;
+  cursor: pointer;
+  font-size: 1.2rem;
+  transition: background 0.3s ease;
+
+  &:hover {
+    background: rgba(255, 255, 255, 0.3);
+  }
+`;
+
+const Tabs = styled.div`
+  display: flex;
+  border-bottom: 2px solid #e1e5e9;
+`;
+
+const Tab = styled.button`
+  flex: 1;
+  background: none;
+  border: none;
+  border-bottom: 3px solid ${props => props.active ? '#667eea' : 'transparent'};
+  color: ${props => props.active ? '#667eea' : '#777'};
+  padding: 12px;
+  font-size: 0.95rem;
+  font-weight: 600;
+  cursor: pointer;
+`;
+
+const Form = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 18px;
+  padding: 25px;
+  overflow-y: auto;
+`;
+
+const InputGroup = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+`;
+
+const Label = styled.label`
+  color: #555;
+  font-weight: 500;
+  font-size: 0.9rem;
+`;
+
+const Hint = styled.span`
+  color: #999;
+  font-size: 0.8rem;
+`;
+
+const Input = styled.input`
+  padding: 12px 16px;
+  border: 2px solid #e1e5e9;
+  border-radius: 8px;
+  font-size: 1rem;
+  transition: border-color 0.3s ease;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+const TextArea = styled.textarea`
+  padding: 12px 16px;
+  border: 2px solid #e1e5e9;
+  border-radius: 8px;
+  font-size: 0.95rem;
+  transition: border-color 0.3s ease;
+  resize: vertical;
+  min-height: ${props => props.tall ? '180px' : '90px'};
+  font-family: inherit;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+const Select = styled.select`
+  padding: 12px 16px;
+  border: 2px solid #e1e5e9;
+  border-radius: 8px;
+  font-size: 1rem;
+  background: white;
+  transition: border-color 0.3s ease;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+const Fieldset = styled.fieldset`
+  display: flex;
+  flex-direction: column;
+  gap: 14px;
+  border: 2px solid #e1e5e9;
+  border-radius: 8px;
+  padding: 16px;
+  margin: 0;
+`;
+
+const Legend = styled.legend`
+  color: #555;
+  font-weight: 600;
+  padding: 0 6px;
+`;
+
+const CheckboxLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  color: #555;
+  font-size: 0.9rem;
+`;
+
+const Row = styled.div`
+  display: flex;
+  gap: 15px;
+
+  & > * {
+    flex: 1;
+  }
+`;
+
+const ButtonGroup = styled.div`
+  display: flex;
+  gap: 15px;
+  margin-top: 10px;
+`;
+
+const Button = styled.button`
+  flex: 1;
+  background: ${props => props.primary ? 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)' : 'transparent'};
+  color: ${props => props.primary ? 'white' : '#667eea'};
+  border: ${props => props.primary ? 'none' : '2px solid #667eea'};
+  padding: 14px;
+  border-radius: 8px;
+  font-size: 1rem;
+  font-weight: 600;
+  cursor: pointer;
+  transition: all 0.3s ease;
+
+  &:hover {
+    transform: translateY(-2px);
+    box-shadow: 0 5px 15px rgba(0, 0, 0, 0.2);
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+    transform: none;
+  }
+`;
+
+const ErrorMessage = styled.div`
+  color: #e74c3c;
+  font-size: 0.9rem;
+  text-align: center;
+`;
+
+const SuccessMessage = styled.div`
+  color: #2ecc71;
+  font-size: 0.9rem;
+  text-align: center;
+`;
+
+const splitList = (text, separator) => text.split(separator).map(item => item.trim()).filter(Boolean);
+
+// Form state <-> API config (topics are edited as comma-separated lists, example prompts one per line)
+const toFormData = (config) => ({
+  name: config.name || '',
+  description: config.description || '',
+  tone: config.tone || 'friendly',
+  responseLength: config.responseLength || 'medium',
+  capabilities: config.capabilities || [],
+  citationPolicy: config.citationPolicy || 'on-request',
+  guardEnabled: config.topicGuard?.enabled !== false,
+  guardMode: config.topicGuard?.mode || 'embeddings',
+  allowTopics: (config.topicGuard?.allowTopics || []).join(', '),
+  denyTopics: (config.topicGuard?.denyTopics || []).join(', '),
+  inScopeExamples: (config.topicGuard?.inScopeExamples || []).join('\n'),
+  outOfScopeExamples: (config.topicGuard?.outOfScopeExamples || []).join('\n'),
+  threshold: config.topicGuard?.threshold ?? '',
+  allowSmallTalk: config.topicGuard?.allowSmallTalk !== false,
+  refusalMessage: config.topicGuard?.refusalMessage || '',
+  detailedInstructions: config.detailedInstructions || '',
+  systemPrompt: config.systemPrompt || '',
+  note: ''
+});
+
+const toConfig = (formData) => ({
+  name: formData.name,
+  description: formData.description,
+  tone: formData.tone,
+  responseLength: formData.responseLength,
+  capabilities: formData.capabilities,
+  citationPolicy: formData.citationPolicy,
+  topicGuard: {
+    enabled: formData.guardEnabled,
+    mode: formData.guardMode,
+    allowTopics: splitList(formData.allowTopics, ','),
+    denyTopics: splitList(formData.denyTopics, ','),
+    inScopeExamples: splitList(formData.inScopeExamples, '\n'),
+    outOfScopeExamples: splitList(formData.outOfScopeExamples, '\n'),
+    threshold: formData.threshold === '' ? null : Number(formData.threshold),
+    allowSmallTalk: formData.allowSmallTalk,
+    refusalMessage: formData.refusalMessage
+  },
+  detailedInstructions: formData.detailedInstructions,
+  systemPrompt: formData.systemPrompt,
+  ...(formData.note.trim() ? { note: formData.note.trim() } : {})
+});
+
+function EditAIForm({ ai, sessionId, onClose, onSaved }) {
+  const [formData, setFormData] = useState(null);
+  const [tab, setTab] = useState('settings');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    const loadConfig = async () => {
+      const response = await apiService.getAIConfig(sessionId, ai.containerId);
+      if (response.success) {
+        setFormData(toFormData(response.config));
+      } else {
+        setError(response.message || 'Failed to load AI configuration');
+      }
+    };
+    loadConfig();
+  }, [ai.containerId, sessionId]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.type === 'checkbox' ? e.target.checked : e.target.value
+    });
+    setError('');
+    setSuccess('');
+  };
+
+  const toggleCapability = (capability) => {
+    setFormData({
+      ...formData,
+      capabilities: formData.capabilities.includes(capability)
+        ? formData.capabilities.filter(item => item !== capability)
+        : [...formData.capabilities, capability]
+    });
+    setError('');
+    setSuccess('');
+  };
+
+  const save = async (regenerateInstructions) => {
+    if (!formData.name.trim() || !formData.description.trim()) {
+      setError('Name and description are required');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    setSuccess('');
+    const response = await apiService.updateAIConfig(sessionId, ai.containerId, toConfig(formData), regenerateInstructions);
+    setSaving(false);
+
+    if (response.success) {
+      setFormData(toFormData(response.config));
+      const saved = regenerateInstructions ? 'Instructions regenerated and saved' : response.message;
+      setSuccess(`${saved} (v${response.version})`);
+      onSaved(response.config);
+    } else {
+      setError(response.message || 'Failed to update AI configuration');
+    }
+  };
+
+  const handleRolledBack = (config) => {
+    setFormData(toFormData(config));
+    onSaved(config);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    save(false);
+  };
+
+  return (
+    <Overlay onClick={onClose}>
+      <EditWindow onClick={(e) => e.stopPropagation()}>
+        <EditHeader>
+          <EditTitle>Edit {ai.name}</EditTitle>
+          <CloseButton onClick={onClose}>✕</CloseButton>
+        </EditHeader>
+
+        <Tabs>
+          <Tab type="button" active={tab === 'settings'} onClick={() => setTab('settings')}>Settings</Tab>
+          <Tab type="button" active={tab === 'documents'} onClick={() => setTab('documents')}>Documents</Tab>
+          <Tab type="button" active={tab === 'web'} onClick={() => setTab('web')}>Web sources</Tab>
+          <Tab type="button" active={tab === 'guard'} onClick={() => setTab('guard')}>Topic guard log</Tab>
+          <Tab type="button" active={tab === 'history'} onClick={() => setTab('history')}>History</Tab>
+          <Tab type="button" active={tab === 'widget'} onClick={() => setTab('widget')}>Widget</Tab>
+          <Tab type="button" active={tab === 'export'} onClick={() => setTab('export')}>Export</Tab>
+        </Tabs>
+
+        {tab === 'export' ? (
+          <ExportBot ai={ai} sessionId={sessionId} />
+        ) : tab === 'widget' ? (
+          <WidgetSettings ai={ai} sessionId={sessionId} />
+        ) : tab === 'history' ? (
+          <ConfigHistory ai={ai} sessionId={sessionId} onRolledBack={handleRolledBack} />
+        ) : tab === 'documents' ? (
+          <DocumentsPanel ai={ai} sessionId={sessionId} />
+        ) : tab === 'web' ? (
+          <WebSourcesPanel ai={ai} sessionId={sessionId} />
+        ) : tab === 'guard' ? (
+          <TopicGuardLog ai={ai} sessionId={sessionId} />
+        ) : !formData ? (
+          <Form as="div">
+            {error ? <ErrorMessage>{error}</ErrorMessage> : <Hint>Loading configuration...</Hint>}
+          </Form>
+        ) : (
+          <Form onSubmit={handleSubmit}>
+            <InputGroup>
+              <Label htmlFor="edit-name">AI Name *</Label>
+              <Input id="edit-name" name="name" value={formData.name} onChange={handleChange} maxLength={50} required />
+            </InputGroup>
+
+            <InputGroup>
+              <Label htmlFor="edit-description">AI Description *</Label>
+              <TextArea id="edit-description" name="description" value={formData.description} onChange={handleChange} maxLength={500} required />
+            </InputGroup>
+
+            <InputGroup>
+              <Label htmlFor="edit-tone">Tone</Label>
+              <Select id="edit-tone" name="tone" value={formData.tone} onChange={handleChange}>
+                {TONE_OPTIONS.map(tone => (
+                  <option key={tone} value={tone}>{tone.charAt(0).toUpperCase() + tone.slice(1)}</option>
+                ))}
+              </Select>
+            </InputGroup>
+
+            <Row>
+              <InputGroup>
+                <Label htmlFor="edit-length">Response length</Label>
+                <Select id="edit-length" name="responseLength" value={formData.responseLength} onChange={handleChange}>
+                  {RESPONSE_LENGTH_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label} ({option.hint.toLowerCase()})</option>
+                  ))}
+                </Select>
+              </InputGroup>
+              <InputGroup>
+                <Label htmlFor="edit-citations">Citations</Label>
+                <Select id="edit-citations" name="citationPolicy" value={formData.citationPolicy} onChange={handleChange}>
+                  {CITATION_POLICY_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </Select>
+              </InputGroup>
+            </Row>
+
+            <Fieldset>
+              <Legend>Capabilities</Legend>
+              {CAPABILITY_OPTIONS.map(option => (
+                <CheckboxLabel key={option.value}>
+                  <input type="checkbox" checked={formData.capabilities.includes(option.value)} onChange={() => toggleCapability(option.value)} />
+                  {option.label}
+                </CheckboxLabel>
+              ))}
+            </Fieldset>
+
+            <Fieldset>
+              <Legend>Topic guard</Legend>
+              <CheckboxLabel>
+                <input type="checkbox" name="guardEnabled" checked={formData.guardEnabled} onChange={handleChange} />
+                Refuse questions outside the topics below
+              </CheckboxLabel>
+
+              <InputGroup>
+                <Label htmlFor="edit-allow-topics">Allowed topics</Label>
+                <Input id="edit-allow-topics" name="allowTopics" value={formData.allowTopics} onChange={handleChange} placeholder="e.g. invoices, billing, refunds" />
+                <Hint>Comma-separated. Leave empty (and the examples too) to allow any topic.</Hint>
+              </InputGroup>
+
+              <InputGroup>
+                <Label htmlFor="edit-deny-topics">Denied topics</Label>
+                <Input id="edit-deny-topics" name="denyTopics" value={formData.denyTopics} onChange={handleChange} placeholder="e.g. politics, medical advice" />
+              </InputGroup>
+
+              <Row>
+                <InputGroup>
+                  <Label htmlFor="edit-in-scope">In-scope examples</Label>
+                  <TextArea id="edit-in-scope" name="inScopeExamples" value={formData.inScopeExamples} onChange={handleChange} placeholder="One question per line" />
+                </InputGroup>
+                <InputGroup>
+                  <Label htmlFor="edit-out-of-scope">Out-of-scope examples</Label>
+                  <TextArea id="edit-out-of-scope" name="outOfScopeExamples" value={formData.outOfScopeExamples} onChange={handleChange} placeholder="One question per line" />
+                </InputGroup>
+              </Row>
+
+              <Row>
+                <InputGroup>
+                  <Label htmlFor="edit-guard-mode">Classifier</Label>
+                  <Select id="edit-guard-mode" name="guardMode" value={formData.guardMode} onChange={handleChange}>
+                    <option value="embeddings">Embeddings (fast)</option>
+                    <option value="llm">LLM judge</option>
+                  </Select>
+                </InputGroup>
+                <InputGroup>
+                  <Label htmlFor="edit-threshold">Match threshold</Label>
+                  <Input id="edit-threshold" name="threshold" type="number" min="0" max="1" step="0.05" value={formData.threshold} onChange={handleChange} placeholder="Default" />
+                </InputGroup>
+              </Row>
+
+              <CheckboxLabel>
+                <input type="checkbox" name="allowSmallTalk" checked={formData.allowSmallTalk} onChange={handleChange} />
+                Always answer greetings and thanks
+              </CheckboxLabel>
+
+              <InputGroup>
+                <Label htmlFor="edit-refusal">Refusal message</Label>
+                <TextArea id="edit-refusal" name="refusalMessage" value={formData.refusalMessage} onChange={handleChange} maxLength={1000} placeholder="I'm {name}, and I can only help with {topics}. Could you ask me something related to that?" />
+                <Hint>{'{name}'} and {'{topics}'} are filled in. Check the Topic guard log tab to see what gets refused.</Hint>
+              </InputGroup>
+            </Fieldset>
+
+            <InputGroup>
+              <Label htmlFor="edit-instructions">Detailed instructions</Label>
+              <TextArea tall id="edit-instructions" name="detailedInstructions" value={formData.detailedInstructions} onChange={handleChange} maxLength={20000} />
+            </InputGroup>
+
+            <InputGroup>
+              <Label htmlFor="edit-prompt">System prompt</Label>
+              <TextArea tall id="edit-prompt" name="systemPrompt" value={formData.systemPrompt} onChange={handleChange} maxLength={30000} />
+              <Hint>Rebuilt from the instructions when you change the name, description or instructions, unless you edit it here.</Hint>
+            </InputGroup>
+
+            <InputGroup>
+              <Label htmlFor="edit-note">Change note</Label>
+              <Input id="edit-note" name="note" value={formData.note} onChange={handleChange} maxLength={200} placeholder="e.g. Stricter refund policy" />
+              <Hint>Every save is kept as a version you can diff against or roll back to from History.</Hint>
+            </InputGroup>
+
+            <ButtonGroup>
+              <Button type="button" onClick={() => save(true)} disabled={saving}>
+                Regenerate instructions
+              </Button>
+              <Button type="submit" primary disabled={saving}>
+                {saving ? 'Saving...' : 'Save changes'}
+              </Button>
+            </ButtonGroup>
+
+            {error && <ErrorMessage>{error}</ErrorMessage>}
+            {success && <SuccessMessage>{success}</SuccessMessage>}
+          </Form>
+        )}
+      </EditWindow>
+    </Overlay>
+  );
+}
+
+export default EditAIForm;
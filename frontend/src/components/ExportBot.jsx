@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { apiService } from '../services/api';
+
+const Section = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 16px;
+  padding: 25px;
+  overflow-y: auto;
+`;
+
+const SectionTitle = styled.h3`
+  margin: 0;
+  color: #333;
+  font-size: 1.05rem;
+`;
+
+const Hint = styled.span`
+  color: #999;
+  font-size: 0.8rem;
+`;
+
+const CheckboxLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  color: #555;
+  font-size: 0.9rem;
+`;
+
+const Button = styled.button`
+  align-self: flex-start;
+  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+  color: white;
+  border: none;
+  padding: 12px 20px;
+  border-radius: 8px;
+  font-size: 0.95rem;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const ErrorMessage = styled.div`
+  color: #e74c3c;
+  font-size: 0.9rem;
+`;
+
+const fileNameFor = (name) => `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'bot'}.aibot`;
+
+function ExportBot({ ai, sessionId }) {
+  const [vectors, setVectors] = useState(true);
+  const [history, setHistory] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const download = async () => {
+    setExporting(true);
+    setError('');
+    const response = await apiService.exportAI(sessionId, ai.containerId, { vectors, history });
+    setExporting(false);
+    if (!response.success) {
+      setError(response.message || 'Failed to export AI');
+      return;
+    }
+
+    const url = URL.createObjectURL(response.blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileNameFor(ai.name);
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Section>
+      <SectionTitle>Export as a bundle</SectionTitle>
+      <Hint>
+        Downloads one .aibot file with this bot's configuration and documents. Import it from the dashboard
+        (here or on another installation) to create a copy.
+      </Hint>
+      <CheckboxLabel>
+        <input type="checkbox" checked={vectors} onChange={(e) => setVectors(e.target.checked)} />
+        Include the search index (faster import; re-built anyway if the other side uses another embedding model)
+      </CheckboxLabel>
+      <CheckboxLabel>
+        <input type="checkbox" checked={history} onChange={(e) => setHistory(e.target.checked)} />
+        Include my chat history
+      </CheckboxLabel>
+      <Hint>API keys and provider credentials are never exported.</Hint>
+      <Button type="button" onClick={download} disabled={exporting}>
+        {exporting ? 'Exporting...' : 'Download bundle'}
+      </Button>
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+    </Section>
+  );
+}
+
+export default ExportBot;
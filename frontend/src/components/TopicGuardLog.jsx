@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { apiService } from '../services/api';
+
+const Section = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 16px;
+  padding: 25px;
+  overflow-y: auto;
+`;
+
+const SectionTitle = styled.h3`
+  margin: 0;
+  color: #333;
+  font-size: 1.05rem;
+`;
+
+const Hint = styled.span`
+  color: #999;
+  font-size: 0.8rem;
+`;
+
+const Row = styled.div`
+  display: flex;
+  gap: 10px;
+  align-items: center;
+`;
+
+const Input = styled.input`
+  flex: 1;
+  padding: 10px 14px;
+  border: 2px solid #e1e5e9;
+  border-radius: 8px;
+  font-size: 0.95rem;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+const Select = styled.select`
+  padding: 8px 10px;
+  border: 2px solid #e1e5e9;
+  border-radius: 8px;
+  font-size: 0.9rem;
+  background: white;
+`;
+
+const SmallButton = styled.button`
+  background: transparent;
+  color: #667eea;
+  border: 2px solid #667eea;
+  padding: 8px 14px;
+  border-radius: 8px;
+  font-size: 0.85rem;
+  font-weight: 600;
+  cursor: pointer;
+  transition: all 0.3s ease;
+
+  &:hover {
+    background: #667eea;
+    color: white;
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const Verdict = styled.div`
+  padding: 10px 14px;
+  border-radius: 8px;
+  font-size: 0.9rem;
+  background: ${props => props.allowed ? '#e6ffed' : '#ffeef0'};
+  color: ${props => props.allowed ? '#22863a' : '#b31d28'};
+`;
+
+const DecisionList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+`;
+
+const Decision = styled.div`
+  border-left: 4px solid ${props => props.allowed ? '#2ecc71' : '#e74c3c'};
+  background: #f8f9fb;
+  border-radius: 6px;
+  padding: 8px 12px;
+  display: flex;
+  flex-direction: column;
+  gap: 3px;
+`;
+
+const DecisionMessage = styled.span`
+  color: #333;
+  font-size: 0.9rem;
+  word-break: break-word;
+`;
+
+const DecisionMeta = styled.span`
+  color: #777;
+  font-size: 0.78rem;
+`;
+
+const ErrorMessage = styled.div`
+  color: #e74c3c;
+  font-size: 0.9rem;
+  text-align: center;
+`;
+
+const PAGE_SIZE = 50;
+
+const describe = (decision) => [
+  decision.allowed ? 'Allowed' : 'Refused',
+  decision.method,
+  decision.score !== null && decision.score !== undefined ? `score ${decision.score}` : null,
+  decision.reason
+].filter(Boolean).join(' · ');
+
+function TopicGuardLog({ ai, sessionId }) {
+  const [outcome, setOutcome] = useState('');
+  const [decisions, setDecisions] = useState([]);
+  const [counts, setCounts] = useState({ total: 0, refused: 0 });
+  const [testMessage, setTestMessage] = useState('');
+  const [testResult, setTestResult] = useState(null);
+  const [testing, setTesting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadDecisions = useCallback(async () => {
+    const response = await apiService.getTopicDecisions(sessionId, ai.containerId, {
+      limit: PAGE_SIZE,
+      ...(outcome ? { outcome } : {})
+    });
+    if (response.success) {
+      setDecisions(response.decisions);
+      setCounts({ total: response.total, refused: response.refused });
+      setError('');
+    } else {
+      setError(response.message || 'Failed to load topic guard decisions');
+    }
+  }, [ai.containerId, sessionId, outcome]);
+
+  useEffect(() => {
+    loadDecisions();
+  }, [loadDecisions]);
+
+  const runTest = async (e) => {
+    e.preventDefault();
+    if (!testMessage.trim()) return;
+    setTesting(true);
+    const response = await apiService.testTopicGuard(sessionId, ai.containerId, testMessage.trim());
+    setTesting(false);
+    if (response.success) {
+      setTestResult(response);
+      setError('');
+    } else {
+      setError(response.message || 'Failed to test topic guard');
+    }
+  };
+
+  const clearLog = async () => {
+    if (!window.confirm('Clear every logged topic guard decision?')) return;
+    const response = await apiService.clearTopicDecisions(sessionId, ai.containerId);
+    if (response.success) {
+      loadDecisions();
+    } else {
+      setError(response.message || 'Failed to clear topic guard decisions');
+    }
+  };
+
+  return (
+    <Section>
+      <SectionTitle>Try a message</SectionTitle>
+      <Row as="form" onSubmit={runTest}>
+        <Input value={testMessage} onChange={(e) => setTestMessage(e.target.value)} maxLength={1000} placeholder="How would the guard classify this?" />
+        <SmallButton type="submit" disabled={testing}>{testing ? 'Checking...' : 'Check'}</SmallButton>
+      </Row>
+      {testResult && (
+        <Verdict allowed={testResult.decision.allowed}>
+          {describe(testResult.decision)}
+          {testResult.refusal && <div>Reply: “{testResult.refusal}”</div>}
+        </Verdict>
+      )}
+      <Hint>Uses the saved settings; save your changes first.</Hint>
+
+      <Row>
+        <SectionTitle style={{ flex: 1 }}>Decisions ({counts.refused} refused)</SectionTitle>
+        <Select value={outcome} onChange={(e) => setOutcome(e.target.value)}>
+          <option value="">All</option>
+          <option value="refused">Refused</option>
+          <option value="allowed">Allowed</option>
+        </Select>
+        <SmallButton type="button" onClick={loadDecisions}>Refresh</SmallButton>
+        <SmallButton type="button" onClick={clearLog} disabled={!decisions.length}>Clear</SmallButton>
+      </Row>
+
+      {decisions.length === 0 && <Hint>No decisions logged yet. Messages are logged once the guard has topics or examples.</Hint>}
+      <DecisionList>
+        {decisions.map((decision, index) => (
+          <Decision key={`${decision.at}-${index}`} allowed={decision.allowed}>
+            <DecisionMessage>{decision.message}</DecisionMessage>
+            <DecisionMeta>
+              {new Date(decision.at).toLocaleString()} · {describe(decision)}
+              {decision.configVersion ? ` · v${decision.configVersion}` : ''}
+            </DecisionMeta>
+          </Decision>
+        ))}
+      </DecisionList>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+    </Section>
+  );
+}
+
+export default TopicGuardLog;
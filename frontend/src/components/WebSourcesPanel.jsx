@@ -0,0 +1,414 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { apiService } from '../services/api';
+
+const Section = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 16px;
+  padding: 25px;
+  overflow-y: auto;
+`;
+
+const SectionTitle = styled.h3`
+  margin: 0;
+  color: #333;
+  font-size: 1.05rem;
+`;
+
+const Hint = styled.span`
+  color: #999;
+  font-size: 0.8rem;
+`;
+
+const Row = styled.div`
+  display: flex;
+  gap: 10px;
+  align-items: center;
+  flex-wrap: wrap;
+`;
+
+const Form = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+  border: 1px solid #e1e5e9;
+  border-radius: 8px;
+  padding: 14px;
+`;
+
+const Input = styled.input`
+  flex: 1;
+  min-width: 160px;
+  padding: 8px 12px;
+  border: 2px solid #e1e5e9;
+  border-radius: 8px;
+  font-size: 0.9rem;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+const NumberInput = styled(Input)`
+  flex: 0 0 90px;
+  min-width: 0;
+`;
+
+const Select = styled.select`
+  padding: 8px 12px;
+  border: 2px solid #e1e5e9;
+  border-radius: 8px;
+  font-size: 0.9rem;
+  background: white;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+const FieldLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  color: #555;
+  font-size: 0.85rem;
+`;
+
+const Button = styled.button`
+  align-self: flex-start;
+  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+  color: white;
+  border: none;
+  padding: 8px 18px;
+  border-radius: 8px;
+  font-size: 0.9rem;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const SmallButton = styled.button`
+  background: transparent;
+  color: ${props => props.danger ? '#e74c3c' : '#667eea'};
+  border: 2px solid ${props => props.danger ? '#e74c3c' : '#667eea'};
+  padding: 6px 12px;
+  border-radius: 8px;
+  font-size: 0.8rem;
+  font-weight: 600;
+  cursor: pointer;
+  transition: all 0.3s ease;
+
+  &:hover {
+    background: ${props => props.danger ? '#e74c3c' : '#667eea'};
+    color: white;
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const SourceList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+`;
+
+const SourceCard = styled.div`
+  border: 1px solid #e1e5e9;
+  border-radius: 8px;
+  padding: 12px 14px;
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  background: #fafbfc;
+`;
+
+const SourceUrl = styled.a`
+  flex: 1;
+  color: #333;
+  font-weight: 600;
+  font-size: 0.95rem;
+  word-break: break-all;
+`;
+
+const SourceMeta = styled.span`
+  color: #777;
+  font-size: 0.78rem;
+`;
+
+const State = styled.span`
+  color: ${props => props.active ? '#667eea' : '#27ae60'};
+  font-size: 0.78rem;
+  font-weight: 600;
+`;
+
+const SkipList = styled.ul`
+  margin: 0;
+  padding-left: 18px;
+  color: #777;
+  font-size: 0.75rem;
+  word-break: break-all;
+`;
+
+const ErrorMessage = styled.div`
+  color: #e74c3c;
+  font-size: 0.9rem;
+  text-align: center;
+`;
+
+const MODES = [
+  { value: 'page', label: 'Single page' },
+  { value: 'sitemap', label: 'Sitemap' },
+  { value: 'crawl', label: 'Crawl site' }
+];
+
+const RECRAWL_OPTIONS = [
+  { value: 0, label: 'Only on request' },
+  { value: 6, label: 'Every 6 hours' },
+  { value: 24, label: 'Daily' },
+  { value: 168, label: 'Weekly' }
+];
+
+const EMPTY_FORM = { url: '', mode: 'page', maxDepth: 2, maxPages: 50, includePaths: '', excludePaths: '', tags: 'web', recrawlHours: 24 };
+
+const parseList = (value) => [...new Set(value.split(',').map(item => item.trim()).filter(Boolean))];
+
+// "12 pages: 3 added, 1 updated, 8 unchanged"
+const describeCrawl = (crawl) => {
+  const counts = [
+    ['added', crawl.added],
+    ['updated', crawl.updated],
+    ['unchanged', crawl.unchanged],
+    ['duplicates', crawl.duplicates],
+    ['removed', crawl.removed],
+    ['skipped', crawl.skipped]
+  ].filter(([, count]) => count).map(([label, count]) => `${count} ${label}`);
+  return `${crawl.pages} page${crawl.pages === 1 ? '' : 's'}${counts.length ? `: ${counts.join(', ')}` : ''}`;
+};
+
+function WebSourcesPanel({ ai, sessionId }) {
+  const [sources, setSources] = useState([]);
+  const [crawling, setCrawling] = useState(false);
+  const [loaded, setLoaded] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadSources = useCallback(async () => {
+    const response = await apiService.listWebSources(sessionId, ai.containerId);
+    if (response.success) {
+      setSources(response.sources || []);
+      setCrawling(Boolean(response.crawling));
+      setError('');
+    } else {
+      setError(response.message || 'Failed to load web sources');
+    }
+    setLoaded(true);
+  }, [ai.containerId, sessionId]);
+
+  useEffect(() => {
+    loadSources();
+  }, [loadSources]);
+
+  // Crawl progress is polled while a crawl is queued or running
+  useEffect(() => {
+    if (!crawling) return undefined;
+    const poll = setInterval(loadSources, 3000);
+    return () => clearInterval(poll);
+  }, [crawling, loadSources]);
+
+  const setField = (e) => setForm({ ...form, [e.target.name]: e.target.value });
+
+  const addSource = async (e) => {
+    e.preventDefault();
+    if (!form.url.trim()) return;
+    setSaving(true);
+    const response = await apiService.createWebSource(sessionId, ai.containerId, {
+      url: form.url.trim(),
+      mode: form.mode,
+      ...(form.mode === 'crawl' ? { maxDepth: Number(form.maxDepth) } : {}),
+      ...(form.mode !== 'page' ? {
+        maxPages: Number(form.maxPages),
+        includePaths: parseList(form.includePaths),
+        excludePaths: parseList(form.excludePaths)
+      } : {}),
+      tags: parseList(form.tags),
+      recrawlHours: Number(form.recrawlHours)
+    });
+    setSaving(false);
+    if (response.success) {
+      setForm(EMPTY_FORM);
+      setSources(prev => [...prev, response.source]);
+      setCrawling(true);
+      setError('');
+    } else {
+      setError(response.message || 'Failed to add the web source');
+    }
+  };
+
+  const crawlNow = async (source) => {
+    setBusyId(source.id);
+    const response = await apiService.crawlWebSource(sessionId, ai.containerId, source.id);
+    setBusyId(null);
+    if (response.success) {
+      setSources(prev => prev.map(item => (item.id === source.id ? response.source : item)));
+      setCrawling(true);
+      setError('');
+    } else {
+      setError(response.message || 'Failed to start the crawl');
+    }
+  };
+
+  const changeSchedule = async (source, recrawlHours) => {
+    setBusyId(source.id);
+    const response = await apiService.updateWebSource(sessionId, ai.containerId, source.id, { recrawlHours });
+    setBusyId(null);
+    if (response.success) {
+      setSources(prev => prev.map(item => (item.id === source.id ? response.source : item)));
+      setError('');
+    } else {
+      setError(response.message || 'Failed to change the schedule');
+    }
+  };
+
+  const deleteSource = async (source) => {
+    if (!window.confirm(`Remove ${source.url} and the ${source.documents} document(s) made from its pages?`)) return;
+    setBusyId(source.id);
+    const response = await apiService.deleteWebSource(sessionId, ai.containerId, source.id);
+    setBusyId(null);
+    if (response.success) {
+      setSources(prev => prev.filter(item => item.id !== source.id));
+      setError('');
+    } else {
+      setError(response.message || 'Failed to remove the web source');
+    }
+  };
+
+  return (
+    <Section>
+      <Row>
+        <SectionTitle style={{ flex: 1 }}>Web sources ({sources.length})</SectionTitle>
+        <SmallButton type="button" onClick={loadSources}>Refresh</SmallButton>
+      </Row>
+      <Hint>
+        Pages are read as documents and cited with their URL. Re-crawls update pages that changed and remove pages
+        that are gone; robots.txt is respected and pages already in the knowledge base are skipped.
+      </Hint>
+
+      <Form onSubmit={addSource}>
+        <Row>
+          <Input
+            name="url"
+            type="url"
+            value={form.url}
+            onChange={setField}
+            placeholder={form.mode === 'sitemap' ? 'https://example.com/sitemap.xml' : 'https://example.com/help'}
+            aria-label="URL"
+            required
+          />
+          <Select name="mode" value={form.mode} onChange={setField} aria-label="What to read">
+            {MODES.map(mode => <option key={mode.value} value={mode.value}>{mode.label}</option>)}
+          </Select>
+        </Row>
+        {form.mode !== 'page' && (
+          <>
+            <Row>
+              {form.mode === 'crawl' && (
+                <FieldLabel>
+                  Link depth
+                  <NumberInput name="maxDepth" type="number" min={0} max={5} value={form.maxDepth} onChange={setField} />
+                </FieldLabel>
+              )}
+              <FieldLabel>
+                Max pages
+                <NumberInput name="maxPages" type="number" min={1} max={200} value={form.maxPages} onChange={setField} />
+              </FieldLabel>
+            </Row>
+            <Row>
+              <Input name="includePaths" value={form.includePaths} onChange={setField} placeholder="Only paths, e.g. /docs, /help" aria-label="Only paths" />
+              <Input name="excludePaths" value={form.excludePaths} onChange={setField} placeholder="Skip paths, e.g. /blog" aria-label="Skip paths" />
+            </Row>
+          </>
+        )}
+        <Row>
+          <Input name="tags" value={form.tags} onChange={setField} placeholder="Tags, comma separated" aria-label="Tags" />
+          <Select name="recrawlHours" value={form.recrawlHours} onChange={setField} aria-label="Re-crawl">
+            {RECRAWL_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </Select>
+        </Row>
+        <Button type="submit" disabled={saving || !form.url.trim()}>{saving ? 'Adding…' : 'Add and crawl'}</Button>
+      </Form>
+
+      {loaded && sources.length === 0 && <Hint>No web sources yet.</Hint>}
+      <SourceList>
+        {sources.map((source) => {
+          const active = source.state !== 'idle';
+          const crawl = source.lastCrawl;
+          const busy = busyId === source.id;
+          return (
+            <SourceCard key={source.id}>
+              <Row>
+                <SourceUrl href={source.url} target="_blank" rel="noopener noreferrer">{source.url}</SourceUrl>
+                <State active={active}>{source.state === 'crawling' ? 'Crawling…' : source.state === 'queued' ? 'Waiting…' : 'Idle'}</State>
+              </Row>
+              <SourceMeta>
+                {[
+                  MODES.find(mode => mode.value === source.mode)?.label,
+                  source.mode === 'crawl' ? `depth ${source.maxDepth}` : null,
+                  source.mode !== 'page' ? `up to ${source.maxPages} pages` : null,
+                  source.includePaths.length ? `only ${source.includePaths.join(', ')}` : null,
+                  source.excludePaths.length ? `skipping ${source.excludePaths.join(', ')}` : null,
+                  `${source.documents} document${source.documents === 1 ? '' : 's'}`
+                ].filter(Boolean).join(' · ')}
+              </SourceMeta>
+              {crawl && (
+                <SourceMeta>
+                  {crawl.finishedAt ? `Last crawl ${new Date(crawl.finishedAt).toLocaleString()}: ` : 'So far: '}
+                  {crawl.error ? `failed: ${crawl.error}` : describeCrawl(crawl)}
+                  {source.nextCrawlAt && !active ? ` · next ${new Date(source.nextCrawlAt).toLocaleString()}` : ''}
+                </SourceMeta>
+              )}
+              {crawl && crawl.skips.length > 0 && (
+                <details>
+                  <summary><Hint>Skipped pages</Hint></summary>
+                  <SkipList>
+                    {crawl.skips.map((skip, i) => <li key={`${skip.url}-${i}`}>{skip.url}: {skip.reason}</li>)}
+                  </SkipList>
+                </details>
+              )}
+              <Row>
+                <SmallButton type="button" onClick={() => crawlNow(source)} disabled={busy || active}>Crawl now</SmallButton>
+                <Select
+                  value={RECRAWL_OPTIONS.some(option => option.value === source.recrawlHours) ? source.recrawlHours : ''}
+                  onChange={(e) => changeSchedule(source, Number(e.target.value))}
+                  disabled={busy}
+                  aria-label="Re-crawl"
+                >
+                  {!RECRAWL_OPTIONS.some(option => option.value === source.recrawlHours) && (
+                    <option value="" disabled>Every {source.recrawlHours} hours</option>
+                  )}
+                  {RECRAWL_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </Select>
+                <SmallButton type="button" danger onClick={() => deleteSource(source)} disabled={busy}>Remove</SmallButton>
+              </Row>
+            </SourceCard>
+          );
+        })}
+      </SourceList>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+    </Section>
+  );
+}
+
+export default WebSourcesPanel;
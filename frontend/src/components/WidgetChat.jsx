@@ -0,0 +1,267 @@
+import React, { useState, useEffect, useRef } from 'react';
+import styled from 'styled-components';
+import { widgetService } from '../services/api';
+import { renderMessageText } from './MessageText';
+
+const WidgetContainer = styled.div`
+  height: 100vh;
+  display: flex;
+  flex-direction: column;
+  background: #f8f9fa;
+  font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+`;
+
+const WidgetHeader = styled.div`
+  background: ${props => props.color};
+  color: ${props => props.textColor};
+  padding: 14px 16px;
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  font-weight: 600;
+`;
+
+const CloseButton = styled.button`
+  background: none;
+  border: none;
+  color: inherit;
+  font-size: 1.3rem;
+  cursor: pointer;
+`;
+
+const Messages = styled.div`
+  flex: 1;
+  overflow-y: auto;
+  padding: 14px;
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+`;
+
+const Bubble = styled.div`
+  align-self: ${props => props.isUser ? 'flex-end' : 'flex-start'};
+  max-width: 85%;
+  padding: 10px 14px;
+  border-radius: 16px;
+  background: ${props => props.isUser ? props.color : 'white'};
+  color: ${props => props.isUser ? props.textColor : '#333'};
+  box-shadow: 0 1px 4px rgba(0, 0, 0, 0.08);
+  word-wrap: break-word;
+  line-height: 1.4;
+  font-size: 0.95rem;
+`;
+
+const InputRow = styled.form`
+  display: flex;
+  gap: 8px;
+  padding: 12px;
+  background: white;
+  border-top: 1px solid #e1e5e9;
+`;
+
+const MessageInput = styled.input`
+  flex: 1;
+  padding: 10px 12px;
+  border: 1px solid #e1e5e9;
+  border-radius: 20px;
+  font-size: 0.95rem;
+
+  &:focus {
+    outline: none;
+    border-color: ${props => props.color};
+  }
+`;
+
+const SendButton = styled.button`
+  background: ${props => props.color};
+  color: ${props => props.textColor};
+  border: none;
+  border-radius: 20px;
+  padding: 0 16px;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const Notice = styled.div`
+  margin: auto;
+  padding: 20px;
+  color: #777;
+  text-align: center;
+`;
+
+const params = new URLSearchParams(window.location.search);
+
+// The embedding site: named by embed.js, or (for a plain iframe) taken from the referrer
+const referrerOrigin = () => {
+  try {
+    return document.referrer ? new URL(document.referrer).origin : null;
+  } catch (error) {
+    return null;
+  }
+};
+const siteOrigin = params.get('origin') || referrerOrigin();
+
+// The visitor and their conversation are remembered per key, so a returning visitor sees their chat again.
+// Browsers that block storage in third-party frames get a fresh conversation on each page load.
+const storageKey = `aiWidget:${params.get('key')}`;
+const loadVisitor = () => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+const saveVisitor = (visitor) => {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(visitor));
+  } catch (error) {
+    // Storage unavailable: the conversation lasts as long as the page
+  }
+};
+
+/**
+ * The website chat widget page (/widget/frame), shown in an iframe on the bot owner's site
+ * Query: key (publishable key), origin (the embedding site; defaults to the referrer), embedded=1 when opened by embed.js
+ */
+function WidgetChat() {
+  const auth = useRef({ key: params.get('key'), origin: siteOrigin, visitorId: loadVisitor().visitorId });
+  const conversationId = useRef(loadVisitor().conversationId || null);
+  const messagesEndRef = useRef(null);
+  const [widget, setWidget] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [input, setInput] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      const config = await widgetService.getConfig(auth.current);
+      if (!config.success) {
+        setError(config.message || 'This chat is not available');
+        return;
+      }
+      setWidget(config.widget);
+      // Let embed.js style the launcher
+      if (params.get('embedded') && auth.current.origin && window.parent !== window) {
+        window.parent.postMessage({ type: 'ai-widget:config', widget: config.widget }, auth.current.origin);
+      }
+
+      if (conversationId.current && auth.current.visitorId) {
+        const history = await widgetService.getMessages(auth.current, conversationId.current);
+        if (history.success) {
+          setMessages(history.messages.map((message, index) => ({
+            id: `h${index}`,
+            isUser: message.role === 'user',
+            text: message.content
+          })));
+        } else {
+          conversationId.current = null;
+        }
+      }
+    };
+    load();
+  }, []);
+
+  useEffect(() => {
+    if (messagesEndRef.current) {
+      messagesEndRef.current.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [messages]);
+
+  const ensureConversation = async () => {
+    if (conversationId.current) return true;
+    const response = await widgetService.startConversation(auth.current);
+    if (!response.success) {
+      setError(response.message || 'Could not start the chat');
+      return false;
+    }
+    conversationId.current = response.conversationId;
+    auth.current = { ...auth.current, visitorId: response.visitorId };
+    saveVisitor({ visitorId: response.visitorId, conversationId: response.conversationId });
+    return true;
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    const text = input.trim();
+    if (!text || sending) return;
+
+    setInput('');
+    setError('');
+    setSending(true);
+    const replyId = `r${Date.now()}`;
+    setMessages(prev => [...prev, { id: `u${Date.now()}`, isUser: true, text }, { id: replyId, isUser: false, text: '' }]);
+    const updateReply = (update) => setMessages(prev => prev.map(message => (
+      message.id === replyId ? { ...message, text: update(message.text) } : message
+    )));
+
+    if (!(await ensureConversation())) {
+      setMessages(prev => prev.filter(message => message.id !== replyId));
+      setSending(false);
+      return;
+    }
+    const response = await widgetService.sendMessage(auth.current, conversationId.current, text, (token) => {
+      updateReply(current => current + token);
+    });
+    if (response.success) {
+      updateReply(() => response.response);
+    } else {
+      updateReply(() => response.message || 'The assistant could not answer. Please try again.');
+    }
+    setSending(false);
+  };
+
+  const close = () => {
+    window.parent.postMessage({ type: 'ai-widget:close' }, auth.current.origin);
+  };
+
+  if (!widget) {
+    return (
+      <WidgetContainer>
+        <Notice>{error || 'Loading…'}</Notice>
+      </WidgetContainer>
+    );
+  }
+
+  return (
+    <WidgetContainer>
+      <WidgetHeader color={widget.primaryColor} textColor={widget.textColor}>
+        <span>{widget.title}</span>
+        {params.get('embedded') && auth.current.origin && (
+          <CloseButton onClick={close} aria-label="Close chat">×</CloseButton>
+        )}
+      </WidgetHeader>
+
+      <Messages>
+        <Bubble isUser={false}>{widget.greeting}</Bubble>
+        {messages.map(message => (
+          <Bubble key={message.id} isUser={message.isUser} color={widget.primaryColor} textColor={widget.textColor}>
+            {message.isUser ? message.text : (message.text ? renderMessageText(message.text) : '…')}
+          </Bubble>
+        ))}
+        {error && <Notice>{error}</Notice>}
+        <div ref={messagesEndRef} />
+      </Messages>
+
+      <InputRow onSubmit={handleSend}>
+        <MessageInput
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder={widget.placeholder}
+          maxLength={2000}
+          color={widget.primaryColor}
+        />
+        <SendButton type="submit" disabled={sending || !input.trim()} color={widget.primaryColor} textColor={widget.textColor}>
+          Send
+        </SendButton>
+      </InputRow>
+    </WidgetContainer>
+  );
+}
+
+export default WidgetChat;
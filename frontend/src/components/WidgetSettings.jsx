@@ -0,0 +1,298 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import { apiService, widgetService } from '../services/api';
+
+const Section = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 16px;
+  padding: 25px;
+  overflow-y: auto;
+`;
+
+const SectionTitle = styled.h3`
+  margin: 0;
+  color: #333;
+  font-size: 1.05rem;
+`;
+
+const Hint = styled.span`
+  color: #999;
+  font-size: 0.8rem;
+`;
+
+const InputGroup = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+  flex: 1;
+`;
+
+const Row = styled.div`
+  display: flex;
+  gap: 12px;
+`;
+
+const Label = styled.label`
+  color: #555;
+  font-weight: 500;
+  font-size: 0.9rem;
+`;
+
+const Input = styled.input`
+  padding: 10px 12px;
+  border: 2px solid #e1e5e9;
+  border-radius: 8px;
+  font-size: 0.95rem;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+const Select = styled.select`
+  padding: 10px 12px;
+  border: 2px solid #e1e5e9;
+  border-radius: 8px;
+  font-size: 0.95rem;
+`;
+
+const Button = styled.button`
+  align-self: flex-start;
+  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+  color: white;
+  border: none;
+  padding: 12px 20px;
+  border-radius: 8px;
+  font-size: 0.95rem;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const SmallButton = styled.button`
+  background: none;
+  border: 1px solid #e74c3c;
+  color: #e74c3c;
+  padding: 4px 10px;
+  border-radius: 6px;
+  font-size: 0.8rem;
+  cursor: pointer;
+`;
+
+const KeyRow = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 12px;
+  padding: 10px 12px;
+  background: #f8f9fa;
+  border-radius: 8px;
+  font-size: 0.85rem;
+  color: #555;
+`;
+
+const Snippet = styled.pre`
+  margin: 0;
+  padding: 12px;
+  background: #2d2d2d;
+  color: #f8f8f2;
+  border-radius: 8px;
+  font-size: 0.8rem;
+  white-space: pre-wrap;
+  word-break: break-all;
+`;
+
+const ErrorMessage = styled.div`
+  color: #e74c3c;
+  font-size: 0.9rem;
+`;
+
+const SuccessMessage = styled.div`
+  color: #27ae60;
+  font-size: 0.9rem;
+`;
+
+const splitOrigins = (value) => value.split(/[\s,]+/).map(item => item.trim()).filter(Boolean);
+
+/**
+ * Website widget tab: appearance (saved in the bot configuration), publishable keys and the embed code
+ */
+function WidgetSettings({ ai, sessionId }) {
+  const [widget, setWidget] = useState(null);
+  const [keys, setKeys] = useState([]);
+  const [selectedKeyId, setSelectedKeyId] = useState(null);
+  const [newKeyLabel, setNewKeyLabel] = useState('Website');
+  const [newKeyOrigins, setNewKeyOrigins] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const loadKeys = async () => {
+    const response = await apiService.listAIKeys(sessionId, ai.containerId);
+    if (response.success) {
+      const publishable = response.keys.filter(key => key.kind === 'publishable' && key.is_active);
+      setKeys(publishable);
+      setSelectedKeyId(current => (
+        publishable.some(key => key.id === current) ? current : (publishable[0] ? publishable[0].id : null)
+      ));
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      const response = await apiService.getAIConfig(sessionId, ai.containerId);
+      if (response.success) {
+        setWidget(response.config.widget);
+      } else {
+        setError(response.message || 'Failed to load AI configuration');
+      }
+      loadKeys();
+    };
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [ai.containerId, sessionId]);
+
+  const handleChange = (e) => {
+    setWidget({ ...widget, [e.target.name]: e.target.value });
+    setError('');
+    setSuccess('');
+  };
+
+  const saveWidget = async () => {
+    setSaving(true);
+    setError('');
+    setSuccess('');
+    const response = await apiService.updateAIConfig(sessionId, ai.containerId, { widget });
+    setSaving(false);
+    if (response.success) {
+      setWidget(response.config.widget);
+      setSuccess(`Widget saved (v${response.version})`);
+    } else {
+      setError(response.message || 'Failed to save the widget');
+    }
+  };
+
+  const createKey = async () => {
+    setError('');
+    setSuccess('');
+    const response = await apiService.generateAIKey(sessionId, ai.containerId, {
+      label: newKeyLabel.trim() || 'Website',
+      kind: 'publishable',
+      allowedOrigins: splitOrigins(newKeyOrigins)
+    });
+    if (!response.success) {
+      setError(response.message || 'Failed to create the key');
+      return;
+    }
+    setNewKeyOrigins('');
+    await loadKeys();
+    setSelectedKeyId(response.keyId);
+  };
+
+  const revokeKey = async (keyId) => {
+    if (!window.confirm('Revoke this key? Sites using it will stop showing the chat.')) return;
+    const response = await apiService.revokeAIKey(sessionId, keyId);
+    if (response.success) {
+      loadKeys();
+    } else {
+      setError(response.message || 'Failed to revoke the key');
+    }
+  };
+
+  if (!widget) {
+    return (
+      <Section>
+        {error ? <ErrorMessage>{error}</ErrorMessage> : <Hint>Loading widget settings...</Hint>}
+      </Section>
+    );
+  }
+
+  const host = widgetService.host();
+  const selectedKey = keys.find(key => key.id === selectedKeyId);
+
+  return (
+    <Section>
+      <SectionTitle>Appearance</SectionTitle>
+      <Row>
+        <InputGroup>
+          <Label htmlFor="widget-title">Title</Label>
+          <Input id="widget-title" name="title" value={widget.title} onChange={handleChange} maxLength={60} placeholder={ai.name} />
+        </InputGroup>
+        <InputGroup>
+          <Label htmlFor="widget-position">Position</Label>
+          <Select id="widget-position" name="position" value={widget.position} onChange={handleChange}>
+            <option value="bottom-right">Bottom right</option>
+            <option value="bottom-left">Bottom left</option>
+          </Select>
+        </InputGroup>
+      </Row>
+      <InputGroup>
+        <Label htmlFor="widget-greeting">Greeting</Label>
+        <Input id="widget-greeting" name="greeting" value={widget.greeting} onChange={handleChange} maxLength={500} placeholder={`Hi! I'm ${ai.name}. How can I help you today?`} />
+      </InputGroup>
+      <InputGroup>
+        <Label htmlFor="widget-placeholder">Input placeholder</Label>
+        <Input id="widget-placeholder" name="placeholder" value={widget.placeholder} onChange={handleChange} maxLength={100} placeholder="Type your message…" />
+      </InputGroup>
+      <Row>
+        <InputGroup>
+          <Label htmlFor="widget-primary">Primary color</Label>
+          <Input id="widget-primary" type="color" name="primaryColor" value={widget.primaryColor} onChange={handleChange} />
+        </InputGroup>
+        <InputGroup>
+          <Label htmlFor="widget-text">Text color</Label>
+          <Input id="widget-text" type="color" name="textColor" value={widget.textColor} onChange={handleChange} />
+        </InputGroup>
+      </Row>
+      <Button type="button" onClick={saveWidget} disabled={saving}>
+        {saving ? 'Saving...' : 'Save widget'}
+      </Button>
+      {success && <SuccessMessage>{success}</SuccessMessage>}
+
+      <SectionTitle>Publishable keys</SectionTitle>
+      <Hint>
+        Publishable keys are meant to be visible in your site's HTML: they can only chat, and only from the sites
+        listed here.
+      </Hint>
+      {keys.map(key => (
+        <KeyRow key={key.id}>
+          <label>
+            <input type="radio" checked={key.id === selectedKeyId} onChange={() => setSelectedKeyId(key.id)} />
+            {' '}{key.label} ({(key.allowedOrigins || []).join(', ')})
+          </label>
+          <SmallButton type="button" onClick={() => revokeKey(key.id)}>Revoke</SmallButton>
+        </KeyRow>
+      ))}
+      <Row>
+        <InputGroup>
+          <Label htmlFor="widget-key-label">Label</Label>
+          <Input id="widget-key-label" value={newKeyLabel} onChange={(e) => setNewKeyLabel(e.target.value)} maxLength={50} />
+        </InputGroup>
+        <InputGroup>
+          <Label htmlFor="widget-key-origins">Allowed sites</Label>
+          <Input id="widget-key-origins" value={newKeyOrigins} onChange={(e) => setNewKeyOrigins(e.target.value)} placeholder="https://www.example.com" />
+        </InputGroup>
+      </Row>
+      <Button type="button" onClick={createKey} disabled={!newKeyOrigins.trim()}>Create publishable key</Button>
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+
+      {selectedKey && (
+        <>
+          <SectionTitle>Embed code</SectionTitle>
+          <Hint>Paste before the closing &lt;/body&gt; tag of your site to add a chat button:</Hint>
+          <Snippet>{`<script src="${host}/widget/embed.js" data-key="${selectedKey.apiKey}" async></script>`}</Snippet>
+          <Hint>Or show the chat inline, in an iframe:</Hint>
+          <Snippet>{`<iframe src="${host}/widget/frame?key=${selectedKey.apiKey}" style="width:380px;height:560px;border:0"></iframe>`}</Snippet>
+        </>
+      )}
+    </Section>
+  );
+}
+
+export default WidgetSettings;
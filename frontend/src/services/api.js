@@ -55,6 +55,41 @@ apiClient.interceptors.response.use(
   }
 );
 
+/**
+ * Read a Server-Sent Events reply: `token` frames go to onToken, the stream ends with `done` or `error`
+ * @param {Response} res - fetch response with an event-stream body
+ * @param {Function} onToken - Called with each text delta
+ * @returns {Promise<Object>} - { success: true, ...done data } or { success: false, message, code? }
+ */
+async function readEventStream(res, onToken) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = { success: false, message: 'Stream ended unexpectedly' };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const frames = buffer.split('\n\n');
+    buffer = frames.pop();
+    for (const frame of frames) {
+      const event = (frame.match(/^event: (.*)$/m) || [])[1];
+      const dataLine = (frame.match(/^data: (.*)$/m) || [])[1];
+      if (!event || !dataLine) continue;
+      const data = JSON.parse(dataLine);
+      if (event === 'token') {
+        onToken(data.token);
+      } else if (event === 'done') {
+        result = { success: true, ...data };
+      } else if (event === 'error') {
+        result = { success: false, message: data.message, code: data.code };
+      }
+    }
+  }
+  return result;
+}
+
 export const apiService = {
   /**
    * Authenticate user and get session ID
@@ -149,13 +184,18 @@ export const apiService = {
    * @param {string} sessionId - User session ID
    * @param {string} name - AI name
    * @param {string} description - AI description
+   * @param {Object} [llm] - Optional { provider, model } for the bot
+   * @param {Object} [builder] - Optional bot builder settings { templateId, tone, responseLength, capabilities,
+   *   citationPolicy, topicGuard } and the preview { draftId } to discard once the bot is created
    * @returns {Promise<Object>} - Response with containerId or error
    */
-  async createAI(sessionId, name, description) {
+  async createAI(sessionId, name, description, llm = null, builder = null) {
     try {
       const response = await apiClient.post('/create_ai', {
         name,
         description,
+        ...(llm ? { llm } : {}),
+        ...(builder || {}),
       }, {
         headers: {
           'x-session-id': sessionId
@@ -170,6 +210,81 @@ export const apiService = {
     }
   },
 
+  /**
+   * Starter templates for the bot builder
+   * @param {string} sessionId - User session ID
+   * @returns {Promise<Object>} - { success, templates }
+   */
+  async getBotTemplates(sessionId) {
+    try {
+      const response = await apiClient.get('/bot_templates', {
+        headers: { 'X-Session-ID': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to load templates', templates: [] };
+    }
+  },
+
+  /**
+   * Start an unsaved preview bot from builder settings
+   * @param {Object} spec - { templateId, name, description, tone, responseLength, capabilities, citationPolicy, topicGuard, llm }
+   * @returns {Promise<Object>} - { success, draftId, config }
+   */
+  async createDraft(sessionId, spec) {
+    try {
+      const response = await apiClient.post('/drafts', spec, {
+        headers: { 'X-Session-ID': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, status: error.status, message: error.message || 'Failed to start preview' };
+    }
+  },
+
+  /**
+   * Apply new builder settings to a preview bot
+   */
+  async updateDraft(sessionId, draftId, spec) {
+    try {
+      const response = await apiClient.put(`/drafts/${draftId}`, spec, {
+        headers: { 'X-Session-ID': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, status: error.status, message: error.message || 'Failed to update preview' };
+    }
+  },
+
+  /**
+   * Send a message to a preview bot
+   * @returns {Promise<Object>} - { success, response, citations }
+   */
+  async chatWithDraft(sessionId, draftId, message) {
+    try {
+      const response = await apiClient.post(`/drafts/${draftId}/chat`, { message }, {
+        headers: { 'X-Session-ID': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, status: error.status, message: error.message || 'Preview bot failed to respond' };
+    }
+  },
+
+  /**
+   * Discard a preview bot
+   */
+  async discardDraft(sessionId, draftId) {
+    try {
+      const response = await apiClient.delete(`/drafts/${draftId}`, {
+        headers: { 'X-Session-ID': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to discard preview' };
+    }
+  },
+
   /**
    * Get list of AI instances for a session
    * @param {string} sessionId - User session ID
@@ -197,13 +312,15 @@ export const apiService = {
    * @param {string} sessionId - User session ID
    * @param {string} containerId - AI container ID
    * @param {string} message - User message
+   * @param {string} [threadId] - Chat thread to record the exchange in
    * @returns {Promise<Object>} - Response with AI reply or error
    */
-  async interactAI(sessionId, containerId, message) {
+  async interactAI(sessionId, containerId, message, threadId = null) {
     try {
       const response = await apiClient.post('/interact_ai', {
         containerId,
         message,
+        ...(threadId ? { threadId } : {}),
       }, {
         headers: {
           'x-session-id': sessionId
@@ -218,6 +335,40 @@ export const apiService = {
     }
   },
 
+  /**
+   * Send message to AI chatbot and stream the reply (Server-Sent Events)
+   * @param {string} sessionId - User session ID
+   * @param {string} containerId - AI container ID
+   * @param {string} message - User message
+   * @param {string} [threadId] - Chat thread to record the exchange in
+   * @param {Function} onToken - Called with each text delta as it arrives
+   * @returns {Promise<Object>} - Final response ({ success, response }) or error
+   */
+  async interactAIStream(sessionId, containerId, message, threadId = null, onToken = () => {}) {
+    try {
+      const res = await fetch(`${API_BASE_URL}/interact_ai/stream`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-session-id': sessionId,
+        },
+        body: JSON.stringify({ containerId, message, ...(threadId ? { threadId } : {}) }),
+      });
+
+      if (!res.ok || !res.body) {
+        const data = await res.json().catch(() => ({}));
+        return { success: false, message: data.message || 'Failed to interact with AI' };
+      }
+
+      return await readEventStream(res, onToken);
+    } catch (error) {
+      return {
+        success: false,
+        message: 'Network error. Please check your connection.',
+      };
+    }
+  },
+
   /**
    * Ingest text into an AI container (parsed PDF/OCR/plain text)
    */
@@ -238,7 +389,9 @@ export const apiService = {
   },
 
   /**
-   * Upload a file for ingestion (PDF/Image/Text) via multipart
+   * Upload a file for ingestion via multipart. The file is queued: the response carries its job, whose
+   * progress comes from watchIngestJobs / getIngestJob.
+   * @returns {Promise<Object>} - { success, job } or error
    */
   async ingestFile(sessionId, containerId, file) {
     try {
@@ -255,6 +408,170 @@ export const apiService = {
     }
   },
 
+  /**
+   * An AI's ingestion jobs, newest first
+   * @returns {Promise<Object>} - { success, jobs, active } or error
+   */
+  async listIngestJobs(sessionId, containerId, limit = 50) {
+    try {
+      const response = await apiClient.get(`/ai/${containerId}/ingest-jobs`, {
+        params: { limit },
+        headers: { 'x-session-id': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to list uploads' };
+    }
+  },
+
+  async getIngestJob(sessionId, containerId, jobId) {
+    try {
+      const response = await apiClient.get(`/ai/${containerId}/ingest-jobs/${jobId}`, {
+        headers: { 'x-session-id': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to read upload progress' };
+    }
+  },
+
+  /**
+   * Retry a failed ingestion job (only its failed sections when the document was created)
+   */
+  async retryIngestJob(sessionId, containerId, jobId) {
+    try {
+      const response = await apiClient.post(`/ai/${containerId}/ingest-jobs/${jobId}/retry`, {}, {
+        headers: { 'x-session-id': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to retry the upload' };
+    }
+  },
+
+  /**
+   * Cancel a queued or running ingestion job (whatever it had indexed is removed)
+   */
+  async cancelIngestJob(sessionId, containerId, jobId) {
+    try {
+      const response = await apiClient.post(`/ai/${containerId}/ingest-jobs/${jobId}/cancel`, {}, {
+        headers: { 'x-session-id': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to cancel the upload' };
+    }
+  },
+
+  /**
+   * Follow upload progress over the backend WebSocket (`ingest_job` frames)
+   * @param {Function} onJob - Called with the job after every change
+   * @returns {Object} - { close(), isOpen() }; callers poll getIngestJob while it isn't open
+   */
+  watchIngestJobs(sessionId, containerId, onJob) {
+    const url = new URL(API_BASE_URL, window.location.origin);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    url.pathname = '/';
+    url.search = new URLSearchParams({ sessionId, containerId }).toString();
+
+    let socket;
+    try {
+      socket = new WebSocket(url.toString());
+    } catch (error) {
+      return { close() {}, isOpen: () => false };
+    }
+    socket.onmessage = (event) => {
+      try {
+        const frame = JSON.parse(event.data);
+        if (frame.type === 'ingest_job') onJob(frame.job);
+      } catch (error) {
+        // not a JSON frame
+      }
+    };
+    return {
+      close: () => socket.close(),
+      isOpen: () => socket.readyState === WebSocket.OPEN
+    };
+  },
+
+  /**
+   * Download an AI as a portable .aibot bundle
+   * @param {Object} options - { vectors, history } include the vector index / chat threads
+   * @returns {Promise<Object>} - { success, blob } or error
+   */
+  async exportAI(sessionId, containerId, { vectors = false, history = false } = {}) {
+    try {
+      const blob = await apiClient.get(`/ai/${containerId}/export`, {
+        params: { vectors, history },
+        headers: { 'x-session-id': sessionId },
+        responseType: 'blob',
+        timeout: 300000
+      });
+      return { success: true, blob };
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to export AI' };
+    }
+  },
+
+  /**
+   * Create a new AI from an exported bundle
+   * @param {File} file - .aibot archive
+   * @param {string} [name] - Optional new name
+   */
+  async importAI(sessionId, file, name = '') {
+    try {
+      const form = new FormData();
+      form.append('bundle', file);
+      if (name) form.append('name', name);
+      const response = await apiClient.post('/import_ai', form, {
+        headers: { 'x-session-id': sessionId, 'Content-Type': 'multipart/form-data' },
+        timeout: 600000 // importing re-indexes documents, which can take a while
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to import AI' };
+    }
+  },
+
+  /**
+   * Create a copy of an AI
+   * @param {Object} options - { name, description, documents, history, apiKeys }
+   */
+  async cloneAI(sessionId, containerId, options = {}) {
+    try {
+      const response = await apiClient.post(`/ai/${containerId}/clone`, options, {
+        headers: { 'x-session-id': sessionId },
+        timeout: 300000 // copying a large index takes a while
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to clone AI' };
+    }
+  },
+
+  /**
+   * List the documents ingested into an AI instance (size, chunk count, tags, version; no text)
+   * @param {string} sessionId - User session ID
+   * @param {string} containerId - AI container ID
+   * @returns {Promise<Object>} - Response with documents or error
+   */
+  async listDocuments(sessionId, containerId) {
+    try {
+      const response = await apiClient.get(`/ai/${containerId}/documents`, {
+        headers: {
+          'x-session-id': sessionId,
+        },
+      });
+
+      return response;
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to list documents',
+      };
+    }
+  },
+
   /**
    * Delete a specific document from an AI instance
    * @param {string} sessionId - User session ID
@@ -274,7 +591,7 @@ export const apiService = {
         },
       });
 
-      return response.data;
+      return response;
     } catch (error) {
       return {
         success: false,
@@ -300,7 +617,7 @@ export const apiService = {
         },
       });
 
-      return response.data;
+      return response;
     } catch (error) {
       return {
         success: false,
@@ -309,6 +626,126 @@ export const apiService = {
     }
   },
 
+  /**
+   * A document with the start of its extracted text
+   * @returns {Promise<Object>} - { success, document, text, truncated } or error
+   */
+  async getDocument(sessionId, containerId, documentId, maxChars = 20000) {
+    try {
+      const response = await apiClient.get(`/ai/${containerId}/documents/${documentId}`, {
+        params: { maxChars },
+        headers: { 'x-session-id': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to load document' };
+    }
+  },
+
+  /**
+   * Rename or retag a document
+   * @param {Object} changes - { title, tags }
+   */
+  async updateDocument(sessionId, containerId, documentId, changes) {
+    try {
+      const response = await apiClient.patch(`/ai/${containerId}/documents/${documentId}`, changes, {
+        headers: { 'x-session-id': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to update document' };
+    }
+  },
+
+  /**
+   * Upload a new version of a document; only the sections that changed are re-indexed
+   * @returns {Promise<Object>} - { success, job } (follow it like an upload) or error
+   */
+  async replaceDocument(sessionId, containerId, documentId, file) {
+    try {
+      const form = new FormData();
+      form.append('file', file);
+      const response = await apiClient.put(`/ai/${containerId}/documents/${documentId}/content`, form, {
+        headers: { 'x-session-id': sessionId, 'Content-Type': 'multipart/form-data' },
+        timeout: 300000
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to replace document' };
+    }
+  },
+
+  /**
+   * Web sources of a bot: pages, sitemaps and crawled sites kept in sync with its documents
+   * @returns {Promise<Object>} - { success, sources, crawling } or error
+   */
+  async listWebSources(sessionId, containerId) {
+    try {
+      const response = await apiClient.get(`/ai/${containerId}/web-sources`, {
+        headers: { 'x-session-id': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to load web sources' };
+    }
+  },
+
+  /**
+   * Add a web source; its first crawl starts right away
+   * @param {Object} settings - { url, mode: 'page' | 'sitemap' | 'crawl', maxDepth, maxPages, includePaths,
+   *   excludePaths, tags, recrawlHours }
+   */
+  async createWebSource(sessionId, containerId, settings) {
+    try {
+      const response = await apiClient.post(`/ai/${containerId}/web-sources`, settings, {
+        headers: { 'x-session-id': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to add the web source' };
+    }
+  },
+
+  /**
+   * Change a web source's limits, tags or re-crawl schedule
+   */
+  async updateWebSource(sessionId, containerId, sourceId, changes) {
+    try {
+      const response = await apiClient.patch(`/ai/${containerId}/web-sources/${sourceId}`, changes, {
+        headers: { 'x-session-id': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to update the web source' };
+    }
+  },
+
+  async crawlWebSource(sessionId, containerId, sourceId) {
+    try {
+      const response = await apiClient.post(`/ai/${containerId}/web-sources/${sourceId}/crawl`, {}, {
+        headers: { 'x-session-id': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to start the crawl' };
+    }
+  },
+
+  /**
+   * Remove a web source and, unless keepDocuments, the documents made from its pages
+   */
+  async deleteWebSource(sessionId, containerId, sourceId, keepDocuments = false) {
+    try {
+      const response = await apiClient.delete(`/ai/${containerId}/web-sources/${sourceId}`, {
+        params: keepDocuments ? { keepDocuments: 'true' } : {},
+        headers: { 'x-session-id': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to remove the web source' };
+    }
+  },
+
   /**
    * Delete an AI chatbot instance
    * @param {string} sessionId - User session ID
@@ -357,13 +794,228 @@ export const apiService = {
   },
 
   /**
-   * Generate an API key for a specific AI
+   * Start, stop, restart, hibernate or resume an AI container
+   * @param {string} sessionId - User session ID
+   * @param {string} containerId - AI container ID
+   * @param {string} action - 'start' | 'stop' | 'restart' | 'hibernate' | 'resume'
+   * @returns {Promise<Object>} - Response with the new status or error
+   */
+  async changeAIState(sessionId, containerId, action) {
+    try {
+      const response = await apiClient.post(`/ai/${containerId}/${action}`, {}, {
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      return response;
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || `Failed to ${action} AI`,
+      };
+    }
+  },
+
+  /**
+   * Get an AI's editable configuration
+   * @param {string} sessionId - User session ID
+   * @param {string} containerId - AI container ID
+   * @returns {Promise<Object>} - Response with config or error
+   */
+  async getAIConfig(sessionId, containerId) {
+    try {
+      const response = await apiClient.get(`/ai/${containerId}/config`, {
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      return response;
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to load AI configuration',
+      };
+    }
+  },
+
+  /**
+   * Update an AI's persona, instructions and topic guard
+   * @param {string} sessionId - User session ID
+   * @param {string} containerId - AI container ID
+   * @param {Object} config - { name, description, tone, detailedInstructions, systemPrompt, topicGuard }
+   * @param {boolean} [regenerateInstructions] - Rewrite the instructions from name, description and tone
+   * @returns {Promise<Object>} - Response with the saved config or error
+   */
+  async updateAIConfig(sessionId, containerId, config, regenerateInstructions = false) {
+    try {
+      const response = await apiClient.put(`/ai/${containerId}/config`, {
+        ...config,
+        ...(regenerateInstructions ? { regenerateInstructions: true } : {}),
+      }, {
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      return response;
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to update AI configuration',
+      };
+    }
+  },
+
+  /**
+   * Read an AI's topic guard decisions (newest first)
+   * @param {string} sessionId - User session ID
+   * @param {string} containerId - AI container ID
+   * @param {Object} [query] - { outcome: 'allowed' | 'refused', limit, offset }
+   * @returns {Promise<Object>} - { decisions, total, refused }
    */
-  async generateAIKey(sessionId, containerId, label = 'default') {
+  async getTopicDecisions(sessionId, containerId, query = {}) {
+    try {
+      const response = await apiClient.get(`/ai/${containerId}/topic-guard/decisions`, {
+        params: query,
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      return response;
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to load topic guard decisions',
+        decisions: [],
+      };
+    }
+  },
+
+  /**
+   * Clear an AI's topic guard decision log
+   * @param {string} sessionId - User session ID
+   * @param {string} containerId - AI container ID
+   * @returns {Promise<Object>} - Response
+   */
+  async clearTopicDecisions(sessionId, containerId) {
+    try {
+      const response = await apiClient.delete(`/ai/${containerId}/topic-guard/decisions`, {
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      return response;
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to clear topic guard decisions',
+      };
+    }
+  },
+
+  /**
+   * Check how the topic guard would classify a message (nothing is answered or logged)
+   * @param {string} sessionId - User session ID
+   * @param {string} containerId - AI container ID
+   * @param {string} message - Message to classify
+   * @returns {Promise<Object>} - { decision, refusal? }
+   */
+  async testTopicGuard(sessionId, containerId, message) {
+    try {
+      const response = await apiClient.post(`/ai/${containerId}/topic-guard/test`, { message }, {
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      return response;
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to test topic guard',
+      };
+    }
+  },
+
+  /**
+   * List an AI's configuration versions (newest first)
+   * @param {string} sessionId - User session ID
+   * @param {string} containerId - AI container ID
+   * @returns {Promise<Object>} - { activeVersion, versions: [{ version, author_name, note, created_at }] }
+   */
+  async listConfigVersions(sessionId, containerId) {
+    try {
+      const response = await apiClient.get(`/ai/${containerId}/config/versions`, {
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      return response;
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to load configuration history',
+        versions: [],
+      };
+    }
+  },
+
+  /**
+   * Diff two configuration versions
+   * @param {string} sessionId - User session ID
+   * @param {string} containerId - AI container ID
+   * @param {number} from - Older version
+   * @param {number} [to] - Newer version (defaults to the active version)
+   * @returns {Promise<Object>} - { from, to, changes: [{ field, change, lines: [{ op, text }] }] }
+   */
+  async getConfigDiff(sessionId, containerId, from, to = null) {
+    try {
+      const response = await apiClient.get(`/ai/${containerId}/config/diff`, {
+        params: to ? { from, to } : { from },
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      return response;
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to diff configuration versions',
+      };
+    }
+  },
+
+  /**
+   * Roll an AI back to an earlier configuration version
+   * @param {string} sessionId - User session ID
+   * @param {string} containerId - AI container ID
+   * @param {number} version - Version to restore
+   * @returns {Promise<Object>} - Response with the restored config and its new version number
+   */
+  async rollbackConfig(sessionId, containerId, version) {
+    try {
+      const response = await apiClient.post(`/ai/${containerId}/config/versions/${version}/rollback`, {}, {
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      return response;
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to roll back configuration',
+      };
+    }
+  },
+
+  /**
+   * Generate an API key for a specific AI; the response's apiKey is only ever returned this once
+   * @param {Object} settings - { label, scopes, expiresInDays, allowedOrigins, allowedIps, rpmLimit, dailyTokenQuota }
+   */
+  async generateAIKey(sessionId, containerId, settings = {}) {
     try {
       const response = await apiClient.post('/generate_api_key', {
         containerId,
-        label,
+        label: 'default',
+        ...settings,
       }, {
         headers: { 'X-Session-ID': sessionId }
       });
@@ -374,7 +1026,7 @@ export const apiService = {
   },
 
   /**
-   * List API keys for an AI
+   * List API keys for an AI, with their settings and usage counters
    */
   async listAIKeys(sessionId, containerId) {
     try {
@@ -400,6 +1052,190 @@ export const apiService = {
       return { success: false, message: error.message || 'Failed to revoke API key' };
     }
   },
+
+  /**
+   * Pin an API key to a configuration version (null follows the active version)
+   */
+  async pinAIKey(sessionId, containerId, keyId, version) {
+    try {
+      const response = await apiClient.post('/pin_api_key', { containerId, keyId, version }, {
+        headers: { 'X-Session-ID': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to pin API key' };
+    }
+  },
+
+  /**
+   * List chat threads for an AI
+   */
+  async listThreads(sessionId, containerId) {
+    try {
+      const response = await apiClient.get(`/ai/${containerId}/threads`, {
+        headers: { 'X-Session-ID': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to list threads', threads: [] };
+    }
+  },
+
+  /**
+   * Start a new chat thread
+   */
+  async createThread(sessionId, containerId, title = 'New chat') {
+    try {
+      const response = await apiClient.post(`/ai/${containerId}/threads`, { title }, {
+        headers: { 'X-Session-ID': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to create thread' };
+    }
+  },
+
+  /**
+   * Rename a chat thread
+   */
+  async renameThread(sessionId, containerId, threadId, title) {
+    try {
+      const response = await apiClient.put(`/ai/${containerId}/threads/${threadId}`, { title }, {
+        headers: { 'X-Session-ID': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to rename thread' };
+    }
+  },
+
+  /**
+   * Delete a chat thread and its history
+   */
+  async deleteThread(sessionId, containerId, threadId) {
+    try {
+      const response = await apiClient.delete(`/ai/${containerId}/threads/${threadId}`, {
+        headers: { 'X-Session-ID': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to delete thread' };
+    }
+  },
+
+  /**
+   * Get a page of a thread's stored messages
+   * @param {Object} options - { limit, before } where before is the cursor from a previous page
+   */
+  async getThreadMessages(sessionId, containerId, threadId, { limit = 50, before } = {}) {
+    try {
+      const response = await apiClient.get(`/ai/${containerId}/threads/${threadId}/messages`, {
+        params: { limit, ...(before ? { before } : {}) },
+        headers: { 'X-Session-ID': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to load thread messages', interactions: [] };
+    }
+  },
+
+  /**
+   * Restore a thread's context in the AI so the conversation can continue
+   */
+  async resumeThread(sessionId, containerId, threadId) {
+    try {
+      const response = await apiClient.post(`/ai/${containerId}/threads/${threadId}/resume`, {}, {
+        headers: { 'X-Session-ID': sessionId }
+      });
+      return response;
+    } catch (error) {
+      return { success: false, message: error.message || 'Failed to resume thread' };
+    }
+  },
+};
+
+/**
+ * Calls of the website chat widget. The widget page is served by the backend, so it talks to /widget/v1 on
+ * its own origin with the publishable key; origin names the site the widget is embedded on.
+ */
+export const widgetService = {
+  /**
+   * Origin of the backend that serves /widget (for the embed snippet shown in the dashboard)
+   */
+  host() {
+    return new URL(API_BASE_URL, window.location.origin).origin;
+  },
+
+  headers({ key, origin, visitorId }) {
+    return {
+      'Content-Type': 'application/json',
+      'X-AI-API-Key': key,
+      ...(origin ? { 'X-Widget-Origin': origin } : {}),
+      ...(visitorId ? { 'X-Widget-Visitor': visitorId } : {}),
+    };
+  },
+
+  async request(path, auth, options = {}) {
+    try {
+      const res = await fetch(`${window.location.origin}/widget/v1${path}`, {
+        ...options,
+        headers: this.headers(auth),
+      });
+      return await res.json();
+    } catch (error) {
+      return { success: false, message: 'Network error. Please check your connection.' };
+    }
+  },
+
+  /**
+   * Bot name and widget appearance
+   * @param {Object} auth - { key, origin }
+   */
+  async getConfig(auth) {
+    return this.request('/config', auth);
+  },
+
+  /**
+   * Start a conversation; without auth.visitorId the response carries a new visitorId to keep
+   * @param {Object} auth - { key, origin, visitorId? }
+   */
+  async startConversation(auth) {
+    return this.request('/conversations', auth, {
+      method: 'POST',
+      body: JSON.stringify(auth.visitorId ? { visitorId: auth.visitorId } : {}),
+    });
+  },
+
+  /**
+   * The visitor's latest messages in a conversation
+   * @param {Object} auth - { key, origin, visitorId }
+   */
+  async getMessages(auth, conversationId) {
+    return this.request(`/conversations/${conversationId}/messages`, auth);
+  },
+
+  /**
+   * Send a message and stream the reply
+   * @param {Object} auth - { key, origin, visitorId }
+   * @param {Function} onToken - Called with each text delta
+   * @returns {Promise<Object>} - { success, response, citations } or { success: false, message }
+   */
+  async sendMessage(auth, conversationId, message, onToken = () => {}) {
+    try {
+      const res = await fetch(`${window.location.origin}/widget/v1/conversations/${conversationId}/messages`, {
+        method: 'POST',
+        headers: this.headers(auth),
+        body: JSON.stringify({ message }),
+      });
+      if (!res.ok || !res.body) {
+        const data = await res.json().catch(() => ({}));
+        return { success: false, message: data.message || 'The assistant could not answer', code: data.code };
+      }
+      return await readEventStream(res, onToken);
+    } catch (error) {
+      return { success: false, message: 'Network error. Please check your connection.' };
+    }
+  },
 };
 
 export default apiService;
@@ -0,0 +1,29 @@
+/**
+ * Bot behaviour options shared by the bot builder and the edit form
+ * Values match backend/utils/configValidation.js
+ */
+
+export const TONE_OPTIONS = ['friendly', 'professional', 'casual', 'technical'];
+
+export const RESPONSE_LENGTH_OPTIONS = [
+  { value: 'short', label: 'Short', hint: 'A few sentences' },
+  { value: 'medium', label: 'Medium', hint: 'A few focused paragraphs' },
+  { value: 'long', label: 'Long', hint: 'Thorough, structured answers' }
+];
+
+// basic_chat is always on and not listed
+export const CAPABILITY_OPTIONS = [
+  { value: 'explanation', label: 'Explaining concepts' },
+  { value: 'summarization', label: 'Summarizing' },
+  { value: 'data_analysis', label: 'Data analysis' },
+  { value: 'code_generation', label: 'Writing and reviewing code' },
+  { value: 'content_generation', label: 'Writing content' },
+  { value: 'translation', label: 'Translation' },
+  { value: 'creative_thinking', label: 'Brainstorming' }
+];
+
+export const CITATION_POLICY_OPTIONS = [
+  { value: 'on-request', label: 'When asked', hint: 'Cite sources only when the user asks for them' },
+  { value: 'always', label: 'Always', hint: 'Cite the documents and sources behind every answer' },
+  { value: 'never', label: 'Never', hint: 'Never show citations or source lists' }
+];
@@ -0,0 +1,78 @@
+/**
+ * Migrate legacy rag_db/index.json files into the SQLite vector store (rag_db/vectors.sqlite)
+ *
+ * Usage:
+ *   node scripts/migrate-rag-index.js                 # every container under backend/containers
+ *   node scripts/migrate-rag-index.js <containerId>   # specific containers
+ *   node scripts/migrate-rag-index.js --dry-run       # report what would be migrated
+ *   node scripts/migrate-rag-index.js --keep          # leave index.json in place (default renames it to index.json.migrated)
+ */
+const fs = require('fs');
+const path = require('path');
+const { SqliteVectorStore } = require('../containers/mainCodebase/vectorStore');
+
+const containersDir = path.join(__dirname, '../backend/containers');
+
+async function migrateContainer(containerId, { dryRun, keep }) {
+  const ragDir = path.join(containersDir, containerId, 'rag_db');
+  const indexPath = path.join(ragDir, 'index.json');
+
+  if (!fs.existsSync(indexPath)) {
+    console.log(`ℹ️  No index.json in: ${containerId}`);
+    return { containerId, imported: 0 };
+  }
+
+  if (dryRun) {
+    let count = 0;
+    try {
+      count = (JSON.parse(fs.readFileSync(indexPath, 'utf-8')).vectors || []).length;
+    } catch (error) {
+      console.error(`❌ Unreadable index.json in ${containerId}:`, error.message);
+      return { containerId, imported: 0, error: error.message };
+    }
+    console.log(`🔎 ${containerId}: ${count} vectors would be migrated`);
+    return { containerId, imported: 0, pending: count };
+  }
+
+  const store = new SqliteVectorStore({ dbDir: ragDir });
+  try {
+    const result = await store.importJsonIndex(indexPath, { rename: !keep });
+    console.log(`✅ ${containerId}: imported ${result.imported} vectors${result.skipped ? `, skipped ${result.skipped} without embeddings` : ''}`);
+    return { containerId, ...result };
+  } catch (error) {
+    console.error(`❌ Failed to migrate ${containerId}:`, error.message);
+    return { containerId, imported: 0, error: error.message };
+  } finally {
+    await store.close();
+  }
+}
+
+async function migrateRAGIndexes() {
+  const args = process.argv.slice(2);
+  const options = { dryRun: args.includes('--dry-run'), keep: args.includes('--keep') };
+  let containerIds = args.filter(arg => !arg.startsWith('--'));
+
+  if (!containerIds.length) {
+    if (!fs.existsSync(containersDir)) {
+      console.log('ℹ️  No containers directory found');
+      return;
+    }
+    containerIds = fs.readdirSync(containersDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name);
+  }
+
+  console.log(`📦 Migrating RAG indexes for ${containerIds.length} container(s)${options.dryRun ? ' (dry run)' : ''}...`);
+
+  const results = [];
+  for (const containerId of containerIds) {
+    results.push(await migrateContainer(containerId, options));
+  }
+
+  const failed = results.filter(r => r.error);
+  const imported = results.reduce((sum, r) => sum + (r.imported || 0), 0);
+  console.log(`🎉 Done: ${imported} vectors imported, ${failed.length} failure(s)`);
+  if (failed.length) process.exitCode = 1;
+}
+
+migrateRAGIndexes();
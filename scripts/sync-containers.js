@@ -4,7 +4,7 @@ const path = require('path');
 const repoRoot = path.resolve(__dirname, '..');
 const srcDir = path.join(repoRoot, 'containers', 'mainCodebase');
 const dstRoot = path.join(repoRoot, 'backend', 'containers');
-const files = ['botLogic.js', 'rag.js', 'config.js'];
+const files = ['botLogic.js', 'rag.js', 'config.js', 'conversationMemory.js', 'mockModel.js', 'llmProviders.js', 'retrieval.js', 'topicGuard.js', 'docStore.js', 'vectorStore.js', 'hybridSearch.js', 'embeddings.js', 'extractors.js', 'chunker.js', 'ingestJobs.js', 'crawler.js', 'webSources.js'];
 
 function copyIfExists(src, dst) {
   try {